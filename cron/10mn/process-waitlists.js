@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+import '../../server/env';
+
+import logger from '../../server/lib/logger';
+import { processAllWaitlists } from '../../server/lib/waitlists';
+
+export async function run() {
+  logger.info('Processing tier waitlists...');
+  const reservations = await processAllWaitlists();
+  logger.info(`Done: ${reservations.length} spot(s) reserved for users of the waitlists`);
+}
+
+if (require.main === module) {
+  run()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch(e => {
+      console.error(e);
+      process.exit(1);
+    });
+}
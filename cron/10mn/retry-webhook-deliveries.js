@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+import '../../server/env';
+
+import logger from '../../server/lib/logger';
+import { retryPendingWebhookDeliveries } from '../../server/lib/webhook-deliveries';
+import { WebhookDeliveryStatus } from '../../server/models/WebhookDelivery';
+
+export async function run() {
+  logger.info('Retrying pending webhook deliveries...');
+  const deliveries = await retryPendingWebhookDeliveries();
+  const succeeded = deliveries.filter(delivery => delivery.status === WebhookDeliveryStatus.SUCCESS);
+  const failed = deliveries.filter(delivery => delivery.status === WebhookDeliveryStatus.FAILED);
+  logger.info(
+    `Done: ${deliveries.length} delivery(ies) retried, ${succeeded.length} succeeded, ${failed.length} failed permanently`,
+  );
+}
+
+if (require.main === module) {
+  run()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch(e => {
+      console.error(e);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+import '../../server/env';
+
+import moment from 'moment';
+
+import { checkLedgerIntegrity } from '../../server/lib/ledger-integrity';
+import logger from '../../server/lib/logger';
+import { parseToBoolean } from '../../server/lib/utils';
+
+// The whole ledger is checked every Sunday, or when forced with FULL_CHECK=true (e.g. to backfill the issues)
+const isFullCheck = parseToBoolean(process.env.FULL_CHECK) || moment().day() === 0;
+
+// Overlaps with the previous run, in case it was delayed or failed
+const since = isFullCheck ? null : moment().subtract(2, 'days').toDate();
+
+const run = async () => {
+  if (isFullCheck) {
+    logger.info('Checking the integrity of all the transaction groups...');
+  } else {
+    logger.info(`Checking the integrity of the transaction groups updated since ${since.toISOString()}...`);
+  }
+
+  const result = await checkLedgerIntegrity({ since });
+  logger.info(
+    `>>> Done: ${result.checked} group(s) checked, ${result.created} new issue(s), ${result.resolved} resolved issue(s).`,
+  );
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    logger.error(e);
+    process.exit(1);
+  });
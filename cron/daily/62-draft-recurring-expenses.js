@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+import '../../server/env';
+
+import logger from '../../server/lib/logger';
+import { draftDueRecurringExpenses } from '../../server/lib/recurring-expenses';
+
+const run = async () => {
+  logger.info('Drafting the recurring expenses that are due...');
+  const result = await draftDueRecurringExpenses();
+  logger.info(`>>> Done: ${result.drafted} expense(s) drafted, ${result.errors} error(s).`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    logger.error(e);
+    process.exit(1);
+  });
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+import '../../server/env';
+
+import logger from '../../server/lib/logger';
+import { resumeDuePausedOrders } from '../../server/lib/subscriptions';
+
+const run = async () => {
+  logger.info('Resuming the paused recurring contributions that are due...');
+  const result = await resumeDuePausedOrders();
+  logger.info(`>>> Done: ${result.resumed} contribution(s) resumed, ${result.errors} error(s).`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    logger.error(e);
+    process.exit(1);
+  });
@@ -0,0 +1,94 @@
+'use strict';
+
+import crypto from 'crypto';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Add a secret to sign webhook payloads
+    await queryInterface.addColumn('Notifications', 'secret', { type: Sequelize.STRING, allowNull: true });
+    const [webhooks] = await queryInterface.sequelize.query(`
+      SELECT id FROM "Notifications" WHERE "channel" = 'webhook' AND "secret" IS NULL
+    `);
+
+    for (const webhook of webhooks) {
+      await queryInterface.sequelize.query(`UPDATE "Notifications" SET "secret" = :secret WHERE id = :id`, {
+        replacements: { id: webhook.id, secret: crypto.randomBytes(32).toString('hex') },
+      });
+    }
+
+    // Create the deliveries log
+    await queryInterface.createTable('WebhookDeliveries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      NotificationId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'Notifications', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      ActivityId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'Activities', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('PENDING', 'SUCCESS', 'FAILED'),
+        allowNull: false,
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      responseStatusCode: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      latency: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('WebhookDeliveries', ['NotificationId', 'createdAt']);
+    await queryInterface.addIndex('WebhookDeliveries', ['nextAttemptAt'], { where: { status: 'PENDING' } });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('WebhookDeliveries');
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_WebhookDeliveries_status"`);
+    await queryInterface.removeColumn('Notifications', 'secret');
+  },
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_Applications_type" ADD VALUE IF NOT EXISTS 'personalToken'`);
+    // Stores the SHA-256 hash of the personal token, see `Application.hashToken`
+    await queryInterface.addColumn('Applications', 'token', { type: Sequelize.STRING, allowNull: true });
+    await queryInterface.addColumn('Applications', 'scopes', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Applications', 'limitedToCollectiveIds', {
+      type: Sequelize.ARRAY(Sequelize.INTEGER),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Applications', 'expiresAt', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('Applications', 'lastUsedAt', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addIndex('Applications', ['token'], {
+      unique: true,
+      where: { token: { [Sequelize.Op.ne]: null } },
+    });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.removeIndex('Applications', ['token']);
+    await queryInterface.removeColumn('Applications', 'lastUsedAt');
+    await queryInterface.removeColumn('Applications', 'expiresAt');
+    await queryInterface.removeColumn('Applications', 'limitedToCollectiveIds');
+    await queryInterface.removeColumn('Applications', 'scopes');
+    await queryInterface.removeColumn('Applications', 'token');
+    // Postgres doesn't support removing values from an enum, 'personalToken' is left in place
+  },
+};
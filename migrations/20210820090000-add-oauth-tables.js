@@ -0,0 +1,73 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const userReference = {
+      type: Sequelize.INTEGER,
+      references: { key: 'id', model: 'Users' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+      allowNull: false,
+    };
+
+    const applicationReference = {
+      type: Sequelize.INTEGER,
+      references: { key: 'id', model: 'Applications' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+      allowNull: false,
+    };
+
+    await queryInterface.createTable('OAuthAuthorizations', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      UserId: userReference,
+      ApplicationId: applicationReference,
+      scopes: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      deletedAt: { type: Sequelize.DATE, allowNull: true },
+    });
+
+    await queryInterface.addIndex('OAuthAuthorizations', ['UserId', 'ApplicationId'], {
+      unique: true,
+      where: { deletedAt: null },
+    });
+
+    await queryInterface.createTable('OAuthAuthorizationCodes', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      code: { type: Sequelize.STRING, allowNull: false, unique: true },
+      UserId: userReference,
+      ApplicationId: applicationReference,
+      redirectUri: { type: Sequelize.STRING, allowNull: false },
+      scopes: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+      codeChallenge: { type: Sequelize.STRING, allowNull: true },
+      codeChallengeMethod: { type: Sequelize.ENUM('plain', 'S256'), allowNull: true },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+    });
+
+    await queryInterface.createTable('OAuthTokens', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      UserId: userReference,
+      ApplicationId: applicationReference,
+      scopes: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+      refreshToken: { type: Sequelize.STRING, allowNull: false, unique: true },
+      accessTokenExpiresAt: { type: Sequelize.DATE, allowNull: false },
+      refreshTokenExpiresAt: { type: Sequelize.DATE, allowNull: false },
+      accessTokenVersion: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+      lastUsedAt: { type: Sequelize.DATE, allowNull: true },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      deletedAt: { type: Sequelize.DATE, allowNull: true },
+    });
+
+    await queryInterface.addIndex('OAuthTokens', ['UserId', 'ApplicationId']);
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('OAuthTokens');
+    await queryInterface.dropTable('OAuthAuthorizationCodes');
+    await queryInterface.dropTable('OAuthAuthorizations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_OAuthAuthorizationCodes_codeChallengeMethod"');
+  },
+};
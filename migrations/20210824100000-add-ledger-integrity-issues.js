@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('LedgerIntegrityIssues', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      check: {
+        type: Sequelize.ENUM(
+          'OPPOSITE_ENTRY',
+          'OPPOSITE_AMOUNTS',
+          'OPPOSITE_FEES',
+          'DEBT_PAIR',
+          'FEE_WITHOUT_PARENT',
+          'REFUND_PAIR',
+          'CURRENCY_CONVERSION',
+        ),
+        allowNull: false,
+      },
+      severity: { type: Sequelize.ENUM('ERROR', 'WARNING'), allowNull: false },
+      TransactionGroup: { type: Sequelize.UUID, allowNull: false },
+      TransactionId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Transactions' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      message: { type: Sequelize.TEXT, allowNull: false },
+      suggestedFix: { type: Sequelize.TEXT, allowNull: true },
+      data: { type: Sequelize.JSONB, allowNull: true },
+      lastDetectedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      resolvedAt: { type: Sequelize.DATE, allowNull: true },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+    });
+
+    await queryInterface.addIndex('LedgerIntegrityIssues', ['TransactionGroup']);
+    await queryInterface.addIndex('LedgerIntegrityIssues', ['severity', 'createdAt'], {
+      where: { resolvedAt: null },
+    });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('LedgerIntegrityIssues');
+    await queryInterface.sequelize.query(`
+      DROP TYPE IF EXISTS "enum_LedgerIntegrityIssues_check";
+      DROP TYPE IF EXISTS "enum_LedgerIntegrityIssues_severity";
+    `);
+  },
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('BudgetLines', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      CollectiveId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      CreatedByUserId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      name: { type: Sequelize.STRING, allowNull: false },
+      tag: { type: Sequelize.STRING, allowNull: true },
+      expenseType: { type: Sequelize.STRING, allowNull: true },
+      period: { type: Sequelize.ENUM('MONTH', 'QUARTER', 'YEAR'), allowNull: false },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      enforcement: { type: Sequelize.ENUM('WARN', 'BLOCK'), defaultValue: 'WARN', allowNull: false },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      deletedAt: { type: Sequelize.DATE, allowNull: true },
+    });
+
+    await queryInterface.addIndex('BudgetLines', ['CollectiveId'], { where: { deletedAt: null } });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('BudgetLines');
+    await queryInterface.sequelize.query(`
+      DROP TYPE IF EXISTS "enum_BudgetLines_period";
+      DROP TYPE IF EXISTS "enum_BudgetLines_enforcement";
+    `);
+  },
+};
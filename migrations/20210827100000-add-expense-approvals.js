@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ExpenseApprovals', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      ExpenseId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Expenses' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      UserId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      deletedAt: { type: Sequelize.DATE, allowNull: true },
+    });
+
+    // An admin can only approve an expense once
+    await queryInterface.addIndex('ExpenseApprovals', ['ExpenseId', 'UserId'], {
+      unique: true,
+      where: { deletedAt: null },
+    });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('ExpenseApprovals');
+  },
+};
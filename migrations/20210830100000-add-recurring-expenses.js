@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('RecurringExpenses', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      CollectiveId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      FromCollectiveId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      PayoutMethodId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'PayoutMethods' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      CreatedByUserId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      interval: { type: Sequelize.ENUM('WEEK', 'MONTH', 'QUARTER', 'YEAR'), allowNull: false },
+      startDate: { type: Sequelize.DATE, allowNull: false },
+      nextDueDate: { type: Sequelize.DATE, allowNull: false },
+      endDate: { type: Sequelize.DATE, allowNull: true },
+      lastDraftedAt: { type: Sequelize.DATE, allowNull: true },
+      type: { type: Sequelize.STRING, allowNull: false },
+      description: { type: Sequelize.STRING, allowNull: false },
+      tags: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: true },
+      items: { type: Sequelize.JSONB, allowNull: false },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      deletedAt: { type: Sequelize.DATE, allowNull: true },
+    });
+
+    await queryInterface.addIndex('RecurringExpenses', ['CollectiveId'], { where: { deletedAt: null } });
+    await queryInterface.addIndex('RecurringExpenses', ['nextDueDate'], { where: { deletedAt: null } });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('RecurringExpenses');
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_RecurringExpenses_interval";`);
+  },
+};
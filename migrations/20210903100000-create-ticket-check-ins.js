@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * There is one ticket per unit of the order (see `server/lib/tickets`), each of them can be checked in
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('TicketCheckIns', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      OrderId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Orders' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      ticketNumber: { type: Sequelize.INTEGER, allowNull: false },
+      CheckedInByUserId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+    });
+
+    // A ticket can only be checked in once
+    await queryInterface.addIndex('TicketCheckIns', ['OrderId', 'ticketNumber'], { unique: true });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('TicketCheckIns');
+  },
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Tiers', 'hasWaitlist', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    });
+
+    await queryInterface.createTable('TierWaitlistEntries', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      TierId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Tiers' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      UserId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      OrderId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Orders' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      quantity: { type: Sequelize.INTEGER, defaultValue: 1, allowNull: false },
+      status: { type: Sequelize.STRING, defaultValue: 'WAITING', allowNull: false },
+      reservedUntil: { type: Sequelize.DATE, allowNull: true },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      deletedAt: { type: Sequelize.DATE, allowNull: true },
+    });
+
+    await queryInterface.addIndex('TierWaitlistEntries', ['TierId', 'status', 'createdAt']);
+
+    // A user can only be on the waitlist of a tier once
+    await queryInterface.addIndex('TierWaitlistEntries', ['TierId', 'UserId'], {
+      unique: true,
+      where: { deletedAt: null, status: ['WAITING', 'RESERVED'] },
+    });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('TierWaitlistEntries');
+    await queryInterface.removeColumn('Tiers', 'hasWaitlist');
+  },
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Comments', 'ParentCommentId', {
+      type: Sequelize.INTEGER,
+      references: { key: 'id', model: 'Comments' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('CommentHistories', 'ParentCommentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex('Comments', ['ParentCommentId'], {
+      where: { ParentCommentId: { [Sequelize.Op.ne]: null } },
+    });
+  },
+
+  down: async queryInterface => {
+    await queryInterface.removeColumn('Comments', 'ParentCommentId');
+    await queryInterface.removeColumn('CommentHistories', 'ParentCommentId');
+  },
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Full-text search indexes for expenses, updates, conversations and comments.
+ * The expressions must match the ones in `server/lib/search.js`.
+ */
+module.exports = {
+  up: async function (queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE INDEX IF NOT EXISTS expense_search_index
+      ON "Expenses"
+      USING gin((to_tsvector('simple', COALESCE(description, ''))))
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE INDEX IF NOT EXISTS expense_item_search_index
+      ON "ExpenseItems"
+      USING gin((to_tsvector('simple', COALESCE(description, ''))))
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE INDEX IF NOT EXISTS update_search_index
+      ON "Updates"
+      USING gin((
+        to_tsvector('simple', COALESCE(title, ''))
+        || to_tsvector('simple', regexp_replace(COALESCE(html, ''), '<[^>]*>', ' ', 'g'))
+      ))
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE INDEX IF NOT EXISTS conversation_search_index
+      ON "Conversations"
+      USING gin((to_tsvector('simple', COALESCE(title, ''))))
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE INDEX IF NOT EXISTS comment_search_index
+      ON "Comments"
+      USING gin((to_tsvector('simple', regexp_replace(COALESCE(html, ''), '<[^>]*>', ' ', 'g'))))
+    `);
+  },
+
+  down: async function (queryInterface) {
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "expense_search_index";`);
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "expense_item_search_index";`);
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "update_search_index";`);
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "conversation_search_index";`);
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "comment_search_index";`);
+  },
+};
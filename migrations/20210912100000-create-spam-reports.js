@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('SpamReports', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      entityType: { type: Sequelize.STRING, allowNull: false },
+      entityId: { type: Sequelize.INTEGER, allowNull: true },
+      CollectiveId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      UserId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      score: { type: Sequelize.FLOAT, allowNull: false },
+      action: { type: Sequelize.STRING, allowNull: false },
+      context: { type: Sequelize.STRING, allowNull: true },
+      detections: { type: Sequelize.JSONB, defaultValue: [], allowNull: false },
+      data: { type: Sequelize.JSONB, allowNull: true },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+    });
+
+    await queryInterface.addIndex('SpamReports', ['entityType', 'entityId']);
+    await queryInterface.addIndex('SpamReports', ['CollectiveId']);
+    await queryInterface.addIndex('SpamReports', ['UserId']);
+
+    // The IPs and masks of the banned users, for the `ipReputation` spam detector
+    await queryInterface.sequelize.query(`
+      CREATE INDEX CONCURRENTLY users__banned__last_sign_in_ip ON "Users" ((data #>> '{lastSignInRequest,ip}'))
+      WHERE (data ->> 'isBanned')::boolean IS TRUE;
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE INDEX CONCURRENTLY users__banned__creation_ip ON "Users" ((data #>> '{creationRequest,ip}'))
+      WHERE (data ->> 'isBanned')::boolean IS TRUE;
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE INDEX CONCURRENTLY users__banned__creation_mask ON "Users" ((data #>> '{creationRequest,mask}'))
+      WHERE (data ->> 'isBanned')::boolean IS TRUE;
+    `);
+  },
+
+  down: async queryInterface => {
+    await queryInterface.sequelize.query(`DROP INDEX CONCURRENTLY IF EXISTS users__banned__last_sign_in_ip;`);
+    await queryInterface.sequelize.query(`DROP INDEX CONCURRENTLY IF EXISTS users__banned__creation_ip;`);
+    await queryInterface.sequelize.query(`DROP INDEX CONCURRENTLY IF EXISTS users__banned__creation_mask;`);
+    await queryInterface.dropTable('SpamReports');
+  },
+};
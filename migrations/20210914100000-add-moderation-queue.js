@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('SpamReports', 'status', {
+      type: Sequelize.STRING,
+      defaultValue: 'PENDING',
+      allowNull: false,
+    });
+
+    await queryInterface.addColumn('SpamReports', 'ReportedByUserId', {
+      type: Sequelize.INTEGER,
+      references: { key: 'id', model: 'Users' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('SpamReports', 'category', { type: Sequelize.STRING, allowNull: true });
+    await queryInterface.addColumn('SpamReports', 'message', { type: Sequelize.TEXT, allowNull: true });
+    await queryInterface.addIndex('SpamReports', ['status']);
+
+    await queryInterface.createTable('ModerationDecisions', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      SpamReportId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'SpamReports' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      UserId: {
+        type: Sequelize.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      action: { type: Sequelize.STRING, allowNull: false },
+      message: { type: Sequelize.TEXT, allowNull: true },
+      data: { type: Sequelize.JSONB, allowNull: true },
+      createdAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, defaultValue: Sequelize.NOW, allowNull: false },
+    });
+
+    await queryInterface.addIndex('ModerationDecisions', ['SpamReportId']);
+  },
+
+  down: async queryInterface => {
+    await queryInterface.dropTable('ModerationDecisions');
+    await queryInterface.removeColumn('SpamReports', 'message');
+    await queryInterface.removeColumn('SpamReports', 'category');
+    await queryInterface.removeColumn('SpamReports', 'ReportedByUserId');
+    await queryInterface.removeColumn('SpamReports', 'status');
+  },
+};
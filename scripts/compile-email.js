@@ -126,6 +126,10 @@ data['ticket.confirmed'] = {
     totalAmount: 5000,
     currency: 'USD',
   },
+  tickets: [
+    { ticketNumber: 1, code: '2312321-1-4f0c8a1d2b3e5f6a7b8c9d0e', cid: 'ticket-2312321-1@opencollective.com' },
+    { ticketNumber: 2, code: '2312321-2-9a8b7c6d5e4f3a2b1c0d9e8f', cid: 'ticket-2312321-2@opencollective.com' },
+  ],
 };
 data['ticket.confirmed.fearlesscitiesbrussels'] = data['ticket.confirmed'];
 data['github.signup'] = {
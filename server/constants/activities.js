@@ -11,12 +11,14 @@ export default {
   COLLECTIVE_REJECTED: 'collective.rejected',
   COLLECTIVE_CREATED: 'collective.created',
   COLLECTIVE_COMMENT_CREATED: 'collective.comment.created',
+  COLLECTIVE_COMMENT_MENTIONED: 'collective.comment.mentioned',
   COLLECTIVE_CONVERSATION_CREATED: 'collective.conversation.created',
   COLLECTIVE_EXPENSE_CREATED: 'collective.expense.created',
   COLLECTIVE_EXPENSE_DELETED: 'collective.expense.deleted',
   COLLECTIVE_EXPENSE_UPDATED: 'collective.expense.updated',
   COLLECTIVE_EXPENSE_REJECTED: 'collective.expense.rejected',
   COLLECTIVE_EXPENSE_APPROVED: 'collective.expense.approved',
+  COLLECTIVE_EXPENSE_PARTIALLY_APPROVED: 'collective.expense.partiallyApproved',
   COLLECTIVE_EXPENSE_UNAPPROVED: 'collective.expense.unapproved',
   COLLECTIVE_EXPENSE_PAID: 'collective.expense.paid',
   COLLECTIVE_EXPENSE_MARKED_AS_UNPAID: 'collective.expense.unpaid',
@@ -36,7 +38,11 @@ export default {
   SUBSCRIPTION_ACTIVATED: 'subscription.activated',
   SUBSCRIPTION_CONFIRMED: 'subscription.confirmed',
   SUBSCRIPTION_CANCELED: 'subscription.canceled',
+  SUBSCRIPTION_PAUSED: 'subscription.paused',
+  SUBSCRIPTION_RESUMED: 'subscription.resumed',
+  SUBSCRIPTION_INTERVAL_UPDATED: 'subscription.interval.updated',
   TICKET_CONFIRMED: 'ticket.confirmed',
+  TIER_WAITLIST_SPOT_AVAILABLE: 'tier.waitlist.spot.available',
   USER_CREATED: 'user.created',
   WEBHOOK_STRIPE_RECEIVED: 'webhook.stripe.received',
   WEBHOOK_PAYPAL_RECEIVED: 'webhook.paypal.received',
@@ -5,6 +5,9 @@
  * pending -> rejected
  * pending -> approved -> paid
  *
+ * Approval policies (multiple approvers):
+ * pending -> partially_approved -> approved -> ...
+ *
  * TransferWise:
  * ... -> approved -> processing -> paid
  * ... -> approved -> processing -> error
@@ -21,6 +24,7 @@ export default {
   DRAFT: 'DRAFT',
   UNVERIFIED: 'UNVERIFIED',
   PENDING: 'PENDING',
+  PARTIALLY_APPROVED: 'PARTIALLY_APPROVED',
   APPROVED: 'APPROVED',
   REJECTED: 'REJECTED',
   PROCESSING: 'PROCESSING',
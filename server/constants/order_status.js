@@ -4,6 +4,7 @@
  * pending -> paid (one-time)
  * pending -> active (subscription)
  * pending -> active -> cancelled (subscription)
+ * pending -> active -> paused -> active (subscription)
  * pending -> cancelled
  * pending -> expired
  */
@@ -13,9 +14,11 @@ export default {
   REQUIRE_CLIENT_CONFIRMATION: 'REQUIRE_CLIENT_CONFIRMATION', // For Strong Customer Authentication ("3D Secure")
   PAID: 'PAID', // For One Time Contributions
   ERROR: 'ERROR', // For One Time and Recurring Contribution
+  PROCESSING: 'PROCESSING', // For payments that settle asynchronously (bank debits), until the charge succeeds or fails
   // This is only for "Recurring Contributions"
   ACTIVE: 'ACTIVE', // Active Recurring contribution with up to date payments
   CANCELLED: 'CANCELLED', // When it's Cancelled by contributors or automatically after X failures
+  PAUSED: 'PAUSED', // When charges are suspended by the contributor, or at the end of the dunning if the host policy says so
   // This is only for "Manual" payments
   PENDING: 'PENDING', // Initial state
   EXPIRED: 'EXPIRED', // When it's marked as such by Admins
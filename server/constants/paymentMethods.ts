@@ -3,6 +3,7 @@ export enum PAYMENT_METHOD_SERVICE {
   STRIPE = 'stripe',
   OPENCOLLECTIVE = 'opencollective',
   PREPAID = 'prepaid',
+  THEGIVINGBLOCK = 'thegivingblock',
 }
 export const PAYMENT_METHOD_SERVICES = Object.values(PAYMENT_METHOD_SERVICE);
 
@@ -17,5 +18,8 @@ export enum PAYMENT_METHOD_TYPE {
   ADAPTIVE = 'adaptive',
   GIFT_CARD = 'giftcard',
   MANUAL = 'manual',
+  CRYPTO = 'crypto',
+  SEPA_DEBIT = 'sepa_debit',
+  US_BANK_ACCOUNT = 'us_bank_account',
 }
 export const PAYMENT_METHOD_TYPES = Object.values(PAYMENT_METHOD_TYPE);
@@ -0,0 +1,32 @@
+/**
+ * Scopes that can be granted to a personal token (or an OAuth application) to
+ * restrict what it can do on behalf of the user.
+ */
+enum Scope {
+  /** Read the private information of the user's accounts (members, invitations...) */
+  ACCOUNT_READ = 'account:read',
+  /** Edit the user's accounts, their members, payout methods and connected accounts */
+  ACCOUNT_WRITE = 'account:write',
+  CONVERSATIONS_READ = 'conversations:read',
+  /** Create conversations, comments and reactions */
+  CONVERSATIONS_WRITE = 'conversations:write',
+  EXPENSES_READ = 'expenses:read',
+  /** Submit, edit, approve and pay expenses */
+  EXPENSES_WRITE = 'expenses:write',
+  ORDERS_READ = 'orders:read',
+  /** Create and edit contributions, payment methods and added funds */
+  ORDERS_WRITE = 'orders:write',
+  TRANSACTIONS_READ = 'transactions:read',
+  /** Refund and reject transactions */
+  TRANSACTIONS_WRITE = 'transactions:write',
+  UPDATES_READ = 'updates:read',
+  UPDATES_WRITE = 'updates:write',
+  VIRTUAL_CARDS_READ = 'virtualCards:read',
+  VIRTUAL_CARDS_WRITE = 'virtualCards:write',
+  WEBHOOKS_READ = 'webhooks:read',
+  WEBHOOKS_WRITE = 'webhooks:write',
+}
+
+export const ALL_SCOPES: Scope[] = Object.values(Scope);
+
+export default Scope;
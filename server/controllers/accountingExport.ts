@@ -0,0 +1,50 @@
+import { NextFunction, Request, Response } from 'express';
+
+import { AccountingExportFormat, exportHostLedger } from '../lib/accounting-export';
+import errors from '../lib/errors';
+import models from '../models';
+
+const parseDate = (value: unknown, name: string): Date | undefined => {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value as string);
+  if (isNaN(date.getTime())) {
+    throw new errors.BadRequest(`Invalid ${name}: ${value}`);
+  }
+
+  return date;
+};
+
+/**
+ * Downloads the ledger of a host, e.g. `GET /hosts/my-host/accounting-export/xero-csv?dateFrom=2021-01-01`
+ */
+export async function download(req: Request, res: Response, next: NextFunction): Promise<void> {
+  try {
+    if (!req.remoteUser) {
+      throw new errors.Unauthorized('You need to be logged in to export the ledger of a host');
+    }
+
+    const format = req.params.format.toUpperCase().replace(/-/g, '_') as AccountingExportFormat;
+    if (!Object.values(AccountingExportFormat).includes(format)) {
+      throw new errors.BadRequest(`Unsupported format: ${req.params.format}`);
+    }
+
+    const host = await models.Collective.findOne({ where: { slug: req.params.hostSlug.toLowerCase() } });
+    if (!host) {
+      throw new errors.NotFound('Host not found');
+    } else if (!req.remoteUser.isAdmin(host.id)) {
+      throw new errors.Unauthorized('You need to be logged in as an admin of the host to export its ledger');
+    }
+
+    const dateFrom = parseDate(req.query.dateFrom, 'dateFrom');
+    const dateTo = parseDate(req.query.dateTo, 'dateTo');
+    const { content, contentType, filename } = await exportHostLedger(host, format, { dateFrom, dateTo });
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (e) {
+    next(e);
+  }
+}
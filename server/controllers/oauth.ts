@@ -0,0 +1,90 @@
+import { NextFunction, Request, Response } from 'express';
+
+import errors from '../lib/errors';
+import * as oauth from '../lib/oauth';
+
+/**
+ * Clients can authenticate with HTTP Basic authentication or by passing their credentials in the body
+ * (see https://datatracker.ietf.org/doc/html/rfc6749#section-2.3.1)
+ */
+const getClientCredentials = (req: Request): { clientId: string; clientSecret?: string } => {
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  if (/^Basic$/i.test(scheme) && credentials) {
+    const [clientId, clientSecret] = Buffer.from(credentials, 'base64').toString().split(':');
+    return { clientId: decodeURIComponent(clientId), clientSecret: decodeURIComponent(clientSecret || '') };
+  }
+
+  return { clientId: req.body['client_id'], clientSecret: req.body['client_secret'] };
+};
+
+const handleOAuthError = (res: Response, next: NextFunction, e: Error): void => {
+  if (e instanceof oauth.OAuthError) {
+    res.set('Cache-Control', 'no-store');
+    res.status(e.status).json(e.toJSON());
+  } else {
+    next(e);
+  }
+};
+
+/**
+ * Called by the consent screen of the website when the logged in user authorizes an application.
+ * Returns the URL to redirect the user to.
+ */
+export async function authorize(req: Request, res: Response, next: NextFunction): Promise<void> {
+  try {
+    if (!req.remoteUser) {
+      throw new errors.Unauthorized('You need to be logged in to authorize an application');
+    }
+
+    const params = { ...req.query, ...req.body };
+    const redirectUri = await oauth.authorize(req.remoteUser, {
+      clientId: params['client_id'],
+      responseType: params['response_type'],
+      redirectUri: params['redirect_uri'],
+      scope: params['scope'],
+      state: params['state'],
+      codeChallenge: params['code_challenge'],
+      codeChallengeMethod: params['code_challenge_method'],
+    });
+
+    res.send({ ['redirect_uri']: redirectUri });
+  } catch (e) {
+    handleOAuthError(res, next, e);
+  }
+}
+
+export async function token(req: Request, res: Response, next: NextFunction): Promise<void> {
+  try {
+    const credentials = getClientCredentials(req);
+    let result;
+    switch (req.body['grant_type']) {
+      case 'authorization_code':
+        result = await oauth.exchangeAuthorizationCode({
+          ...credentials,
+          code: req.body['code'],
+          redirectUri: req.body['redirect_uri'],
+          codeVerifier: req.body['code_verifier'],
+        });
+        break;
+      case 'refresh_token':
+        result = await oauth.refreshAccessToken({ ...credentials, refreshToken: req.body['refresh_token'] });
+        break;
+      default:
+        throw new oauth.OAuthError('unsupported_grant_type', `Unsupported grant type: ${req.body['grant_type']}`);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.send(result);
+  } catch (e) {
+    handleOAuthError(res, next, e);
+  }
+}
+
+export async function revoke(req: Request, res: Response, next: NextFunction): Promise<void> {
+  try {
+    await oauth.revokeToken({ ...getClientCredentials(req), token: req.body['token'] });
+    res.sendStatus(200);
+  } catch (e) {
+    handleOAuthError(res, next, e);
+  }
+}
@@ -2,7 +2,16 @@ import Promise from 'bluebird';
 import debug from 'debug';
 import { get } from 'lodash';
 
+import { createCommentResolver } from '../../graphql/common/comment';
+import { loaders } from '../../graphql/loaders';
 import emailLib from '../../lib/email';
+import {
+  formatReplyAsHtml,
+  getSenderEmail,
+  isValidMailgunRequest,
+  parseReplyToAddress,
+  stripQuotedReply,
+} from '../../lib/email-replies';
 import errors from '../../lib/errors';
 import logger from '../../lib/logger';
 import models from '../../models';
@@ -85,10 +94,42 @@ export const getNotificationType = email => {
   return res;
 };
 
+/**
+ * Posts the reply to a notification as a comment, on behalf of the user who received the notification
+ */
+const createCommentFromReply = async (email, { entity, UserId }) => {
+  const user = await models.User.findByPk(UserId);
+  if (!user || getSenderEmail(email.from) !== user.email.toLowerCase()) {
+    throw new errors.Unauthorized('This reply must be sent from the address that received the notification');
+  }
+
+  const html = formatReplyAsHtml(stripQuotedReply(email['body-plain']));
+  await user.populateRoles();
+  const req = { remoteUser: user, loaders: loaders({ remoteUser: user }) };
+  return createCommentResolver(null, { comment: { ...entity, html } }, req);
+};
+
 export const webhook = async (req, res, next) => {
   const email = req.body;
   const { recipient } = email;
   debugWebhook('>>> webhook received', JSON.stringify(email));
+
+  // Replies to notifications, sent to the signed address of their `Reply-To` header
+  const replyTo = parseReplyToAddress(recipient);
+  if (replyTo) {
+    if (!(await isValidMailgunRequest(email))) {
+      return next(new errors.Unauthorized('Invalid Mailgun signature'));
+    }
+
+    try {
+      const comment = await createCommentFromReply(email, replyTo);
+      return res.send({ response: 'ok', CommentId: comment.id });
+    } catch (e) {
+      logger.warn(`Could not create a comment from the email reply of ${email.from}: ${e.message}`);
+      return res.send({ error: { message: e.message } });
+    }
+  }
+
   const { mailinglist, collectiveSlug } = getNotificationType(recipient);
 
   if (!collectiveSlug) {
@@ -1,11 +1,8 @@
 import { Request, Response } from 'express';
-import { pick, uniq } from 'lodash';
+import { uniq } from 'lodash';
 
 import expenseStatus from '../constants/expense_status';
-import {
-  createTransferWiseTransactionsAndUpdateExpense,
-  getExpenseFeesInHostCurrency,
-} from '../graphql/common/expenses';
+import { createTransferWiseBatchGroupTransactionsAndUpdateExpense } from '../graphql/common/expenses';
 import { idDecode, IDENTIFIER_TYPES } from '../graphql/v2/identifiers';
 import errors from '../lib/errors';
 import logger from '../lib/logger';
@@ -15,21 +12,7 @@ import transferwise from '../paymentProviders/transferwise';
 const processPaidExpense = (host, remoteUser, fundData) => async expense => {
   await expense.reload();
   if (expense.data?.transfer) {
-    const payoutMethod = await expense.getPayoutMethod();
-    const { feesInHostCurrency } = await getExpenseFeesInHostCurrency({
-      host,
-      expense,
-      payoutMethod,
-      fees: {},
-      forceManual: false,
-    });
-    return createTransferWiseTransactionsAndUpdateExpense({
-      host,
-      expense,
-      data: { ...pick(expense.data, ['transfer']), fundData },
-      fees: feesInHostCurrency,
-      remoteUser,
-    });
+    return createTransferWiseBatchGroupTransactionsAndUpdateExpense({ host, expense, fundData, remoteUser });
   }
 };
 
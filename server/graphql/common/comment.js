@@ -1,6 +1,7 @@
 import { pick } from 'lodash';
 
 import { mustBeLoggedInTo } from '../../lib/auth';
+import { createMentionActivities, getMentionedUsers } from '../../lib/comment-mentions';
 import models from '../../models';
 import { NotFound, Unauthorized, ValidationFailed } from '../errors';
 
@@ -43,7 +44,13 @@ async function editComment(commentData, remoteUser) {
 
   // Prepare args and update
   const editableAttributes = ['html'];
-  return await comment.update(pick(commentData, editableAttributes));
+  const previousHtml = comment.html;
+  const updatedComment = await comment.update(pick(commentData, editableAttributes));
+
+  // Notify the users who were not mentioned before
+  const mentionedUsers = await getMentionedUsers(updatedComment, { previousHtml });
+  await createMentionActivities(updatedComment, mentionedUsers);
+  return updatedComment;
 }
 
 /**
@@ -74,7 +81,7 @@ async function createCommentResolver(_, { comment: commentData }, req) {
     throw new ValidationFailed('Comment is empty');
   }
 
-  const { ConversationId, ExpenseId, UpdateId, html } = commentData;
+  const { ConversationId, ExpenseId, UpdateId, ParentCommentId, html } = commentData;
 
   // Ensure at least (and only) one entity to comment is specified
   if ([ConversationId, ExpenseId, UpdateId].filter(Boolean).length !== 1) {
@@ -94,12 +101,22 @@ async function createCommentResolver(_, { comment: commentData }, req) {
     }
   }
 
+  // Replies must be on the same entity as the comment they reply to
+  if (ParentCommentId) {
+    const parentComment = await req.loaders.Comment.byId.load(ParentCommentId);
+    const entityFields = ['ExpenseId', 'UpdateId', 'ConversationId'];
+    if (!parentComment || entityFields.some(field => (parentComment[field] || null) !== (commentData[field] || null))) {
+      throw new ValidationFailed('A reply must be linked to the same expense, update or conversation as its parent');
+    }
+  }
+
   // Create comment
   const comment = await models.Comment.create({
     CollectiveId,
     ExpenseId,
     UpdateId,
     ConversationId,
+    ParentCommentId,
     html, // HTML is sanitized at the model level, no need to do it here
     CreatedByUserId: remoteUser.id,
     FromCollectiveId: remoteUser.CollectiveId,
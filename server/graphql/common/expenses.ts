@@ -1,19 +1,24 @@
 import debugLib from 'debug';
 import express from 'express';
-import { flatten, get, isEqual, isNil, omit, omitBy, pick, size } from 'lodash';
+import { difference, flatten, get, isEqual, isNil, keyBy, omit, omitBy, pick, size, sum, uniq } from 'lodash';
 
 import { activities, expenseStatus, roles } from '../../constants';
 import { types as collectiveTypes } from '../../constants/collectives';
 import statuses from '../../constants/expense_status';
 import expenseType from '../../constants/expense_type';
 import FEATURE from '../../constants/feature';
+import { BudgetCheckAction, checkExpenseBudget } from '../../lib/budget-lines';
 import { getFxRate } from '../../lib/currency';
+import { clearExpenseApprovals, getApprovalPolicyViolation, recordExpenseApproval } from '../../lib/expense-approvals';
+import logger from '../../lib/logger';
 import { floatAmountToCents } from '../../lib/math';
 import * as libPayments from '../../lib/payments';
 import { notifyTeamAboutSpamExpense } from '../../lib/spam';
 import { createFromPaidExpense as createTransactionFromPaidExpense } from '../../lib/transactions';
 import {
   handleTwoFactorAuthenticationPayoutLimit,
+  handleTwoFactorAuthenticationPayoutLimitForAmount,
+  resetRollingPayoutLimitForAmountOnFailure,
   resetRollingPayoutLimitOnFailure,
 } from '../../lib/two-factor-authentication';
 import { canUseFeature } from '../../lib/user-permissions';
@@ -23,6 +28,8 @@ import { ExpenseAttachedFile } from '../../models/ExpenseAttachedFile';
 import { ExpenseItem } from '../../models/ExpenseItem';
 import { PayoutMethodTypes } from '../../models/PayoutMethod';
 import paymentProviders from '../../paymentProviders';
+import { payExpensesBatch as payExpensesBatchWithPayPalPayouts } from '../../paymentProviders/paypal/payouts';
+import * as stripeExpress from '../../paymentProviders/stripe/express';
 import { BadRequest, FeatureNotAllowedForUser, Forbidden, NotFound, Unauthorized, ValidationFailed } from '../errors';
 
 const debug = debugLib('expenses');
@@ -113,6 +120,15 @@ const remoteUserMeetsOneCondition = async (
   return false;
 };
 
+/** Checks if the user can see the expense. Drafts are only visible to their author and to the payee. */
+export const canSeeExpense = async (req: express.Request, expense: typeof models.Expense): Promise<boolean> => {
+  if (expense.status !== expenseStatus.DRAFT) {
+    return true;
+  } else {
+    return remoteUserMeetsOneCondition(req, expense, [isOwner]);
+  }
+};
+
 /** Checks if the user can see expense's attachments (items URLs, attached files) */
 export const canSeeExpenseAttachments = async (
   req: express.Request,
@@ -145,6 +161,14 @@ export const canSeeExpensePayeeLocation = async (
   return remoteUserMeetsOneCondition(req, expense, [isOwner, isCollectiveAdmin, isCollectiveAccountant, isHostAdmin]);
 };
 
+/** Checks if the user can see the budget lines exceeded by the expense */
+export const canSeeExpenseBudgetWarnings = async (
+  req: express.Request,
+  expense: typeof models.Expense,
+): Promise<boolean> => {
+  return remoteUserMeetsOneCondition(req, expense, [isCollectiveAdmin, isCollectiveAccountant, isHostAdmin]);
+};
+
 /** Checks if the user can verify or resend a draft */
 export const canVerifyDraftExpense = async (req: express.Request, expense: typeof models.Expense): Promise<boolean> => {
   return remoteUserMeetsOneCondition(req, expense, [isOwner, isCollectiveAdmin, isHostAdmin]);
@@ -250,12 +274,14 @@ export const canPayExpense = async (req: express.Request, expense: typeof models
  * Returns true if expense can be approved by user
  */
 export const canApprove = async (req: express.Request, expense: typeof models.Expense): Promise<boolean> => {
-  if (![expenseStatus.PENDING, expenseStatus.REJECTED].includes(expense.status)) {
+  if (![expenseStatus.PENDING, expenseStatus.PARTIALLY_APPROVED, expenseStatus.REJECTED].includes(expense.status)) {
     return false;
   } else if (!canUseFeature(req.remoteUser, FEATURE.USE_EXPENSES)) {
     return false;
+  } else if (!(await remoteUserMeetsOneCondition(req, expense, [isCollectiveAdmin, isHostAdmin]))) {
+    return false;
   } else {
-    return remoteUserMeetsOneCondition(req, expense, [isCollectiveAdmin, isHostAdmin]);
+    return !(await getApprovalPolicyViolation(expense, req.remoteUser));
   }
 };
 
@@ -263,7 +289,7 @@ export const canApprove = async (req: express.Request, expense: typeof models.Ex
  * Returns true if expense can be rejected by user
  */
 export const canReject = async (req: express.Request, expense: typeof models.Expense): Promise<boolean> => {
-  if (![expenseStatus.PENDING, expenseStatus.UNVERIFIED].includes(expense.status)) {
+  if (![expenseStatus.PENDING, expenseStatus.PARTIALLY_APPROVED, expenseStatus.UNVERIFIED].includes(expense.status)) {
     return false;
   } else if (!canUseFeature(req.remoteUser, FEATURE.USE_EXPENSES)) {
     return false;
@@ -289,7 +315,7 @@ export const canMarkAsSpam = async (req: express.Request, expense: typeof models
  * Returns true if expense can be unapproved by user
  */
 export const canUnapprove = async (req: express.Request, expense: typeof models.Expense): Promise<boolean> => {
-  if (expense.status !== expenseStatus.APPROVED) {
+  if (![expenseStatus.APPROVED, expenseStatus.PARTIALLY_APPROVED].includes(expense.status)) {
     return false;
   } else if (!canUseFeature(req.remoteUser, FEATURE.USE_EXPENSES)) {
     return false;
@@ -345,12 +371,22 @@ export const approveExpense = async (
   if (expense.status === expenseStatus.APPROVED) {
     return expense;
   } else if (!(await canApprove(req, expense))) {
-    throw new Forbidden();
+    const policyViolation = req.remoteUser && (await getApprovalPolicyViolation(expense, req.remoteUser));
+    throw new Forbidden(policyViolation);
   }
 
-  const updatedExpense = await expense.update({ status: expenseStatus.APPROVED, lastEditedById: req.remoteUser.id });
-  await expense.createActivity(activities.COLLECTIVE_EXPENSE_APPROVED, req.remoteUser);
-  return updatedExpense;
+  // The approval policies of the collective and host may require more than one approver
+  const { status, approvals, requiredApprovals } = await recordExpenseApproval(expense, req.remoteUser);
+  if (status === expenseStatus.APPROVED) {
+    await expense.createActivity(activities.COLLECTIVE_EXPENSE_APPROVED, req.remoteUser);
+  } else {
+    await expense.createActivity(activities.COLLECTIVE_EXPENSE_PARTIALLY_APPROVED, req.remoteUser, {
+      approvals,
+      requiredApprovals,
+    });
+  }
+
+  return expense;
 };
 
 export const unapproveExpense = async (
@@ -363,6 +399,7 @@ export const unapproveExpense = async (
     throw new Forbidden();
   }
 
+  await clearExpenseApprovals(expense);
   const updatedExpense = await expense.update({ status: expenseStatus.PENDING, lastEditedById: req.remoteUser.id });
   await expense.createActivity(activities.COLLECTIVE_EXPENSE_UNAPPROVED, req.remoteUser);
   return updatedExpense;
@@ -378,6 +415,7 @@ export const rejectExpense = async (
     throw new Forbidden();
   }
 
+  await clearExpenseApprovals(expense);
   const updatedExpense = await expense.update({ status: expenseStatus.REJECTED, lastEditedById: req.remoteUser.id });
   await expense.createActivity(activities.COLLECTIVE_EXPENSE_REJECTED, req.remoteUser);
   return updatedExpense;
@@ -551,6 +589,7 @@ type ExpenseData = {
   incurredAt?: Date;
   amount?: number;
   description?: string;
+  type?: string;
 };
 
 export async function createExpense(
@@ -598,6 +637,19 @@ export async function createExpense(
     );
   }
 
+  // Check the budget lines, this throws if a blocking line is exceeded
+  const budgetWarnings = await checkExpenseBudget(
+    collective,
+    {
+      type: expenseData.type,
+      tags: expenseData.tags,
+      amount: expenseData.amount || getTotalAmountFromItems(itemsData),
+      currency: collective.currency,
+      incurredAt: expenseData.incurredAt,
+    },
+    BudgetCheckAction.SUBMIT,
+  );
+
   // Load the payee profile
   const fromCollective = expenseData.fromCollective || (await remoteUser.getCollective());
   if (!remoteUser.isAdmin(fromCollective.id)) {
@@ -651,7 +703,7 @@ export async function createExpense(
         PayoutMethodId: payoutMethod && payoutMethod.id,
         legacyPayoutMethod: models.Expense.getLegacyPayoutMethodTypeFromPayoutMethod(payoutMethod),
         amount: expenseData.amount || getTotalAmountFromItems(itemsData),
-        data: { recipient },
+        data: { recipient, ...(budgetWarnings.length ? { budgetWarnings } : {}) },
       },
       { transaction: t },
     );
@@ -855,6 +907,9 @@ export async function editExpense(
     if (isPaidCreditCardCharge) {
       updatedExpenseProps['data'] = { ...expense.data, missingDetails: false };
     }
+    if (shouldUpdateStatus) {
+      await clearExpenseApprovals(expense, { transaction: t });
+    }
     return expense.update(updatedExpenseProps, { transaction: t });
   });
 
@@ -966,6 +1021,28 @@ async function payExpenseWithPayPal(remoteUser, expense, host, paymentMethod, to
   }
 }
 
+async function payExpenseWithStripeExpress(remoteUser, expense, host, payoutMethod, fees = {}) {
+  debug('payExpenseWithStripeExpress', expense.id);
+
+  // The transfer is stored before being recorded in the ledger: if recording it fails, the next attempt records the
+  // same transfer rather than sending the funds again
+  let stripeTransfer = expense.data?.pendingStripeTransfer;
+  if (!stripeTransfer) {
+    stripeTransfer = await stripeExpress.payExpense(host, payoutMethod, expense);
+    await expense.update({ data: { ...expense.data, pendingStripeTransfer: stripeTransfer } });
+  }
+
+  try {
+    await createTransactions(host, expense, fees, { stripeTransfer });
+  } catch (e) {
+    logger.error(`Stripe transfer ${stripeTransfer.id} for expense #${expense.id} could not be recorded`, e);
+    throw e;
+  }
+
+  await expense.update({ data: omit(expense.data, ['pendingStripeTransfer']) });
+  return markExpenseAsPaid(expense, remoteUser);
+}
+
 export async function createTransferWiseTransactionsAndUpdateExpense({ host, expense, data, fees, remoteUser }) {
   await createTransactions(host, expense, fees, data);
   await expense.createActivity(activities.COLLECTIVE_EXPENSE_PROCESSING, remoteUser);
@@ -974,10 +1051,36 @@ export async function createTransferWiseTransactionsAndUpdateExpense({ host, exp
 }
 
 /**
- * A soft lock on expenses, that works by adding a `isLocked` flag on expense's data
+ * Records the payment of an expense that was part of a Wise batch group, once the batch group is funded
  */
-const lockExpense = async (id, callback) => {
-  // Lock expense
+export async function createTransferWiseBatchGroupTransactionsAndUpdateExpense({
+  host,
+  expense,
+  fundData,
+  remoteUser,
+}) {
+  const payoutMethod = await expense.getPayoutMethod();
+  const { feesInHostCurrency } = await getExpenseFeesInHostCurrency({
+    host,
+    expense,
+    payoutMethod,
+    fees: {},
+    forceManual: false,
+  });
+
+  return createTransferWiseTransactionsAndUpdateExpense({
+    host,
+    expense,
+    data: { ...pick(expense.data, ['transfer']), fundData },
+    fees: feesInHostCurrency,
+    remoteUser,
+  });
+}
+
+/**
+ * Sets the soft lock on the expense (see `lockExpense`), throws if it's already locked
+ */
+const acquireExpenseLock = async (id: number): Promise<void> => {
   await sequelize.transaction(async sqlTransaction => {
     const expense = await models.Expense.findByPk(id, { lock: true, transaction: sqlTransaction });
 
@@ -989,13 +1092,22 @@ const lockExpense = async (id, callback) => {
       return expense.update({ data: { ...expense.data, isLocked: true } }, { transaction: sqlTransaction });
     }
   });
+};
+
+const releaseExpenseLock = async (id: number): Promise<void> => {
+  const expense = await models.Expense.findByPk(id);
+  await expense.update({ data: { ...expense.data, isLocked: false } });
+};
 
+/**
+ * A soft lock on expenses, that works by adding a `isLocked` flag on expense's data
+ */
+const lockExpense = async (id, callback) => {
+  await acquireExpenseLock(id);
   try {
-    return callback();
+    return await callback();
   } finally {
-    // Unlock expense
-    const expense = await models.Expense.findByPk(id);
-    await expense.update({ data: { ...expense.data, isLocked: false } });
+    await releaseExpenseLock(id);
   }
 };
 
@@ -1030,7 +1142,12 @@ export const getExpenseFeesInHostCurrency = async ({
   const fxrate = await getFxRate(expense.collective.currency, host.currency);
   const payoutMethodType = payoutMethod ? payoutMethod.type : expense.getPayoutMethodTypeFromLegacy();
 
-  if (payoutMethodType === PayoutMethodTypes.BANK_ACCOUNT && !forceManual) {
+  if (
+    payoutMethodType === PayoutMethodTypes.BANK_ACCOUNT &&
+    !forceManual &&
+    // Transfers to Stripe Express accounts have no fees
+    !stripeExpress.isStripeExpressPayoutMethod(payoutMethod)
+  ) {
     const [connectedAccount] = await host.getConnectedAccounts({
       where: { service: 'transferwise', deletedAt: null },
     });
@@ -1066,14 +1183,196 @@ export const getExpenseFeesInHostCurrency = async ({
   return { fees, feesInHostCurrency };
 };
 
+/**
+ * Throws if the collective doesn't have enough funds to pay the expense, or if paying it would exceed a blocking
+ * budget line. `pendingAmount` is the amount of the other expenses of the collective being paid at the same time.
+ * Returns the balance of the collective.
+ */
+const checkCollectiveCanPayExpense = async (expense: typeof models.Expense, pendingAmount = 0): Promise<number> => {
+  const balance = await expense.collective.getBalanceWithBlockedFunds();
+  if (expense.amount + pendingAmount > balance) {
+    throw new Unauthorized(
+      `Collective does not have enough funds to pay this expense. Current balance: ${formatCurrency(
+        balance - pendingAmount,
+        expense.collective.currency,
+      )}, Expense amount: ${formatCurrency(expense.amount, expense.collective.currency)}`,
+    );
+  }
+
+  // Check the budget lines, this throws if a blocking line is exceeded
+  const budgetWarnings = await checkExpenseBudget(expense.collective, expense, BudgetCheckAction.PAY);
+  if (budgetWarnings.length) {
+    await expense.update({ data: { ...expense.data, budgetWarnings } });
+  }
+
+  return balance;
+};
+
 /**
  * Pay an expense based on the payout method defined in the Expense object
  * @PRE: fees { id, paymentProcessorFeeInCollectiveCurrency, hostFeeInCollectiveCurrency, platformFeeInCollectiveCurrency }
  * Note: some payout methods like PayPal will automatically define `paymentProcessorFeeInCollectiveCurrency`
  */
-export async function payExpense(req: express.Request, args: Record<string, unknown>): Promise<typeof models.Expense> {
+/**
+ * Pays an expense that the caller already locked (see `lockExpense`)
+ */
+const payLockedExpense = async (
+  req: express.Request,
+  args: Record<string, unknown>,
+): Promise<typeof models.Expense> => {
   const { remoteUser } = req;
   const expenseId = args.id;
+  const expense = await models.Expense.findByPk(expenseId, {
+    include: [
+      { model: models.Collective, as: 'collective' },
+      { model: models.Collective, as: 'fromCollective' },
+    ],
+  });
+  if (!expense) {
+    throw new Unauthorized('Expense not found');
+  }
+  if (expense.status === statuses.PAID) {
+    throw new Unauthorized('Expense has already been paid');
+  }
+  if (expense.status === statuses.PROCESSING) {
+    throw new Unauthorized(
+      'Expense is currently being processed, this means someone already started the payment process',
+    );
+  }
+  if (
+    expense.status !== statuses.APPROVED &&
+    // Allow errored expenses to be marked as paid
+    !(expense.status === statuses.ERROR && args.forceManual)
+  ) {
+    throw new Unauthorized(`Expense needs to be approved. Current status of the expense: ${expense.status}.`);
+  }
+  if (!(await canPayExpense(req, expense))) {
+    throw new Unauthorized("You don't have permission to pay this expense");
+  }
+  const host = await expense.collective.getHostCollective();
+
+  if (expense.legacyPayoutMethod === 'donation') {
+    throw new Error('"In kind" donations are not supported anymore');
+  }
+
+  const balance = await checkCollectiveCanPayExpense(expense);
+  const payoutMethod = await expense.getPayoutMethod();
+  const payoutMethodType = payoutMethod ? payoutMethod.type : expense.getPayoutMethodTypeFromLegacy();
+
+  const { feesInHostCurrency, fees } = await getExpenseFeesInHostCurrency({
+    host,
+    expense,
+    fees: omit(args, ['id', 'forceManual']),
+    payoutMethod,
+    forceManual: args.forceManual,
+  });
+
+  if (expense.amount + fees.paymentProcessorFeeInCollectiveCurrency > balance) {
+    throw new Error(
+      `Collective does not have enough funds to cover for the fees of this payment method. Current balance: ${formatCurrency(
+        balance,
+        expense.collective.currency,
+      )}, Expense amount: ${formatCurrency(
+        expense.amount,
+        expense.collective.currency,
+      )}, Estimated ${payoutMethodType} fees: ${formatCurrency(
+        fees.paymentProcessorFeeInCollectiveCurrency,
+        expense.collective.currency,
+      )}`,
+    );
+  }
+
+  // 2FA for payouts
+  const isTwoFactorAuthenticationRequiredForPayoutMethod = [
+    PayoutMethodTypes.PAYPAL,
+    PayoutMethodTypes.BANK_ACCOUNT,
+  ].includes(payoutMethodType);
+  const hostHasPayoutTwoFactorAuthenticationEnabled = get(host, 'settings.payoutsTwoFactorAuth.enabled', false);
+  const useTwoFactorAuthentication =
+    isTwoFactorAuthenticationRequiredForPayoutMethod &&
+    !args.forceManual &&
+    hostHasPayoutTwoFactorAuthenticationEnabled;
+
+  if (useTwoFactorAuthentication) {
+    await handleTwoFactorAuthenticationPayoutLimit(req.remoteUser, args.twoFactorAuthenticatorCode, expense);
+  }
+
+  try {
+    // Pay expense based on chosen payout method
+    if (payoutMethodType === PayoutMethodTypes.PAYPAL) {
+      const paypalEmail = payoutMethod.data.email;
+      let paypalPaymentMethod = null;
+      try {
+        paypalPaymentMethod = await host.getPaymentMethod({ service: 'paypal' });
+      } catch {
+        // ignore missing paypal payment method
+      }
+      // If the expense has been filed with the same paypal email than the host paypal
+      // then we simply mark the expense as paid
+      if (paypalPaymentMethod && paypalEmail === paypalPaymentMethod.name) {
+        feesInHostCurrency['paymentProcessorFeeInHostCurrency'] = 0;
+        await createTransactions(host, expense, feesInHostCurrency);
+      } else if (args.forceManual) {
+        await createTransactions(host, expense, feesInHostCurrency);
+      } else if (paypalPaymentMethod) {
+        return payExpenseWithPayPal(remoteUser, expense, host, paypalPaymentMethod, paypalEmail, feesInHostCurrency);
+      } else {
+        throw new Error('No Paypal account linked, please reconnect Paypal or pay manually');
+      }
+    } else if (payoutMethodType === PayoutMethodTypes.BANK_ACCOUNT) {
+      if (args.forceManual) {
+        feesInHostCurrency['paymentProcessorFeeInHostCurrency'] = 0;
+        await createTransactions(host, expense, feesInHostCurrency);
+      } else if (stripeExpress.isStripeExpressPayoutMethod(payoutMethod)) {
+        return payExpenseWithStripeExpress(remoteUser, expense, host, payoutMethod, feesInHostCurrency);
+      } else {
+        const [connectedAccount] = await host.getConnectedAccounts({
+          where: { service: 'transferwise', deletedAt: null },
+        });
+        if (!connectedAccount) {
+          throw new Error('Host is not connected to Transferwise');
+        }
+
+        const data = await paymentProviders.transferwise.payExpense(connectedAccount, payoutMethod, expense);
+
+        // Early return, Webhook will mark expense as Paid when the transaction completes.
+        return createTransferWiseTransactionsAndUpdateExpense({
+          host,
+          expense,
+          data,
+          fees: feesInHostCurrency,
+          remoteUser,
+        });
+      }
+    } else if (payoutMethodType === PayoutMethodTypes.ACCOUNT_BALANCE) {
+      const payee = expense.fromCollective;
+      const payeeHost = await payee.getHostCollective();
+      if (!payeeHost) {
+        throw new Error('The payee needs to have an Host to able to be paid on its Open Collective balance.');
+      }
+      if (host.id !== payeeHost.id) {
+        throw new Error(
+          'The payee needs to be on the same Host than the payer to be paid on its Open Collective balance.',
+        );
+      }
+      await createTransactions(host, expense, feesInHostCurrency);
+    } else if (expense.legacyPayoutMethod === 'manual' || expense.legacyPayoutMethod === 'other') {
+      // note: we need to check for manual and other for legacy reasons
+      await createTransactions(host, expense, feesInHostCurrency);
+    }
+  } catch (error) {
+    if (useTwoFactorAuthentication) {
+      await resetRollingPayoutLimitOnFailure(req.remoteUser, expense);
+    }
+
+    throw error;
+  }
+
+  return markExpenseAsPaid(expense, remoteUser, true);
+};
+
+export async function payExpense(req: express.Request, args: Record<string, unknown>): Promise<typeof models.Expense> {
+  const { remoteUser } = req;
 
   if (!remoteUser) {
     throw new Unauthorized('You need to be logged in to pay an expense');
@@ -1081,164 +1380,239 @@ export async function payExpense(req: express.Request, args: Record<string, unkn
     throw new FeatureNotAllowedForUser();
   }
 
-  const expense = await lockExpense(args.id, async () => {
-    const expense = await models.Expense.findByPk(expenseId, {
-      include: [
-        { model: models.Collective, as: 'collective' },
-        { model: models.Collective, as: 'fromCollective' },
-      ],
-    });
-    if (!expense) {
-      throw new Unauthorized('Expense not found');
-    }
-    if (expense.status === statuses.PAID) {
-      throw new Unauthorized('Expense has already been paid');
-    }
-    if (expense.status === statuses.PROCESSING) {
-      throw new Unauthorized(
-        'Expense is currently being processed, this means someone already started the payment process',
-      );
-    }
-    if (
-      expense.status !== statuses.APPROVED &&
-      // Allow errored expenses to be marked as paid
-      !(expense.status === statuses.ERROR && args.forceManual)
-    ) {
-      throw new Unauthorized(`Expense needs to be approved. Current status of the expense: ${expense.status}.`);
-    }
-    if (!(await canPayExpense(req, expense))) {
-      throw new Unauthorized("You don't have permission to pay this expense");
-    }
-    const host = await expense.collective.getHostCollective();
+  return lockExpense(args.id, () => payLockedExpense(req, args));
+}
 
-    if (expense.legacyPayoutMethod === 'donation') {
-      throw new Error('"In kind" donations are not supported anymore');
-    }
+const MAX_EXPENSES_PER_BATCH = 100;
 
-    const balance = await expense.collective.getBalanceWithBlockedFunds();
-    if (expense.amount > balance) {
-      throw new Unauthorized(
-        `Collective does not have enough funds to pay this expense. Current balance: ${formatCurrency(
-          balance,
-          expense.collective.currency,
-        )}, Expense amount: ${formatCurrency(expense.amount, expense.collective.currency)}`,
-      );
+type ExpensePaymentResult = {
+  expense: typeof models.Expense;
+  success: boolean;
+  error: string | null;
+};
+
+/**
+ * Pays the expenses of a batch that have a bank account payout method through a single Wise batch group.
+ * Returns the errors by expense id.
+ */
+const payExpensesBatchWithTransferWise = async (
+  host: typeof models.Collective,
+  expenses: typeof models.Expense[],
+  remoteUser: typeof models.User,
+): Promise<Record<number, string>> => {
+  const errors = {};
+  const batchedExpenses = expenses.filter(expense => {
+    if (expense.currency !== host.currency) {
+      errors[expense.id] = 'Can not batch an expense with a currency different from its host currency';
+      return false;
+    } else {
+      return true;
     }
+  });
 
-    const payoutMethod = await expense.getPayoutMethod();
-    const payoutMethodType = payoutMethod ? payoutMethod.type : expense.getPayoutMethodTypeFromLegacy();
+  if (!batchedExpenses.length) {
+    return errors;
+  }
 
-    const { feesInHostCurrency, fees } = await getExpenseFeesInHostCurrency({
-      host,
-      expense,
-      fees: omit(args, ['id', 'forceManual']),
-      payoutMethod,
-      forceManual: args.forceManual,
+  try {
+    const batchGroup = await paymentProviders.transferwise.createExpensesBatchGroup(host, batchedExpenses);
+    const fundResponse = await paymentProviders.transferwise.fundExpensesBatchGroup(host, batchGroup);
+    const requiresApproval = 'status' in fundResponse && 'headers' in fundResponse;
+    for (const expense of batchedExpenses) {
+      await expense.reload();
+      if (expense.status === statuses.ERROR) {
+        // `createExpensesBatchGroup` already marked the expense as errored and recorded why
+        errors[expense.id] = 'Could not create the Wise transfer for this expense';
+      } else if (requiresApproval) {
+        errors[expense.id] =
+          'Wise requires an additional approval to fund this batch, please pay it from the dashboard';
+      } else {
+        await createTransferWiseBatchGroupTransactionsAndUpdateExpense({
+          host,
+          expense,
+          fundData: fundResponse,
+          remoteUser,
+        });
+      }
+    }
+  } catch (e) {
+    logger.error(`Error while paying a batch of expenses with Wise for host ${host.slug}`, e);
+    batchedExpenses.forEach(expense => {
+      errors[expense.id] = errors[expense.id] || e.message;
     });
+  }
 
-    if (expense.amount + fees.paymentProcessorFeeInCollectiveCurrency > balance) {
-      throw new Error(
-        `Collective does not have enough funds to cover for the fees of this payment method. Current balance: ${formatCurrency(
-          balance,
-          expense.collective.currency,
-        )}, Expense amount: ${formatCurrency(
-          expense.amount,
-          expense.collective.currency,
-        )}, Estimated ${payoutMethodType} fees: ${formatCurrency(
-          fees.paymentProcessorFeeInCollectiveCurrency,
-          expense.collective.currency,
-        )}`,
-      );
+  return errors;
+};
+
+/**
+ * Pays the expenses of a batch that have a PayPal payout method through a single PayPal Payouts batch.
+ * Returns the errors by expense id.
+ */
+const payExpensesBatchWithPayPal = async (expenses: typeof models.Expense[]): Promise<Record<number, string>> => {
+  const errors = {};
+  try {
+    await payExpensesBatchWithPayPalPayouts(expenses);
+    for (const expense of expenses) {
+      await expense.reload();
+      if (expense.status === statuses.ERROR) {
+        errors[expense.id] = 'The PayPal payout failed';
+      }
     }
+  } catch (e) {
+    expenses.forEach(expense => {
+      errors[expense.id] = e.message;
+    });
+  }
 
-    // 2FA for payouts
-    const isTwoFactorAuthenticationRequiredForPayoutMethod = [
-      PayoutMethodTypes.PAYPAL,
-      PayoutMethodTypes.BANK_ACCOUNT,
-    ].includes(payoutMethodType);
-    const hostHasPayoutTwoFactorAuthenticationEnabled = get(host, 'settings.payoutsTwoFactorAuth.enabled', false);
-    const useTwoFactorAuthentication =
-      isTwoFactorAuthenticationRequiredForPayoutMethod &&
-      !args.forceManual &&
-      hostHasPayoutTwoFactorAuthenticationEnabled;
+  return errors;
+};
 
-    if (useTwoFactorAuthentication) {
-      await handleTwoFactorAuthenticationPayoutLimit(req.remoteUser, args.twoFactorAuthenticatorCode, expense);
-    }
+/**
+ * Pays a batch of approved expenses from the same host. The expenses are grouped by payout method:
+ * bank accounts are paid with a single Wise batch group (or with Stripe for Stripe Express accounts),
+ * PayPal accounts with a single PayPal Payouts batch and the other ones are marked as paid manually.
+ * The 2FA rolling limit of the host is checked once for the whole batch.
+ *
+ * An expense failing doesn't prevent the other ones from being paid, the result is reported for each expense.
+ */
+export async function payExpenses(
+  req: express.Request,
+  expenseIds: number[],
+  args: { twoFactorAuthenticatorCode?: string } = {},
+): Promise<ExpensePaymentResult[]> {
+  const { remoteUser } = req;
+  if (!remoteUser) {
+    throw new Unauthorized('You need to be logged in to pay expenses');
+  } else if (!canUseFeature(remoteUser, FEATURE.USE_EXPENSES)) {
+    throw new FeatureNotAllowedForUser();
+  }
 
+  expenseIds = uniq(expenseIds);
+  if (!expenseIds.length) {
+    throw new ValidationFailed('You need to provide at least one expense');
+  } else if (expenseIds.length > MAX_EXPENSES_PER_BATCH) {
+    throw new ValidationFailed(`You can't pay more than ${MAX_EXPENSES_PER_BATCH} expenses at once`);
+  }
+
+  const expenses = await models.Expense.findAll({
+    where: { id: expenseIds },
+    include: [
+      { model: models.Collective, as: 'collective' },
+      { model: models.Collective, as: 'fromCollective' },
+      { model: models.PayoutMethod },
+    ],
+  });
+  if (expenses.length !== expenseIds.length) {
+    throw new NotFound('Could not find every expense requested');
+  }
+
+  const hostIds = uniq(expenses.map(expense => expense.collective.HostCollectiveId));
+  if (hostIds.length !== 1 || !hostIds[0]) {
+    throw new ValidationFailed('All the expenses must belong to the same host');
+  }
+
+  // Lock the expenses so that they can't be paid twice, their status is checked again once locked
+  const errors: Record<number, string> = {};
+  const lockedExpenseIds = new Set<number>();
+  for (const expense of expenses) {
     try {
-      // Pay expense based on chosen payout method
-      if (payoutMethodType === PayoutMethodTypes.PAYPAL) {
-        const paypalEmail = payoutMethod.data.email;
-        let paypalPaymentMethod = null;
-        try {
-          paypalPaymentMethod = await host.getPaymentMethod({ service: 'paypal' });
-        } catch {
-          // ignore missing paypal payment method
-        }
-        // If the expense has been filed with the same paypal email than the host paypal
-        // then we simply mark the expense as paid
-        if (paypalPaymentMethod && paypalEmail === paypalPaymentMethod.name) {
-          feesInHostCurrency['paymentProcessorFeeInHostCurrency'] = 0;
-          await createTransactions(host, expense, feesInHostCurrency);
-        } else if (args.forceManual) {
-          await createTransactions(host, expense, feesInHostCurrency);
-        } else if (paypalPaymentMethod) {
-          return payExpenseWithPayPal(remoteUser, expense, host, paypalPaymentMethod, paypalEmail, feesInHostCurrency);
-        } else {
-          throw new Error('No Paypal account linked, please reconnect Paypal or pay manually');
-        }
-      } else if (payoutMethodType === PayoutMethodTypes.BANK_ACCOUNT) {
-        if (args.forceManual) {
-          feesInHostCurrency['paymentProcessorFeeInHostCurrency'] = 0;
-          await createTransactions(host, expense, feesInHostCurrency);
-        } else {
-          const [connectedAccount] = await host.getConnectedAccounts({
-            where: { service: 'transferwise', deletedAt: null },
-          });
-          if (!connectedAccount) {
-            throw new Error('Host is not connected to Transferwise');
-          }
-
-          const data = await paymentProviders.transferwise.payExpense(connectedAccount, payoutMethod, expense);
-
-          // Early return, Webhook will mark expense as Paid when the transaction completes.
-          return createTransferWiseTransactionsAndUpdateExpense({
-            host,
-            expense,
-            data,
-            fees: feesInHostCurrency,
-            remoteUser,
-          });
-        }
-      } else if (payoutMethodType === PayoutMethodTypes.ACCOUNT_BALANCE) {
-        const payee = expense.fromCollective;
-        const payeeHost = await payee.getHostCollective();
-        if (!payeeHost) {
-          throw new Error('The payee needs to have an Host to able to be paid on its Open Collective balance.');
-        }
-        if (host.id !== payeeHost.id) {
-          throw new Error(
-            'The payee needs to be on the same Host than the payer to be paid on its Open Collective balance.',
-          );
+      await acquireExpenseLock(expense.id);
+      lockedExpenseIds.add(expense.id);
+    } catch (e) {
+      errors[expense.id] = e.message;
+    }
+  }
+
+  try {
+    // Check every expense before paying anything
+    const host = await models.Collective.findByPk(hostIds[0]);
+    const payableExpenses = [];
+    const pendingAmountByCollectiveId = {};
+    for (const expense of expenses.filter(expense => lockedExpenseIds.has(expense.id))) {
+      try {
+        await expense.reload();
+        if (expense.status !== statuses.APPROVED) {
+          throw new Unauthorized(`Expense needs to be approved. Current status of the expense: ${expense.status}.`);
+        } else if (!(await canPayExpense(req, expense))) {
+          throw new Unauthorized("You don't have permission to pay this expense");
+        } else if (expense.legacyPayoutMethod === 'donation') {
+          throw new Error('"In kind" donations are not supported anymore');
         }
-        await createTransactions(host, expense, feesInHostCurrency);
-      } else if (expense.legacyPayoutMethod === 'manual' || expense.legacyPayoutMethod === 'other') {
-        // note: we need to check for manual and other for legacy reasons
-        await createTransactions(host, expense, feesInHostCurrency);
+
+        const pendingAmount = pendingAmountByCollectiveId[expense.CollectiveId] || 0;
+        await checkCollectiveCanPayExpense(expense, pendingAmount);
+        pendingAmountByCollectiveId[expense.CollectiveId] = pendingAmount + expense.amount;
+        payableExpenses.push(expense);
+      } catch (e) {
+        errors[expense.id] = e.message;
       }
-    } catch (error) {
-      if (useTwoFactorAuthentication) {
-        await resetRollingPayoutLimitOnFailure(req.remoteUser, expense);
+    }
+
+    const bankAccountExpenses = payableExpenses.filter(e => e.PayoutMethod?.type === PayoutMethodTypes.BANK_ACCOUNT);
+    const stripeExpenses = bankAccountExpenses.filter(e => stripeExpress.isStripeExpressPayoutMethod(e.PayoutMethod));
+    const transferwiseExpenses = difference(bankAccountExpenses, stripeExpenses);
+    const paypalExpenses = payableExpenses.filter(e => e.PayoutMethod?.type === PayoutMethodTypes.PAYPAL);
+    const otherExpenses = difference(payableExpenses, [...bankAccountExpenses, ...paypalExpenses]);
+
+    // 2FA for payouts, for the whole batch
+    const twoFactorAuthenticationExpenses = [...bankAccountExpenses, ...paypalExpenses];
+    const useTwoFactorAuthentication =
+      twoFactorAuthenticationExpenses.length > 0 && get(host, 'settings.payoutsTwoFactorAuth.enabled', false);
+    const amountsInHostCurrency: Record<number, number> = {};
+    if (useTwoFactorAuthentication) {
+      for (const expense of twoFactorAuthenticationExpenses) {
+        const fxRate = await getFxRate(expense.currency, host.currency);
+        amountsInHostCurrency[expense.id] = Math.round(expense.amount * fxRate);
       }
 
-      throw error;
+      await handleTwoFactorAuthenticationPayoutLimitForAmount(
+        remoteUser,
+        args.twoFactorAuthenticatorCode,
+        host,
+        sum(Object.values(amountsInHostCurrency)),
+      );
     }
 
-    return markExpenseAsPaid(expense, remoteUser, true);
-  });
+    if (transferwiseExpenses.length) {
+      Object.assign(errors, await payExpensesBatchWithTransferWise(host, transferwiseExpenses, remoteUser));
+    }
+    if (paypalExpenses.length) {
+      Object.assign(errors, await payExpensesBatchWithPayPal(paypalExpenses));
+    }
+    for (const expense of stripeExpenses) {
+      try {
+        await payExpenseWithStripeExpress(remoteUser, expense, host, expense.PayoutMethod);
+      } catch (e) {
+        errors[expense.id] = e.message;
+      }
+    }
+    for (const expense of otherExpenses) {
+      try {
+        await payLockedExpense(req, { id: expense.id });
+      } catch (e) {
+        errors[expense.id] = e.message;
+      }
+    }
 
-  return expense;
+    if (useTwoFactorAuthentication) {
+      for (const expense of twoFactorAuthenticationExpenses.filter(expense => errors[expense.id])) {
+        await resetRollingPayoutLimitForAmountOnFailure(remoteUser, amountsInHostCurrency[expense.id]);
+      }
+    }
+  } finally {
+    for (const id of lockedExpenseIds) {
+      await releaseExpenseLock(id);
+    }
+  }
+
+  const expensesById = keyBy(expenses, 'id');
+  return Promise.all(
+    expenseIds.map(async id => {
+      const expense = await expensesById[id].reload();
+      return { expense, success: !errors[id], error: errors[id] || null };
+    }),
+  );
 }
 
 export async function markExpenseAsUnpaid(
@@ -0,0 +1,40 @@
+import express from 'express';
+
+import models from '../../models';
+import { BadRequest, Unauthorized, ValidationFailed } from '../errors';
+import { canMarkAsExpired, canMarkAsPaid } from '../v2/object/OrderPermissions';
+
+export enum ProcessPendingOrderAction {
+  MARK_AS_PAID = 'MARK_AS_PAID',
+  MARK_AS_EXPIRED = 'MARK_AS_EXPIRED',
+}
+
+/**
+ * Lets a host admin approve or reject a pending order (e.g. a bank transfer)
+ */
+export const processPendingOrder = async (
+  req: express.Request,
+  order: typeof models.Order,
+  action: ProcessPendingOrderAction,
+): Promise<typeof models.Order> => {
+  const toAccount = await req.loaders.Collective.byId.load(order.CollectiveId);
+  if (!req.remoteUser?.isAdmin(toAccount.HostCollectiveId)) {
+    throw new Unauthorized('Only host admins can process orders');
+  }
+
+  if (action === ProcessPendingOrderAction.MARK_AS_PAID) {
+    if (!(await canMarkAsPaid(req, order))) {
+      throw new ValidationFailed(`Only pending/expired orders can be marked as paid, this one is ${order.status}`);
+    }
+
+    return order.markAsPaid(req.remoteUser);
+  } else if (action === ProcessPendingOrderAction.MARK_AS_EXPIRED) {
+    if (!(await canMarkAsExpired(req, order))) {
+      throw new ValidationFailed(`Only pending orders can be marked as expired, this one is ${order.status}`);
+    }
+
+    return order.markAsExpired();
+  } else {
+    throw new BadRequest(`Unknown action ${action}`);
+  }
+};
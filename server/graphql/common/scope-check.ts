@@ -0,0 +1,44 @@
+import express from 'express';
+import { GraphQLFieldConfig, GraphQLFieldConfigMap } from 'graphql';
+import { mapValues } from 'lodash';
+
+import Scope from '../../constants/scopes';
+import { Forbidden } from '../errors';
+
+/**
+ * Returns true if the request is authenticated with a token restricted by scopes: a personal token
+ * or an OAuth access token. Requests authenticated with a user JWT or an API key keep the full power of the user.
+ */
+export const isUsingScopedToken = (req: express.Request): boolean => {
+  return Boolean(req.personalToken || req.oauthToken);
+};
+
+/**
+ * Returns true if the request is allowed to use `scope`
+ */
+export const checkScope = (req: express.Request, scope: Scope): boolean => {
+  const token = req.personalToken || req.oauthToken;
+  return !token || token.hasScope(scope);
+};
+
+export const enforceScope = (req: express.Request, scope: Scope): void => {
+  if (!checkScope(req, scope)) {
+    throw new Forbidden(`The "${scope}" scope is required for this operation`);
+  }
+};
+
+/**
+ * Wraps the resolvers of `fields` to make sure the request has the `scope` before running them.
+ */
+export const withScope = <TSource>(
+  scope: Scope,
+  fields: GraphQLFieldConfigMap<TSource, express.Request>,
+): GraphQLFieldConfigMap<TSource, express.Request> => {
+  return mapValues(fields, (field: GraphQLFieldConfig<TSource, express.Request>) => ({
+    ...field,
+    resolve: (source, args, req, info) => {
+      enforceScope(req, scope);
+      return field.resolve(source, args, req, info);
+    },
+  }));
+};
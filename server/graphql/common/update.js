@@ -6,6 +6,18 @@ import { Forbidden, NotFound, Unauthorized, ValidationFailed } from '../errors';
 import { idDecode, IDENTIFIER_TYPES } from '../v2/identifiers';
 import { fetchAccountWithReference } from '../v2/input/AccountReferenceInput';
 
+/**
+ * Returns true if the user can see the content of the update: drafts and private updates are restricted
+ */
+export const canSeeUpdateDetails = async (req, update) => {
+  if (!update.publishedAt || update.isPrivate) {
+    update.collective = update.collective || (await req.loaders.Collective.byId.load(update.CollectiveId));
+    return Boolean(req.remoteUser?.canSeePrivateUpdatesForCollective(update.collective));
+  } else {
+    return true;
+  }
+};
+
 export async function createUpdate(_, args, req) {
   if (!req.remoteUser) {
     throw new Unauthorized('You must be logged in to create an update');
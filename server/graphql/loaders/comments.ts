@@ -33,6 +33,16 @@ export default {
         .then(results => sortResults(ExpenseIds, results, 'ExpenseId', { count: 0 }))
         .map(result => result.count),
     ),
+  countRepliesByParentCommentId: (): DataLoader<number, number> =>
+    new DataLoader(ParentCommentIds =>
+      models.Comment.count({
+        attributes: ['ParentCommentId'],
+        where: { ParentCommentId: { [Op.in]: ParentCommentIds } },
+        group: ['ParentCommentId'],
+      })
+        .then(results => sortResults(ParentCommentIds, results, 'ParentCommentId', { count: 0 }))
+        .map(result => result.count),
+    ),
   reactionsByCommentId: (): DataLoader<number, typeof models.EmojiReaction> => {
     return new DataLoader(async commentIds => {
       const reactionsList = await models.EmojiReaction.count({
@@ -54,6 +54,7 @@ export const generateExpenseActivitiesLoader = (req: express.Request): DataLoade
             ACTIVITY.COLLECTIVE_EXPENSE_INVITE_DRAFTED,
             ACTIVITY.COLLECTIVE_EXPENSE_REJECTED,
             ACTIVITY.COLLECTIVE_EXPENSE_APPROVED,
+            ACTIVITY.COLLECTIVE_EXPENSE_PARTIALLY_APPROVED,
             ACTIVITY.COLLECTIVE_EXPENSE_UNAPPROVED,
             ACTIVITY.COLLECTIVE_EXPENSE_PAID,
             ACTIVITY.COLLECTIVE_EXPENSE_MARKED_AS_UNPAID,
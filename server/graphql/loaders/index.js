@@ -26,6 +26,7 @@ export const loaders = req => {
 
   // Comment
   context.loaders.Comment.countByExpenseId = commentsLoader.countByExpenseId(req, cache);
+  context.loaders.Comment.countRepliesByParentCommentId = commentsLoader.countRepliesByParentCommentId(req, cache);
 
   // Comment Reactions
   context.loaders.Comment.reactionsByCommentId = commentsLoader.reactionsByCommentId(req, cache);
@@ -322,6 +323,15 @@ export const loaders = req => {
     }).then(results => sortResults(ids, results, 'TierId').map(result => get(result, 'dataValues.count') || 0)),
   );
 
+  // Tier - waitlistCount
+  context.loaders.Tier.waitlistCount = new DataLoader(ids =>
+    models.TierWaitlistEntry.findAll({
+      attributes: ['TierId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { TierId: { [Op.in]: ids }, status: 'WAITING' },
+      group: ['TierId'],
+    }).then(results => sortResults(ids, results, 'TierId').map(result => Number(get(result, 'dataValues.count') || 0))),
+  );
+
   // Tier - totalActiveDistinctOrders
   context.loaders.Tier.totalActiveDistinctOrders = new DataLoader(ids =>
     models.Order.findAll({
@@ -283,6 +283,10 @@ export const TierInputType = new GraphQLInputObjectType({
     presets: { type: new GraphQLList(GraphQLInt) },
     interval: { type: GraphQLString },
     maxQuantity: { type: GraphQLInt },
+    hasWaitlist: {
+      type: GraphQLBoolean,
+      description: 'Whether contributors can join a waitlist when the tier is sold out',
+    },
     minimumAmount: { type: GraphQLInt },
     amountType: { type: GraphQLString },
     goal: {
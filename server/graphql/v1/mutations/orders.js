@@ -21,6 +21,11 @@ import recaptcha from '../../../lib/recaptcha';
 import { getChargeRetryCount, getNextChargeAndPeriodStartDates } from '../../../lib/recurring-contributions';
 import { canUseFeature } from '../../../lib/user-permissions';
 import { formatCurrency, md5, parseToBoolean, sleep } from '../../../lib/utils';
+import {
+  completeWaitlistEntry,
+  getAvailableQuantityForUser,
+  releaseSpotForRefundedOrder,
+} from '../../../lib/waitlists';
 import models from '../../../models';
 import { canRefund } from '../../common/transactions';
 import {
@@ -256,6 +261,8 @@ const hasPaymentMethod = order => {
     return false;
   } else if (paymentMethod.service === 'paypal' && paymentMethod.data?.isNewApi) {
     return Boolean(paymentMethod.data.orderId);
+  } else if (paymentMethod.service === 'thegivingblock') {
+    return Boolean(paymentMethod.data?.pledgeCurrency && paymentMethod.data?.pledgeAmount);
   } else {
     return Boolean(
       paymentMethod.uuid || paymentMethod.token || paymentMethod.type === 'manual' || paymentMethod.type === 'alipay',
@@ -375,9 +382,13 @@ export async function createOrder(order, loaders, remoteUser, reqIp, userAgent,
     }
 
     if (tier) {
-      const enoughQuantityAvailable = await tier.checkAvailableQuantity(order.quantity);
-      if (!enoughQuantityAvailable) {
-        throw new Error(`No more tickets left for ${tier.name}`);
+      const availableQuantity = await getAvailableQuantityForUser(tier, remoteUser);
+      if (availableQuantity < order.quantity) {
+        if (tier.hasWaitlist) {
+          throw new Error(`No more tickets left for ${tier.name}, but you can join the waitlist`);
+        } else {
+          throw new Error(`No more tickets left for ${tier.name}`);
+        }
       }
     }
 
@@ -511,6 +522,7 @@ export async function createOrder(order, loaders, remoteUser, reqIp, userAgent,
       data: {
         reqIp,
         reqMask,
+        reqUserAgent: userAgent,
         recaptchaResponse,
         tax: taxInfo,
         customData: order.customData,
@@ -591,6 +603,11 @@ export async function createOrder(order, loaders, remoteUser, reqIp, userAgent,
       });
     }
 
+    // The spot reserved on the waitlist has been ordered
+    if (tier?.hasWaitlist && remoteUser) {
+      await completeWaitlistEntry(tier, remoteUser, orderCreated);
+    }
+
     // Invalidate Cloudflare cache for the collective pages
     purgeCacheForCollective(collective.slug);
     purgeCacheForCollective(fromCollective.slug);
@@ -683,7 +700,11 @@ export async function confirmOrder(order, remoteUser, guestToken) {
       await libPayments.executeOrder(remoteUser, order);
       // executeOrder is updating the order to PAID
     } else {
-      await libPayments.processOrder(order);
+      const transaction = await libPayments.processOrder(order);
+      if (!transaction && order.status === status.PROCESSING) {
+        // Bank debits: the subscription will be updated by the webhook once the charge is settled
+        return order;
+      }
 
       order.status = status.ACTIVE;
       order.data = omit(order.data, ['error', 'latestError', 'paymentIntent']);
@@ -739,6 +760,9 @@ export async function refundTransaction(_, args, req) {
   // 3. Create new transactions with the refund value in our database
   const result = await libPayments.refundTransaction(transaction, req.remoteUser, args.message);
 
+  // 4. Free the spot of the refunded order, and offer it to the waitlist if any
+  await releaseSpotForRefundedOrder(transaction.Order);
+
   // Return the transaction passed to the `refundTransaction` method
   // after it was updated.
   return result;
@@ -1,3 +1,4 @@
+import { processWaitlist } from '../../../lib/waitlists';
 import { Unauthorized } from '../../errors';
 
 export function editTiers(_, args, req) {
@@ -22,7 +23,17 @@ export function editTiers(_, args, req) {
         );
       }
     })
-    .then(() => collective.editTiers(args.tiers));
+    .then(() => collective.editTiers(args.tiers))
+    .then(async tiers => {
+      // Increasing the quantity of a tier may free spots for its waitlist
+      for (const tier of tiers) {
+        if (tier.hasWaitlist) {
+          await processWaitlist(tier);
+        }
+      }
+
+      return tiers;
+    });
 }
 
 /**
@@ -40,5 +51,12 @@ export async function editTier(_, args, req) {
     throw new Unauthorized();
   }
 
-  return tier.update(args.tier);
+  const updatedTier = await tier.update(args.tier);
+
+  // Increasing the quantity of a tier may free spots for its waitlist
+  if (updatedTier.hasWaitlist) {
+    await processWaitlist(updatedTier);
+  }
+
+  return updatedTier;
 }
@@ -1416,6 +1416,12 @@ export const TierType = new GraphQLObjectType({
           return tier.maxQuantity;
         },
       },
+      hasWaitlist: {
+        type: GraphQLBoolean,
+        resolve(tier) {
+          return tier.hasWaitlist;
+        },
+      },
       goal: {
         type: GraphQLInt,
         resolve(tier) {
@@ -0,0 +1,16 @@
+import { GraphQLList, GraphQLObjectType } from 'graphql';
+
+import { Collection, CollectionFields } from '../interface/Collection';
+import { LedgerIntegrityIssue } from '../object/LedgerIntegrityIssue';
+
+export const LedgerIntegrityIssueCollection = new GraphQLObjectType({
+  name: 'LedgerIntegrityIssueCollection',
+  interfaces: [Collection],
+  description: 'A collection of "LedgerIntegrityIssue"',
+  fields: () => ({
+    ...CollectionFields,
+    nodes: {
+      type: new GraphQLList(LedgerIntegrityIssue),
+    },
+  }),
+});
@@ -0,0 +1,16 @@
+import { GraphQLList, GraphQLObjectType } from 'graphql';
+
+import { Collection, CollectionFields } from '../interface/Collection';
+import { ModerationReport } from '../object/ModerationReport';
+
+export const ModerationReportCollection = new GraphQLObjectType({
+  name: 'ModerationReportCollection',
+  interfaces: [Collection],
+  description: 'A collection of "ModerationReport"',
+  fields: () => ({
+    ...CollectionFields,
+    nodes: {
+      type: new GraphQLList(ModerationReport),
+    },
+  }),
+});
@@ -0,0 +1,16 @@
+import { GraphQLList, GraphQLObjectType } from 'graphql';
+
+import { Collection, CollectionFields } from '../interface/Collection';
+import { SearchResult } from '../object/SearchResult';
+
+export const SearchResultCollection = new GraphQLObjectType({
+  name: 'SearchResultCollection',
+  interfaces: [Collection],
+  description: 'A collection of "SearchResult"',
+  fields: () => ({
+    ...CollectionFields,
+    nodes: {
+      type: new GraphQLList(SearchResult),
+    },
+  }),
+});
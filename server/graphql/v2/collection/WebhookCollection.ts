@@ -0,0 +1,16 @@
+import { GraphQLList, GraphQLObjectType } from 'graphql';
+
+import { Collection, CollectionFields } from '../interface/Collection';
+import { Webhook } from '../object/Webhook';
+
+export const WebhookCollection = new GraphQLObjectType({
+  name: 'WebhookCollection',
+  interfaces: [Collection],
+  description: 'A collection of "Webhook"',
+  fields: () => ({
+    ...CollectionFields,
+    nodes: {
+      type: new GraphQLList(Webhook),
+    },
+  }),
+});
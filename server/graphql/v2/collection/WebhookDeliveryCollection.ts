@@ -0,0 +1,16 @@
+import { GraphQLList, GraphQLObjectType } from 'graphql';
+
+import { Collection, CollectionFields } from '../interface/Collection';
+import { WebhookDelivery } from '../object/WebhookDelivery';
+
+export const WebhookDeliveryCollection = new GraphQLObjectType({
+  name: 'WebhookDeliveryCollection',
+  interfaces: [Collection],
+  description: 'A collection of "WebhookDelivery"',
+  fields: () => ({
+    ...CollectionFields,
+    nodes: {
+      type: new GraphQLList(WebhookDelivery),
+    },
+  }),
+});
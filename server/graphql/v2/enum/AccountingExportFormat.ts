@@ -0,0 +1,22 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { AccountingExportFormat as AccountingExportFormatEnum } from '../../../lib/accounting-export';
+
+export const AccountingExportFormat = new GraphQLEnumType({
+  name: 'AccountingExportFormat',
+  description: 'The formats in which the ledger of a host can be exported for accounting software',
+  values: {
+    [AccountingExportFormatEnum.OFX]: {
+      description: 'OFX bank statement, with the movements of the bank account',
+    },
+    [AccountingExportFormatEnum.QIF]: {
+      description: 'QIF bank register, with each transaction split between the accounts of the chart of accounts',
+    },
+    [AccountingExportFormatEnum.XERO_CSV]: {
+      description: 'CSV file for the manual journals import of Xero',
+    },
+    [AccountingExportFormatEnum.QUICKBOOKS_CSV]: {
+      description: 'CSV file for the journal entries import of QuickBooks Online',
+    },
+  },
+});
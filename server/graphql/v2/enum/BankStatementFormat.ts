@@ -0,0 +1,16 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { BankStatementFormat as BankStatementFormatEnum } from '../../../lib/bank-statements';
+
+export const BankStatementFormat = new GraphQLEnumType({
+  name: 'BankStatementFormat',
+  description: 'The supported formats for bank statements',
+  values: {
+    [BankStatementFormatEnum.CAMT_053]: {
+      description: 'ISO 20022 Bank to Customer Statement (XML)',
+    },
+    [BankStatementFormatEnum.CSV]: {
+      description: 'CSV export with a header row. Debits (negative amounts) are ignored.',
+    },
+  },
+});
@@ -0,0 +1,22 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { BankStatementMatchCriterion as BankStatementMatchCriterionEnum } from '../../../lib/bank-statements';
+
+export const BankStatementMatchCriterion = new GraphQLEnumType({
+  name: 'BankStatementMatchCriterion',
+  description: 'The reasons why a bank statement line was matched with an order',
+  values: {
+    [BankStatementMatchCriterionEnum.REFERENCE]: {
+      description: 'The reference of the order was found in the payment details',
+    },
+    [BankStatementMatchCriterionEnum.AMOUNT]: {
+      description: 'The amounts are the same',
+    },
+    [BankStatementMatchCriterionEnum.APPROXIMATE_AMOUNT]: {
+      description: 'The amounts are within 2% of each other',
+    },
+    [BankStatementMatchCriterionEnum.PAYER_NAME]: {
+      description: 'The name of the payer is similar to the name of the contributor',
+    },
+  },
+});
@@ -0,0 +1,16 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { BudgetEnforcement as BudgetEnforcementEnum } from '../../../models/BudgetLine';
+
+export const BudgetEnforcement = new GraphQLEnumType({
+  name: 'BudgetEnforcement',
+  description: 'What happens when an expense exceeds a budget line',
+  values: {
+    [BudgetEnforcementEnum.WARN]: {
+      description: 'Expenses exceeding the budget are flagged, but can still be submitted and paid',
+    },
+    [BudgetEnforcementEnum.BLOCK]: {
+      description: 'Expenses exceeding the budget are rejected',
+    },
+  },
+});
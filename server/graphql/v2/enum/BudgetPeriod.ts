@@ -0,0 +1,11 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { BudgetPeriod as BudgetPeriodEnum } from '../../../models/BudgetLine';
+
+export const BudgetPeriod = new GraphQLEnumType({
+  name: 'BudgetPeriod',
+  description: 'The period over which the amount of a budget line is spent. Periods follow the calendar.',
+  values: Object.values(BudgetPeriodEnum).reduce((values, key) => {
+    return { ...values, [key]: { value: key } };
+  }, {}),
+});
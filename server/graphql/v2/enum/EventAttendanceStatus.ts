@@ -0,0 +1,18 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { AttendanceStatus } from '../../../lib/tickets';
+
+export const EventAttendanceStatus = new GraphQLEnumType({
+  name: 'EventAttendanceStatus',
+  values: {
+    [AttendanceStatus.CHECKED_IN]: {
+      description: 'The ticket was checked in at the entrance',
+    },
+    [AttendanceStatus.NO_SHOW]: {
+      description: 'The event is over and the ticket was never checked in',
+    },
+    [AttendanceStatus.EXPECTED]: {
+      description: 'The event is not over yet and the ticket was not checked in',
+    },
+  },
+});
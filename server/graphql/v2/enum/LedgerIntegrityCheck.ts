@@ -0,0 +1,31 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { LedgerIntegrityCheck as LedgerIntegrityCheckEnum } from '../../../models/LedgerIntegrityIssue';
+
+export const LedgerIntegrityCheck = new GraphQLEnumType({
+  name: 'LedgerIntegrityCheck',
+  description: 'The checks run on every TransactionGroup to verify the integrity of the ledger',
+  values: {
+    [LedgerIntegrityCheckEnum.OPPOSITE_ENTRY]: {
+      description: 'Every transaction must have a counterpart with the opposite type, between the same accounts',
+    },
+    [LedgerIntegrityCheckEnum.OPPOSITE_AMOUNTS]: {
+      description: 'The amounts of the counterpart must match',
+    },
+    [LedgerIntegrityCheckEnum.OPPOSITE_FEES]: {
+      description: 'The fees of the counterpart must match, once converted to its host currency',
+    },
+    [LedgerIntegrityCheckEnum.DEBT_PAIR]: {
+      description: 'A debt (HOST_FEE_SHARE_DEBT, PLATFORM_TIP_DEBT) must cancel the transaction it was created for',
+    },
+    [LedgerIntegrityCheckEnum.FEE_WITHOUT_PARENT]: {
+      description: 'A fee (HOST_FEE, HOST_FEE_SHARE) must be recorded with the transaction it was charged on',
+    },
+    [LedgerIntegrityCheckEnum.REFUND_PAIR]: {
+      description: 'A refund and the refunded transaction must reference each other',
+    },
+    [LedgerIntegrityCheckEnum.CURRENCY_CONVERSION]: {
+      description: 'The amount in host currency must match the amount and the FX rate',
+    },
+  },
+});
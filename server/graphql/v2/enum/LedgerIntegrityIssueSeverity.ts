@@ -0,0 +1,15 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { LedgerIntegrityIssueSeverity as LedgerIntegrityIssueSeverityEnum } from '../../../models/LedgerIntegrityIssue';
+
+export const LedgerIntegrityIssueSeverity = new GraphQLEnumType({
+  name: 'LedgerIntegrityIssueSeverity',
+  values: {
+    [LedgerIntegrityIssueSeverityEnum.ERROR]: {
+      description: 'The balances are wrong',
+    },
+    [LedgerIntegrityIssueSeverityEnum.WARNING]: {
+      description: 'Something looks off, but the balances are probably right',
+    },
+  },
+});
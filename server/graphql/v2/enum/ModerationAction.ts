@@ -0,0 +1,19 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { ModerationAction as ModerationActionEnum } from '../../../models/ModerationDecision';
+
+export const ModerationAction = new GraphQLEnumType({
+  name: 'ModerationAction',
+  description: 'The decisions that moderators can take on a report',
+  values: {
+    [ModerationActionEnum.DISMISS]: {
+      description: 'The content is legit',
+    },
+    [ModerationActionEnum.MARK_AS_SPAM]: {
+      description: 'Remove the comment or the update, or mark the expense as spam',
+    },
+    [ModerationActionEnum.BAN_ACCOUNT]: {
+      description: 'Ban the author of the content (and the reported account) from the platform. Root users only.',
+    },
+  },
+});
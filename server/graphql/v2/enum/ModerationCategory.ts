@@ -0,0 +1,12 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { MODERATION_CATEGORIES } from '../../../constants/moderation-categories';
+
+export const ModerationCategory = new GraphQLEnumType({
+  name: 'ModerationCategory',
+  description: 'The reasons for which content can be reported',
+  values: Object.entries(MODERATION_CATEGORIES).reduce(
+    (values, [key, description]) => ({ ...values, [key]: { description } }),
+    {},
+  ),
+});
@@ -0,0 +1,16 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { SpamEntityType } from '../../../models/SpamReport';
+
+export const ModerationEntityType = new GraphQLEnumType({
+  name: 'ModerationEntityType',
+  description: 'The types of content that can be moderated',
+  values: {
+    [SpamEntityType.COLLECTIVE]: {
+      description: 'An account (collective, organization, event...)',
+    },
+    [SpamEntityType.EXPENSE]: {},
+    [SpamEntityType.COMMENT]: {},
+    [SpamEntityType.UPDATE]: {},
+  },
+});
@@ -0,0 +1,21 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { ModerationStatus as ModerationStatusEnum } from '../../../models/SpamReport';
+
+export const ModerationStatus = new GraphQLEnumType({
+  name: 'ModerationStatus',
+  values: {
+    [ModerationStatusEnum.PENDING]: {
+      description: 'Waiting for a moderator',
+    },
+    [ModerationStatusEnum.DISMISSED]: {
+      description: 'A moderator decided that the content was legit',
+    },
+    [ModerationStatusEnum.SPAM]: {
+      description: 'The content was marked as spam and removed',
+    },
+    [ModerationStatusEnum.BANNED]: {
+      description: 'The author of the content was banned',
+    },
+  },
+});
@@ -10,8 +10,10 @@ export const OrderStatus = new GraphQLEnumType({
     EXPIRED: {},
     NEW: {},
     PAID: {},
+    PAUSED: {},
     PENDING: {},
     PLEDGED: {},
+    PROCESSING: {},
     REJECTED: {},
     REQUIRE_CLIENT_CONFIRMATION: {},
   },
@@ -13,6 +13,9 @@ export enum PaymentMethodLegacyTypeEnum {
   PAYPAL = 'PAYPAL',
   BANK_TRANSFER = 'BANK_TRANSFER',
   ADDED_FUNDS = 'ADDED_FUNDS',
+  CRYPTO = 'CRYPTO',
+  SEPA_DEBIT = 'SEPA_DEBIT',
+  US_BANK_ACCOUNT = 'US_BANK_ACCOUNT',
 }
 
 export const PaymentMethodLegacyType = new GraphQLEnumType({
@@ -29,6 +32,10 @@ export const getLegacyPaymentMethodType = ({ service, type }: PaymentMethod): Pa
   if (service === PAYMENT_METHOD_SERVICE.STRIPE) {
     if (type === PAYMENT_METHOD_TYPE.CREDITCARD) {
       return PaymentMethodLegacyTypeEnum.CREDIT_CARD;
+    } else if (type === PAYMENT_METHOD_TYPE.SEPA_DEBIT) {
+      return PaymentMethodLegacyTypeEnum.SEPA_DEBIT;
+    } else if (type === PAYMENT_METHOD_TYPE.US_BANK_ACCOUNT) {
+      return PaymentMethodLegacyTypeEnum.US_BANK_ACCOUNT;
     }
   } else if (service === PAYMENT_METHOD_SERVICE.OPENCOLLECTIVE) {
     if (type === PAYMENT_METHOD_TYPE.GIFT_CARD) {
@@ -42,6 +49,8 @@ export const getLegacyPaymentMethodType = ({ service, type }: PaymentMethod): Pa
     }
   } else if (service === PAYMENT_METHOD_SERVICE.PAYPAL && type === PAYMENT_METHOD_TYPE.PAYMENT) {
     return PaymentMethodLegacyTypeEnum.PAYPAL;
+  } else if (service === PAYMENT_METHOD_SERVICE.THEGIVINGBLOCK && type === PAYMENT_METHOD_TYPE.CRYPTO) {
+    return PaymentMethodLegacyTypeEnum.CRYPTO;
   }
 
   logger.warn(`getPaymentMethodType: Unknown PM type for ${service}/${type}`);
@@ -67,5 +76,11 @@ export const getServiceTypeFromLegacyPaymentMethodType = (type: PaymentMethodLeg
       return { service: PAYMENT_METHOD_SERVICE.PAYPAL, type: PAYMENT_METHOD_TYPE.PAYMENT };
     case PaymentMethodLegacyTypeEnum.ALIPAY:
       return { service: PAYMENT_METHOD_SERVICE.STRIPE, type: PAYMENT_METHOD_TYPE.ALIPAY };
+    case PaymentMethodLegacyTypeEnum.CRYPTO:
+      return { service: PAYMENT_METHOD_SERVICE.THEGIVINGBLOCK, type: PAYMENT_METHOD_TYPE.CRYPTO };
+    case PaymentMethodLegacyTypeEnum.SEPA_DEBIT:
+      return { service: PAYMENT_METHOD_SERVICE.STRIPE, type: PAYMENT_METHOD_TYPE.SEPA_DEBIT };
+    case PaymentMethodLegacyTypeEnum.US_BANK_ACCOUNT:
+      return { service: PAYMENT_METHOD_SERVICE.STRIPE, type: PAYMENT_METHOD_TYPE.US_BANK_ACCOUNT };
   }
 };
@@ -0,0 +1,11 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { RecurringExpenseInterval as RecurringExpenseIntervalEnum } from '../../../models/RecurringExpense';
+
+export const RecurringExpenseInterval = new GraphQLEnumType({
+  name: 'RecurringExpenseInterval',
+  description: 'How often a recurring expense is drafted',
+  values: Object.values(RecurringExpenseIntervalEnum).reduce((values, key) => {
+    return { ...values, [key]: { value: key } };
+  }, {}),
+});
@@ -0,0 +1,35 @@
+import { GraphQLEnumType } from 'graphql';
+
+import ScopeConstants from '../../../constants/scopes';
+
+export const Scope = new GraphQLEnumType({
+  name: 'Scope',
+  description: 'The permissions that can be granted to a personal token or an OAuth application',
+  values: {
+    ACCOUNT_READ: { value: ScopeConstants.ACCOUNT_READ, description: 'Read the private information of your accounts' },
+    ACCOUNT_WRITE: {
+      value: ScopeConstants.ACCOUNT_WRITE,
+      description: 'Edit your accounts, their members, payout methods and connected accounts',
+    },
+    CONVERSATIONS_READ: { value: ScopeConstants.CONVERSATIONS_READ, description: 'Read conversations' },
+    CONVERSATIONS_WRITE: {
+      value: ScopeConstants.CONVERSATIONS_WRITE,
+      description: 'Create and edit conversations, comments and reactions',
+    },
+    EXPENSES_READ: { value: ScopeConstants.EXPENSES_READ, description: 'Read expenses' },
+    EXPENSES_WRITE: { value: ScopeConstants.EXPENSES_WRITE, description: 'Submit, edit, approve and pay expenses' },
+    ORDERS_READ: { value: ScopeConstants.ORDERS_READ, description: 'Read contributions' },
+    ORDERS_WRITE: {
+      value: ScopeConstants.ORDERS_WRITE,
+      description: 'Create and edit contributions, payment methods and added funds',
+    },
+    TRANSACTIONS_READ: { value: ScopeConstants.TRANSACTIONS_READ, description: 'Read transactions' },
+    TRANSACTIONS_WRITE: { value: ScopeConstants.TRANSACTIONS_WRITE, description: 'Refund and reject transactions' },
+    UPDATES_READ: { value: ScopeConstants.UPDATES_READ, description: 'Read updates' },
+    UPDATES_WRITE: { value: ScopeConstants.UPDATES_WRITE, description: 'Create, edit and publish updates' },
+    VIRTUAL_CARDS_READ: { value: ScopeConstants.VIRTUAL_CARDS_READ, description: 'Read virtual cards' },
+    VIRTUAL_CARDS_WRITE: { value: ScopeConstants.VIRTUAL_CARDS_WRITE, description: 'Create and edit virtual cards' },
+    WEBHOOKS_READ: { value: ScopeConstants.WEBHOOKS_READ, description: 'Read webhooks and their deliveries' },
+    WEBHOOKS_WRITE: { value: ScopeConstants.WEBHOOKS_WRITE, description: 'Redeliver webhooks' },
+  },
+});
@@ -0,0 +1,21 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { CONTENT_SEARCH_TYPES } from '../../../lib/search';
+
+export const SearchResultType = new GraphQLEnumType({
+  name: 'SearchResultType',
+  values: {
+    [CONTENT_SEARCH_TYPES.EXPENSE]: {
+      description: 'Matches the description or the items of an expense',
+    },
+    [CONTENT_SEARCH_TYPES.UPDATE]: {
+      description: 'Matches the title or the content of an update',
+    },
+    [CONTENT_SEARCH_TYPES.CONVERSATION]: {
+      description: 'Matches the title of a conversation',
+    },
+    [CONTENT_SEARCH_TYPES.COMMENT]: {
+      description: 'Matches a comment on an expense, an update or a conversation',
+    },
+  },
+});
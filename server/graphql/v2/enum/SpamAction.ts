@@ -0,0 +1,19 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { SpamAction as SpamActionEnum } from '../../../models/SpamReport';
+
+export const SpamAction = new GraphQLEnumType({
+  name: 'SpamAction',
+  description: 'What the spam detection did when the content was created',
+  values: {
+    [SpamActionEnum.NONE]: {
+      description: 'The content was not detected as spam',
+    },
+    [SpamActionEnum.FLAG]: {
+      description: 'The content was created, but needs to be reviewed',
+    },
+    [SpamActionEnum.BLOCK]: {
+      description: 'The content was rejected (or marked as spam for expenses)',
+    },
+  },
+});
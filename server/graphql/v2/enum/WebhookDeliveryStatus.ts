@@ -0,0 +1,10 @@
+import { GraphQLEnumType } from 'graphql';
+
+import { WebhookDeliveryStatus as WebhookDeliveryStatusEnum } from '../../../models/WebhookDelivery';
+
+export const WebhookDeliveryStatus = new GraphQLEnumType({
+  name: 'WebhookDeliveryStatus',
+  values: Object.values(WebhookDeliveryStatusEnum).reduce((values, key) => {
+    return { ...values, [key]: { value: key } };
+  }, {}),
+});
@@ -16,12 +16,20 @@ const instances = {};
 export const IDENTIFIER_TYPES = {
   ACCOUNT: 'account',
   ACTIVITY: 'activity',
+  APPLICATION: 'application',
+  BUDGET_LINE: 'budget-line',
   COMMENT: 'comment',
   COMMENT_REACTION: 'comment-reaction',
   CONVERSATION: 'conversation',
   HOST_APPLICATION: 'host-application',
+  LEDGER_INTEGRITY_ISSUE: 'ledger-integrity-issue',
   MEMBER_INVITATION: 'member-invitation',
+  MODERATION_DECISION: 'moderation-decision',
+  MODERATION_REPORT: 'moderation-report',
+  OAUTH_AUTHORIZATION: 'oauth-authorization',
   PAYOUT_METHOD: 'payout-method',
+  PERSONAL_TOKEN: 'personal-token',
+  RECURRING_EXPENSE: 'recurring-expense',
   PAYMENT_METHOD: 'paymentMethod',
   EXPENSE: 'expense',
   CONNECTED_ACCOUNT: 'connected-account',
@@ -30,6 +38,8 @@ export const IDENTIFIER_TYPES = {
   ORDER: 'order',
   TRANSACTION: 'transaction',
   UPDATE: 'update',
+  WEBHOOK: 'webhook',
+  WEBHOOK_DELIVERY: 'webhook-delivery',
 };
 
 const getDefaultInstance = type => {
@@ -0,0 +1,18 @@
+import { GraphQLInputObjectType, GraphQLNonNull, GraphQLString } from 'graphql';
+
+import { PaymentMethodType } from '../enum/PaymentMethodType';
+
+export const BankDebitPaymentInput = new GraphQLInputObjectType({
+  name: 'BankDebitPaymentInput',
+  description: 'The info of a bank account to debit through Stripe (SEPA Direct Debit or ACH Direct Debit)',
+  fields: () => ({
+    type: {
+      type: new GraphQLNonNull(PaymentMethodType),
+      description: 'The type of bank debit, either sepa_debit or us_bank_account',
+    },
+    token: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: "The id of the PaymentMethod created with Stripe.js on the host's Stripe account",
+    },
+  }),
+});
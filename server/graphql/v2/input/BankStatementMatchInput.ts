@@ -0,0 +1,28 @@
+import { GraphQLInputObjectType, GraphQLNonNull, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { AmountInput } from './AmountInput';
+import { OrderReferenceInput } from './OrderReferenceInput';
+
+export const BankStatementMatchInput = new GraphQLInputObjectType({
+  name: 'BankStatementMatchInput',
+  description: 'A bank statement line confirmed as the payment of an order',
+  fields: () => ({
+    order: {
+      type: new GraphQLNonNull(OrderReferenceInput),
+    },
+    bankReference: {
+      type: GraphQLString,
+      description: 'Identifier of the transaction given by the bank, kept for reference',
+    },
+    date: {
+      type: GraphQLDateTime,
+      description: 'Date of the bank transaction',
+    },
+    amount: {
+      type: AmountInput,
+      description:
+        'The amount received, as found in the bank statement. The order is recorded at this amount. Defaults to the amount of the order.',
+    },
+  }),
+});
@@ -0,0 +1,36 @@
+import { GraphQLInputObjectType, GraphQLNonNull, GraphQLString } from 'graphql';
+
+import { BudgetEnforcement } from '../enum/BudgetEnforcement';
+import { BudgetPeriod } from '../enum/BudgetPeriod';
+import { ExpenseType } from '../enum/ExpenseType';
+
+import { AmountInput } from './AmountInput';
+
+export const BudgetLineCreateInput = new GraphQLInputObjectType({
+  name: 'BudgetLineCreateInput',
+  description: 'Input type for creating a budget line',
+  fields: () => ({
+    name: {
+      type: new GraphQLNonNull(GraphQLString),
+    },
+    tag: {
+      type: GraphQLString,
+      description: 'Only count the expenses with this tag',
+    },
+    expenseType: {
+      type: ExpenseType,
+      description: 'Only count the expenses of this type',
+    },
+    period: {
+      type: new GraphQLNonNull(BudgetPeriod),
+    },
+    amount: {
+      type: new GraphQLNonNull(AmountInput),
+      description: 'The maximum amount that can be spent over a period. Must be in the account currency.',
+    },
+    enforcement: {
+      type: BudgetEnforcement,
+      description: 'What happens when an expense exceeds the budget. Defaults to WARN.',
+    },
+  }),
+});
@@ -0,0 +1,36 @@
+import { GraphQLInputObjectType, GraphQLInt, GraphQLString } from 'graphql';
+
+import models from '../../../models';
+import { BudgetLine } from '../../../models/BudgetLine';
+import { NotFound } from '../../errors';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+
+export const BudgetLineReferenceInput = new GraphQLInputObjectType({
+  name: 'BudgetLineReferenceInput',
+  fields: () => ({
+    id: {
+      type: GraphQLString,
+      description: 'The public id identifying the budget line',
+    },
+    legacyId: {
+      type: GraphQLInt,
+      description: 'The internal id of the budget line',
+    },
+  }),
+});
+
+/**
+ * Retrieve a budget line from a `BudgetLineReferenceInput`
+ */
+export const fetchBudgetLineWithReference = async (
+  input: Record<string, unknown>,
+  { throwIfMissing = false } = {},
+): Promise<BudgetLine> => {
+  const id = input.id ? idDecode(<string>input.id, IDENTIFIER_TYPES.BUDGET_LINE) : <number>input.legacyId;
+  const budgetLine = id ? await models.BudgetLine.findByPk(id) : null;
+  if (!budgetLine && throwIfMissing) {
+    throw new NotFound('Budget line not found');
+  }
+
+  return budgetLine;
+};
@@ -0,0 +1,43 @@
+import { GraphQLInputObjectType, GraphQLInt, GraphQLString } from 'graphql';
+
+import { BudgetEnforcement } from '../enum/BudgetEnforcement';
+import { BudgetPeriod } from '../enum/BudgetPeriod';
+import { ExpenseType } from '../enum/ExpenseType';
+
+import { AmountInput } from './AmountInput';
+
+export const BudgetLineUpdateInput = new GraphQLInputObjectType({
+  name: 'BudgetLineUpdateInput',
+  description: 'Input type for editing a budget line. Fields that are not set are left unchanged.',
+  fields: () => ({
+    id: {
+      type: GraphQLString,
+      description: 'The public id identifying the budget line',
+    },
+    legacyId: {
+      type: GraphQLInt,
+      description: 'The internal id of the budget line',
+    },
+    name: {
+      type: GraphQLString,
+    },
+    tag: {
+      type: GraphQLString,
+      description: 'Only count the expenses with this tag. Set to null to count all tags.',
+    },
+    expenseType: {
+      type: ExpenseType,
+      description: 'Only count the expenses of this type. Set to null to count all types.',
+    },
+    period: {
+      type: BudgetPeriod,
+    },
+    amount: {
+      type: AmountInput,
+      description: 'The maximum amount that can be spent over a period. Must be in the account currency.',
+    },
+    enforcement: {
+      type: BudgetEnforcement,
+    },
+  }),
+});
@@ -1,5 +1,6 @@
 import { GraphQLInputObjectType, GraphQLString } from 'graphql';
 
+import { CommentReferenceInput } from './CommentReferenceInput';
 import { ExpenseReferenceInput } from './ExpenseReferenceInput';
 import { UpdateReferenceInput } from './UpdateReferenceInput';
 
@@ -16,5 +17,9 @@ export const CommentCreateInput = new GraphQLInputObjectType({
     },
     ConversationId: { type: GraphQLString },
     update: { type: UpdateReferenceInput },
+    parentComment: {
+      type: CommentReferenceInput,
+      description: 'If your comment is a reply, set the comment it replies to here',
+    },
   }),
 });
@@ -0,0 +1,16 @@
+import { GraphQLFloat, GraphQLInputObjectType, GraphQLNonNull, GraphQLString } from 'graphql';
+
+export const CryptoPaymentInput = new GraphQLInputObjectType({
+  name: 'CryptoPaymentInput',
+  description: 'The info of a crypto pledge, processed through The Giving Block',
+  fields: () => ({
+    currency: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The code of the cryptocurrency to contribute with (e.g. BTC, ETH)',
+    },
+    amount: {
+      type: new GraphQLNonNull(GraphQLFloat),
+      description: 'The amount pledged, in the cryptocurrency',
+    },
+  }),
+});
@@ -0,0 +1,32 @@
+import { GraphQLInputObjectType, GraphQLNonNull, GraphQLString } from 'graphql';
+
+import models from '../../../models';
+import { SpamReport } from '../../../models/SpamReport';
+import { NotFound } from '../../errors';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+
+export const ModerationReportReferenceInput = new GraphQLInputObjectType({
+  name: 'ModerationReportReferenceInput',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The public id identifying the report',
+    },
+  }),
+});
+
+/**
+ * Retrieve a report from a `ModerationReportReferenceInput`
+ */
+export const fetchModerationReportWithReference = async (
+  input: Record<string, unknown>,
+  { throwIfMissing = false } = {},
+): Promise<SpamReport> => {
+  const id = idDecode(<string>input.id, IDENTIFIER_TYPES.MODERATION_REPORT);
+  const report = id ? await models.SpamReport.findByPk(id, { include: [{ association: 'collective' }] }) : null;
+  if (!report && throwIfMissing) {
+    throw new NotFound('Moderation report not found');
+  }
+
+  return report;
+};
@@ -0,0 +1,34 @@
+import { GraphQLInputObjectType, GraphQLNonNull, GraphQLString } from 'graphql';
+
+import models from '../../../models';
+import { OAuthAuthorization } from '../../../models/OAuthAuthorization';
+import { NotFound } from '../../errors';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+
+export const OAuthAuthorizationReferenceInput = new GraphQLInputObjectType({
+  name: 'OAuthAuthorizationReferenceInput',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The public id identifying the authorization',
+    },
+  }),
+});
+
+/**
+ * Retrieve an OAuth authorization from a `OAuthAuthorizationReferenceInput`
+ */
+export const fetchOAuthAuthorizationWithReference = async (
+  input: Record<string, unknown>,
+  { throwIfMissing = false } = {},
+): Promise<OAuthAuthorization> => {
+  const id = idDecode(<string>input.id, IDENTIFIER_TYPES.OAUTH_AUTHORIZATION);
+  const authorization = id
+    ? await models.OAuthAuthorization.findByPk(id, { include: [{ association: 'application' }] })
+    : null;
+  if (!authorization && throwIfMissing) {
+    throw new NotFound('Authorization not found');
+  }
+
+  return authorization;
+};
@@ -7,7 +7,9 @@ import { getServiceTypeFromLegacyPaymentMethodType } from '../enum/PaymentMethod
 import { PaymentMethodService } from '../enum/PaymentMethodService';
 import { PaymentMethodType } from '../enum/PaymentMethodType';
 
+import { BankDebitPaymentInput } from './BankDebitPaymentInput';
 import { CreditCardCreateInput } from './CreditCardCreateInput';
+import { CryptoPaymentInput } from './CryptoPaymentInput';
 import { fetchPaymentMethodWithReference } from './PaymentMethodReferenceInput';
 import { PaypalPaymentInput } from './PaypalPaymentInput';
 
@@ -56,6 +58,14 @@ export const PaymentMethodInput = new GraphQLInputObjectType({
       type: PaypalPaymentInput,
       description: 'To pass when type is PAYPAL',
     },
+    cryptoInfo: {
+      type: CryptoPaymentInput,
+      description: 'To pass when service is THEGIVINGBLOCK',
+    },
+    bankDebitInfo: {
+      type: BankDebitPaymentInput,
+      description: 'To pass when paying with a SEPA Direct Debit or an ACH Direct Debit',
+    },
   }),
 });
 
@@ -99,6 +109,24 @@ export const getLegacyPaymentMethodFromPaymentMethodInput = async (
         },
       };
     }
+  } else if (pm.cryptoInfo) {
+    return {
+      service: PAYMENT_METHOD_SERVICE.THEGIVINGBLOCK,
+      type: PAYMENT_METHOD_TYPE.CRYPTO,
+      name: pm.name,
+      data: { pledgeCurrency: pm.cryptoInfo.currency, pledgeAmount: pm.cryptoInfo.amount },
+    };
+  } else if (pm.bankDebitInfo) {
+    if (![PAYMENT_METHOD_TYPE.SEPA_DEBIT, PAYMENT_METHOD_TYPE.US_BANK_ACCOUNT].includes(pm.bankDebitInfo.type)) {
+      throw new Error(`Unsupported bank debit type: ${pm.bankDebitInfo.type}`);
+    }
+    return {
+      service: PAYMENT_METHOD_SERVICE.STRIPE,
+      type: pm.bankDebitInfo.type,
+      name: pm.name,
+      save: pm.isSavedForLater,
+      token: pm.bankDebitInfo.token,
+    };
   } else {
     return getServiceTypeFromLegacyPaymentMethodType(pm.type);
   }
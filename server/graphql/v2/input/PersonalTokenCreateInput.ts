@@ -0,0 +1,29 @@
+import { GraphQLInputObjectType, GraphQLList, GraphQLNonNull, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { Scope } from '../enum/Scope';
+
+import { AccountReferenceInput } from './AccountReferenceInput';
+
+export const PersonalTokenCreateInput = new GraphQLInputObjectType({
+  name: 'PersonalTokenCreateInput',
+  description: 'Input type for creating a personal token',
+  fields: () => ({
+    name: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'A name to help you identify the token',
+    },
+    scopes: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Scope))),
+    },
+    expiresAt: {
+      type: GraphQLDateTime,
+      description: 'The token will stop working after this date',
+    },
+    limitedToAccounts: {
+      type: new GraphQLList(new GraphQLNonNull(AccountReferenceInput)),
+      description:
+        'Restrict the token to these accounts (and the collectives they host). You must be an admin of them.',
+    },
+  }),
+});
@@ -0,0 +1,35 @@
+import { GraphQLInputObjectType, GraphQLInt, GraphQLString } from 'graphql';
+
+import models from '../../../models';
+import { NotFound } from '../../errors';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+
+export const PersonalTokenReferenceInput = new GraphQLInputObjectType({
+  name: 'PersonalTokenReferenceInput',
+  fields: () => ({
+    id: {
+      type: GraphQLString,
+      description: 'The public id identifying the personal token',
+    },
+    legacyId: {
+      type: GraphQLInt,
+      description: 'The internal id of the personal token',
+    },
+  }),
+});
+
+/**
+ * Retrieve a personal token from a `PersonalTokenReferenceInput`
+ */
+export const fetchPersonalTokenWithReference = async (
+  input: Record<string, unknown>,
+  { throwIfMissing = false } = {},
+): Promise<typeof models.Application> => {
+  const id = input.id ? idDecode(<string>input.id, IDENTIFIER_TYPES.PERSONAL_TOKEN) : input.legacyId;
+  const personalToken = id ? await models.Application.findOne({ where: { id, type: 'personalToken' } }) : null;
+  if (!personalToken && throwIfMissing) {
+    throw new NotFound('Personal token not found');
+  }
+
+  return personalToken;
+};
@@ -0,0 +1,47 @@
+import { GraphQLInputObjectType, GraphQLList, GraphQLNonNull, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { ExpenseType } from '../enum/ExpenseType';
+import { RecurringExpenseInterval } from '../enum/RecurringExpenseInterval';
+
+import { AccountReferenceInput } from './AccountReferenceInput';
+import { PayoutMethodInput } from './PayoutMethodInput';
+import { RecurringExpenseItemInput } from './RecurringExpenseItemInput';
+
+export const RecurringExpenseCreateInput = new GraphQLInputObjectType({
+  name: 'RecurringExpenseCreateInput',
+  description: 'Input type for creating a recurring expense',
+  fields: () => ({
+    payee: {
+      type: new GraphQLNonNull(AccountReferenceInput),
+      description: 'The account that will be invited to submit the expenses',
+    },
+    payoutMethod: {
+      type: PayoutMethodInput,
+      description: 'An existing payout method of the payee. Only the id is used.',
+    },
+    interval: {
+      type: new GraphQLNonNull(RecurringExpenseInterval),
+    },
+    nextDueDate: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'When the first expense will be drafted',
+    },
+    endDate: {
+      type: GraphQLDateTime,
+      description: 'No expense will be drafted after this date',
+    },
+    type: {
+      type: new GraphQLNonNull(ExpenseType),
+    },
+    description: {
+      type: new GraphQLNonNull(GraphQLString),
+    },
+    tags: {
+      type: new GraphQLList(GraphQLString),
+    },
+    items: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(RecurringExpenseItemInput))),
+    },
+  }),
+});
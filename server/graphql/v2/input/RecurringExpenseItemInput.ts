@@ -0,0 +1,14 @@
+import { GraphQLInputObjectType, GraphQLInt, GraphQLNonNull, GraphQLString } from 'graphql';
+
+export const RecurringExpenseItemInput = new GraphQLInputObjectType({
+  name: 'RecurringExpenseItemInput',
+  fields: () => ({
+    description: {
+      type: new GraphQLNonNull(GraphQLString),
+    },
+    amount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Amount in cents, in the currency of the account',
+    },
+  }),
+});
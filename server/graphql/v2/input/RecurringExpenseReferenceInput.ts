@@ -0,0 +1,36 @@
+import { GraphQLInputObjectType, GraphQLInt, GraphQLString } from 'graphql';
+
+import models from '../../../models';
+import { RecurringExpense } from '../../../models/RecurringExpense';
+import { NotFound } from '../../errors';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+
+export const RecurringExpenseReferenceInput = new GraphQLInputObjectType({
+  name: 'RecurringExpenseReferenceInput',
+  fields: () => ({
+    id: {
+      type: GraphQLString,
+      description: 'The public id identifying the recurring expense',
+    },
+    legacyId: {
+      type: GraphQLInt,
+      description: 'The internal id of the recurring expense',
+    },
+  }),
+});
+
+/**
+ * Retrieve a recurring expense from a `RecurringExpenseReferenceInput`
+ */
+export const fetchRecurringExpenseWithReference = async (
+  input: Record<string, unknown>,
+  { throwIfMissing = false } = {},
+): Promise<RecurringExpense> => {
+  const id = input.id ? idDecode(<string>input.id, IDENTIFIER_TYPES.RECURRING_EXPENSE) : <number>input.legacyId;
+  const recurringExpense = id ? await models.RecurringExpense.findByPk(id) : null;
+  if (!recurringExpense && throwIfMissing) {
+    throw new NotFound('Recurring expense not found');
+  }
+
+  return recurringExpense;
+};
@@ -0,0 +1,48 @@
+import { GraphQLInputObjectType, GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { ExpenseType } from '../enum/ExpenseType';
+import { RecurringExpenseInterval } from '../enum/RecurringExpenseInterval';
+
+import { PayoutMethodInput } from './PayoutMethodInput';
+import { RecurringExpenseItemInput } from './RecurringExpenseItemInput';
+
+export const RecurringExpenseUpdateInput = new GraphQLInputObjectType({
+  name: 'RecurringExpenseUpdateInput',
+  description: 'Input type for editing a recurring expense. Fields that are not set are left unchanged.',
+  fields: () => ({
+    id: {
+      type: GraphQLString,
+      description: 'The public id identifying the recurring expense',
+    },
+    legacyId: {
+      type: GraphQLInt,
+      description: 'The internal id of the recurring expense',
+    },
+    payoutMethod: {
+      type: PayoutMethodInput,
+      description: 'An existing payout method of the payee. Only the id is used.',
+    },
+    interval: {
+      type: RecurringExpenseInterval,
+    },
+    nextDueDate: {
+      type: GraphQLDateTime,
+    },
+    endDate: {
+      type: GraphQLDateTime,
+    },
+    type: {
+      type: ExpenseType,
+    },
+    description: {
+      type: GraphQLString,
+    },
+    tags: {
+      type: new GraphQLList(GraphQLString),
+    },
+    items: {
+      type: new GraphQLList(new GraphQLNonNull(RecurringExpenseItemInput)),
+    },
+  }),
+});
@@ -0,0 +1,32 @@
+import { GraphQLInputObjectType, GraphQLNonNull, GraphQLString } from 'graphql';
+
+import models from '../../../models';
+import { WebhookDelivery } from '../../../models/WebhookDelivery';
+import { NotFound } from '../../errors';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+
+export const WebhookDeliveryReferenceInput = new GraphQLInputObjectType({
+  name: 'WebhookDeliveryReferenceInput',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The public id identifying the webhook delivery',
+    },
+  }),
+});
+
+/**
+ * Retrieve a webhook delivery from a `WebhookDeliveryReferenceInput`
+ */
+export const fetchWebhookDeliveryWithReference = async (
+  input: Record<string, unknown>,
+  { throwIfMissing = false } = {},
+): Promise<WebhookDelivery> => {
+  const id = idDecode(<string>input.id, IDENTIFIER_TYPES.WEBHOOK_DELIVERY);
+  const delivery = id ? await models.WebhookDelivery.findByPk(id, { include: [{ association: 'webhook' }] }) : null;
+  if (!delivery && throwIfMissing) {
+    throw new NotFound('Webhook delivery not found');
+  }
+
+  return delivery;
+};
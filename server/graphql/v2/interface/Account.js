@@ -3,8 +3,13 @@ import { GraphQLDateTime } from 'graphql-iso-date';
 import GraphQLJSON from 'graphql-type-json';
 import { assign, get, invert, isEmpty } from 'lodash';
 
+import { channels } from '../../../constants';
 import { types as CollectiveTypes } from '../../../constants/collectives';
+import Scope from '../../../constants/scopes';
+import { canManageBudgetLines, getBudgetReport } from '../../../lib/budget-lines';
+import { canManageRecurringExpenses } from '../../../lib/recurring-expenses';
 import models, { Op } from '../../../models';
+import { enforceScope } from '../../common/scope-check';
 import { NotFound, Unauthorized } from '../../errors';
 import { CollectiveFeatures } from '../../v1/CollectiveInterface.js';
 import { AccountCollection } from '../collection/AccountCollection';
@@ -14,6 +19,7 @@ import { OrderCollection } from '../collection/OrderCollection';
 import { TransactionCollection } from '../collection/TransactionCollection';
 import { UpdateCollection } from '../collection/UpdateCollection';
 import { VirtualCardCollection } from '../collection/VirtualCardCollection';
+import { WebhookCollection } from '../collection/WebhookCollection';
 import {
   AccountOrdersFilter,
   AccountType,
@@ -28,11 +34,14 @@ import { idEncode } from '../identifiers';
 import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
 import { ChronologicalOrderInput } from '../input/ChronologicalOrderInput';
 import { AccountStats } from '../object/AccountStats';
+import { BudgetLine } from '../object/BudgetLine';
+import { BudgetLineReport } from '../object/BudgetLineReport';
 import { ConnectedAccount } from '../object/ConnectedAccount';
 import { Location } from '../object/Location';
 import { Member } from '../object/Member';
 import { PaymentMethod } from '../object/PaymentMethod';
 import PayoutMethod from '../object/PayoutMethod';
+import { RecurringExpense } from '../object/RecurringExpense';
 import { TagStats } from '../object/TagStats';
 import { TransferWise } from '../object/TransferWise';
 import EmailAddress from '../scalar/EmailAddress';
@@ -394,7 +403,9 @@ const accountFieldsDefinition = () => ({
       },
       searchTerm: { type: GraphQLString },
     },
-    async resolve(collective, { limit, offset, onlyPublishedUpdates, onlyChangelogUpdates, orderBy, searchTerm }) {
+    async resolve(collective, args, req) {
+      enforceScope(req, Scope.UPDATES_READ);
+      const { limit, offset, onlyPublishedUpdates, onlyChangelogUpdates, orderBy, searchTerm } = args;
       let where = {
         CollectiveId: collective.id,
         [Op.and]: [],
@@ -475,6 +486,8 @@ const accountFieldsDefinition = () => ({
         throw new Unauthorized('You need to be logged in as an admin of the collective to see its virtual cards');
       }
 
+      enforceScope(req, Scope.VIRTUAL_CARDS_READ);
+
       let merchantId;
       if (!isEmpty(args.merchantAccount)) {
         merchantId = (await fetchAccountWithReference(args.merchantAccount, { throwIfMissing: true })).id;
@@ -527,6 +540,72 @@ const accountFieldsDefinition = () => ({
       };
     },
   },
+  webhooks: {
+    type: new GraphQLNonNull(WebhookCollection),
+    description: 'The webhooks registered for this account. Only visible to admins.',
+    args: {
+      ...CollectionArgs,
+    },
+    async resolve(account, args, req) {
+      if (!req.remoteUser?.isAdminOfCollective(account)) {
+        throw new Unauthorized('You need to be logged in as an admin of the account to see its webhooks');
+      }
+
+      enforceScope(req, Scope.WEBHOOKS_READ);
+
+      const result = await models.Notification.findAndCountAll({
+        where: { CollectiveId: account.id, channel: channels.WEBHOOK },
+        order: [['createdAt', 'ASC']],
+        limit: args.limit,
+        offset: args.offset,
+      });
+
+      return { nodes: result.rows, totalCount: result.count, limit: args.limit, offset: args.offset };
+    },
+  },
+  budgetLines: {
+    type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(BudgetLine))),
+    description: 'The spending limits defined for the expenses of this account. Only visible to admins.',
+    async resolve(account, _, req) {
+      if (!canManageBudgetLines(req.remoteUser, account)) {
+        throw new Unauthorized('You need to be logged in as an admin of the account or its host to see its budget');
+      }
+
+      enforceScope(req, Scope.EXPENSES_READ);
+      return models.BudgetLine.findAll({ where: { CollectiveId: account.id }, order: [['id', 'ASC']] });
+    },
+  },
+  budgetReport: {
+    type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(BudgetLineReport))),
+    description: 'The budget-vs-actual report of the budget lines of this account. Only visible to admins.',
+    args: {
+      date: {
+        type: GraphQLDateTime,
+        description: 'Report on the periods containing this date. Defaults to now.',
+      },
+    },
+    async resolve(account, args, req) {
+      if (!canManageBudgetLines(req.remoteUser, account)) {
+        throw new Unauthorized('You need to be logged in as an admin of the account or its host to see its budget');
+      }
+
+      enforceScope(req, Scope.EXPENSES_READ);
+      return getBudgetReport(account, args.date || new Date());
+    },
+  },
+  recurringExpenses: {
+    type: new GraphQLList(new GraphQLNonNull(RecurringExpense)),
+    description:
+      'The templates of the expenses drafted at a regular interval for this account. Only visible to admins, null otherwise.',
+    async resolve(account, _, req) {
+      if (!canManageRecurringExpenses(req.remoteUser, account)) {
+        return null;
+      }
+
+      enforceScope(req, Scope.EXPENSES_READ);
+      return models.RecurringExpense.findAll({ where: { CollectiveId: account.id }, order: [['nextDueDate', 'ASC']] });
+    },
+  },
   virtualCardMerchants: {
     type: new GraphQLNonNull(AccountCollection),
     args: {
@@ -599,6 +678,7 @@ const accountTransactions = {
     },
   },
   async resolve(collective, args, req) {
+    enforceScope(req, Scope.TRANSACTIONS_READ);
     const where = { CollectiveId: collective.id };
 
     // When users are admins, also fetch their incognito contributions
@@ -646,6 +726,7 @@ const accountOrders = {
     },
   },
   async resolve(collective, args, req) {
+    enforceScope(req, Scope.ORDERS_READ);
     const outgoingFromCollectiveIds = [collective.id];
     let where, include;
 
@@ -790,7 +871,8 @@ export const AccountFields = {
         description: 'Only return conversations matching this tag',
       },
     },
-    async resolve(collective, { limit, offset, tag }) {
+    async resolve(collective, { limit, offset, tag }, req) {
+      enforceScope(req, Scope.CONVERSATIONS_READ);
       const query = { where: { CollectiveId: collective.id }, order: [['createdAt', 'DESC']] };
       if (limit) {
         query.limit = limit;
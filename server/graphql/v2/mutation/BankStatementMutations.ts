@@ -0,0 +1,166 @@
+import express from 'express';
+import { GraphQLList, GraphQLNonNull, GraphQLString } from 'graphql';
+import { omit, orderBy, pick, uniqBy } from 'lodash';
+
+import {
+  BankStatementLineWithMatches,
+  findMatchesForBankStatementLines,
+  parseBankStatement,
+} from '../../../lib/bank-statements';
+import models, { sequelize } from '../../../models';
+import { processPendingOrder, ProcessPendingOrderAction } from '../../common/orders';
+import { BadRequest, Forbidden, Unauthorized, ValidationFailed } from '../../errors';
+import { BankStatementFormat } from '../enum/BankStatementFormat';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { getValueInCentsFromAmountInput } from '../input/AmountInput';
+import { BankStatementMatchInput } from '../input/BankStatementMatchInput';
+import { fetchOrderWithReference } from '../input/OrderReferenceInput';
+import { BankStatementLine } from '../object/BankStatementLine';
+import { Order } from '../object/Order';
+import { canMarkAsPaid } from '../object/OrderPermissions';
+
+const MAX_BANK_STATEMENT_SIZE = 5e6; // 5MB
+
+const fetchHostAsAdmin = async (req: express.Request, reference): Promise<typeof models.Collective> => {
+  if (!req.remoteUser) {
+    throw new Unauthorized('You need to be logged in to reconcile bank statements');
+  }
+
+  const host = await fetchAccountWithReference(reference, { loaders: req.loaders, throwIfMissing: true });
+  if (!host.isHostAccount) {
+    throw new ValidationFailed('Bank statements can only be imported for host accounts');
+  } else if (!req.remoteUser.isAdmin(host.id)) {
+    throw new Forbidden('Only host admins can reconcile bank statements');
+  }
+
+  return host;
+};
+
+const bankStatementMutations = {
+  importBankStatement: {
+    type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(BankStatementLine))),
+    description:
+      'Parse a bank statement and propose, for each payment received, the pending orders it could be paying for. Nothing is changed until the matches are confirmed with `confirmBankStatementMatches`.',
+    args: {
+      host: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+        description: 'The host that received the payments',
+      },
+      format: {
+        type: new GraphQLNonNull(BankStatementFormat),
+      },
+      content: {
+        type: new GraphQLNonNull(GraphQLString),
+        description: 'The content of the bank statement file',
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<BankStatementLineWithMatches[]> {
+      const host = await fetchHostAsAdmin(req, args.host);
+      if (args.content.length > MAX_BANK_STATEMENT_SIZE) {
+        throw new ValidationFailed('This bank statement is too big, please split it');
+      }
+
+      let lines;
+      try {
+        lines = parseBankStatement(args.content, args.format, { defaultCurrency: host.currency });
+      } catch (e) {
+        throw new BadRequest(`Could not parse the bank statement: ${e.message}`);
+      }
+
+      return findMatchesForBankStatementLines(host, lines);
+    },
+  },
+  confirmBankStatementMatches: {
+    type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Order))),
+    description:
+      'Mark the orders as paid at the amounts received, as the host would do with `processPendingOrder`. All the orders are checked before any of them is processed.',
+    args: {
+      host: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+      },
+      matches: {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(BankStatementMatchInput))),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<Array<typeof models.Order>> {
+      const host = await fetchHostAsAdmin(req, args.host);
+      const matches: Array<{
+        order: typeof models.Order;
+        bankReference?: string;
+        date?: Date;
+        amount?: { currency?: string };
+      }> = await Promise.all(
+        args.matches.map(async match => ({ ...match, order: await fetchOrderWithReference(match.order) })),
+      );
+
+      if (uniqBy(matches, match => match.order.id).length !== matches.length) {
+        throw new ValidationFailed('An order can only be confirmed once');
+      }
+
+      for (const { order, amount } of matches) {
+        const collective = await req.loaders.Collective.byId.load(order.CollectiveId);
+        if (collective.HostCollectiveId !== host.id) {
+          throw new ValidationFailed(`Order #${order.id} is not hosted by ${host.name}`);
+        } else if (!(await canMarkAsPaid(req, order))) {
+          throw new ValidationFailed(`Order #${order.id} cannot be marked as paid, it is ${order.status}`);
+        } else if (amount?.currency && amount.currency !== order.currency) {
+          throw new ValidationFailed(`The amount received for order #${order.id} must be in ${order.currency}`);
+        } else if (amount && getValueInCentsFromAmountInput(amount) <= 0) {
+          throw new ValidationFailed(`The amount received for order #${order.id} must be positive`);
+        }
+      }
+
+      // The payments can't be recorded in a database transaction (the payment code doesn't support them), so the
+      // whole confirmation holds a lock on each order instead: a statement confirmed twice at the same time can't
+      // process the same orders twice. These are advisory locks, which don't block the payments from updating the
+      // orders, and are released if the connection is lost.
+      return sequelize.transaction(async transaction => {
+        for (const { order } of orderBy(matches, match => match.order.id)) {
+          const [{ isLocked }] = await sequelize.query(
+            `SELECT pg_try_advisory_xact_lock(hashtext('confirmBankStatementMatches'), :OrderId) AS "isLocked"`,
+            { type: sequelize.QueryTypes.SELECT, replacements: { OrderId: order.id }, transaction },
+          );
+
+          if (!isLocked) {
+            throw new ValidationFailed(`Order #${order.id} is already being processed`);
+          }
+        }
+
+        // The orders may have been processed since they were checked above
+        const orders = await models.Order.findAll({ where: { id: matches.map(match => match.order.id) } });
+        for (const order of orders) {
+          if (!(await canMarkAsPaid(req, order))) {
+            throw new ValidationFailed(`Order #${order.id} cannot be marked as paid, it is ${order.status}`);
+          }
+        }
+
+        const processedOrders = [];
+        for (const match of matches) {
+          const order = orders.find(({ id }) => id === match.order.id);
+          const expectedAmount = order.totalAmount;
+          const bankStatementLine = {
+            ...pick(match, ['bankReference', 'date']),
+            expectedAmount,
+            confirmedByUserId: req.remoteUser.id,
+          };
+          const totalAmount = match.amount ? getValueInCentsFromAmountInput(match.amount) : expectedAmount;
+          await order.update({ totalAmount, data: { ...order.data, bankStatementLine } });
+          try {
+            processedOrders.push(await processPendingOrder(req, order, ProcessPendingOrderAction.MARK_AS_PAID));
+          } catch (e) {
+            // Restore the order, so that it can be confirmed again
+            await models.Order.update(
+              { totalAmount: expectedAmount, data: omit(order.data, ['bankStatementLine']) },
+              { where: { id: order.id, processedAt: null } },
+            );
+            throw e;
+          }
+        }
+
+        return processedOrders;
+      });
+    },
+  },
+};
+
+export default bankStatementMutations;
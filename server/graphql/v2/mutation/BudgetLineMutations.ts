@@ -0,0 +1,97 @@
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+import { pick } from 'lodash';
+
+import { canManageBudgetLines } from '../../../lib/budget-lines';
+import models from '../../../models';
+import { BudgetLine as BudgetLineModel } from '../../../models/BudgetLine';
+import { Forbidden, Unauthorized, ValidationFailed } from '../../errors';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { getValueInCentsFromAmountInput } from '../input/AmountInput';
+import { BudgetLineCreateInput } from '../input/BudgetLineCreateInput';
+import { BudgetLineReferenceInput, fetchBudgetLineWithReference } from '../input/BudgetLineReferenceInput';
+import { BudgetLineUpdateInput } from '../input/BudgetLineUpdateInput';
+import { BudgetLine } from '../object/BudgetLine';
+
+const checkCanManageBudgetLines = (req: express.Request, account: typeof models.Collective): void => {
+  if (!req.remoteUser) {
+    throw new Unauthorized('You need to be logged in to manage budget lines');
+  } else if (!canManageBudgetLines(req.remoteUser, account)) {
+    throw new Forbidden('You need to be an admin of the account or its host to manage its budget lines');
+  }
+};
+
+/** Returns the amount in cents, making sure it's in the account currency */
+const getBudgetLineAmount = (amountInput, account: typeof models.Collective): number => {
+  if (amountInput.currency && amountInput.currency !== account.currency) {
+    throw new ValidationFailed(`The amount of a budget line must be in the account currency (${account.currency})`);
+  }
+
+  return getValueInCentsFromAmountInput(amountInput);
+};
+
+const budgetLineMutations = {
+  createBudgetLine: {
+    type: new GraphQLNonNull(BudgetLine),
+    description: 'Define a spending limit for the expenses of an account',
+    args: {
+      account: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+      },
+      budgetLine: {
+        type: new GraphQLNonNull(BudgetLineCreateInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<BudgetLineModel> {
+      const account = await fetchAccountWithReference(args.account, { loaders: req.loaders, throwIfMissing: true });
+      checkCanManageBudgetLines(req, account);
+
+      return models.BudgetLine.create({
+        ...pick(args.budgetLine, ['name', 'tag', 'expenseType', 'period', 'enforcement']),
+        amount: getBudgetLineAmount(args.budgetLine.amount, account),
+        CollectiveId: account.id,
+        CreatedByUserId: req.remoteUser.id,
+      });
+    },
+  },
+  editBudgetLine: {
+    type: new GraphQLNonNull(BudgetLine),
+    description: 'Edit a budget line. The changes apply to the current period.',
+    args: {
+      budgetLine: {
+        type: new GraphQLNonNull(BudgetLineUpdateInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<BudgetLineModel> {
+      const budgetLine = await fetchBudgetLineWithReference(args.budgetLine, { throwIfMissing: true });
+      const account = await req.loaders.Collective.byId.load(budgetLine.CollectiveId);
+      checkCanManageBudgetLines(req, account);
+
+      const values = pick(args.budgetLine, ['name', 'tag', 'expenseType', 'period', 'enforcement']);
+      if (args.budgetLine.amount) {
+        values['amount'] = getBudgetLineAmount(args.budgetLine.amount, account);
+      }
+
+      return budgetLine.update(values);
+    },
+  },
+  deleteBudgetLine: {
+    type: new GraphQLNonNull(BudgetLine),
+    description: 'Delete a budget line. Expenses will not be checked against it anymore.',
+    args: {
+      budgetLine: {
+        type: new GraphQLNonNull(BudgetLineReferenceInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<BudgetLineModel> {
+      const budgetLine = await fetchBudgetLineWithReference(args.budgetLine, { throwIfMissing: true });
+      const account = await req.loaders.Collective.byId.load(budgetLine.CollectiveId);
+      checkCanManageBudgetLines(req, account);
+
+      await budgetLine.destroy();
+      return budgetLine;
+    },
+  },
+};
+
+export default budgetLineMutations;
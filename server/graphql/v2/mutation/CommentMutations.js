@@ -68,6 +68,10 @@ const commentMutations = {
         args.comment.ExpenseId = expense.id;
       }
 
+      if (args.comment.parentComment) {
+        args.comment.ParentCommentId = idDecode(args.comment.parentComment.id, IDENTIFIER_TYPES.COMMENT);
+      }
+
       return createCommentResolver(entity, args, req);
     },
   },
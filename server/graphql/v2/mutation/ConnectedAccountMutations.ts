@@ -6,6 +6,7 @@ import { Service } from '../../../constants/connected_account';
 import { crypto } from '../../../lib/encryption';
 import * as paypal from '../../../lib/paypal';
 import * as privacy from '../../../lib/privacy';
+import * as thegivingblock from '../../../lib/thegivingblock';
 import * as transferwise from '../../../lib/transferwise';
 import models from '../../../models';
 import { Unauthorized, ValidationFailed } from '../../errors';
@@ -41,7 +42,11 @@ const connectedAccountMutations = {
         throw new Unauthorized("You don't have permission to edit this collective");
       }
 
-      if ([Service.TRANSFERWISE, Service.PAYPAL, Service.PRIVACY].includes(args.connectedAccount.service)) {
+      if (
+        [Service.TRANSFERWISE, Service.PAYPAL, Service.PRIVACY, Service.THEGIVINGBLOCK].includes(
+          args.connectedAccount.service,
+        )
+      ) {
         if (!args.connectedAccount.token) {
           throw new ValidationFailed('A token is required');
         }
@@ -70,6 +75,12 @@ const connectedAccountMutations = {
           } catch (e) {
             throw new ValidationFailed('The token is not a valid Privacy token');
           }
+        } else if (args.connectedAccount.service === Service.THEGIVINGBLOCK) {
+          try {
+            await thegivingblock.login(args.connectedAccount.username, args.connectedAccount.token);
+          } catch (e) {
+            throw new ValidationFailed('The login and password are not valid The Giving Block credentials');
+          }
         }
       }
 
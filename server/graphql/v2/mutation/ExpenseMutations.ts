@@ -1,6 +1,13 @@
 import config from 'config';
 import express from 'express';
-import { GraphQLBoolean, GraphQLInputObjectType, GraphQLInt, GraphQLNonNull, GraphQLString } from 'graphql';
+import {
+  GraphQLBoolean,
+  GraphQLInputObjectType,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+} from 'graphql';
 import { pick, size } from 'lodash';
 import { v4 as uuid } from 'uuid';
 
@@ -21,6 +28,7 @@ import {
   markExpenseAsSpam,
   markExpenseAsUnpaid,
   payExpense,
+  payExpenses,
   rejectExpense,
   scheduleExpenseForPayment,
   unapproveExpense,
@@ -40,6 +48,7 @@ import {
 } from '../input/ExpenseReferenceInput';
 import { ExpenseUpdateInput } from '../input/ExpenseUpdateInput';
 import { Expense } from '../object/Expense';
+import { ExpensePaymentResult } from '../object/ExpensePaymentResult';
 
 const expenseMutations = {
   createExpense: {
@@ -289,6 +298,29 @@ const expenseMutations = {
       }
     },
   },
+  payExpenses: {
+    type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ExpensePaymentResult))),
+    description:
+      'Pay a batch of approved expenses from the same host. Bank transfers and PayPal payouts are grouped in a single batch for each provider, the other expenses are paid manually.',
+    args: {
+      expenses: {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ExpenseReferenceInput))),
+        description: 'References of the expenses to pay',
+      },
+      twoFactorAuthenticatorCode: {
+        type: GraphQLString,
+        description: '2FA code for if the host account has 2FA for payouts turned on.',
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<Record<string, unknown>[]> {
+      if (!req.remoteUser) {
+        throw new Unauthorized();
+      }
+
+      const expenseIds = args.expenses.map(getDatabaseIdFromExpenseReference);
+      return payExpenses(req, expenseIds, { twoFactorAuthenticatorCode: args.twoFactorAuthenticatorCode });
+    },
+  },
   draftExpenseAndInviteUser: {
     type: new GraphQLNonNull(Expense),
     description: 'Persist an Expense as a draft and invite someone to edit and submit it.',
@@ -4,11 +4,13 @@ import { pick } from 'lodash';
 
 import MemberRoles from '../../../constants/roles';
 import { purgeCacheForCollective } from '../../../lib/cache';
+import { checkInTicket } from '../../../lib/tickets';
 import models from '../../../models';
 import { editPublicMessage } from '../../common/members';
 import { Forbidden, Unauthorized, ValidationFailed } from '../../errors';
 import { MemberRole } from '../enum';
 import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { EventTicket } from '../object/EventTicket';
 import { Member } from '../object/Member';
 
 const isLastAdmin = async (account, memberAccount) => {
@@ -186,6 +188,34 @@ const memberMutations = {
       return true;
     },
   },
+  checkInAttendee: {
+    type: new GraphQLNonNull(EventTicket),
+    description: 'Check in an attendee of an event by scanning the QR code of their ticket',
+    args: {
+      event: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+        description: 'Reference to the event',
+      },
+      ticketCode: {
+        type: new GraphQLNonNull(GraphQLString),
+        description: 'The code of the ticket, as encoded in its QR code',
+      },
+    },
+    async resolve(_, args, req) {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to check in attendees');
+      }
+
+      const event = await fetchAccountWithReference(args.event, { throwIfMissing: true });
+      if (event.type !== 'EVENT') {
+        throw new ValidationFailed('Attendees can only be checked in for events');
+      } else if (!req.remoteUser.isAdminOfCollective(event)) {
+        throw new Unauthorized('Only admins of the event can check in attendees');
+      }
+
+      return checkInTicket(event, args.ticketCode, req.remoteUser);
+    },
+  },
 };
 
 export default memberMutations;
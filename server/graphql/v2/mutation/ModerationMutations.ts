@@ -0,0 +1,151 @@
+import express from 'express';
+import { GraphQLNonNull, GraphQLString } from 'graphql';
+import { compact } from 'lodash';
+
+import { processModerationReport, reportContent } from '../../../lib/moderation';
+import RateLimit, { ONE_HOUR_IN_SECONDS } from '../../../lib/rate-limit';
+import models from '../../../models';
+import { SpamEntityType, SpamReport } from '../../../models/SpamReport';
+import { canComment, canSeeExpense } from '../../common/expenses';
+import { canSeeUpdateDetails } from '../../common/update';
+import { NotFound, RateLimitExceeded, Unauthorized, ValidationFailed } from '../../errors';
+import { ModerationAction } from '../enum/ModerationAction';
+import { ModerationCategory } from '../enum/ModerationCategory';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { CommentReferenceInput } from '../input/CommentReferenceInput';
+import { ExpenseReferenceInput, fetchExpenseWithReference } from '../input/ExpenseReferenceInput';
+import {
+  fetchModerationReportWithReference,
+  ModerationReportReferenceInput,
+} from '../input/ModerationReportReferenceInput';
+import { fetchUpdateWithReference, UpdateReferenceInput } from '../input/UpdateReferenceInput';
+import { ContentReport } from '../object/ContentReport';
+import { ModerationReport } from '../object/ModerationReport';
+
+/** Number of reports a user can make per hour */
+const REPORTS_PER_HOUR = 10;
+
+const fetchReportedEntity = async (args): Promise<[SpamEntityType, Record<string, any>]> => {
+  if (compact([args.account, args.expense, args.comment, args.update]).length !== 1) {
+    throw new ValidationFailed('You must report exactly one account, expense, comment or update');
+  } else if (args.account) {
+    return [SpamEntityType.COLLECTIVE, await fetchAccountWithReference(args.account, { throwIfMissing: true })];
+  } else if (args.expense) {
+    return [SpamEntityType.EXPENSE, await fetchExpenseWithReference(args.expense, { throwIfMissing: true })];
+  } else if (args.update) {
+    return [SpamEntityType.UPDATE, await fetchUpdateWithReference(args.update, { throwIfMissing: true })];
+  }
+
+  const commentId = args.comment.id && idDecode(args.comment.id, IDENTIFIER_TYPES.COMMENT);
+  const comment = commentId && (await models.Comment.findByPk(commentId));
+  if (!comment) {
+    throw new NotFound('Comment not found');
+  }
+
+  return [SpamEntityType.COMMENT, comment];
+};
+
+/**
+ * Returns true if the user can see the reported content. Comments follow the permissions of the expense or
+ * update they belong to.
+ */
+const canSeeReportedEntity = async (
+  req: express.Request,
+  entityType: SpamEntityType,
+  entity: Record<string, any>,
+): Promise<boolean> => {
+  switch (entityType) {
+    case SpamEntityType.EXPENSE:
+      return canSeeExpense(req, entity);
+    case SpamEntityType.UPDATE:
+      return canSeeUpdateDetails(req, entity);
+    case SpamEntityType.COMMENT:
+      if (entity.ExpenseId) {
+        const expense = await req.loaders.Expense.byId.load(entity.ExpenseId);
+        return Boolean(expense) && canComment(req, expense);
+      } else if (entity.UpdateId) {
+        const update = await req.loaders.Update.byId.load(entity.UpdateId);
+        return Boolean(update) && canSeeUpdateDetails(req, update);
+      } else {
+        return true;
+      }
+    default:
+      return true;
+  }
+};
+
+const moderationMutations = {
+  processModerationReport: {
+    type: new GraphQLNonNull(ModerationReport),
+    description:
+      'Take a decision on a report of the moderation queue. The other pending reports about the same content are processed too.',
+    args: {
+      report: {
+        type: new GraphQLNonNull(ModerationReportReferenceInput),
+        description: 'Reference to the report',
+      },
+      action: {
+        type: new GraphQLNonNull(ModerationAction),
+        description: 'The decision',
+      },
+      message: {
+        type: GraphQLString,
+        description: 'A note to explain the decision, for the other moderators',
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<SpamReport> {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to moderate content');
+      }
+
+      const report = await fetchModerationReportWithReference(args.report, { throwIfMissing: true });
+      return processModerationReport(req, report, args.action, args.message);
+    },
+  },
+  reportContent: {
+    type: new GraphQLNonNull(ContentReport),
+    description: 'Report an account, an expense, a comment or an update to the moderators',
+    args: {
+      account: {
+        type: AccountReferenceInput,
+      },
+      expense: {
+        type: ExpenseReferenceInput,
+      },
+      comment: {
+        type: CommentReferenceInput,
+      },
+      update: {
+        type: UpdateReferenceInput,
+      },
+      category: {
+        type: ModerationCategory,
+        description: 'Why the content is reported',
+      },
+      message: {
+        type: GraphQLString,
+        description: 'More details for the moderators',
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<SpamReport> {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to report content');
+      }
+
+      const rateLimit = new RateLimit(`report_content_${req.remoteUser.id}`, REPORTS_PER_HOUR, ONE_HOUR_IN_SECONDS);
+      if (!(await rateLimit.registerCall())) {
+        throw new RateLimitExceeded('You have reported too much content recently, please try again later');
+      }
+
+      const [entityType, entity] = await fetchReportedEntity(args);
+      if (!(await canSeeReportedEntity(req, entityType, entity))) {
+        throw new NotFound();
+      }
+
+      return reportContent(req.remoteUser, entityType, entity, { category: args.category, message: args.message });
+    },
+  },
+};
+
+export default moderationMutations;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+
+import { revokeAuthorization } from '../../../lib/oauth';
+import { OAuthAuthorization as OAuthAuthorizationModel } from '../../../models/OAuthAuthorization';
+import { isUsingScopedToken } from '../../common/scope-check';
+import { Forbidden, Unauthorized } from '../../errors';
+import {
+  fetchOAuthAuthorizationWithReference,
+  OAuthAuthorizationReferenceInput,
+} from '../input/OAuthAuthorizationReferenceInput';
+import { OAuthAuthorization } from '../object/OAuthAuthorization';
+
+const oAuthAuthorizationMutations = {
+  revokeOAuthAuthorization: {
+    type: new GraphQLNonNull(OAuthAuthorization),
+    description: 'Revoke the access of an application to your account. All its tokens will stop working immediately.',
+    args: {
+      oAuthAuthorization: {
+        type: new GraphQLNonNull(OAuthAuthorizationReferenceInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<OAuthAuthorizationModel> {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to revoke an application');
+      } else if (isUsingScopedToken(req)) {
+        throw new Forbidden('Applications cannot be revoked with a personal token or an OAuth token');
+      }
+
+      const authorization = await fetchOAuthAuthorizationWithReference(args.oAuthAuthorization, {
+        throwIfMissing: true,
+      });
+      if (authorization.UserId !== req.remoteUser.id) {
+        throw new Forbidden('You can only revoke the applications you authorized');
+      }
+
+      await revokeAuthorization(authorization);
+      return authorization;
+    },
+  },
+};
+
+export default oAuthAuthorizationMutations;
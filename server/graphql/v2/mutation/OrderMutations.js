@@ -1,29 +1,40 @@
+import config from 'config';
 import { GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
-import { isNil, isNull, isUndefined } from 'lodash';
+import { GraphQLDateTime } from 'graphql-iso-date';
+import { isNil, isNull, isUndefined, omit, pick } from 'lodash';
 
 import activities from '../../../constants/activities';
 import status from '../../../constants/order_status';
+import { getOrderFromPaymentMethodUpdateToken } from '../../../lib/dunning';
+import { applyProration, getProration, isProrationEnabled } from '../../../lib/proration';
+import RateLimit from '../../../lib/rate-limit';
 import {
+  createSubscriptionActivity,
+  pauseOrderSubscription,
+  resumeOrderSubscription,
   updateOrderSubscription,
   updatePaymentMethodForSubscription,
   updateSubscriptionDetails,
 } from '../../../lib/subscriptions';
+import { processWaitlistForOrder } from '../../../lib/waitlists';
 import models from '../../../models';
 import { updateSubscriptionWithPaypal } from '../../../paymentProviders/paypal/subscription';
-import { BadRequest, NotFound, Unauthorized, ValidationFailed } from '../../errors';
+import { setupCreditCard } from '../../../paymentProviders/stripe/creditcard';
+import { processPendingOrder } from '../../common/orders';
+import { NotFound, RateLimitExceeded, Unauthorized, ValidationFailed } from '../../errors';
 import { confirmOrder as confirmOrderLegacy, createOrder as createOrderLegacy } from '../../v1/mutations/orders';
-import { getIntervalFromContributionFrequency } from '../enum/ContributionFrequency';
+import { ContributionFrequency, getIntervalFromContributionFrequency } from '../enum/ContributionFrequency';
 import { ProcessOrderAction } from '../enum/ProcessOrderAction';
 import { getDecodedId } from '../identifiers';
 import { fetchAccountWithReference } from '../input/AccountReferenceInput';
 import { AmountInput, getValueInCentsFromAmountInput } from '../input/AmountInput';
+import { CreditCardCreateInput } from '../input/CreditCardCreateInput';
 import { OrderCreateInput } from '../input/OrderCreateInput';
 import { fetchOrderWithReference, OrderReferenceInput } from '../input/OrderReferenceInput';
 import { getLegacyPaymentMethodFromPaymentMethodInput } from '../input/PaymentMethodInput';
 import { fetchPaymentMethodWithReference, PaymentMethodReferenceInput } from '../input/PaymentMethodReferenceInput';
 import { fetchTierWithReference, TierReferenceInput } from '../input/TierReferenceInput';
 import { Order } from '../object/Order';
-import { canMarkAsExpired, canMarkAsPaid } from '../object/OrderPermissions';
 import { StripeError } from '../object/StripeError';
 
 const OrderWithPayment = new GraphQLObjectType({
@@ -45,6 +56,28 @@ const OrderWithPayment = new GraphQLObjectType({
   }),
 });
 
+/**
+ * Loads a recurring contribution that the remote user is allowed to manage
+ */
+const fetchRecurringOrderForContributor = async (orderReference, req) => {
+  const order = await models.Order.findOne({
+    where: { id: getDecodedId(orderReference.id) },
+    include: [
+      { model: models.Subscription, required: true },
+      { association: 'collective', required: true },
+      { association: 'fromCollective', required: true },
+    ],
+  });
+
+  if (!order) {
+    throw new NotFound('Recurring contribution not found');
+  } else if (!req.remoteUser.isAdminOfCollective(order.fromCollective)) {
+    throw new Unauthorized("You don't have permission to update this recurring contribution");
+  }
+
+  return order;
+};
+
 const orderMutations = {
   createOrder: {
     type: GraphQLNonNull(OrderWithPayment),
@@ -145,6 +178,7 @@ const orderMutations = {
 
       await order.update({ status: status.CANCELLED });
       await order.Subscription.deactivate();
+      await processWaitlistForOrder(order);
 
       await models.Activity.create({
         type: activities.SUBSCRIPTION_CANCELED,
@@ -161,9 +195,49 @@ const orderMutations = {
       return models.Order.findOne(query);
     },
   },
+  pauseOrder: {
+    type: new GraphQLNonNull(Order),
+    description: 'Pause a recurring contribution, it will not be charged until it gets resumed',
+    args: {
+      order: {
+        type: new GraphQLNonNull(OrderReferenceInput),
+        description: 'Reference to the Order to pause',
+      },
+      resumeAt: {
+        type: GraphQLDateTime,
+        description: 'When set, the contribution will be resumed automatically at this date',
+      },
+    },
+    async resolve(_, args, req) {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to pause a recurring contribution');
+      }
+
+      const order = await fetchRecurringOrderForContributor(args.order, req);
+      return pauseOrderSubscription(order, req.remoteUser, args.resumeAt);
+    },
+  },
+  resumeOrder: {
+    type: new GraphQLNonNull(Order),
+    description: 'Resume a paused recurring contribution',
+    args: {
+      order: {
+        type: new GraphQLNonNull(OrderReferenceInput),
+        description: 'Reference to the Order to resume',
+      },
+    },
+    async resolve(_, args, req) {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to resume a recurring contribution');
+      }
+
+      const order = await fetchRecurringOrderForContributor(args.order, req);
+      return resumeOrderSubscription(order, req.remoteUser);
+    },
+  },
   updateOrder: {
     type: Order,
-    description: "Update an Order's amount, tier, or payment method",
+    description: "Update an Order's amount, tier, frequency, or payment method",
     args: {
       order: {
         type: new GraphQLNonNull(OrderReferenceInput),
@@ -185,10 +259,17 @@ const orderMutations = {
         type: AmountInput,
         description: 'An Amount to update the order to',
       },
+      frequency: {
+        type: ContributionFrequency,
+        description:
+          'To switch a recurring contribution between monthly and yearly. The period already paid is kept, the new frequency starts when it ends.',
+      },
     },
     async resolve(_, args, req) {
       const decodedId = getDecodedId(args.order.id);
-      const haveDetailsChanged = !isUndefined(args.amount) && !isUndefined(args.tier);
+      const hasAmountChanged = !isUndefined(args.amount) && !isUndefined(args.tier);
+      const hasFrequencyChanged = !isNil(args.frequency);
+      const haveDetailsChanged = hasAmountChanged || hasFrequencyChanged;
       const hasPaymentMethodChanged = !isUndefined(args.paymentMethod);
 
       if (!req.remoteUser) {
@@ -222,27 +303,69 @@ const orderMutations = {
         );
       }
 
+      const previousInterval = order.interval;
+      const newInterval = hasFrequencyChanged ? getIntervalFromContributionFrequency(args.frequency) : null;
+      if (hasFrequencyChanged && !newInterval) {
+        throw new ValidationFailed('Recurring contributions can only be switched between monthly and yearly');
+      } else if (
+        newInterval &&
+        newInterval !== order.interval &&
+        order.Subscription.isManagedExternally &&
+        !args.paypalSubscriptionId
+      ) {
+        throw new ValidationFailed(
+          'The frequency of a PayPal contribution can only be changed by approving a new PayPal subscription',
+        );
+      }
+
       let previousOrderValues, previousSubscriptionValues;
       if (haveDetailsChanged) {
-        // Update details (eg. amount, tier)
-        const tier = !isNull(args.tier.id) && (await fetchTierWithReference(args.tier, { throwIfMissing: true }));
-        let newTotalAmount = getValueInCentsFromAmountInput(args.amount);
-        // We add the current Platform Tip to the totalAmount
-        if (order.data?.isFeesOnTop && order.data.platformFee) {
-          newTotalAmount = newTotalAmount + order.data.platformFee;
+        // Update details (eg. amount, tier, interval)
+        let tier, newTotalAmount;
+        if (hasAmountChanged) {
+          tier = !isNull(args.tier.id) && (await fetchTierWithReference(args.tier, { throwIfMissing: true }));
+          newTotalAmount = getValueInCentsFromAmountInput(args.amount);
+          // We add the current Platform Tip to the totalAmount
+          if (order.data?.isFeesOnTop && order.data.platformFee) {
+            newTotalAmount = newTotalAmount + order.data.platformFee;
+          }
+        } else {
+          tier = order.TierId && (await req.loaders.Tier.byId.load(order.TierId));
+          newTotalAmount = order.totalAmount;
         }
+
+        // Must be computed before the order gets updated. Changes of interval are not prorated.
+        const proration =
+          !args.paypalSubscriptionId &&
+          (!newInterval || newInterval === order.interval) &&
+          isProrationEnabled(order.collective)
+            ? getProration(order, newTotalAmount, tier)
+            : null;
+
         // interval, amount, tierId, paymentMethodId
         ({ previousOrderValues, previousSubscriptionValues } = await updateSubscriptionDetails(
           order,
           tier,
           newTotalAmount,
+          newInterval,
         ));
+
+        if (proration) {
+          try {
+            await applyProration(order, proration);
+          } catch (error) {
+            await updateOrderSubscription(order, previousOrderValues, previousSubscriptionValues);
+            throw error;
+          }
+        }
       }
 
+      let updatedOrder = order;
       if (args.paypalSubscriptionId) {
-        // Update from PayPal subscription ID
+        // Update from PayPal subscription ID. When the interval changes, the new subscription must use a plan
+        // with the new interval (see `paypalPlan` query)
         try {
-          return updateSubscriptionWithPaypal(req.remoteUser, order, args.paypalSubscriptionId);
+          updatedOrder = await updateSubscriptionWithPaypal(req.remoteUser, order, args.paypalSubscriptionId);
         } catch (error) {
           // Restore original subscription if it was modified
           if (haveDetailsChanged) {
@@ -254,10 +377,84 @@ const orderMutations = {
       } else if (hasPaymentMethodChanged) {
         // Update payment method
         const newPaymentMethod = await fetchPaymentMethodWithReference(args.paymentMethod);
-        return updatePaymentMethodForSubscription(req.remoteUser, order, newPaymentMethod);
+        updatedOrder = await updatePaymentMethodForSubscription(req.remoteUser, order, newPaymentMethod);
+      }
+
+      if (updatedOrder.interval !== previousInterval) {
+        await createSubscriptionActivity(activities.SUBSCRIPTION_INTERVAL_UPDATED, updatedOrder, req.remoteUser, {
+          previousInterval,
+          interval: updatedOrder.interval,
+        });
+      }
+
+      return updatedOrder;
+    },
+  },
+  updateOrderPaymentMethodWithToken: {
+    type: new GraphQLNonNull(OrderWithPayment),
+    description:
+      'Replace the card of a recurring contribution whose charges are failing, using the link sent to the contributor by email. Does not require to be authenticated.',
+    args: {
+      token: {
+        type: new GraphQLNonNull(GraphQLString),
+        description: 'The token from the update link',
+      },
+      creditCardInfo: {
+        type: new GraphQLNonNull(CreditCardCreateInput),
+        description: 'The new credit card',
+      },
+      name: {
+        type: new GraphQLNonNull(GraphQLString),
+        description: 'Name associated to this credit card',
+      },
+    },
+    async resolve(_, args, req) {
+      // The mutation is public, make sure it can't be used to test stolen cards
+      const rateLimitOnIP = new RateLimit(
+        `update_payment_method_with_token_${req.ip}`,
+        config.limits.updatePaymentMethodWithTokenPerMinutePerIp,
+        60,
+      );
+
+      if (!(await rateLimitOnIP.registerCall())) {
+        throw new RateLimitExceeded();
       }
 
-      return order;
+      const order = await getOrderFromPaymentMethodUpdateToken(args.token);
+      if (!order) {
+        throw new Unauthorized('This link is invalid or has expired');
+      } else if (!order.Subscription.isActive && order.status !== status.PAUSED) {
+        throw new ValidationFailed('This recurring contribution is not active anymore');
+      }
+
+      const user = order.createdByUser;
+      let paymentMethod = await models.PaymentMethod.create({
+        service: 'stripe',
+        type: 'creditcard',
+        name: args.name,
+        CreatedByUserId: user.id,
+        currency: order.currency,
+        saved: true,
+        CollectiveId: order.FromCollectiveId,
+        token: args.creditCardInfo.token,
+        data: pick(args.creditCardInfo, ['brand', 'country', 'expMonth', 'expYear', 'fullName', 'funding', 'zip']),
+      });
+
+      try {
+        paymentMethod = await setupCreditCard(paymentMethod, { collective: order.fromCollective, user });
+      } catch (error) {
+        if (!error.stripeResponse) {
+          throw error;
+        }
+
+        const stripeError = { message: error.message, account: error.stripeAccount, response: error.stripeResponse };
+        return { order, stripeError };
+      }
+
+      await paymentMethod.update({ confirmedAt: new Date(), data: omit(paymentMethod.data, ['setupIntent']) });
+      await user.populateRoles();
+      const updatedOrder = await updatePaymentMethodForSubscription(user, order, paymentMethod);
+      return { order: updatedOrder };
     },
   },
   confirmOrder: {
@@ -294,27 +491,7 @@ const orderMutations = {
     },
     async resolve(_, args, req) {
       const order = await fetchOrderWithReference(args.order);
-      const toAccount = await req.loaders.Collective.byId.load(order.CollectiveId);
-
-      if (!req.remoteUser?.isAdmin(toAccount.HostCollectiveId)) {
-        throw new Unauthorized('Only host admins can process orders');
-      }
-
-      if (args.action === 'MARK_AS_PAID') {
-        if (!(await canMarkAsPaid(req, order))) {
-          throw new ValidationFailed(`Only pending/expired orders can be marked as paid, this one is ${order.status}`);
-        }
-
-        return order.markAsPaid(req.remoteUser);
-      } else if (args.action === 'MARK_AS_EXPIRED') {
-        if (!(await canMarkAsExpired(req, order))) {
-          throw new ValidationFailed(`Only pending orders can be marked as expired, this one is ${order.status}`);
-        }
-
-        return order.markAsExpired();
-      } else {
-        throw new BadRequest(`Unknown action ${args.action}`);
-      }
+      return processPendingOrder(req, order, args.action);
     },
   },
 };
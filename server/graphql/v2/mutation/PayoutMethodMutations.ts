@@ -1,3 +1,4 @@
+import config from 'config';
 import express from 'express';
 import { GraphQLNonNull, GraphQLString } from 'graphql';
 import { pick } from 'lodash';
@@ -5,11 +6,13 @@ import { pick } from 'lodash';
 import logger from '../../../lib/logger';
 import models from '../../../models';
 import PayoutMethodModel from '../../../models/PayoutMethod';
-import { Forbidden, NotFound, Unauthorized } from '../../errors';
+import * as stripeExpress from '../../../paymentProviders/stripe/express';
+import { Forbidden, NotFound, Unauthorized, ValidationFailed } from '../../errors';
 import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
 import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
 import { PayoutMethodInput } from '../input/PayoutMethodInput';
 import PayoutMethod from '../object/PayoutMethod';
+import { StripeExpressAccountLink } from '../object/StripeExpressAccountLink';
 
 const payoutMethodMutations = {
   createPayoutMethod: {
@@ -60,6 +63,47 @@ const payoutMethodMutations = {
       });
     },
   },
+  createStripeExpressAccountLink: {
+    type: new GraphQLNonNull(StripeExpressAccountLink),
+    description:
+      'Get a link to onboard a Stripe Express account, to get paid by the given host through Stripe. Creates the payout method if needed.',
+    args: {
+      account: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+        description: 'Account where the payout method will be associated',
+      },
+      host: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+        description: 'The host that will pay the expenses',
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<Record<string, unknown>> {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to create a payout method');
+      }
+
+      const collective = await fetchAccountWithReference(args.account, { loaders: req.loaders, throwIfMissing: true });
+      if (!req.remoteUser.isAdminOfCollective(collective)) {
+        throw new Unauthorized("You don't have permission to edit this collective");
+      }
+
+      const host = await fetchAccountWithReference(args.host, { loaders: req.loaders, throwIfMissing: true });
+      if (!host.isHostAccount) {
+        throw new ValidationFailed('This account is not a host');
+      } else if (!stripeExpress.hasStripeExpressPayouts(host)) {
+        throw new ValidationFailed(`${host.name} does not pay expenses with Stripe`);
+      }
+
+      const payoutMethod = await stripeExpress.getOrCreatePayoutMethod(host, collective, req.remoteUser);
+      const collectiveUrl = `${config.host.website}/${collective.slug}`;
+      const accountLink = await stripeExpress.createAccountLink(payoutMethod, {
+        returnUrl: collectiveUrl,
+        refreshUrl: collectiveUrl,
+      });
+
+      return { ...accountLink, payoutMethod };
+    },
+  },
   removePayoutMethod: {
     description: 'Remove the given payout method',
     type: new GraphQLNonNull(PayoutMethod),
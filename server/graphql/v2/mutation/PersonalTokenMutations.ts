@@ -0,0 +1,99 @@
+import config from 'config';
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+import { isEmpty } from 'lodash';
+
+import models from '../../../models';
+import { isUsingScopedToken } from '../../common/scope-check';
+import { Forbidden, RateLimitExceeded, Unauthorized, ValidationFailed } from '../../errors';
+import { fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { PersonalTokenCreateInput } from '../input/PersonalTokenCreateInput';
+import { fetchPersonalTokenWithReference, PersonalTokenReferenceInput } from '../input/PersonalTokenReferenceInput';
+import { PersonalToken } from '../object/PersonalToken';
+
+/**
+ * A scoped token must not be able to create other tokens (which could have more scopes than itself)
+ */
+const checkCanManagePersonalTokens = (req: express.Request): void => {
+  if (!req.remoteUser) {
+    throw new Unauthorized('You need to be logged in to manage personal tokens');
+  } else if (isUsingScopedToken(req)) {
+    throw new Forbidden('Personal tokens cannot be managed with a personal token or an OAuth token');
+  }
+};
+
+const personalTokenMutations = {
+  createPersonalToken: {
+    type: new GraphQLNonNull(PersonalToken),
+    description: 'Create a personal token to use the API on behalf of the logged in user',
+    args: {
+      personalToken: {
+        type: new GraphQLNonNull(PersonalTokenCreateInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<typeof models.Application> {
+      checkCanManagePersonalTokens(req);
+
+      const { name, scopes, expiresAt, limitedToAccounts } = args.personalToken;
+      if (isEmpty(scopes)) {
+        throw new ValidationFailed('A personal token needs at least one scope');
+      } else if (expiresAt && expiresAt < new Date()) {
+        throw new ValidationFailed('The expiry date must be in the future');
+      }
+
+      let limitedToCollectiveIds = null;
+      if (!isEmpty(limitedToAccounts)) {
+        const accounts: Array<typeof models.Collective> = await Promise.all(
+          limitedToAccounts.map(account =>
+            fetchAccountWithReference(account, { loaders: req.loaders, throwIfMissing: true }),
+          ),
+        );
+        for (const account of accounts) {
+          if (!req.remoteUser.isAdminOfCollective(account)) {
+            throw new Forbidden(`You need to be an admin of ${account.name} to restrict a token to it`);
+          }
+        }
+        limitedToCollectiveIds = accounts.map(account => account.id);
+      }
+
+      const numberOfAppsForThisUser = await models.Application.count({
+        where: { CollectiveId: req.remoteUser.CollectiveId },
+      });
+      if (numberOfAppsForThisUser >= config.limits.maxNumberOfAppsPerUser) {
+        throw new RateLimitExceeded('You have reached the maximum number of applications for this user');
+      }
+
+      return models.Application.create({
+        type: 'personalToken',
+        name,
+        scopes,
+        expiresAt,
+        limitedToCollectiveIds,
+        CreatedByUserId: req.remoteUser.id,
+        CollectiveId: req.remoteUser.CollectiveId,
+      });
+    },
+  },
+  deletePersonalToken: {
+    type: new GraphQLNonNull(PersonalToken),
+    description: 'Revoke a personal token. It will stop working immediately.',
+    args: {
+      personalToken: {
+        type: new GraphQLNonNull(PersonalTokenReferenceInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<typeof models.Application> {
+      checkCanManagePersonalTokens(req);
+
+      const personalToken = await fetchPersonalTokenWithReference(args.personalToken, { throwIfMissing: true });
+      if (personalToken.CreatedByUserId !== req.remoteUser.id) {
+        throw new Forbidden('You can only revoke your own personal tokens');
+      }
+
+      await personalToken.destroy();
+      return personalToken;
+    },
+  },
+};
+
+export default personalTokenMutations;
@@ -0,0 +1,144 @@
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+import { pick } from 'lodash';
+
+import { canManageRecurringExpenses } from '../../../lib/recurring-expenses';
+import models from '../../../models';
+import { RecurringExpense as RecurringExpenseModel } from '../../../models/RecurringExpense';
+import { Forbidden, Unauthorized, ValidationFailed } from '../../errors';
+import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { RecurringExpenseCreateInput } from '../input/RecurringExpenseCreateInput';
+import {
+  fetchRecurringExpenseWithReference,
+  RecurringExpenseReferenceInput,
+} from '../input/RecurringExpenseReferenceInput';
+import { RecurringExpenseUpdateInput } from '../input/RecurringExpenseUpdateInput';
+import { RecurringExpense } from '../object/RecurringExpense';
+
+const EDITABLE_FIELDS = ['interval', 'nextDueDate', 'endDate', 'type', 'description', 'tags', 'items'];
+
+const checkCanManageRecurringExpenses = (req: express.Request, account: typeof models.Collective): void => {
+  if (!req.remoteUser) {
+    throw new Unauthorized('You need to be logged in to manage recurring expenses');
+  } else if (!canManageRecurringExpenses(req.remoteUser, account)) {
+    throw new Forbidden('You need to be an admin of the account or its host to manage its recurring expenses');
+  }
+};
+
+/** Returns the id of the payout method, making sure it belongs to the payee */
+const getPayoutMethodId = async (payoutMethodInput, payeeId: number): Promise<number | null> => {
+  if (!payoutMethodInput?.id) {
+    return null;
+  }
+
+  const payoutMethod = await models.PayoutMethod.findByPk(
+    idDecode(payoutMethodInput.id, IDENTIFIER_TYPES.PAYOUT_METHOD),
+  );
+  if (!payoutMethod || payoutMethod.CollectiveId !== payeeId) {
+    throw new ValidationFailed('The payout method must be one of the payee');
+  }
+
+  return payoutMethod.id;
+};
+
+const checkDates = (nextDueDate: Date, endDate: Date | null): void => {
+  if (endDate && nextDueDate > endDate) {
+    throw new ValidationFailed('The next due date must be before the end date');
+  }
+};
+
+const recurringExpenseMutations = {
+  createRecurringExpense: {
+    type: new GraphQLNonNull(RecurringExpense),
+    description: 'Create a template for an expense that will be drafted at a regular interval',
+    args: {
+      account: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+        description: 'Account where the expenses will be submitted',
+      },
+      recurringExpense: {
+        type: new GraphQLNonNull(RecurringExpenseCreateInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<RecurringExpenseModel> {
+      const account = await fetchAccountWithReference(args.account, { loaders: req.loaders, throwIfMissing: true });
+      checkCanManageRecurringExpenses(req, account);
+
+      const { recurringExpense } = args;
+      const payee = await fetchAccountWithReference(recurringExpense.payee, { throwIfMissing: true });
+      checkDates(recurringExpense.nextDueDate, recurringExpense.endDate);
+      return models.RecurringExpense.create({
+        interval: recurringExpense.interval,
+        startDate: recurringExpense.nextDueDate,
+        nextDueDate: recurringExpense.nextDueDate,
+        endDate: recurringExpense.endDate,
+        type: recurringExpense.type,
+        description: recurringExpense.description,
+        tags: recurringExpense.tags,
+        items: recurringExpense.items,
+        CollectiveId: account.id,
+        FromCollectiveId: payee.id,
+        PayoutMethodId: await getPayoutMethodId(recurringExpense.payoutMethod, payee.id),
+        CreatedByUserId: req.remoteUser.id,
+      });
+    },
+  },
+  editRecurringExpense: {
+    type: new GraphQLNonNull(RecurringExpense),
+    description: 'Edit a recurring expense. The changes apply to the next drafts.',
+    args: {
+      recurringExpense: {
+        type: new GraphQLNonNull(RecurringExpenseUpdateInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<RecurringExpenseModel> {
+      const recurringExpense = await fetchRecurringExpenseWithReference(args.recurringExpense, {
+        throwIfMissing: true,
+      });
+      const account = await req.loaders.Collective.byId.load(recurringExpense.CollectiveId);
+      checkCanManageRecurringExpenses(req, account);
+
+      const values = pick(args.recurringExpense, EDITABLE_FIELDS);
+      if (args.recurringExpense.payoutMethod !== undefined) {
+        values['PayoutMethodId'] = await getPayoutMethodId(
+          args.recurringExpense.payoutMethod,
+          recurringExpense.FromCollectiveId,
+        );
+      }
+
+      checkDates(
+        values['nextDueDate'] || recurringExpense.nextDueDate,
+        values['endDate'] !== undefined ? values['endDate'] : recurringExpense.endDate,
+      );
+
+      // The next due dates are computed from the start date, which moves when the schedule changes
+      if (values['nextDueDate'] || values['interval']) {
+        values['startDate'] = values['nextDueDate'] || recurringExpense.nextDueDate;
+      }
+
+      return recurringExpense.update(values);
+    },
+  },
+  deleteRecurringExpense: {
+    type: new GraphQLNonNull(RecurringExpense),
+    description: 'Delete a recurring expense. The expenses that were already drafted are not affected.',
+    args: {
+      recurringExpense: {
+        type: new GraphQLNonNull(RecurringExpenseReferenceInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<RecurringExpenseModel> {
+      const recurringExpense = await fetchRecurringExpenseWithReference(args.recurringExpense, {
+        throwIfMissing: true,
+      });
+      const account = await req.loaders.Collective.byId.load(recurringExpense.CollectiveId);
+      checkCanManageRecurringExpenses(req, account);
+
+      await recurringExpense.destroy();
+      return recurringExpense;
+    },
+  },
+};
+
+export default recurringExpenseMutations;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { GraphQLInt, GraphQLNonNull } from 'graphql';
+
+import { joinWaitlist, leaveWaitlist } from '../../../lib/waitlists';
+import models from '../../../models';
+import { Unauthorized } from '../../errors';
+import { fetchTierWithReference, TierReferenceInput } from '../input/TierReferenceInput';
+import { Tier } from '../object/Tier';
+
+const tierMutations = {
+  joinTierWaitlist: {
+    type: new GraphQLNonNull(Tier),
+    description: 'Join the waitlist of a sold out tier, to be notified when a spot is available',
+    args: {
+      tier: {
+        type: new GraphQLNonNull(TierReferenceInput),
+      },
+      quantity: {
+        type: new GraphQLNonNull(GraphQLInt),
+        defaultValue: 1,
+        description: 'The number of spots to wait for',
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<typeof models.Tier> {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to join a waitlist');
+      }
+
+      const tier = await fetchTierWithReference(args.tier, { loaders: req.loaders, throwIfMissing: true });
+      await joinWaitlist(tier, req.remoteUser, args.quantity);
+      return tier;
+    },
+  },
+  leaveTierWaitlist: {
+    type: new GraphQLNonNull(Tier),
+    description: 'Leave the waitlist of a tier. If a spot was reserved, it is offered to the next person.',
+    args: {
+      tier: {
+        type: new GraphQLNonNull(TierReferenceInput),
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<typeof models.Tier> {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to leave a waitlist');
+      }
+
+      const tier = await fetchTierWithReference(args.tier, { loaders: req.loaders, throwIfMissing: true });
+      await leaveWaitlist(tier, req.remoteUser);
+      return tier;
+    },
+  },
+};
+
+export default tierMutations;
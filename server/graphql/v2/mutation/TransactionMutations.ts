@@ -5,6 +5,7 @@ import orderStatus from '../../../constants/order_status';
 import { TransactionKind } from '../../../constants/transaction-kind';
 import { purgeCacheForCollective } from '../../../lib/cache';
 import { notifyAdminsOfCollective } from '../../../lib/notifications';
+import { processWaitlistForOrder } from '../../../lib/waitlists';
 import models from '../../../models';
 import { canReject } from '../../common/transactions';
 import { Forbidden, NotFound, Unauthorized, ValidationFailed } from '../../errors';
@@ -149,6 +150,8 @@ const transactionMutations = {
         });
       }
 
+      await processWaitlistForOrder(orderToUpdate);
+
       // get membership info & remove member from Collective
       const fromAccount = await models.Collective.findByPk(transaction.FromCollectiveId);
       await models.Member.destroy({
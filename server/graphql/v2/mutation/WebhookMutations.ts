@@ -0,0 +1,38 @@
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+
+import { redeliverWebhookDelivery } from '../../../lib/webhook-deliveries';
+import { WebhookDelivery as WebhookDeliveryModel } from '../../../models/WebhookDelivery';
+import { Unauthorized } from '../../errors';
+import {
+  fetchWebhookDeliveryWithReference,
+  WebhookDeliveryReferenceInput,
+} from '../input/WebhookDeliveryReferenceInput';
+import { WebhookDelivery } from '../object/WebhookDelivery';
+
+const webhookMutations = {
+  redeliverWebhookDelivery: {
+    type: new GraphQLNonNull(WebhookDelivery),
+    description: 'Send again the payload of a past webhook delivery. Returns the new delivery.',
+    args: {
+      delivery: {
+        type: new GraphQLNonNull(WebhookDeliveryReferenceInput),
+        description: 'Reference to the delivery to send again',
+      },
+    },
+    async resolve(_: void, args, req: express.Request): Promise<WebhookDeliveryModel> {
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to redeliver a webhook');
+      }
+
+      const delivery = await fetchWebhookDeliveryWithReference(args.delivery, { throwIfMissing: true });
+      if (!req.remoteUser.isAdmin(delivery.webhook.CollectiveId)) {
+        throw new Unauthorized('You need to be an admin of the account to redeliver this webhook');
+      }
+
+      return redeliverWebhookDelivery(delivery);
+    },
+  },
+};
+
+export default webhookMutations;
@@ -1,5 +1,10 @@
+import Scope from '../../../constants/scopes';
+import { withScope } from '../../common/scope-check';
+
 import accountMutations from './AccountMutations';
 import { addFundsMutation } from './AddFundsMutations';
+import bankStatementMutations from './BankStatementMutations';
+import budgetLineMutations from './BudgetLineMutations';
 import commentMutations from './CommentMutations';
 import connectedAccountMutations from './ConnectedAccountMutations';
 import conversationMutations from './ConversationMutations';
@@ -14,36 +19,52 @@ import hostApplicationMutations from './HostApplicationMutations';
 import individualMutations from './IndividualMutations';
 import memberInvitationMutations from './MemberInvitationMutations';
 import memberMutations from './MemberMutations';
+import moderationMutations from './ModerationMutations';
+import oAuthAuthorizationMutations from './OAuthAuthorizationMutations';
 import orderMutations from './OrderMutations';
 import paymentMethodMutations from './PaymentMethodMutations';
 import payoutMethodMutations from './PayoutMethodMutations';
+import personalTokenMutations from './PersonalTokenMutations';
+import recurringExpenseMutations from './RecurringExpenseMutations';
+import tierMutations from './TierMutations';
 import transactionMutations from './TransactionMutations';
 import updateMutations from './UpdateMutations';
 import virtualCardMutations from './VirtualCardMutations';
+import webhookMutations from './WebhookMutations';
 
 const mutation = {
-  addFunds: addFundsMutation,
-  createCollective: createCollectiveMutation,
-  createFund: createFundMutation,
-  createOrganization: createOrganizationMutation,
-  createProject: createProjectMutation,
-  ...commentMutations,
-  ...connectedAccountMutations,
-  ...conversationMutations,
-  ...expenseMutations,
-  ...emojiReactionMutations,
-  ...hostApplicationMutations,
-  ...accountMutations,
+  ...withScope(Scope.ORDERS_WRITE, { addFunds: addFundsMutation }),
+  ...withScope(Scope.ACCOUNT_WRITE, {
+    createCollective: createCollectiveMutation,
+    createFund: createFundMutation,
+    createOrganization: createOrganizationMutation,
+    createProject: createProjectMutation,
+  }),
+  ...withScope(Scope.CONVERSATIONS_WRITE, commentMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, budgetLineMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, connectedAccountMutations),
+  ...withScope(Scope.CONVERSATIONS_WRITE, conversationMutations),
+  ...withScope(Scope.EXPENSES_WRITE, expenseMutations),
+  ...withScope(Scope.EXPENSES_WRITE, recurringExpenseMutations),
+  ...withScope(Scope.CONVERSATIONS_WRITE, emojiReactionMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, hostApplicationMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, accountMutations),
   ...guestMutations,
-  ...payoutMethodMutations,
-  ...orderMutations,
-  ...paymentMethodMutations,
-  ...transactionMutations,
-  ...memberMutations,
-  ...memberInvitationMutations,
-  ...updateMutations,
-  ...individualMutations,
-  ...virtualCardMutations,
+  ...withScope(Scope.ACCOUNT_WRITE, payoutMethodMutations),
+  ...withScope(Scope.ORDERS_WRITE, orderMutations),
+  ...withScope(Scope.ORDERS_WRITE, bankStatementMutations),
+  ...withScope(Scope.ORDERS_WRITE, paymentMethodMutations),
+  ...withScope(Scope.ORDERS_WRITE, tierMutations),
+  ...personalTokenMutations,
+  ...oAuthAuthorizationMutations,
+  ...withScope(Scope.TRANSACTIONS_WRITE, transactionMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, memberMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, memberInvitationMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, moderationMutations),
+  ...withScope(Scope.UPDATES_WRITE, updateMutations),
+  ...withScope(Scope.ACCOUNT_WRITE, individualMutations),
+  ...withScope(Scope.VIRTUAL_CARDS_WRITE, virtualCardMutations),
+  ...withScope(Scope.WEBHOOKS_WRITE, webhookMutations),
 };
 
 export default mutation;
@@ -0,0 +1,34 @@
+import { GraphQLInt, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+import URL from '../scalar/URL';
+
+export const Application = new GraphQLObjectType({
+  name: 'Application',
+  description: 'A third-party application that can use the API on behalf of users, through OAuth',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.APPLICATION),
+    },
+    legacyId: {
+      type: new GraphQLNonNull(GraphQLInt),
+      resolve: application => application.id,
+    },
+    name: {
+      type: GraphQLString,
+    },
+    description: {
+      type: GraphQLString,
+    },
+    clientId: {
+      type: GraphQLString,
+      description: 'The public identifier of the application, used in the OAuth flow',
+    },
+    redirectUri: {
+      type: URL,
+      description: 'The URL users are sent back to after authorizing the application',
+      resolve: application => application.callbackUrl,
+    },
+  }),
+});
@@ -0,0 +1,58 @@
+import { GraphQLFloat, GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { BankStatementMatchCriterion } from '../enum/BankStatementMatchCriterion';
+
+import { Amount } from './Amount';
+import { Order } from './Order';
+
+export const BankStatementMatch = new GraphQLObjectType({
+  name: 'BankStatementMatch',
+  description: 'A pending order that a bank statement line could be paying for',
+  fields: () => ({
+    order: {
+      type: new GraphQLNonNull(Order),
+    },
+    confidence: {
+      type: new GraphQLNonNull(GraphQLFloat),
+      description: 'How likely it is that the line pays for this order, between 0 and 1',
+    },
+    criteria: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(BankStatementMatchCriterion))),
+    },
+  }),
+});
+
+export const BankStatementLine = new GraphQLObjectType({
+  name: 'BankStatementLine',
+  description: 'A payment received on the bank account of the host, as found in a bank statement',
+  fields: () => ({
+    lineNumber: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Position of the entry in the bank statement, starting at 1',
+    },
+    bankReference: {
+      type: GraphQLString,
+      description: 'Identifier of the transaction given by the bank',
+    },
+    date: {
+      type: GraphQLDateTime,
+    },
+    amount: {
+      type: new GraphQLNonNull(Amount),
+      resolve: line => ({ value: line.amount, currency: line.currency }),
+    },
+    reference: {
+      type: GraphQLString,
+      description: 'The payment details entered by the payer',
+    },
+    payerName: {
+      type: GraphQLString,
+    },
+    matches: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(BankStatementMatch))),
+      description:
+        'The pending orders this line could be paying for, best match first. An order is only proposed first for one line.',
+    },
+  }),
+});
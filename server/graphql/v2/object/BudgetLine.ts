@@ -0,0 +1,59 @@
+import { GraphQLInt, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { BudgetEnforcement } from '../enum/BudgetEnforcement';
+import { BudgetPeriod } from '../enum/BudgetPeriod';
+import { ExpenseType } from '../enum/ExpenseType';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+import { Account } from '../interface/Account';
+
+import { Amount } from './Amount';
+
+export const BudgetLine = new GraphQLObjectType({
+  name: 'BudgetLine',
+  description: 'A spending limit for the expenses of an account, per tag and/or expense type',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.BUDGET_LINE),
+    },
+    legacyId: {
+      type: new GraphQLNonNull(GraphQLInt),
+      resolve: budgetLine => budgetLine.id,
+    },
+    account: {
+      type: new GraphQLNonNull(Account),
+      resolve(budgetLine, _, req) {
+        return req.loaders.Collective.byId.load(budgetLine.CollectiveId);
+      },
+    },
+    name: {
+      type: new GraphQLNonNull(GraphQLString),
+    },
+    tag: {
+      type: GraphQLString,
+      description: 'Only the expenses with this tag are counted',
+    },
+    expenseType: {
+      type: ExpenseType,
+      description: 'Only the expenses of this type are counted',
+    },
+    period: {
+      type: new GraphQLNonNull(BudgetPeriod),
+    },
+    amount: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The maximum amount that can be spent over a period, in the account currency',
+      async resolve(budgetLine, _, req) {
+        const collective = await req.loaders.Collective.byId.load(budgetLine.CollectiveId);
+        return { value: budgetLine.amount, currency: collective.currency };
+      },
+    },
+    enforcement: {
+      type: new GraphQLNonNull(BudgetEnforcement),
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+  }),
+});
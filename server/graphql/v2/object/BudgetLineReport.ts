@@ -0,0 +1,41 @@
+import { GraphQLNonNull, GraphQLObjectType } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { Amount } from './Amount';
+import { BudgetLine } from './BudgetLine';
+
+export const BudgetLineReport = new GraphQLObjectType({
+  name: 'BudgetLineReport',
+  description: 'The budget-vs-actual report of a budget line, for one period',
+  fields: () => ({
+    budgetLine: {
+      type: new GraphQLNonNull(BudgetLine),
+    },
+    startDate: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+    endDate: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+    budget: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The amount of the budget line',
+      resolve: report => ({ value: report.budgetLine.amount, currency: report.currency }),
+    },
+    spent: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The sum of the paid expenses',
+      resolve: report => ({ value: report.spent, currency: report.currency }),
+    },
+    committed: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The sum of the expenses that are submitted but not paid yet',
+      resolve: report => ({ value: report.committed, currency: report.currency }),
+    },
+    remaining: {
+      type: new GraphQLNonNull(Amount),
+      description: 'What is left once the spent and committed amounts are deducted. Negative when over budget.',
+      resolve: report => ({ value: report.remaining, currency: report.currency }),
+    },
+  }),
+});
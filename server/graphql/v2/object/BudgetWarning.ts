@@ -0,0 +1,41 @@
+import { GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { BudgetPeriod } from '../enum/BudgetPeriod';
+
+import { Amount } from './Amount';
+import { BudgetLine } from './BudgetLine';
+
+export const BudgetWarning = new GraphQLObjectType({
+  name: 'BudgetWarning',
+  description: 'A budget line that was exceeded when the expense was submitted or paid',
+  fields: () => ({
+    budgetLine: {
+      type: BudgetLine,
+      description: 'The budget line, null if it was deleted since',
+      resolve(warning, _, req) {
+        return req.loaders.BudgetLine.byId.load(warning.BudgetLineId);
+      },
+    },
+    name: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The name of the budget line when the warning was raised',
+    },
+    period: {
+      type: new GraphQLNonNull(BudgetPeriod),
+    },
+    startDate: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'The start of the period that was exceeded',
+    },
+    budget: {
+      type: new GraphQLNonNull(Amount),
+      resolve: warning => ({ value: warning.amount, currency: warning.currency }),
+    },
+    projected: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The total for the period, including the expense',
+      resolve: warning => ({ value: warning.projected, currency: warning.currency }),
+    },
+  }),
+});
@@ -1,8 +1,10 @@
-import { GraphQLList, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
 import { GraphQLDateTime } from 'graphql-iso-date';
 import { GraphQLJSON } from 'graphql-type-json';
 
+import models from '../../../models';
 import { collectiveResolver, fromCollectiveResolver } from '../../common/comment';
+import { CommentCollection } from '../collection/CommentCollection';
 import { getIdEncodeResolver } from '../identifiers';
 import { Account } from '../interface/Account';
 
@@ -29,6 +31,44 @@ const Comment = new GraphQLObjectType({
         type: Account,
         resolve: collectiveResolver,
       },
+      parentComment: {
+        type: Comment,
+        description: 'The comment this one replies to, if any',
+        resolve(comment, _, req) {
+          if (comment.ParentCommentId) {
+            return req.loaders.Comment.byId.load(comment.ParentCommentId);
+          }
+        },
+      },
+      replies: {
+        type: new GraphQLNonNull(CommentCollection),
+        description: 'The replies to this comment, oldest first. Replies can have replies too.',
+        args: {
+          limit: { type: GraphQLInt, defaultValue: 100 },
+          offset: { type: GraphQLInt, defaultValue: 0 },
+        },
+        async resolve(comment, { limit, offset }) {
+          if (limit > 100) {
+            throw new Error('Cannot fetch more than 100 replies at the same time, please adjust the limit');
+          }
+
+          const { count, rows } = await models.Comment.findAndCountAll({
+            where: { ParentCommentId: comment.id },
+            order: [['createdAt', 'ASC']],
+            limit,
+            offset,
+          });
+
+          return { nodes: rows, totalCount: count, limit, offset };
+        },
+      },
+      repliesCount: {
+        type: new GraphQLNonNull(GraphQLInt),
+        description: 'Number of direct replies to this comment',
+        resolve(comment, _, req) {
+          return req.loaders.Comment.countRepliesByParentCommentId.load(comment.id);
+        },
+      },
       reactions: {
         type: GraphQLJSON,
         description: 'Returns a map of reactions counts for this comment',
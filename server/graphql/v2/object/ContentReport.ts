@@ -0,0 +1,23 @@
+import { GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { ModerationStatus } from '../enum/ModerationStatus';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+
+export const ContentReport = new GraphQLObjectType({
+  name: 'ContentReport',
+  description:
+    'A report made by the logged-in user, as returned to the reporter. See `ModerationReport` for moderators.',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.MODERATION_REPORT),
+    },
+    status: {
+      type: new GraphQLNonNull(ModerationStatus),
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+  }),
+});
@@ -1,4 +1,4 @@
-import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLBoolean, GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
 import { GraphQLDateTime } from 'graphql-iso-date';
 
 import models, { Op } from '../../../models';
@@ -49,9 +49,19 @@ const Conversation = new GraphQLObjectType({
         args: {
           limit: { type: GraphQLInt },
           offset: { type: GraphQLInt },
+          threaded: {
+            type: GraphQLBoolean,
+            defaultValue: false,
+            description:
+              'Only return the top-level comments. Use the `replies` field of the comments to fetch the rest of the threads.',
+          },
         },
-        async resolve(conversation, _, { limit, offset }) {
+        async resolve(conversation, { limit, offset, threaded }) {
           const where = { ConversationId: conversation.id, id: { [Op.not]: conversation.RootCommentId } };
+          if (threaded) {
+            where.ParentCommentId = null;
+          }
+
           const order = [['createdAt', 'ASC']];
           const query = { where, order };
 
@@ -1,10 +1,13 @@
 import { GraphQLBoolean, GraphQLNonNull, GraphQLObjectType } from 'graphql';
 
+import { getAttendanceReport } from '../../../lib/tickets';
+import { Unauthorized } from '../../errors';
 import { Account, AccountFields } from '../interface/Account';
 import { AccountWithContributions, AccountWithContributionsFields } from '../interface/AccountWithContributions';
 import { AccountWithHost, AccountWithHostFields } from '../interface/AccountWithHost';
 
 import { Collective } from './Collective';
+import { EventAttendanceReport } from './EventAttendanceReport';
 
 export const Event = new GraphQLObjectType({
   name: 'Event',
@@ -39,6 +42,17 @@ export const Event = new GraphQLObjectType({
           }
         },
       },
+      attendanceReport: {
+        description: 'The attendees of the event and whether they checked in. Only available to the admins.',
+        type: new GraphQLNonNull(EventAttendanceReport),
+        async resolve(event, _, req) {
+          if (!req.remoteUser?.isAdminOfCollective(event)) {
+            throw new Unauthorized('You need to be logged in as an admin of the event to see its attendance');
+          }
+
+          return getAttendanceReport(event);
+        },
+      },
       parentCollective: {
         description: 'The Collective hosting this Event',
         deprecationReason: '2020/07/01 - Use parent instead.',
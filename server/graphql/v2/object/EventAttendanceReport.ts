@@ -0,0 +1,40 @@
+import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType } from 'graphql';
+
+import { EventAttendanceStatus } from '../enum/EventAttendanceStatus';
+
+import { EventTicket } from './EventTicket';
+
+const EventAttendee = new GraphQLObjectType({
+  name: 'EventAttendee',
+  description: 'An attendee of an event, with the status of their ticket',
+  fields: () => ({
+    ticket: {
+      type: new GraphQLNonNull(EventTicket),
+    },
+    status: {
+      type: new GraphQLNonNull(EventAttendanceStatus),
+    },
+  }),
+});
+
+export const EventAttendanceReport = new GraphQLObjectType({
+  name: 'EventAttendanceReport',
+  description: 'The attendees of an event, and whether they showed up',
+  fields: () => ({
+    attendees: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(EventAttendee))),
+    },
+    totalCount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of tickets',
+    },
+    checkedInCount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of tickets checked in at the entrance',
+    },
+    noShowCount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of tickets never checked in, once the event is over',
+    },
+  }),
+});
@@ -0,0 +1,35 @@
+import { GraphQLInt, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { Account } from '../interface/Account';
+
+import { Order } from './Order';
+
+export const EventTicket = new GraphQLObjectType({
+  name: 'EventTicket',
+  description: 'A ticket to an event. Orders have one ticket for each unit they bought.',
+  fields: () => ({
+    code: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The code of the ticket, to encode in a QR code and scan at the entrance',
+    },
+    ticketNumber: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'The number of the ticket within its order, from 1 to the quantity',
+    },
+    order: {
+      type: new GraphQLNonNull(Order),
+    },
+    account: {
+      type: new GraphQLNonNull(Account),
+      description: 'The account that ordered the ticket',
+      resolve(ticket, _, req) {
+        return req.loaders.Collective.byId.load(ticket.order.FromCollectiveId);
+      },
+    },
+    checkedInAt: {
+      type: GraphQLDateTime,
+      description: 'When the ticket was checked in at the entrance',
+    },
+  }),
+});
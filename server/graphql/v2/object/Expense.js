@@ -1,9 +1,10 @@
-import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLBoolean, GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
 import { GraphQLDateTime } from 'graphql-iso-date';
 import GraphQLJSON from 'graphql-type-json';
 import { pick } from 'lodash';
 
 import expenseStatus from '../../../constants/expense_status';
+import { getExpenseApprovalRequirements, getExpenseApprovals } from '../../../lib/expense-approvals';
 import models, { Op } from '../../../models';
 import { allowContextPermission, PERMISSION_TYPE } from '../../common/context-permissions';
 import * as ExpensePermissionsLib from '../../common/expenses';
@@ -18,6 +19,7 @@ import { Account } from '../interface/Account';
 import { CollectionArgs } from '../interface/Collection';
 
 import { Activity } from './Activity';
+import { BudgetWarning } from './BudgetWarning';
 import ExpenseAttachedFile from './ExpenseAttachedFile';
 import ExpenseItem from './ExpenseItem';
 import ExpensePermissions from './ExpensePermissions';
@@ -88,8 +90,14 @@ const Expense = new GraphQLObjectType({
             type: ChronologicalOrderInput,
             defaultValue: { field: 'createdAt', direction: 'ASC' },
           },
+          threaded: {
+            type: GraphQLBoolean,
+            defaultValue: false,
+            description:
+              'Only return the top-level comments. Use the `replies` field of the comments to fetch the rest of the threads.',
+          },
         },
-        async resolve(expense, { limit, offset, orderBy }, req) {
+        async resolve(expense, { limit, offset, orderBy, threaded }, req) {
           if (!(await ExpensePermissionsLib.canComment(req, expense))) {
             return null;
           }
@@ -97,6 +105,7 @@ const Expense = new GraphQLObjectType({
           const { count, rows } = await models.Comment.findAndCountAll({
             where: {
               ExpenseId: { [Op.eq]: expense.id },
+              ...(threaded ? { ParentCommentId: null } : {}),
             },
             order: [[orderBy.field, orderBy.direction]],
             offset,
@@ -141,6 +150,24 @@ const Expense = new GraphQLObjectType({
           }
         },
       },
+      approvedBy: {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Account))),
+        description: 'The accounts of the admins who approved this expense since it was last submitted or edited',
+        async resolve(expense, _, req) {
+          const approvals = await getExpenseApprovals(expense);
+          const users = await req.loaders.User.byId.loadMany(approvals.map(approval => approval.UserId));
+          return req.loaders.Collective.byId.loadMany(users.filter(Boolean).map(user => user.CollectiveId));
+        },
+      },
+      requiredApprovals: {
+        type: new GraphQLNonNull(GraphQLInt),
+        description:
+          'The number of distinct admins that must approve this expense, as defined by the approval policies',
+        async resolve(expense) {
+          const { requiredApprovals } = await getExpenseApprovalRequirements(expense);
+          return requiredApprovals;
+        },
+      },
       payoutMethod: {
         type: PayoutMethod,
         description: 'The payout method to use for this expense',
@@ -211,6 +238,15 @@ const Expense = new GraphQLObjectType({
           }
         },
       },
+      budgetWarnings: {
+        type: new GraphQLList(new GraphQLNonNull(BudgetWarning)),
+        description: 'The budget lines exceeded by this expense when it was submitted or paid. Only visible to admins.',
+        async resolve(expense, _, req) {
+          if (await ExpensePermissionsLib.canSeeExpenseBudgetWarnings(req, expense)) {
+            return expense.data?.budgetWarnings || [];
+          }
+        },
+      },
       permissions: {
         type: new GraphQLNonNull(ExpensePermissions),
         description: 'The permissions given to current logged in user for this expense',
@@ -0,0 +1,22 @@
+import { GraphQLBoolean, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+
+import { Expense } from './Expense';
+
+export const ExpensePaymentResult = new GraphQLObjectType({
+  name: 'ExpensePaymentResult',
+  description: 'The result of paying an expense as part of a batch',
+  fields: () => ({
+    expense: {
+      type: new GraphQLNonNull(Expense),
+    },
+    success: {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      description:
+        'Whether the payment was sent. Some payouts (Wise, PayPal) are only processing, the expense will be marked as paid when they complete',
+    },
+    error: {
+      type: GraphQLString,
+      description: 'Why the expense could not be paid',
+    },
+  }),
+});
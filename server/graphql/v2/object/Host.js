@@ -1,18 +1,25 @@
 import { GraphQLBoolean, GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
-import { find, get, isEmpty, keyBy, mapValues } from 'lodash';
+import { GraphQLDateTime } from 'graphql-iso-date';
+import { find, get, isEmpty, keyBy, mapValues, pick } from 'lodash';
 
 import { types as CollectiveType, types as CollectiveTypes } from '../../../constants/collectives';
 import { PAYMENT_METHOD_SERVICE, PAYMENT_METHOD_TYPE } from '../../../constants/paymentMethods';
+import Scope from '../../../constants/scopes';
+import { exportHostLedger } from '../../../lib/accounting-export';
 import { FEATURE, hasFeature } from '../../../lib/allowed-features';
+import { getDunningMetrics } from '../../../lib/dunning';
 import models, { Op, sequelize } from '../../../models';
 import { PayoutMethodTypes } from '../../../models/PayoutMethod';
+import { hasStripeExpressPayouts } from '../../../paymentProviders/stripe/express';
 import TransferwiseLib from '../../../paymentProviders/transferwise';
 import { allowContextPermission, PERMISSION_TYPE } from '../../common/context-permissions';
+import { enforceScope } from '../../common/scope-check';
 import { Unauthorized } from '../../errors';
 import { AccountCollection } from '../collection/AccountCollection';
 import { HostApplicationCollection } from '../collection/HostApplicationCollection';
 import { VirtualCardCollection } from '../collection/VirtualCardCollection';
 import { PaymentMethodLegacyType, PayoutMethodType } from '../enum';
+import { AccountingExportFormat } from '../enum/AccountingExportFormat';
 import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
 import { ChronologicalOrderInput } from '../input/ChronologicalOrderInput';
 import { Account, AccountFields } from '../interface/Account';
@@ -21,6 +28,7 @@ import { CollectionArgs } from '../interface/Collection';
 import URL from '../scalar/URL';
 
 import { Amount } from './Amount';
+import { HostDunningMetrics } from './HostDunningMetrics';
 import { HostMetrics } from './HostMetrics';
 import { HostPlan } from './HostPlan';
 import { PaymentMethod } from './PaymentMethod';
@@ -82,6 +90,24 @@ export const Host = new GraphQLObjectType({
           return mapValues(metrics, (value, key) => (key.includes('Percent') ? value : toAmount(value)));
         },
       },
+      dunningMetrics: {
+        type: new GraphQLNonNull(HostDunningMetrics),
+        description: 'Revenue recovered, at risk and lost because of failing recurring contributions',
+        args: {
+          dateFrom: { type: GraphQLDateTime, description: 'Only count the charges and cancellations after this date' },
+          dateTo: { type: GraphQLDateTime, description: 'Only count the charges and cancellations before this date' },
+        },
+        async resolve(host, args, req) {
+          if (!req.remoteUser?.isAdmin(host.id)) {
+            throw new Unauthorized('You need to be logged in as an admin of the host to see its dunning metrics');
+          }
+
+          enforceScope(req, Scope.ORDERS_READ);
+          const metrics = await getDunningMetrics(host, pick(args, ['dateFrom', 'dateTo']));
+          const toAmount = value => ({ value, currency: host.currency });
+          return mapValues(metrics, (value, key) => (key.endsWith('Amount') ? toAmount(value) : value));
+        },
+      },
       supportedPaymentMethods: {
         type: new GraphQLList(PaymentMethodLegacyType),
         description:
@@ -103,6 +129,10 @@ export const Host = new GraphQLObjectType({
             supportedPaymentMethods.push('PAYPAL');
           }
 
+          if (find(connectedAccounts, ['service', 'thegivingblock'])) {
+            supportedPaymentMethods.push('CRYPTO');
+          }
+
           // bank transfer = manual in host settings
           if (get(collective, 'settings.paymentMethods.manual', null)) {
             supportedPaymentMethods.push('BANK_TRANSFER');
@@ -165,6 +195,14 @@ export const Host = new GraphQLObjectType({
           return supportedPayoutMethods;
         },
       },
+      supportsStripeExpressPayouts: {
+        type: new GraphQLNonNull(GraphQLBoolean),
+        description: 'Whether this host can pay expenses to the bank account of the payees through Stripe',
+        async resolve(collective, _, req) {
+          const connectedAccounts = await req.loaders.Collective.connectedAccounts.load(collective.id);
+          return hasStripeExpressPayouts(collective) && Boolean(connectedAccounts?.find?.(c => c.service === 'stripe'));
+        },
+      },
       transferwiseBalances: {
         type: new GraphQLList(Amount),
         description: 'Transferwise balances. Returns null if Transferwise account is not connected.',
@@ -268,6 +306,8 @@ export const Host = new GraphQLObjectType({
             throw new Unauthorized('You need to be logged in as an admin of the host to see its hosted virtual cards');
           }
 
+          enforceScope(req, Scope.VIRTUAL_CARDS_READ);
+
           let merchantId;
           if (!isEmpty(args.merchantAccount)) {
             merchantId = (
@@ -338,6 +378,8 @@ export const Host = new GraphQLObjectType({
             throw new Unauthorized('You need to be logged in as an admin to see the virtual card merchants');
           }
 
+          enforceScope(req, Scope.VIRTUAL_CARDS_READ);
+
           const result = await models.Collective.findAndCountAll({
             group: 'Collective.id',
             where: {
@@ -382,6 +424,8 @@ export const Host = new GraphQLObjectType({
             throw new Unauthorized('You need to be logged in as an admin to see the virtual card merchants');
           }
 
+          enforceScope(req, Scope.VIRTUAL_CARDS_READ);
+
           const result = await models.Collective.findAndCountAll({
             group: 'Collective.id',
             include: [
@@ -404,6 +448,25 @@ export const Host = new GraphQLObjectType({
           };
         },
       },
+      accountingExport: {
+        type: new GraphQLNonNull(GraphQLString),
+        description:
+          'The ledger of the host for the given period, in a format that can be imported by accounting software. The accounts are mapped using the chart of accounts set in `settings.accounting.chartOfAccounts`.',
+        args: {
+          format: { type: new GraphQLNonNull(AccountingExportFormat) },
+          dateFrom: { type: GraphQLDateTime, description: 'Defaults to one month before dateTo' },
+          dateTo: { type: GraphQLDateTime, description: 'Defaults to now' },
+        },
+        async resolve(host, args, req) {
+          if (!req.remoteUser?.isAdmin(host.id)) {
+            throw new Unauthorized('You need to be logged in as an admin of the host to export its ledger');
+          }
+
+          enforceScope(req, Scope.TRANSACTIONS_READ);
+          const { content } = await exportHostLedger(host, args.format, pick(args, ['dateFrom', 'dateTo']));
+          return content;
+        },
+      },
     };
   },
 });
@@ -0,0 +1,38 @@
+import { GraphQLInt, GraphQLNonNull, GraphQLObjectType } from 'graphql';
+
+import { Amount } from './Amount';
+
+export const HostDunningMetrics = new GraphQLObjectType({
+  name: 'HostDunningMetrics',
+  description: 'Metrics about the recurring contributions with failing charges, amounts are in host currency.',
+  fields: () => ({
+    recoveredAmount: {
+      type: new GraphQLNonNull(Amount),
+      description: 'Amount collected by charges that succeeded after a failure, for given period',
+    },
+    recoveredCount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of charges that succeeded after a failure, for given period',
+    },
+    pastDueAmount: {
+      type: new GraphQLNonNull(Amount),
+      description: 'Amount of the contributions currently being retried',
+    },
+    pastDueCount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of contributions currently being retried',
+    },
+    lostAmount: {
+      type: new GraphQLNonNull(Amount),
+      description: 'Amount of the contributions cancelled after all the retries failed, for given period',
+    },
+    lostCount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of contributions cancelled after all the retries failed, for given period',
+    },
+    pausedCount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of contributions paused after all the retries failed, for given period',
+    },
+  }),
+});
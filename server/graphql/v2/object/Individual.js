@@ -1,12 +1,15 @@
-import { GraphQLBoolean, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLBoolean, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
 
 import { types as collectiveTypes } from '../../../constants/collectives';
 import models from '../../../models';
+import { isUsingScopedToken } from '../../common/scope-check';
 import { hasSeenLatestChangelogEntry } from '../../common/user';
 import { idDecode, IDENTIFIER_TYPES } from '../identifiers';
 import { Account, AccountFields } from '../interface/Account';
 
 import { Host } from './Host';
+import { OAuthAuthorization } from './OAuthAuthorization';
+import { PersonalToken } from './PersonalToken';
 
 export const Individual = new GraphQLObjectType({
   name: 'Individual',
@@ -108,6 +111,35 @@ export const Individual = new GraphQLObjectType({
           }
         },
       },
+      personalTokens: {
+        type: new GraphQLList(new GraphQLNonNull(PersonalToken)),
+        description: 'The personal tokens created by this user. Only visible to the user.',
+        async resolve(individual, _, req) {
+          if (!req.remoteUser?.isAdmin(individual.id) || isUsingScopedToken(req)) {
+            return null;
+          }
+
+          return models.Application.findAll({
+            where: { type: 'personalToken', CollectiveId: individual.id },
+            order: [['createdAt', 'DESC']],
+          });
+        },
+      },
+      oAuthAuthorizations: {
+        type: new GraphQLList(new GraphQLNonNull(OAuthAuthorization)),
+        description: 'The applications this user authorized to use the API on their behalf. Only visible to the user.',
+        async resolve(individual, _, req) {
+          if (req.remoteUser?.CollectiveId !== individual.id || isUsingScopedToken(req)) {
+            return null;
+          }
+
+          return models.OAuthAuthorization.findAll({
+            where: { UserId: req.remoteUser.id },
+            include: [{ association: 'application', required: true }],
+            order: [['createdAt', 'DESC']],
+          });
+        },
+      },
       hasSeenLatestChangelogEntry: {
         type: new GraphQLNonNull(GraphQLBoolean),
         async resolve(collective) {
@@ -0,0 +1,58 @@
+import { GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+import GraphQLJSON from 'graphql-type-json';
+
+import { LedgerIntegrityCheck } from '../enum/LedgerIntegrityCheck';
+import { LedgerIntegrityIssueSeverity } from '../enum/LedgerIntegrityIssueSeverity';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+import { Transaction } from '../interface/Transaction';
+
+export const LedgerIntegrityIssue = new GraphQLObjectType({
+  name: 'LedgerIntegrityIssue',
+  description: 'An issue found in the ledger by the daily integrity check',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.LEDGER_INTEGRITY_ISSUE),
+    },
+    check: {
+      type: new GraphQLNonNull(LedgerIntegrityCheck),
+    },
+    severity: {
+      type: new GraphQLNonNull(LedgerIntegrityIssueSeverity),
+    },
+    message: {
+      type: new GraphQLNonNull(GraphQLString),
+    },
+    suggestedFix: {
+      type: GraphQLString,
+      description: 'How the issue could be fixed',
+    },
+    transactionGroup: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: issue => issue.TransactionGroup,
+    },
+    transaction: {
+      type: Transaction,
+      description: 'The transaction with the issue',
+      async resolve(issue, _, req) {
+        return issue.TransactionId && req.loaders.Transaction.byId.load(issue.TransactionId);
+      },
+    },
+    data: {
+      type: GraphQLJSON,
+      description: 'The values that failed the check',
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'When the issue was first detected',
+    },
+    lastDetectedAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+    resolvedAt: {
+      type: GraphQLDateTime,
+      description: 'When the check stopped detecting the issue',
+    },
+  }),
+});
@@ -0,0 +1,36 @@
+import express from 'express';
+import { GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { ModerationAction } from '../enum/ModerationAction';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+
+import { Individual } from './Individual';
+
+export const ModerationDecision = new GraphQLObjectType({
+  name: 'ModerationDecision',
+  description: 'A decision taken by a moderator on a report',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.MODERATION_DECISION),
+    },
+    action: {
+      type: new GraphQLNonNull(ModerationAction),
+    },
+    message: {
+      type: GraphQLString,
+      description: 'The note left by the moderator',
+    },
+    moderator: {
+      type: Individual,
+      description: 'The moderator who took the decision',
+      async resolve(decision, _, req: express.Request): Promise<Record<string, unknown>> {
+        return decision.UserId && req.loaders.Collective.byUserId.load(decision.UserId);
+      },
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+  }),
+});
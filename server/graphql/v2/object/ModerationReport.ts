@@ -0,0 +1,115 @@
+import express from 'express';
+import { GraphQLFloat, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+import GraphQLJSON from 'graphql-type-json';
+
+import { getModerationDecisions } from '../../../lib/moderation';
+import { SpamEntityType } from '../../../models/SpamReport';
+import { ModerationCategory } from '../enum/ModerationCategory';
+import { ModerationEntityType } from '../enum/ModerationEntityType';
+import { ModerationStatus } from '../enum/ModerationStatus';
+import { SpamAction } from '../enum/SpamAction';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+import { Account } from '../interface/Account';
+
+import { Comment } from './Comment';
+import { Expense } from './Expense';
+import { Individual } from './Individual';
+import { ModerationDecision } from './ModerationDecision';
+import Update from './Update';
+
+/** Returns a resolver that loads the reported entity if it matches `type` */
+const getEntityResolver = (type: SpamEntityType, model: string) => (report, _, req: express.Request) => {
+  return report.entityType === type && report.entityId ? req.loaders[model].byId.load(report.entityId) : null;
+};
+
+/** Returns a resolver that loads the profile of a user */
+const getUserAccountResolver = (field: string) => async (report, _, req: express.Request) => {
+  return report[field] && req.loaders.Collective.byUserId.load(report[field]);
+};
+
+export const ModerationReport = new GraphQLObjectType({
+  name: 'ModerationReport',
+  description: 'An item of the moderation queue: content flagged by the spam detection or reported by a user',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.MODERATION_REPORT),
+    },
+    entityType: {
+      type: new GraphQLNonNull(ModerationEntityType),
+    },
+    status: {
+      type: new GraphQLNonNull(ModerationStatus),
+    },
+    spamAction: {
+      type: new GraphQLNonNull(SpamAction),
+      description: 'What the spam detection did when the content was created',
+      resolve: report => report.action,
+    },
+    score: {
+      type: new GraphQLNonNull(GraphQLFloat),
+      description: 'The spam score, between 0 and 1. Always 0 for the reports made by users.',
+    },
+    detections: {
+      type: new GraphQLNonNull(GraphQLJSON),
+      description: 'What the spam detectors found',
+    },
+    context: {
+      type: GraphQLString,
+    },
+    category: {
+      type: ModerationCategory,
+      description: 'The reason given by the user who reported the content',
+    },
+    message: {
+      type: GraphQLString,
+      description: 'The message of the user who reported the content',
+    },
+    content: {
+      type: GraphQLJSON,
+      description: 'The content when it was reported. The only way to see the content blocked by the spam detection.',
+      resolve: report => report.data,
+    },
+    account: {
+      type: Account,
+      description: 'The reported account, or the account the reported content belongs to',
+      resolve(report, _, req: express.Request) {
+        return report.CollectiveId && req.loaders.Collective.byId.load(report.CollectiveId);
+      },
+    },
+    author: {
+      type: Individual,
+      description: 'The author of the content',
+      resolve: getUserAccountResolver('UserId'),
+    },
+    reportedBy: {
+      type: Individual,
+      description: 'The user who reported the content, null if it was flagged by the spam detection',
+      resolve: getUserAccountResolver('ReportedByUserId'),
+    },
+    expense: {
+      type: Expense,
+      resolve: getEntityResolver(SpamEntityType.EXPENSE, 'Expense'),
+    },
+    comment: {
+      type: Comment,
+      resolve: getEntityResolver(SpamEntityType.COMMENT, 'Comment'),
+    },
+    update: {
+      type: Update,
+      resolve: getEntityResolver(SpamEntityType.UPDATE, 'Update'),
+    },
+    decisions: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ModerationDecision))),
+      description: 'The decisions taken by the moderators, most recent first',
+      resolve: getModerationDecisions,
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+    updatedAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+  }),
+});
@@ -0,0 +1,47 @@
+import { GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import models from '../../../models';
+import { Scope } from '../enum/Scope';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+
+import { Application } from './Application';
+
+export const OAuthAuthorization = new GraphQLObjectType({
+  name: 'OAuthAuthorization',
+  description: 'An application authorized by a user to use the API on their behalf',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.OAUTH_AUTHORIZATION),
+    },
+    application: {
+      type: new GraphQLNonNull(Application),
+      async resolve(authorization) {
+        return authorization.application || models.Application.findByPk(authorization.ApplicationId);
+      },
+    },
+    scopes: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Scope))),
+      description: 'The permissions granted to the application',
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'When the application was first authorized',
+    },
+    updatedAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'When the authorization was last updated, e.g. with new scopes',
+    },
+    lastUsedAt: {
+      type: GraphQLDateTime,
+      description: 'The last time the application used the API on behalf of the user',
+      async resolve(authorization) {
+        const lastUsedAt = await models.OAuthToken.max('lastUsedAt', {
+          where: { UserId: authorization.UserId, ApplicationId: authorization.ApplicationId },
+        });
+        return lastUsedAt || null;
+      },
+    },
+  }),
+});
@@ -2,12 +2,16 @@ import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLStri
 import { GraphQLDateTime } from 'graphql-iso-date';
 
 import roles from '../../../constants/roles';
+import Scope from '../../../constants/scopes';
+import { getOrderTickets } from '../../../lib/tickets';
 import models from '../../../models';
+import { enforceScope } from '../../common/scope-check';
 import { ContributionFrequency, OrderStatus } from '../enum';
 import { idEncode } from '../identifiers';
 import { Account } from '../interface/Account';
 import { Transaction } from '../interface/Transaction';
 import { Amount } from '../object/Amount';
+import { EventTicket } from '../object/EventTicket';
 import { PaymentMethod } from '../object/PaymentMethod';
 import { Tier } from '../object/Tier';
 
@@ -90,6 +94,24 @@ export const Order = new GraphQLObjectType({
           }
         },
       },
+      tickets: {
+        type: new GraphQLList(new GraphQLNonNull(EventTicket)),
+        description:
+          'For the orders on the tickets of an event, one ticket for each unit bought. Only visible to the contributor and to the admins of the event.',
+        async resolve(order, _, req) {
+          if (!req.remoteUser) {
+            return null;
+          }
+
+          const fromCollective = await req.loaders.Collective.byId.load(order.FromCollectiveId);
+          const event = await req.loaders.Collective.byId.load(order.CollectiveId);
+          if (req.remoteUser.isAdminOfCollective(fromCollective) || req.remoteUser.isAdminOfCollective(event)) {
+            return getOrderTickets(order);
+          } else {
+            return null;
+          }
+        },
+      },
       fromAccount: {
         type: Account,
         resolve(order, _, req) {
@@ -106,6 +128,7 @@ export const Order = new GraphQLObjectType({
         description: 'Transactions for this order ordered by createdAt ASC',
         type: new GraphQLNonNull(new GraphQLList(Transaction)),
         resolve(order, _, req) {
+          enforceScope(req, Scope.TRANSACTIONS_READ);
           return req.loaders.Transaction.byOrderId.load(order.id);
         },
       },
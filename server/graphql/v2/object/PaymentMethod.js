@@ -97,6 +97,12 @@ export const PaymentMethod = new GraphQLObjectType({
             allowedFields = ['email'];
           } else if (paymentMethod.type === PAYMENT_METHOD_TYPE.CREDITCARD) {
             allowedFields = ['fullName', 'expMonth', 'expYear', 'brand', 'country', 'last4'];
+          } else if (paymentMethod.type === PAYMENT_METHOD_TYPE.CRYPTO) {
+            allowedFields = ['pledgeCurrency', 'pledgeAmount', 'depositAddress'];
+          } else if (
+            [PAYMENT_METHOD_TYPE.SEPA_DEBIT, PAYMENT_METHOD_TYPE.US_BANK_ACCOUNT].includes(paymentMethod.type)
+          ) {
+            allowedFields = ['last4', 'bankName', 'country'];
           }
 
           return pick(paymentMethod.data, allowedFields);
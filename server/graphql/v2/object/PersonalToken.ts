@@ -0,0 +1,58 @@
+import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { isUsingScopedToken } from '../../common/scope-check';
+import { Scope } from '../enum/Scope';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+import { Account } from '../interface/Account';
+
+export const PersonalToken = new GraphQLObjectType({
+  name: 'PersonalToken',
+  description: 'A token to use the API on behalf of a user, restricted to some scopes',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.PERSONAL_TOKEN),
+    },
+    legacyId: {
+      type: new GraphQLNonNull(GraphQLInt),
+      resolve: personalToken => personalToken.id,
+    },
+    name: {
+      type: GraphQLString,
+    },
+    token: {
+      type: GraphQLString,
+      description:
+        'The secret token, to pass in the `Personal-Token` header. Only returned to its owner when the token is created, it cannot be retrieved later.',
+      resolve(personalToken, _, req) {
+        if (req.remoteUser?.id === personalToken.CreatedByUserId && !isUsingScopedToken(req)) {
+          return personalToken.plainToken;
+        }
+      },
+    },
+    scopes: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Scope))),
+      resolve: personalToken => personalToken.scopes || [],
+    },
+    limitedToAccounts: {
+      type: new GraphQLList(new GraphQLNonNull(Account)),
+      description: 'If set, the token can only be used to act on these accounts and the collectives they host',
+      async resolve(personalToken, _, req) {
+        if (personalToken.limitedToCollectiveIds?.length) {
+          const accounts = await req.loaders.Collective.byId.loadMany(personalToken.limitedToCollectiveIds);
+          return accounts.filter(Boolean);
+        }
+      },
+    },
+    expiresAt: {
+      type: GraphQLDateTime,
+    },
+    lastUsedAt: {
+      type: GraphQLDateTime,
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+  }),
+});
@@ -0,0 +1,33 @@
+import { GraphQLNonNull, GraphQLObjectType } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { Amount } from './Amount';
+
+export const ProrationPreview = new GraphQLObjectType({
+  name: 'ProrationPreview',
+  description: 'What will happen when changing the amount of a recurring contribution in the middle of a period',
+  fields: () => ({
+    amountCharged: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The amount that will be charged right away for the rest of the current period',
+      resolve: proration => ({ value: Math.max(proration.amount, 0), currency: proration.currency }),
+    },
+    amountCredited: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The amount that will be credited by postponing the next charge',
+      resolve: proration => ({ value: Math.max(-proration.amount, 0), currency: proration.currency }),
+    },
+    periodStart: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'Start of the current period',
+    },
+    periodEnd: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'End of the current period',
+    },
+    nextChargeDate: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'When the contribution will be charged next, once updated',
+    },
+  }),
+});
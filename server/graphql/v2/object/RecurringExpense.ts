@@ -0,0 +1,96 @@
+import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import { ExpenseType } from '../enum/ExpenseType';
+import { RecurringExpenseInterval } from '../enum/RecurringExpenseInterval';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+import { Account } from '../interface/Account';
+
+import { Amount } from './Amount';
+import PayoutMethod from './PayoutMethod';
+
+const RecurringExpenseItem = new GraphQLObjectType({
+  name: 'RecurringExpenseItem',
+  fields: () => ({
+    description: {
+      type: new GraphQLNonNull(GraphQLString),
+    },
+    amount: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Amount in cents, in the currency of the account',
+    },
+  }),
+});
+
+export const RecurringExpense = new GraphQLObjectType({
+  name: 'RecurringExpense',
+  description: 'A template for an expense that is drafted at a regular interval',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.RECURRING_EXPENSE),
+    },
+    legacyId: {
+      type: new GraphQLNonNull(GraphQLInt),
+      resolve: recurringExpense => recurringExpense.id,
+    },
+    account: {
+      type: new GraphQLNonNull(Account),
+      description: 'The account the expenses are submitted to',
+      resolve(recurringExpense, _, req) {
+        return req.loaders.Collective.byId.load(recurringExpense.CollectiveId);
+      },
+    },
+    payee: {
+      type: new GraphQLNonNull(Account),
+      description: 'The account invited to submit the expenses',
+      resolve(recurringExpense, _, req) {
+        return req.loaders.Collective.byId.load(recurringExpense.FromCollectiveId);
+      },
+    },
+    payoutMethod: {
+      type: PayoutMethod,
+      resolve(recurringExpense, _, req) {
+        return recurringExpense.PayoutMethodId && req.loaders.PayoutMethod.byId.load(recurringExpense.PayoutMethodId);
+      },
+    },
+    interval: {
+      type: new GraphQLNonNull(RecurringExpenseInterval),
+    },
+    nextDueDate: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+      description: 'When the next expense will be drafted',
+    },
+    endDate: {
+      type: GraphQLDateTime,
+      description: 'No expense will be drafted after this date',
+    },
+    lastDraftedAt: {
+      type: GraphQLDateTime,
+    },
+    type: {
+      type: new GraphQLNonNull(ExpenseType),
+    },
+    description: {
+      type: new GraphQLNonNull(GraphQLString),
+    },
+    tags: {
+      type: new GraphQLNonNull(new GraphQLList(GraphQLString)),
+      resolve: recurringExpense => recurringExpense.tags || [],
+    },
+    items: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(RecurringExpenseItem))),
+    },
+    amount: {
+      type: new GraphQLNonNull(Amount),
+      description: 'The total amount of the items',
+      async resolve(recurringExpense, _, req) {
+        const collective = await req.loaders.Collective.byId.load(recurringExpense.CollectiveId);
+        return { value: recurringExpense.amount, currency: collective.currency };
+      },
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+  }),
+});
@@ -0,0 +1,56 @@
+import { GraphQLFloat, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+
+import { CONTENT_SEARCH_TYPES } from '../../../lib/search';
+import { SearchResultType } from '../enum/SearchResultType';
+import { Account } from '../interface/Account';
+
+import { Comment } from './Comment';
+import Conversation from './Conversation';
+import { Expense } from './Expense';
+import Update from './Update';
+
+/** Returns a resolver that loads the item of the result if it matches `type` */
+const getItemResolver = (type: string, model: string) => (result, _, req) => {
+  return result.type === type ? req.loaders[model].byId.load(result.id) : null;
+};
+
+export const SearchResult = new GraphQLObjectType({
+  name: 'SearchResult',
+  description: 'An item matching a full-text search. Only the field matching its type is set.',
+  fields: () => ({
+    type: {
+      type: new GraphQLNonNull(SearchResultType),
+    },
+    rank: {
+      type: new GraphQLNonNull(GraphQLFloat),
+      description: 'Relevance of the result, results are ordered by rank',
+    },
+    highlight: {
+      type: GraphQLString,
+      description: 'Excerpts of the matching text as escaped HTML, with the matches wrapped in <mark> tags',
+    },
+    account: {
+      type: new GraphQLNonNull(Account),
+      description: 'The account the item belongs to',
+      resolve(result, _, req) {
+        return req.loaders.Collective.byId.load(result.CollectiveId);
+      },
+    },
+    expense: {
+      type: Expense,
+      resolve: getItemResolver(CONTENT_SEARCH_TYPES.EXPENSE, 'Expense'),
+    },
+    update: {
+      type: Update,
+      resolve: getItemResolver(CONTENT_SEARCH_TYPES.UPDATE, 'Update'),
+    },
+    conversation: {
+      type: Conversation,
+      resolve: getItemResolver(CONTENT_SEARCH_TYPES.CONVERSATION, 'Conversation'),
+    },
+    comment: {
+      type: Comment,
+      resolve: getItemResolver(CONTENT_SEARCH_TYPES.COMMENT, 'Comment'),
+    },
+  }),
+});
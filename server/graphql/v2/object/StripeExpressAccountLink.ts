@@ -0,0 +1,22 @@
+import { GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import PayoutMethod from './PayoutMethod';
+
+export const StripeExpressAccountLink = new GraphQLObjectType({
+  name: 'StripeExpressAccountLink',
+  description: 'A link to the Stripe onboarding of an Express account, used to get paid through Stripe',
+  fields: () => ({
+    url: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The URL of the onboarding, it can only be used once',
+    },
+    expiresAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+    payoutMethod: {
+      type: new GraphQLNonNull(PayoutMethod),
+      description: 'The payout method linked to the Express account',
+    },
+  }),
+});
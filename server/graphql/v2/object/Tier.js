@@ -1,8 +1,12 @@
-import { GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLBoolean, GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
 import { GraphQLDateTime } from 'graphql-iso-date';
 import GraphQLJSON from 'graphql-type-json';
 
+import Scope from '../../../constants/scopes';
+import { getWaitlistEntryForUser, getWaitlistPosition } from '../../../lib/waitlists';
 import models, { Op } from '../../../models';
+import { TierWaitlistEntryStatus } from '../../../models/TierWaitlistEntry';
+import { enforceScope } from '../../common/scope-check';
 import { OrderCollection } from '../collection/OrderCollection';
 import { ContributionFrequency, OrderStatus, TierAmountType, TierInterval, TierType } from '../enum';
 import { idEncode } from '../identifiers';
@@ -46,7 +50,8 @@ export const Tier = new GraphQLObjectType({
           offset: { type: GraphQLInt, defaultValue: 0 },
           status: { type: new GraphQLList(OrderStatus) },
         },
-        async resolve(tier, args) {
+        async resolve(tier, args, req) {
+          enforceScope(req, Scope.ORDERS_READ);
           const where = { TierId: tier.id };
 
           if (args.status && args.status.length > 0) {
@@ -93,6 +98,45 @@ export const Tier = new GraphQLObjectType({
           }
         },
       },
+      hasWaitlist: {
+        type: new GraphQLNonNull(GraphQLBoolean),
+        description: 'Whether contributors can join a waitlist when the tier is sold out',
+      },
+      waitlistCount: {
+        type: GraphQLInt,
+        description: 'Number of people waiting for a spot. Returns null if the tier does not have a waitlist.',
+        resolve(tier, _, req) {
+          if (!tier.hasWaitlist) {
+            return null;
+          } else {
+            return req.loaders.Tier.waitlistCount.load(tier.id);
+          }
+        },
+      },
+      waitlistPosition: {
+        type: GraphQLInt,
+        description:
+          'Position of the logged in user on the waitlist, starting at 1. Returns 0 if a spot is reserved for them, or null if they are not on the waitlist.',
+        resolve(tier, _, req) {
+          if (!tier.hasWaitlist || !req.remoteUser) {
+            return null;
+          } else {
+            return getWaitlistPosition(tier, req.remoteUser);
+          }
+        },
+      },
+      waitlistReservedUntil: {
+        type: GraphQLDateTime,
+        description: 'If a spot is reserved for the logged in user, the date until which they can order it',
+        async resolve(tier, _, req) {
+          if (!tier.hasWaitlist || !req.remoteUser) {
+            return null;
+          } else {
+            const entry = await getWaitlistEntryForUser(tier, req.remoteUser);
+            return entry?.status === TierWaitlistEntryStatus.RESERVED ? entry.reservedUntil : null;
+          }
+        },
+      },
       customFields: {
         type: GraphQLJSON,
       },
@@ -4,6 +4,7 @@ import { GraphQLJSON } from 'graphql-type-json';
 
 import { types as CollectiveType } from '../../../constants/collectives';
 import models from '../../../models';
+import { canSeeUpdateDetails } from '../../common/update';
 import { CommentCollection } from '../collection/CommentCollection';
 import { UpdateAudienceType } from '../enum';
 import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
@@ -11,15 +12,6 @@ import { Account } from '../interface/Account';
 
 import { UpdateAudienceStats } from './UpdateAudienceStats';
 
-const canSeeUpdateDetails = async (req, update) => {
-  if (!update.publishedAt || update.isPrivate) {
-    update.collective = update.collective || (await req.loaders.Collective.byId.load(update.CollectiveId));
-    return Boolean(req.remoteUser?.canSeePrivateUpdatesForCollective(update.collective));
-  } else {
-    return true;
-  }
-};
-
 const Update = new GraphQLObjectType({
   name: 'Update',
   description: 'This represents an Update',
@@ -161,6 +153,12 @@ const Update = new GraphQLObjectType({
         args: {
           limit: { type: GraphQLInt },
           offset: { type: GraphQLInt },
+          threaded: {
+            type: GraphQLBoolean,
+            defaultValue: false,
+            description:
+              'Only return the top-level comments. Use the `replies` field of the comments to fetch the rest of the threads.',
+          },
         },
         async resolve(update, args, req) {
           if (!(await canSeeUpdateDetails(req, update))) {
@@ -168,6 +166,10 @@ const Update = new GraphQLObjectType({
           }
 
           const where = { UpdateId: update.id };
+          if (args.threaded) {
+            where.ParentCommentId = null;
+          }
+
           const order = [['createdAt', 'ASC']];
           const query = { where, order };
 
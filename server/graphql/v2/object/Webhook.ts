@@ -0,0 +1,83 @@
+import { GraphQLInt, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+
+import models from '../../../models';
+import { WebhookDeliveryCollection } from '../collection/WebhookDeliveryCollection';
+import { ActivityType } from '../enum/ActivityType';
+import { WebhookDeliveryStatus } from '../enum/WebhookDeliveryStatus';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+import { Account } from '../interface/Account';
+import { CollectionArgs } from '../interface/Collection';
+import URL from '../scalar/URL';
+
+export const Webhook = new GraphQLObjectType({
+  name: 'Webhook',
+  description: 'A webhook attached to an account',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.WEBHOOK),
+    },
+    legacyId: {
+      type: new GraphQLNonNull(GraphQLInt),
+      resolve(notification) {
+        return notification.id;
+      },
+    },
+    activityType: {
+      type: ActivityType,
+      resolve(notification) {
+        return notification.type;
+      },
+    },
+    webhookUrl: {
+      type: URL,
+    },
+    account: {
+      type: new GraphQLNonNull(Account),
+      resolve(notification, _, req) {
+        return req.loaders.Collective.byId.load(notification.CollectiveId);
+      },
+    },
+    secret: {
+      type: GraphQLString,
+      description:
+        'The secret used to sign the payloads sent to this webhook (HMAC-SHA256, see the X-OpenCollective-Signature header). Only visible to admins.',
+      resolve(notification, _, req) {
+        if (req.remoteUser?.isAdmin(notification.CollectiveId)) {
+          return notification.secret;
+        }
+      },
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+    deliveries: {
+      type: new GraphQLNonNull(WebhookDeliveryCollection),
+      description: 'The log of the deliveries sent to this webhook, most recent first. Only visible to admins.',
+      args: {
+        ...CollectionArgs,
+        status: { type: WebhookDeliveryStatus },
+      },
+      async resolve(notification, args, req) {
+        if (!req.remoteUser?.isAdmin(notification.CollectiveId)) {
+          return { nodes: [], totalCount: 0, limit: args.limit, offset: args.offset };
+        }
+
+        const where = { NotificationId: notification.id };
+        if (args.status) {
+          where['status'] = args.status;
+        }
+
+        const result = await models.WebhookDelivery.findAndCountAll({
+          where,
+          order: [['createdAt', 'DESC']],
+          limit: args.limit,
+          offset: args.offset,
+        });
+
+        return { nodes: result.rows, totalCount: result.count, limit: args.limit, offset: args.offset };
+      },
+    },
+  }),
+});
@@ -0,0 +1,60 @@
+import { GraphQLInt, GraphQLNonNull, GraphQLObjectType, GraphQLString } from 'graphql';
+import { GraphQLDateTime } from 'graphql-iso-date';
+import GraphQLJSON from 'graphql-type-json';
+
+import { WebhookDeliveryStatus } from '../enum/WebhookDeliveryStatus';
+import { getIdEncodeResolver, IDENTIFIER_TYPES } from '../identifiers';
+
+import { Webhook } from './Webhook';
+
+export const WebhookDelivery = new GraphQLObjectType({
+  name: 'WebhookDelivery',
+  description: 'An attempt to send an activity to a webhook',
+  fields: () => ({
+    id: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'Unique identifier for this delivery',
+      resolve: getIdEncodeResolver(IDENTIFIER_TYPES.WEBHOOK_DELIVERY),
+    },
+    webhook: {
+      type: new GraphQLNonNull(Webhook),
+      description: 'The webhook this delivery was sent to',
+      async resolve(delivery, _, req) {
+        return delivery.webhook || req.loaders.Notification.byId.load(delivery.NotificationId);
+      },
+    },
+    status: {
+      type: new GraphQLNonNull(WebhookDeliveryStatus),
+    },
+    payload: {
+      type: GraphQLJSON,
+      description: 'The JSON body sent to the webhook',
+    },
+    attempts: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Number of times we tried to send this delivery',
+    },
+    responseStatusCode: {
+      type: GraphQLInt,
+      description: 'The HTTP status code returned by the webhook on the last attempt',
+    },
+    latency: {
+      type: GraphQLInt,
+      description: 'Time (in milliseconds) taken by the webhook to respond on the last attempt',
+    },
+    error: {
+      type: GraphQLString,
+      description: 'The error message for the last attempt, if it failed',
+    },
+    lastAttemptAt: {
+      type: GraphQLDateTime,
+    },
+    nextAttemptAt: {
+      type: GraphQLDateTime,
+      description: 'If the delivery is pending, the date of the next automatic retry',
+    },
+    createdAt: {
+      type: new GraphQLNonNull(GraphQLDateTime),
+    },
+  }),
+});
@@ -0,0 +1,62 @@
+import express from 'express';
+import { GraphQLBoolean, GraphQLList, GraphQLNonNull } from 'graphql';
+
+import models from '../../../models';
+import { Forbidden } from '../../errors';
+import { LedgerIntegrityIssueCollection } from '../collection/LedgerIntegrityIssueCollection';
+import { LedgerIntegrityCheck } from '../enum/LedgerIntegrityCheck';
+import { LedgerIntegrityIssueSeverity } from '../enum/LedgerIntegrityIssueSeverity';
+import { CollectionArgs } from '../interface/Collection';
+
+const LedgerIntegrityIssuesQuery = {
+  type: new GraphQLNonNull(LedgerIntegrityIssueCollection),
+  description: 'The issues found in the ledger by the daily integrity check. Root users only.',
+  args: {
+    ...CollectionArgs,
+    severity: {
+      type: new GraphQLList(new GraphQLNonNull(LedgerIntegrityIssueSeverity)),
+      description: 'Only return the issues with these severities',
+    },
+    check: {
+      type: new GraphQLList(new GraphQLNonNull(LedgerIntegrityCheck)),
+      description: 'Only return the issues found by these checks',
+    },
+    includeResolved: {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      defaultValue: false,
+      description: 'Whether to include the issues that are not detected anymore',
+    },
+  },
+  async resolve(_: void, args, req: express.Request): Promise<Record<string, unknown>> {
+    if (!req.remoteUser?.isRoot()) {
+      throw new Forbidden('You need to be logged in as root to see the ledger integrity issues');
+    } else if (args.limit > 1000) {
+      throw new Error('Cannot fetch more than 1000 issues at the same time, please adjust the limit');
+    }
+
+    const where = {};
+    if (args.severity?.length) {
+      where['severity'] = args.severity;
+    }
+    if (args.check?.length) {
+      where['check'] = args.check;
+    }
+    if (!args.includeResolved) {
+      where['resolvedAt'] = null;
+    }
+
+    const result = await models.LedgerIntegrityIssue.findAndCountAll({
+      where,
+      order: [
+        ['severity', 'ASC'],
+        ['createdAt', 'DESC'],
+      ],
+      limit: args.limit,
+      offset: args.offset,
+    });
+
+    return { nodes: result.rows, totalCount: result.count, limit: args.limit, offset: args.offset };
+  },
+};
+
+export default LedgerIntegrityIssuesQuery;
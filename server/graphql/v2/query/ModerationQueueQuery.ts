@@ -0,0 +1,72 @@
+import express from 'express';
+import { GraphQLList, GraphQLNonNull } from 'graphql';
+
+import models from '../../../models';
+import { ModerationStatus as ModerationStatusEnum } from '../../../models/SpamReport';
+import { Forbidden, Unauthorized } from '../../errors';
+import { ModerationReportCollection } from '../collection/ModerationReportCollection';
+import { ModerationEntityType } from '../enum/ModerationEntityType';
+import { ModerationStatus } from '../enum/ModerationStatus';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { CollectionArgs } from '../interface/Collection';
+
+const ModerationQueueQuery = {
+  type: new GraphQLNonNull(ModerationReportCollection),
+  description:
+    'The content flagged by the spam detection or reported by users, most recent first. Root users can see all the reports, host admins the ones about their hosted accounts.',
+  args: {
+    ...CollectionArgs,
+    host: {
+      type: AccountReferenceInput,
+      description: 'Only return the reports about the accounts hosted by this host. Required if not root.',
+    },
+    status: {
+      type: new GraphQLList(new GraphQLNonNull(ModerationStatus)),
+      defaultValue: [ModerationStatusEnum.PENDING],
+      description: 'Only return the reports with these statuses',
+    },
+    entityType: {
+      type: new GraphQLList(new GraphQLNonNull(ModerationEntityType)),
+      description: 'Only return the reports about these types of content',
+    },
+  },
+  async resolve(_: void, args, req: express.Request): Promise<Record<string, unknown>> {
+    if (!req.remoteUser) {
+      throw new Unauthorized('You need to be logged in to see the moderation queue');
+    } else if (args.limit > 100) {
+      throw new Error('Cannot fetch more than 100 reports at the same time, please adjust the limit');
+    }
+
+    const include = [];
+    if (args.host) {
+      const host = await fetchAccountWithReference(args.host, { throwIfMissing: true });
+      if (!req.remoteUser.isAdmin(host.id) && !req.remoteUser.isRoot()) {
+        throw new Forbidden('You need to be logged in as an admin of the host to see its moderation queue');
+      }
+
+      include.push({ association: 'collective', required: true, where: { HostCollectiveId: host.id } });
+    } else if (!req.remoteUser.isRoot()) {
+      throw new Forbidden('You need to be logged in as root to see the whole moderation queue');
+    }
+
+    const where = {};
+    if (args.status?.length) {
+      where['status'] = args.status;
+    }
+    if (args.entityType?.length) {
+      where['entityType'] = args.entityType;
+    }
+
+    const result = await models.SpamReport.findAndCountAll({
+      where,
+      include,
+      order: [['createdAt', 'DESC']],
+      limit: args.limit,
+      offset: args.offset,
+    });
+
+    return { nodes: result.rows, totalCount: result.count, limit: args.limit, offset: args.offset };
+  },
+};
+
+export default ModerationQueueQuery;
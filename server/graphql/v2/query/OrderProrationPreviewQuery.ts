@@ -0,0 +1,67 @@
+import { GraphQLNonNull } from 'graphql';
+import { isNull } from 'lodash';
+
+import { getProration, isProrationEnabled, Proration } from '../../../lib/proration';
+import models from '../../../models';
+import { NotFound, Unauthorized } from '../../errors';
+import { getDecodedId } from '../identifiers';
+import { AmountInput, getValueInCentsFromAmountInput } from '../input/AmountInput';
+import { OrderReferenceInput } from '../input/OrderReferenceInput';
+import { fetchTierWithReference, TierReferenceInput } from '../input/TierReferenceInput';
+import { ProrationPreview } from '../object/ProrationPreview';
+
+const OrderProrationPreviewQuery = {
+  type: ProrationPreview,
+  description:
+    'Preview the amount that will be charged or credited when updating a recurring contribution with `updateOrder`. Null if the change only applies from the next charge.',
+  args: {
+    order: {
+      type: new GraphQLNonNull(OrderReferenceInput),
+      description: 'Reference to the Order to update',
+    },
+    amount: {
+      type: new GraphQLNonNull(AmountInput),
+      description: 'The new amount of the order',
+    },
+    tier: {
+      type: TierReferenceInput,
+      description: 'The new tier of the order',
+    },
+  },
+  async resolve(_, args, req): Promise<Proration | null> {
+    if (!req.remoteUser) {
+      throw new Unauthorized('You need to be logged in to preview the update of a recurring contribution');
+    }
+
+    const order = await models.Order.findOne({
+      where: { id: getDecodedId(args.order.id) },
+      include: [
+        { model: models.Subscription, required: true },
+        { association: 'collective', required: true },
+        { association: 'fromCollective', required: true },
+      ],
+    });
+
+    if (!order) {
+      throw new NotFound('Recurring contribution not found');
+    } else if (!req.remoteUser.isAdminOfCollective(order.fromCollective)) {
+      throw new Unauthorized("You don't have permission to update this recurring contribution");
+    } else if (!isProrationEnabled(order.collective)) {
+      return null;
+    }
+
+    const tier =
+      args.tier &&
+      !isNull(args.tier.id) &&
+      (await fetchTierWithReference(args.tier, { loaders: req.loaders, throwIfMissing: true }));
+    let newTotalAmount = getValueInCentsFromAmountInput(args.amount);
+    // The Platform Tip is kept when updating the order
+    if (order.data?.isFeesOnTop && order.data.platformFee) {
+      newTotalAmount = newTotalAmount + order.data.platformFee;
+    }
+
+    return getProration(order, newTotalAmount, tier || null);
+  },
+};
+
+export default OrderProrationPreviewQuery;
@@ -0,0 +1,76 @@
+import config from 'config';
+import express from 'express';
+import { GraphQLList, GraphQLNonNull, GraphQLString } from 'graphql';
+
+import Scope from '../../../constants/scopes';
+import RateLimit, { ONE_HOUR_IN_SECONDS } from '../../../lib/rate-limit';
+import { CONTENT_SEARCH_TYPES, searchContent } from '../../../lib/search';
+import { checkScope } from '../../common/scope-check';
+import { RateLimitExceeded, ValidationFailed } from '../../errors';
+import { SearchResultCollection } from '../collection/SearchResultCollection';
+import { SearchResultType } from '../enum/SearchResultType';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { CollectionArgs, CollectionReturnType } from '../interface/Collection';
+
+/**
+ * The scopes a token needs to search each type of content. Comments can be about expenses, updates or
+ * conversations, so they require all the related scopes.
+ */
+const SEARCH_TYPES_SCOPES: Record<string, Scope[]> = {
+  [CONTENT_SEARCH_TYPES.EXPENSE]: [Scope.EXPENSES_READ],
+  [CONTENT_SEARCH_TYPES.UPDATE]: [Scope.UPDATES_READ],
+  [CONTENT_SEARCH_TYPES.CONVERSATION]: [Scope.CONVERSATIONS_READ],
+  [CONTENT_SEARCH_TYPES.COMMENT]: [Scope.EXPENSES_READ, Scope.UPDATES_READ, Scope.CONVERSATIONS_READ],
+};
+
+const SearchQuery = {
+  type: new GraphQLNonNull(SearchResultCollection),
+  description:
+    'Full-text search across expenses, updates, conversations and comments. Only returns the items that the logged-in user is allowed to see, ordered by relevance. When using a token, only the types of items allowed by its scopes are searched.',
+  args: {
+    ...CollectionArgs,
+    term: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The words to search for',
+    },
+    types: {
+      type: new GraphQLList(new GraphQLNonNull(SearchResultType)),
+      description: 'Only return these types of items',
+      defaultValue: Object.values(CONTENT_SEARCH_TYPES),
+    },
+    account: {
+      type: AccountReferenceInput,
+      description: 'Only return the items of this account',
+    },
+  },
+  async resolve(_: void, args, req: express.Request): Promise<CollectionReturnType> {
+    if (args.limit > 100) {
+      throw new ValidationFailed('Cannot fetch more than 100 results at the same time, please adjust the limit');
+    } else if (args.term.trim().length < 2) {
+      throw new ValidationFailed('The search term must have at least 2 characters');
+    }
+
+    const rateLimit = new RateLimit(
+      `content_search_${req.remoteUser?.id || req.ip}`,
+      config.limits.searchContentPerHour,
+      ONE_HOUR_IN_SECONDS,
+    );
+    if (!(await rateLimit.registerCall())) {
+      throw new RateLimitExceeded('You have made too many searches recently, please try again later');
+    }
+
+    const account =
+      args.account && (await fetchAccountWithReference(args.account, { loaders: req.loaders, throwIfMissing: true }));
+    const [nodes, totalCount] = await searchContent(args.term, {
+      types: args.types.filter(type => SEARCH_TYPES_SCOPES[type].every(scope => checkScope(req, scope))),
+      CollectiveId: account?.id,
+      user: req.remoteUser,
+      limit: args.limit,
+      offset: args.offset,
+    });
+
+    return { nodes, totalCount, limit: args.limit, offset: args.offset };
+  },
+};
+
+export default SearchQuery;
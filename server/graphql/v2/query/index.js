@@ -1,4 +1,6 @@
+import Scope from '../../../constants/scopes';
 import models from '../../../models';
+import { checkScope, withScope } from '../../common/scope-check';
 import { Account } from '../interface/Account';
 
 import HostsCollectionQuery from './collection/HostsCollectionQuery';
@@ -9,10 +11,14 @@ import ExpenseQuery from './ExpenseQuery';
 import ExpensesQuery from './ExpensesQuery';
 import HostQuery from './HostQuery';
 import IndividualQuery from './IndividualQuery';
+import LedgerIntegrityIssuesQuery from './LedgerIntegrityIssuesQuery';
 import MemberInvitationsQuery from './MemberInvitationsQuery';
+import ModerationQueueQuery from './ModerationQueueQuery';
+import OrderProrationPreviewQuery from './OrderProrationPreviewQuery';
 import OrderQuery from './OrderQuery';
 import OrdersQuery from './OrdersQuery';
 import PaypalPlanQuery from './PaypalPlanQuery';
+import SearchQuery from './SearchQuery';
 import TierQuery from './TierQuery';
 import TransactionsQuery from './TransactionsQuery';
 import UpdateQuery from './UpdateQuery';
@@ -22,22 +28,29 @@ const query = {
   collective: CollectiveQuery,
   host: HostQuery,
   individual: IndividualQuery,
-  conversation: ConversationQuery,
-  expenses: ExpensesQuery,
-  expense: ExpenseQuery,
+  ...withScope(Scope.CONVERSATIONS_READ, { conversation: ConversationQuery }),
+  ...withScope(Scope.EXPENSES_READ, { expenses: ExpensesQuery, expense: ExpenseQuery }),
   hosts: HostsCollectionQuery,
-  memberInvitations: MemberInvitationsQuery,
-  order: OrderQuery,
-  orders: OrdersQuery,
+  ...withScope(Scope.ACCOUNT_READ, { memberInvitations: MemberInvitationsQuery }),
+  ...withScope(Scope.ACCOUNT_READ, { moderationQueue: ModerationQueueQuery }),
+  ...withScope(Scope.ORDERS_READ, {
+    order: OrderQuery,
+    orders: OrdersQuery,
+    orderProrationPreview: OrderProrationPreviewQuery,
+  }),
   tier: TierQuery,
   // transaction: TransactionQuery,
-  transactions: TransactionsQuery,
-  update: UpdateQuery,
+  ...withScope(Scope.TRANSACTIONS_READ, {
+    transactions: TransactionsQuery,
+    ledgerIntegrityIssues: LedgerIntegrityIssuesQuery,
+  }),
+  ...withScope(Scope.UPDATES_READ, { update: UpdateQuery }),
   paypalPlan: PaypalPlanQuery,
+  search: SearchQuery,
   loggedInAccount: {
     type: Account,
     resolve(_, args, req) {
-      if (!req.remoteUser) {
+      if (!req.remoteUser || !checkScope(req, Scope.ACCOUNT_READ)) {
         return null;
       } else {
         return models.Collective.findByPk(req.remoteUser.CollectiveId);
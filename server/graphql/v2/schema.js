@@ -2,6 +2,7 @@ import { GraphQLObjectType, GraphQLSchema } from 'graphql';
 
 import mutation from './mutation';
 import query from './query';
+import subscription from './subscription';
 import types from './types';
 
 const Query = new GraphQLObjectType({
@@ -20,10 +21,19 @@ const Mutation = new GraphQLObjectType({
   },
 });
 
+const Subscription = new GraphQLObjectType({
+  name: 'Subscription',
+  description: 'This is the root subscription, served over WebSocket',
+  fields: () => {
+    return subscription;
+  },
+});
+
 const Schema = new GraphQLSchema({
   types: types,
   query: Query,
   mutation: Mutation,
+  subscription: Subscription,
 });
 
 export default Schema;
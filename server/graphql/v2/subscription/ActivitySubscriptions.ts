@@ -0,0 +1,45 @@
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+
+import Scope from '../../../constants/scopes';
+import { PUBSUB_CHANNELS, subscribe } from '../../../lib/pubsub';
+import { enforceScope } from '../../common/scope-check';
+import { Forbidden, Unauthorized } from '../../errors';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import { Activity } from '../object/Activity';
+
+const activitySubscriptions = {
+  accountActivity: {
+    type: new GraphQLNonNull(Activity),
+    description:
+      'Notifies every new activity for this account. For hosts, also includes the activities of the hosted accounts.',
+    args: {
+      account: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+        description: 'The account to follow',
+      },
+    },
+    async subscribe(_: void, args, req: express.Request): Promise<AsyncIterator<Record<string, unknown>>> {
+      enforceScope(req, Scope.ACCOUNT_READ);
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to follow the activity of an account');
+      }
+
+      const account = await fetchAccountWithReference(args.account, { loaders: req.loaders, throwIfMissing: true });
+      if (!req.remoteUser.isAdminOfCollective(account)) {
+        throw new Forbidden('You need to be an admin of the account to follow its activity');
+      }
+
+      return subscribe(PUBSUB_CHANNELS.ACTIVITY_CREATED, activity => {
+        return (
+          activity.CollectiveId === account.id || (account.isHostAccount && activity.data?.host?.id === account.id)
+        );
+      });
+    },
+    resolve(activity: Record<string, unknown>): Record<string, unknown> {
+      return activity;
+    },
+  },
+};
+
+export default activitySubscriptions;
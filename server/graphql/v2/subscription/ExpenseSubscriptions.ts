@@ -0,0 +1,46 @@
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+
+import { activities } from '../../../constants';
+import expenseStatus from '../../../constants/expense_status';
+import Scope from '../../../constants/scopes';
+import { PUBSUB_CHANNELS, subscribe } from '../../../lib/pubsub';
+import models from '../../../models';
+import { enforceScope } from '../../common/scope-check';
+import { Forbidden } from '../../errors';
+import { ExpenseReferenceInput, fetchExpenseWithReference } from '../input/ExpenseReferenceInput';
+import { Expense } from '../object/Expense';
+
+const EXPENSE_ACTIVITIES = Object.values(activities).filter(type => type.startsWith('collective.expense.'));
+
+const expenseSubscriptions = {
+  expenseUpdated: {
+    type: Expense,
+    description:
+      'Notifies every change on this expense (status, content, payment...). Returns null once the expense is deleted.',
+    args: {
+      expense: {
+        type: new GraphQLNonNull(ExpenseReferenceInput),
+        description: 'The expense to follow',
+      },
+    },
+    async subscribe(_: void, args, req: express.Request): Promise<AsyncIterator<Record<string, unknown>>> {
+      enforceScope(req, Scope.EXPENSES_READ);
+      const expense = await fetchExpenseWithReference(args.expense, { loaders: req.loaders, throwIfMissing: true });
+      // Same rule as the `expense` query: drafts are only visible to the payee
+      if (expense.status === expenseStatus.DRAFT && !req.remoteUser?.isAdmin(expense.FromCollectiveId)) {
+        throw new Forbidden('You are not allowed to follow this expense');
+      }
+
+      return subscribe(PUBSUB_CHANNELS.ACTIVITY_CREATED, activity => {
+        return activity.ExpenseId === expense.id && EXPENSE_ACTIVITIES.includes(activity.type);
+      });
+    },
+    // Fields permissions are checked by the `Expense` type, using the helpers from `graphql/common/expenses`
+    async resolve(activity: Record<string, unknown>): Promise<typeof models.Expense> {
+      return models.Expense.findByPk(activity.ExpenseId);
+    },
+  },
+};
+
+export default expenseSubscriptions;
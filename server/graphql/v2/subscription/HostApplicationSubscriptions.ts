@@ -0,0 +1,68 @@
+import express from 'express';
+import { GraphQLNonNull } from 'graphql';
+
+import { activities } from '../../../constants';
+import Scope from '../../../constants/scopes';
+import { PUBSUB_CHANNELS, subscribe } from '../../../lib/pubsub';
+import models from '../../../models';
+import { HostApplication as HostApplicationModel, HostApplicationStatus } from '../../../models/HostApplication';
+import { enforceScope } from '../../common/scope-check';
+import { Forbidden, Unauthorized, ValidationFailed } from '../../errors';
+import { AccountReferenceInput, fetchAccountWithReference } from '../input/AccountReferenceInput';
+import HostApplication from '../object/HostApplication';
+
+const hostApplicationSubscriptions = {
+  hostApplicationReceived: {
+    type: new GraphQLNonNull(HostApplication),
+    description: 'Notifies every new application to this host',
+    args: {
+      host: {
+        type: new GraphQLNonNull(AccountReferenceInput),
+        description: 'The host to follow',
+      },
+    },
+    async subscribe(_: void, args, req: express.Request): Promise<AsyncIterator<Record<string, unknown>>> {
+      enforceScope(req, Scope.ACCOUNT_READ);
+      if (!req.remoteUser) {
+        throw new Unauthorized('You need to be logged in to follow the applications of a host');
+      }
+
+      const host = await fetchAccountWithReference(args.host, { loaders: req.loaders, throwIfMissing: true });
+      if (!host.isHostAccount) {
+        throw new ValidationFailed('This account is not a host');
+      } else if (!req.remoteUser.isAdminOfCollective(host)) {
+        throw new Forbidden('You need to be an admin of the host to follow its applications');
+      }
+
+      return subscribe(PUBSUB_CHANNELS.ACTIVITY_CREATED, activity => {
+        return activity.type === activities.COLLECTIVE_APPLY && activity.data?.host?.id === host.id;
+      });
+    },
+    async resolve(
+      activity: Record<string, any>,
+      _,
+      req: express.Request,
+    ): Promise<HostApplicationModel | Record<string, unknown>> {
+      const application = await models.HostApplication.findOne({
+        where: { HostCollectiveId: activity.data.host.id, CollectiveId: activity.CollectiveId },
+        order: [['updatedAt', 'DESC']],
+      });
+
+      if (application) {
+        return application;
+      } else {
+        // The application is recorded in parallel with the activity, it may not be committed yet
+        return {
+          CollectiveId: activity.CollectiveId,
+          collective: await req.loaders.Collective.byId.load(activity.CollectiveId),
+          createdAt: activity.createdAt,
+          status: HostApplicationStatus.PENDING,
+          message: activity.data.application?.message,
+          customData: activity.data.application?.customData,
+        };
+      }
+    },
+  },
+};
+
+export default hostApplicationSubscriptions;
@@ -0,0 +1,11 @@
+import activitySubscriptions from './ActivitySubscriptions';
+import expenseSubscriptions from './ExpenseSubscriptions';
+import hostApplicationSubscriptions from './HostApplicationSubscriptions';
+
+const subscription = {
+  ...activitySubscriptions,
+  ...expenseSubscriptions,
+  ...hostApplicationSubscriptions,
+};
+
+export default subscription;
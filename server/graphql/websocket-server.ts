@@ -0,0 +1,246 @@
+import debugLib from 'debug';
+import express from 'express';
+import {
+  ExecutionResult,
+  formatError,
+  getOperationAST,
+  GraphQLError,
+  GraphQLSchema,
+  parse,
+  subscribe,
+  validate,
+} from 'graphql';
+import { isEmpty } from 'lodash';
+
+import logger from '../lib/logger';
+import { authenticateUser } from '../middleware/authentication';
+
+import { loaders } from './loaders';
+
+const debug = debugLib('graphql-ws');
+
+/**
+ * Implements the server side of the `graphql-transport-ws` protocol, as used by the `graphql-ws` client.
+ * See https://github.com/enisdenjo/graphql-ws/blob/master/PROTOCOL.md
+ */
+export const GRAPHQL_TRANSPORT_WS_PROTOCOL = 'graphql-transport-ws';
+
+const MessageType = {
+  CONNECTION_INIT: 'connection_init',
+  CONNECTION_ACK: 'connection_ack',
+  PING: 'ping',
+  PONG: 'pong',
+  SUBSCRIBE: 'subscribe',
+  NEXT: 'next',
+  ERROR: 'error',
+  COMPLETE: 'complete',
+};
+
+const CloseCode = {
+  BAD_REQUEST: 4400,
+  UNAUTHORIZED: 4401,
+  CONNECTION_INITIALISATION_TIMEOUT: 4408,
+  SUBSCRIBER_ALREADY_EXISTS: 4409,
+  TOO_MANY_INITIALISATION_REQUESTS: 4429,
+};
+
+const CONNECTION_INIT_TIMEOUT = 10000;
+
+/** The subset of the `ws` WebSocket (as provided by express-ws) that we use */
+type WebSocketConnection = {
+  protocol: string;
+  readyState: number;
+  OPEN: number;
+  send(data: string): void;
+  close(code?: number, reason?: string): void;
+  on(event: string, listener: (...args) => void): void;
+};
+
+/**
+ * Browsers can't set headers on WebSocket connections, so the JWT can also be passed
+ * in the `connection_init` payload, as `{ authorization: 'Bearer <token>' }`.
+ */
+const authenticateConnection = async (req: express.Request, payload: Record<string, any>): Promise<void> => {
+  const authorization = payload?.authorization || payload?.Authorization;
+  if (req.remoteUser || !authorization) {
+    return;
+  }
+
+  req.headers.authorization = authorization;
+  await new Promise<void>((resolve, reject) => {
+    authenticateUser(req, null, err => (err ? reject(err) : resolve()));
+  });
+};
+
+/**
+ * Every operation gets its own context with fresh loaders, inheriting the authentication from the connection
+ */
+const getOperationContext = (req: express.Request): express.Request => {
+  const context = Object.create(req);
+  context.loaders = loaders(context);
+  return context;
+};
+
+export const makeGraphqlWebSocketHandler = (schema: GraphQLSchema) => {
+  return (ws: WebSocketConnection, req: express.Request): void => {
+    if (ws.protocol !== GRAPHQL_TRANSPORT_WS_PROTOCOL) {
+      ws.close(1002, 'Unsupported WebSocket subprotocol');
+      return;
+    }
+
+    const operations = new Map<string, AsyncIterator<ExecutionResult>>();
+    let isInitialised = false;
+    let hasReceivedInit = false;
+
+    const send = (message: Record<string, unknown>): void => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    };
+
+    const initTimeout = setTimeout(() => {
+      if (!isInitialised) {
+        ws.close(CloseCode.CONNECTION_INITIALISATION_TIMEOUT, 'Connection initialisation timeout');
+      }
+    }, CONNECTION_INIT_TIMEOUT);
+
+    const completeOperation = async (id: string): Promise<void> => {
+      const iterator = operations.get(id);
+      operations.delete(id);
+      if (iterator?.return) {
+        await iterator.return();
+      }
+    };
+
+    const sendErrors = (id: string, errors: ReadonlyArray<{ message: string }>): void => {
+      operations.delete(id);
+      send({ id, type: MessageType.ERROR, payload: errors });
+    };
+
+    const startOperation = async (id: string, payload: Record<string, any>): Promise<void> => {
+      let document;
+      try {
+        document = parse(payload?.query);
+      } catch (e) {
+        sendErrors(id, [{ message: e.message }]);
+        return;
+      }
+
+      const validationErrors = validate(schema, document);
+      if (validationErrors.length) {
+        sendErrors(
+          id,
+          validationErrors.map(e => formatError(e)),
+        );
+        return;
+      } else if (getOperationAST(document, payload.operationName)?.operation !== 'subscription') {
+        sendErrors(id, [{ message: 'Only subscriptions are supported over WebSocket' }]);
+        return;
+      }
+
+      const result = await subscribe({
+        schema,
+        document,
+        contextValue: getOperationContext(req),
+        variableValues: payload.variables,
+        operationName: payload.operationName,
+      });
+
+      if (!operations.has(id)) {
+        // The client completed the operation while we were subscribing
+        if (Symbol.asyncIterator in result) {
+          await (<AsyncIterator<ExecutionResult>>result).return?.();
+        }
+        return;
+      } else if (!(Symbol.asyncIterator in result)) {
+        // The subscription failed to start (e.g. permission error)
+        sendErrors(
+          id,
+          (<ExecutionResult>result).errors.map(e => formatError(e)),
+        );
+        return;
+      }
+
+      const iterator = <AsyncIterableIterator<ExecutionResult>>result;
+      operations.set(id, iterator);
+      for await (const executionResult of iterator) {
+        if (executionResult.errors) {
+          executionResult.errors.forEach((e: GraphQLError) => logger.error(`GraphQL subscription error: ${e.message}`));
+        }
+        send({ id, type: MessageType.NEXT, payload: executionResult });
+      }
+
+      // The iterator is only done when the client (or the connection) completes the operation
+      if (operations.has(id)) {
+        operations.delete(id);
+        send({ id, type: MessageType.COMPLETE });
+      }
+    };
+
+    ws.on('message', async (data: Buffer | string) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (e) {
+        ws.close(CloseCode.BAD_REQUEST, 'Invalid message received');
+        return;
+      }
+
+      switch (message.type) {
+        case MessageType.CONNECTION_INIT:
+          if (hasReceivedInit) {
+            ws.close(CloseCode.TOO_MANY_INITIALISATION_REQUESTS, 'Too many initialisation requests');
+            return;
+          }
+          hasReceivedInit = true;
+          try {
+            await authenticateConnection(req, message.payload);
+          } catch (e) {
+            ws.close(CloseCode.UNAUTHORIZED, 'Unauthorized');
+            return;
+          }
+          isInitialised = true;
+          clearTimeout(initTimeout);
+          send({ type: MessageType.CONNECTION_ACK });
+          return;
+        case MessageType.PING:
+          send({ type: MessageType.PONG, payload: message.payload });
+          return;
+        case MessageType.PONG:
+          return;
+        case MessageType.SUBSCRIBE:
+          if (!isInitialised) {
+            ws.close(CloseCode.UNAUTHORIZED, 'Unauthorized');
+            return;
+          } else if (!message.id || isEmpty(message.payload)) {
+            ws.close(CloseCode.BAD_REQUEST, 'Invalid subscribe message');
+            return;
+          } else if (operations.has(message.id)) {
+            ws.close(CloseCode.SUBSCRIBER_ALREADY_EXISTS, `Subscriber for ${message.id} already exists`);
+            return;
+          }
+
+          debug(`Starting operation ${message.id}`);
+          operations.set(message.id, null);
+          startOperation(message.id, message.payload).catch(e => {
+            logger.error(`Error while running GraphQL subscription: ${e.message}`);
+            sendErrors(message.id, [{ message: 'Internal server error' }]);
+          });
+          return;
+        case MessageType.COMPLETE:
+          debug(`Completing operation ${message.id}`);
+          await completeOperation(message.id);
+          return;
+        default:
+          ws.close(CloseCode.BAD_REQUEST, `Unexpected message of type ${message.type} received`);
+      }
+    });
+
+    ws.on('close', async () => {
+      clearTimeout(initTimeout);
+      for (const id of Array.from(operations.keys())) {
+        await completeOperation(id);
+      }
+    });
+  };
+};
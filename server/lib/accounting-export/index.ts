@@ -0,0 +1,248 @@
+import { countBy, get, isPlainObject, pickBy } from 'lodash';
+import moment from 'moment';
+
+import { TransactionKind } from '../../constants/transaction-kind';
+import { TransactionTypes } from '../../constants/transactions';
+import { ValidationFailed } from '../../graphql/errors';
+import models, { Op } from '../../models';
+
+import { generateQuickBooksCsv, generateXeroCsv } from './journal-csv';
+import { generateOfx } from './ofx';
+import { generateQif } from './qif';
+import { AccountingExportFormat, JournalEntry, JournalLine } from './types';
+
+export { AccountingExportFormat, JournalEntry, JournalLine };
+
+/** The account through which the money comes in and out of the host */
+export const BANK_ACCOUNT = 'BANK';
+
+export type ChartOfAccounts = Record<TransactionKind | typeof BANK_ACCOUNT, string>;
+
+/**
+ * The codes used when the host did not configure its own in `settings.accounting.chartOfAccounts`
+ */
+export const DEFAULT_CHART_OF_ACCOUNTS: ChartOfAccounts = {
+  [BANK_ACCOUNT]: '1000',
+  [TransactionKind.ADDED_FUNDS]: '4100',
+  [TransactionKind.CONTRIBUTION]: '4000',
+  [TransactionKind.EXPENSE]: '5000',
+  [TransactionKind.HOST_FEE]: '4200',
+  [TransactionKind.HOST_FEE_SHARE]: '5200',
+  [TransactionKind.HOST_FEE_SHARE_DEBT]: '2100',
+  [TransactionKind.PAYMENT_PROCESSOR_FEE]: '5100',
+  [TransactionKind.PLATFORM_FEE]: '5300',
+  [TransactionKind.PLATFORM_TIP]: '2200',
+  [TransactionKind.PLATFORM_TIP_DEBT]: '2200',
+  [TransactionKind.PREPAID_PAYMENT_METHOD]: '2300',
+};
+
+const MAX_ACCOUNT_CODE_LENGTH = 32;
+
+/** The whole ledger is loaded in memory, so the exports are limited to one year at a time */
+const MAX_EXPORT_PERIOD_IN_DAYS = 366;
+
+const isValidAccountCode = (code: unknown): boolean => {
+  return typeof code === 'string' && code.trim().length > 0 && code.length <= MAX_ACCOUNT_CODE_LENGTH;
+};
+
+/**
+ * Validates `settings.accounting`, returns an error message if it's invalid
+ */
+export const validateAccountingSettings = (settings: Record<string, unknown>): string | false => {
+  if (!isPlainObject(settings)) {
+    return 'Invalid accounting settings';
+  }
+
+  const { chartOfAccounts, xeroTaxRate } = settings;
+  if (chartOfAccounts !== undefined) {
+    if (!isPlainObject(chartOfAccounts)) {
+      return 'The chart of accounts must map the kinds of transactions to account codes';
+    }
+
+    for (const [account, code] of Object.entries(chartOfAccounts)) {
+      if (!(account in DEFAULT_CHART_OF_ACCOUNTS)) {
+        return `Unknown account in the chart of accounts: ${account}`;
+      } else if (!isValidAccountCode(code)) {
+        return `Invalid code for ${account}, account codes must be up to ${MAX_ACCOUNT_CODE_LENGTH} characters`;
+      }
+    }
+  }
+
+  if (xeroTaxRate !== undefined && !isValidAccountCode(xeroTaxRate)) {
+    return 'Invalid Xero tax rate';
+  }
+
+  return false;
+};
+
+export const getChartOfAccounts = (host: typeof models.Collective): ChartOfAccounts => {
+  // Ignore the invalid codes that may have been saved before the settings were validated
+  const hostAccounts = pickBy(get(host, 'settings.accounting.chartOfAccounts'), isValidAccountCode);
+  return { ...DEFAULT_CHART_OF_ACCOUNTS, ...hostAccounts };
+};
+
+/**
+ * The kinds of transactions that move money in or out of the bank account of the host. The others (host fees,
+ * platform tips...) only move money between the accounts of the ledger.
+ */
+const BANK_MOVEMENT_KINDS = [
+  TransactionKind.ADDED_FUNDS,
+  TransactionKind.CONTRIBUTION,
+  TransactionKind.EXPENSE,
+  TransactionKind.PAYMENT_PROCESSOR_FEE,
+];
+
+const getTransactionKind = (transaction: typeof models.Transaction): TransactionKind => {
+  if (transaction.kind) {
+    return transaction.kind;
+  } else {
+    // Legacy transactions don't have a kind
+    return transaction.type === TransactionTypes.CREDIT ? TransactionKind.CONTRIBUTION : TransactionKind.EXPENSE;
+  }
+};
+
+/**
+ * Returns true if the transaction is a real movement of the bank account: a contribution or added funds coming in,
+ * an expense paid out (or their refunds), a payment processor fee. Transfers between two accounts of the host
+ * (`isInternalTransfer`) and debts are not.
+ */
+const isBankMovement = (transaction: typeof models.Transaction, isInternalTransfer: boolean): boolean => {
+  const kind = getTransactionKind(transaction);
+  if (!BANK_MOVEMENT_KINDS.includes(kind) || transaction.isDebt || isInternalTransfer) {
+    return false;
+  } else if (kind === TransactionKind.PAYMENT_PROCESSOR_FEE) {
+    return true;
+  }
+
+  // Money comes in with the CREDIT of contributions and goes out with the DEBIT of expenses, refunds go the other way
+  const expectedType = kind === TransactionKind.EXPENSE ? TransactionTypes.DEBIT : TransactionTypes.CREDIT;
+  return (transaction.type === expectedType) !== Boolean(transaction.isRefund);
+};
+
+/**
+ * Converts a transaction of the host ledger to a balanced journal entry. For a $100 contribution
+ * with a $3 payment processor fee:
+ * - Debit BANK $97
+ * - Debit PAYMENT_PROCESSOR_FEE $3
+ * - Credit CONTRIBUTION $100
+ */
+export const getJournalEntry = (
+  transaction: typeof models.Transaction,
+  accounts: ChartOfAccounts,
+  { isInternalTransfer = false }: { isInternalTransfer?: boolean } = {},
+): JournalEntry => {
+  const kind = getTransactionKind(transaction);
+  const amount = transaction.amountInHostCurrency; // Positive for a CREDIT, negative for a DEBIT
+  const paymentProcessorFee = transaction.paymentProcessorFeeInHostCurrency || 0; // Always negative
+  const bankAmount = amount + paymentProcessorFee;
+  const lines: JournalLine[] = [{ accountCode: accounts[kind], amount: -amount, description: transaction.description }];
+  if (paymentProcessorFee) {
+    lines.push({
+      accountCode: accounts[TransactionKind.PAYMENT_PROCESSOR_FEE],
+      amount: -paymentProcessorFee,
+      description: 'Payment processor fee',
+    });
+  }
+
+  if (bankAmount) {
+    lines.push({ accountCode: accounts[BANK_ACCOUNT], amount: bankAmount, description: transaction.description });
+  }
+
+  return {
+    id: transaction.id,
+    uuid: transaction.uuid,
+    date: transaction.createdAt,
+    currency: transaction.hostCurrency,
+    description: transaction.description,
+    counterpartyName: transaction.fromCollective?.name || '',
+    bankAmount,
+    isBankMovement: isBankMovement(transaction, isInternalTransfer),
+    lines,
+  };
+};
+
+/** Identifies the transaction across its CREDIT and DEBIT sides */
+const getTransferKey = (transaction: typeof models.Transaction): string => {
+  return `${transaction.TransactionGroup}-${transaction.kind}-${Boolean(transaction.isDebt)}`;
+};
+
+const getXeroTaxRate = (host: typeof models.Collective): string => {
+  const taxRate = get(host, 'settings.accounting.xeroTaxRate');
+  return isValidAccountCode(taxRate) ? taxRate : 'Tax Exempt';
+};
+
+const CONTENT_TYPES: Record<AccountingExportFormat, string> = {
+  [AccountingExportFormat.OFX]: 'application/x-ofx',
+  [AccountingExportFormat.QIF]: 'application/qif',
+  [AccountingExportFormat.XERO_CSV]: 'text/csv',
+  [AccountingExportFormat.QUICKBOOKS_CSV]: 'text/csv',
+};
+
+const EXTENSIONS: Record<AccountingExportFormat, string> = {
+  [AccountingExportFormat.OFX]: 'ofx',
+  [AccountingExportFormat.QIF]: 'qif',
+  [AccountingExportFormat.XERO_CSV]: 'csv',
+  [AccountingExportFormat.QUICKBOOKS_CSV]: 'csv',
+};
+
+/**
+ * Exports the ledger of `host` for the given period, in a format that can be imported by accounting software
+ */
+export const exportHostLedger = async (
+  host: typeof models.Collective,
+  format: AccountingExportFormat,
+  { dateFrom, dateTo }: { dateFrom?: Date; dateTo?: Date } = {},
+): Promise<{ content: string; contentType: string; filename: string }> => {
+  dateTo = dateTo || new Date();
+  dateFrom = dateFrom || moment.utc(dateTo).subtract(1, 'month').toDate();
+  if (dateFrom >= dateTo) {
+    throw new ValidationFailed('dateFrom must be before dateTo');
+  } else if (moment.utc(dateTo).diff(dateFrom, 'days', true) > MAX_EXPORT_PERIOD_IN_DAYS) {
+    throw new ValidationFailed('The ledger can only be exported for one year at a time, please export each year');
+  }
+
+  const transactions = await models.Transaction.findAll({
+    where: { HostCollectiveId: host.id, createdAt: { [Op.gte]: dateFrom, [Op.lt]: dateTo } },
+    include: [{ model: models.Collective, as: 'fromCollective', attributes: ['id', 'name'], paranoid: false }],
+    order: [['createdAt', 'ASC']],
+  });
+
+  // When money moves between two accounts of the host, both sides of the transaction are in its ledger
+  const internalTransferKeys = new Set(
+    Object.entries(countBy(transactions, getTransferKey))
+      .filter(([, count]) => count > 1)
+      .map(([key]) => key),
+  );
+
+  const accounts = getChartOfAccounts(host);
+  const entries = transactions.map(transaction =>
+    getJournalEntry(transaction, accounts, {
+      isInternalTransfer: internalTransferKeys.has(getTransferKey(transaction)),
+    }),
+  );
+
+  let content;
+  switch (format) {
+    case AccountingExportFormat.OFX:
+      content = generateOfx(entries, { accountId: host.slug, currency: host.currency, dateFrom, dateTo });
+      break;
+    case AccountingExportFormat.QIF:
+      content = generateQif(entries, { bankAccountCode: accounts[BANK_ACCOUNT] });
+      break;
+    case AccountingExportFormat.XERO_CSV:
+      content = generateXeroCsv(entries, { taxRate: getXeroTaxRate(host) });
+      break;
+    case AccountingExportFormat.QUICKBOOKS_CSV:
+      content = generateQuickBooksCsv(entries);
+      break;
+    default:
+      throw new Error(`Unsupported accounting export format: ${format}`);
+  }
+
+  const period = `${moment.utc(dateFrom).format('YYYY-MM-DD')}_${moment.utc(dateTo).format('YYYY-MM-DD')}`;
+  return {
+    content,
+    contentType: CONTENT_TYPES[format],
+    filename: `${host.slug}-ledger-${period}.${EXTENSIONS[format]}`,
+  };
+};
@@ -0,0 +1,52 @@
+import moment from 'moment';
+
+import { JournalEntry } from './types';
+
+const formatAmount = (cents: number): string => (cents / 100).toFixed(2);
+
+const toCsvRow = (values: Array<string | number>): string => {
+  return values.map(value => `"${`${value ?? ''}`.replace(/"/g, '""')}"`).join(',');
+};
+
+/**
+ * Generates a CSV file for the "Import manual journals" feature of Xero. Debits are positive amounts,
+ * credits negative ones.
+ */
+export const generateXeroCsv = (entries: JournalEntry[], { taxRate }: { taxRate: string }): string => {
+  const header = ['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount'];
+  const rows = [];
+  for (const entry of entries) {
+    const narration = `${entry.description} (#${entry.id})`;
+    const date = moment.utc(entry.date).format('DD/MM/YYYY');
+    for (const line of entry.lines) {
+      rows.push([narration, date, line.description, line.accountCode, taxRate, formatAmount(line.amount)]);
+    }
+  }
+
+  return [header, ...rows].map(toCsvRow).join('\n');
+};
+
+/**
+ * Generates a CSV file for the "Import journal entries" feature of QuickBooks Online
+ */
+export const generateQuickBooksCsv = (entries: JournalEntry[]): string => {
+  const header = ['Journal No', 'Journal Date', 'Currency', 'Account', 'Debits', 'Credits', 'Description', 'Name'];
+  const rows = [];
+  for (const entry of entries) {
+    const date = moment.utc(entry.date).format('MM/DD/YYYY');
+    for (const line of entry.lines) {
+      rows.push([
+        entry.id,
+        date,
+        entry.currency,
+        line.accountCode,
+        line.amount > 0 ? formatAmount(line.amount) : '',
+        line.amount < 0 ? formatAmount(-line.amount) : '',
+        line.description,
+        entry.counterpartyName,
+      ]);
+    }
+  }
+
+  return [header, ...rows].map(toCsvRow).join('\n');
+};
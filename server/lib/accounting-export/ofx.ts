@@ -0,0 +1,90 @@
+import moment from 'moment';
+
+import { JournalEntry } from './types';
+
+/**
+ * The file is declared as US-ASCII (the encoding supported by all the importers), so the accents are removed
+ * and the other non-ASCII characters replaced.
+ */
+const toAscii = (value: string): string => {
+  return value
+    .replace(/\s/g, ' ')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E]/g, '?');
+};
+
+const escape = (value: string): string => {
+  return toAscii(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+const formatDate = (date: Date): string => moment.utc(date).format('YYYYMMDDHHmmss');
+
+const formatAmount = (cents: number): string => (cents / 100).toFixed(2);
+
+/**
+ * Generates an OFX 1.0.2 bank statement, the format imported by QuickBooks ("Web Connect") and most accounting
+ * software. Only the real movements of the bank account are included, the categorization is left to the software.
+ */
+export const generateOfx = (
+  entries: JournalEntry[],
+  { accountId, currency, dateFrom, dateTo }: { accountId: string; currency: string; dateFrom: Date; dateTo: Date },
+): string => {
+  const bankEntries = entries.filter(entry => entry.isBankMovement && entry.bankAmount !== 0);
+  const transactions = bankEntries.map(entry =>
+    [
+      '<STMTTRN>',
+      `<TRNTYPE>${entry.bankAmount > 0 ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+      `<DTPOSTED>${formatDate(entry.date)}</DTPOSTED>`,
+      `<TRNAMT>${formatAmount(entry.bankAmount)}</TRNAMT>`,
+      `<FITID>${entry.uuid}</FITID>`,
+      `<NAME>${escape(entry.counterpartyName).slice(0, 32)}</NAME>`,
+      `<MEMO>${escape(entry.description).slice(0, 255)}</MEMO>`,
+      '</STMTTRN>',
+    ].join('\n'),
+  );
+
+  const balance = bankEntries.reduce((total, entry) => total + entry.bankAmount, 0);
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${formatDate(new Date())}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>0</TRNUID>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${currency}</CURDEF>`,
+    '<BANKACCTFROM>',
+    '<BANKID>OPENCOLLECTIVE</BANKID>',
+    `<ACCTID>${escape(accountId)}</ACCTID>`,
+    '<ACCTTYPE>CHECKING</ACCTTYPE>',
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${formatDate(dateFrom)}</DTSTART>`,
+    `<DTEND>${formatDate(dateTo)}</DTEND>`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    // The balance of the period, as we don't know the actual balance of the bank account
+    `<LEDGERBAL><BALAMT>${formatAmount(balance)}</BALAMT><DTASOF>${formatDate(dateTo)}</DTASOF></LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,35 @@
+import moment from 'moment';
+
+import { JournalEntry } from './types';
+
+const formatAmount = (cents: number): string => (cents / 100).toFixed(2);
+
+// QIF fields are line-based, a line break would start a new field
+const clean = (value: string): string => (value || '').replace(/[\r\n]+/g, ' ');
+
+/**
+ * Generates a QIF bank register, with the real movements of the bank account. Each entry is split between the accounts of its journal lines, so
+ * that the categorization (and the fees) are imported too.
+ */
+export const generateQif = (entries: JournalEntry[], { bankAccountCode }: { bankAccountCode: string }): string => {
+  const records = entries
+    .filter(entry => entry.isBankMovement && entry.bankAmount !== 0)
+    .map(entry => {
+      const fields = [
+        `D${moment.utc(entry.date).format('MM/DD/YYYY')}`,
+        `T${formatAmount(entry.bankAmount)}`,
+        `N${entry.id}`,
+        `P${clean(entry.counterpartyName)}`,
+        `M${clean(entry.description)}`,
+      ];
+
+      // In the register, a split is the amount going to (negative) or coming from (positive) the category
+      for (const line of entry.lines.filter(line => line.accountCode !== bankAccountCode)) {
+        fields.push(`S${line.accountCode}`, `E${clean(line.description)}`, `$${formatAmount(-line.amount)}`);
+      }
+
+      return [...fields, '^'].join('\n');
+    });
+
+  return ['!Type:Bank', ...records, ''].join('\n');
+};
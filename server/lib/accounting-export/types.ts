@@ -0,0 +1,35 @@
+export enum AccountingExportFormat {
+  OFX = 'OFX',
+  QIF = 'QIF',
+  XERO_CSV = 'XERO_CSV',
+  QUICKBOOKS_CSV = 'QUICKBOOKS_CSV',
+}
+
+/**
+ * One line of a journal entry. Amounts follow the accounting convention: positive for a debit,
+ * negative for a credit.
+ */
+export type JournalLine = {
+  accountCode: string;
+  /** In cents, in the host currency */
+  amount: number;
+  description: string;
+};
+
+/**
+ * A balanced (the amounts of the lines sum up to 0) journal entry, made from a single transaction of the host ledger
+ */
+export type JournalEntry = {
+  id: number;
+  uuid: string;
+  date: Date;
+  currency: string;
+  description: string;
+  /** The name of the other party: the contributor, the payee... */
+  counterpartyName: string;
+  /** The part of the entry that went through the bank account, in cents: positive for money in */
+  bankAmount: number;
+  /** Whether the entry is a real movement of the bank account, or a transfer between the accounts of the ledger */
+  isBankMovement: boolean;
+  lines: JournalLine[];
+};
@@ -128,6 +128,9 @@ const doFormatMessage = (activity, format) => {
     case activities.COLLECTIVE_EXPENSE_APPROVED:
       return `Expense approved: ${currency} ${amount} for ${description} in ${collective}!`;
 
+    case activities.COLLECTIVE_EXPENSE_PARTIALLY_APPROVED:
+      return `Expense partially approved (${activity.data.approvals}/${activity.data.requiredApprovals}): ${currency} ${amount} for ${description} in ${collective}`;
+
     case activities.COLLECTIVE_EXPENSE_PAID:
       return `Expense paid on ${collective}: ${currency} ${amount} for '${description}'`;
 
@@ -0,0 +1,145 @@
+import { BankStatementLine } from './types';
+
+/**
+ * A minimal XML reader, sufficient for the ISO 20022 CAMT.053 bank statements: elements, attributes
+ * and text content. Namespace prefixes are ignored.
+ */
+
+type XmlElement = {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlElement[];
+  text: string;
+};
+
+const decodeEntities = (str: string): string =>
+  str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+
+const stripNamespace = (name: string): string => name.replace(/^[^:]+:/, '');
+
+const parseAttributes = (str: string): Record<string, string> => {
+  const attributes = {};
+  const regex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = regex.exec(str))) {
+    attributes[stripNamespace(match[1])] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+export const parseXml = (xml: string): XmlElement => {
+  const root: XmlElement = { name: '#root', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const regex =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = regex.exec(xml))) {
+    const [, cdata, isClosing, tagName, attributes, isSelfClosing, text] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    } else if (tagName && isClosing) {
+      if (stack.length === 1 || current.name !== stripNamespace(tagName)) {
+        throw new Error(`Invalid XML: unexpected closing tag ${tagName}`);
+      }
+      current.text = current.text.trim();
+      stack.pop();
+    } else if (tagName) {
+      const element = {
+        name: stripNamespace(tagName),
+        attributes: parseAttributes(attributes),
+        children: [],
+        text: '',
+      };
+      current.children.push(element);
+      if (!isSelfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Invalid XML: element ${stack[stack.length - 1].name} is not closed`);
+  }
+
+  return root;
+};
+
+/** Returns the first element matching the path, e.g. `find(entry, 'Amt')` or `find(entry, 'BookgDt', 'Dt')` */
+const find = (element: XmlElement, ...path: string[]): XmlElement | undefined => {
+  let current = element;
+  for (const name of path) {
+    current = current?.children.find(child => child.name === name);
+  }
+  return current;
+};
+
+const findAll = (element: XmlElement, name: string): XmlElement[] => {
+  return element?.children.filter(child => child.name === name) || [];
+};
+
+const getText = (element: XmlElement, ...path: string[]): string | null => {
+  return find(element, ...path)?.text || null;
+};
+
+const getEntryReference = (details: XmlElement): string | null => {
+  const remittanceInfo = find(details, 'RmtInf');
+  const unstructured = findAll(remittanceInfo, 'Ustrd').map(element => element.text);
+  const structured = findAll(remittanceInfo, 'Strd').map(strd => getText(strd, 'CdtrRefInf', 'Ref'));
+  const references = [...unstructured, ...structured, getText(details, 'Refs', 'EndToEndId')].filter(
+    ref => ref && ref !== 'NOTPROVIDED',
+  );
+  return references.length ? references.join(' ') : null;
+};
+
+/**
+ * Parses the credit entries of a CAMT.053 (Bank to Customer Statement) file
+ */
+export const parseCamt053 = (content: string): BankStatementLine[] => {
+  const document = find(parseXml(content), 'Document');
+  const statementsRoot = find(document, 'BkToCstmrStmt');
+  if (!statementsRoot) {
+    throw new Error('This file is not a CAMT.053 bank statement');
+  }
+
+  const lines = [];
+  let lineNumber = 0;
+  for (const statement of findAll(statementsRoot, 'Stmt')) {
+    for (const entry of findAll(statement, 'Ntry')) {
+      lineNumber++;
+      if (getText(entry, 'CdtDbtInd') !== 'CRDT' || getText(entry, 'RvslInd') === 'true') {
+        continue; // Only incoming payments are relevant for reconciliation
+      }
+
+      const amount = find(entry, 'Amt');
+      if (!amount || isNaN(parseFloat(amount.text))) {
+        continue;
+      }
+
+      const details = find(entry, 'NtryDtls', 'TxDtls');
+      const date =
+        getText(entry, 'BookgDt', 'Dt') || getText(entry, 'BookgDt', 'DtTm') || getText(entry, 'ValDt', 'Dt');
+      lines.push({
+        lineNumber,
+        bankReference:
+          getText(entry, 'AcctSvcrRef') || getText(entry, 'NtryRef') || getText(details, 'Refs', 'AcctSvcrRef'),
+        date: date ? new Date(date) : null,
+        amount: Math.round(parseFloat(amount.text) * 100),
+        currency: amount.attributes['Ccy'],
+        reference: getEntryReference(details) || getText(entry, 'AddtlNtryInf'),
+        payerName: getText(details, 'RltdPties', 'Dbtr', 'Nm') || getText(details, 'RltdPties', 'Dbtr', 'Pty', 'Nm'),
+      });
+    }
+  }
+
+  return lines;
+};
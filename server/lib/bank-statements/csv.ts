@@ -0,0 +1,140 @@
+import { BankStatementLine } from './types';
+
+/**
+ * Bank CSV exports don't follow any standard, so we look for the columns by their (usual) names.
+ */
+const COLUMNS = {
+  date: ['date', 'booking date', 'transaction date', 'value date', 'posted date'],
+  amount: ['amount', 'credit', 'credit amount', 'paid in', 'deposit'],
+  currency: ['currency', 'ccy'],
+  reference: ['reference', 'description', 'memo', 'details', 'remittance information', 'payment reference'],
+  payerName: ['name', 'payer', 'payer name', 'counterparty', 'counterparty name', 'debtor', 'from'],
+  bankReference: ['id', 'transaction id', 'bank reference', 'transaction reference'],
+};
+
+const detectDelimiter = (headerLine: string): string => {
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, delimiter) =>
+    headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best,
+  );
+};
+
+/**
+ * Splits CSV content into rows of cells, handling quoted cells (RFC 4180)
+ */
+export const parseCsvRows = (content: string, delimiter: string): string[][] => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(row => row.some(cell => cell.trim()));
+};
+
+/**
+ * Parses amounts like `1234.56`, `1,234.56`, `1.234,56` or `-12,50` to cents
+ */
+export const parseAmount = (value: string): number => {
+  let amount = value.replace(/[^\d,.-]/g, '');
+  const lastComma = amount.lastIndexOf(',');
+  const lastDot = amount.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator
+    amount = amount.replace(/\./g, '').replace(',', '.');
+  } else {
+    amount = amount.replace(/,/g, '');
+  }
+
+  return Math.round(parseFloat(amount) * 100);
+};
+
+const parseDate = (value: string): Date | null => {
+  const trimmed = value?.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  // European format: DD/MM/YYYY or DD.MM.YYYY
+  const european = trimmed.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  const date = european
+    ? new Date(`${european[3]}-${european[2].padStart(2, '0')}-${european[1].padStart(2, '0')}`)
+    : new Date(trimmed);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parses the credit lines of a CSV bank statement. Lines with a negative amount (debits) are ignored.
+ */
+export const parseCsv = (content: string, { defaultCurrency }: { defaultCurrency: string }): BankStatementLine[] => {
+  const firstLine = content.split(/\r?\n/).find(line => line.trim()) || '';
+  const [header, ...rows] = parseCsvRows(content, detectDelimiter(firstLine));
+  const headerNames = (header || []).map(name => name.trim().toLowerCase());
+  const columns = {};
+  for (const [key, names] of Object.entries(COLUMNS)) {
+    const index = headerNames.findIndex(name => names.includes(name));
+    columns[key] = index === -1 ? null : index;
+  }
+
+  if (columns['amount'] === null) {
+    throw new Error('Could not find the amount column in the CSV file');
+  }
+
+  const getCell = (row: string[], key: string): string | null => {
+    const value = columns[key] === null ? null : row[columns[key]]?.trim();
+    return value || null;
+  };
+
+  const lines = [];
+  rows.forEach((row, index) => {
+    const amountCell = getCell(row, 'amount');
+    const amount = amountCell ? parseAmount(amountCell) : NaN;
+    if (isNaN(amount) || amount <= 0) {
+      return;
+    }
+
+    lines.push({
+      lineNumber: index + 1,
+      bankReference: getCell(row, 'bankReference'),
+      date: parseDate(getCell(row, 'date')),
+      amount,
+      currency: (getCell(row, 'currency') || defaultCurrency).toUpperCase(),
+      reference: getCell(row, 'reference'),
+      payerName: getCell(row, 'payerName'),
+    });
+  });
+
+  return lines;
+};
@@ -0,0 +1,184 @@
+import { orderBy, round, uniq } from 'lodash';
+
+import OrderStatus from '../../constants/order_status';
+import models, { Op } from '../../models';
+
+import { parseCamt053 } from './camt053';
+import { parseCsv } from './csv';
+import { BankStatementFormat, BankStatementLine } from './types';
+
+export { BankStatementFormat, BankStatementLine };
+
+export enum BankStatementMatchCriterion {
+  /** The order ID (the reference given in the payment instructions) is in the remittance information */
+  REFERENCE = 'REFERENCE',
+  AMOUNT = 'AMOUNT',
+  /** The amount is within 2% of the order amount, e.g. when the bank took a fee */
+  APPROXIMATE_AMOUNT = 'APPROXIMATE_AMOUNT',
+  PAYER_NAME = 'PAYER_NAME',
+}
+
+export type BankStatementMatch = {
+  order: typeof models.Order;
+  /** Between 0 and 1 */
+  confidence: number;
+  criteria: BankStatementMatchCriterion[];
+};
+
+export type BankStatementLineWithMatches = BankStatementLine & { matches: BankStatementMatch[] };
+
+const MIN_CONFIDENCE = 0.3;
+const MAX_MATCHES_PER_LINE = 3;
+const APPROXIMATE_AMOUNT_TOLERANCE = 0.02;
+const MIN_NAME_SIMILARITY = 0.6;
+
+export const parseBankStatement = (
+  content: string,
+  format: BankStatementFormat,
+  { defaultCurrency }: { defaultCurrency: string },
+): BankStatementLine[] => {
+  switch (format) {
+    case BankStatementFormat.CAMT_053:
+      return parseCamt053(content);
+    case BankStatementFormat.CSV:
+      return parseCsv(content, { defaultCurrency });
+    default:
+      throw new Error(`Unsupported bank statement format: ${format}`);
+  }
+};
+
+const normalizeName = (name: string): string => {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove the accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .sort() // "DOE JOHN" and "John Doe" are the same person
+    .join(' ');
+};
+
+const getBigrams = (str: string): string[] => {
+  const bigrams = [];
+  for (let i = 0; i < str.length - 1; i++) {
+    bigrams.push(str.slice(i, i + 2));
+  }
+  return bigrams;
+};
+
+/**
+ * Returns the similarity between two names, between 0 and 1 (Sørensen–Dice coefficient on bigrams)
+ */
+export const getNameSimilarity = (a: string, b: string): number => {
+  const bigramsA = getBigrams(normalizeName(a));
+  const bigramsB = getBigrams(normalizeName(b));
+  if (!bigramsA.length || !bigramsB.length) {
+    return 0;
+  }
+
+  const remaining = [...bigramsB];
+  let intersection = 0;
+  for (const bigram of bigramsA) {
+    const index = remaining.indexOf(bigram);
+    if (index !== -1) {
+      intersection++;
+      remaining.splice(index, 1);
+    }
+  }
+
+  return (2 * intersection) / (bigramsA.length + bigramsB.length);
+};
+
+const referenceContainsOrderId = (reference: string, orderId: number): boolean => {
+  return new RegExp(`(^|\\D)0*${orderId}(\\D|$)`).test(reference || '');
+};
+
+const scoreMatch = (line: BankStatementLine, order: typeof models.Order): BankStatementMatch | null => {
+  if (line.currency !== order.currency) {
+    return null;
+  }
+
+  let score = 0;
+  const criteria = [];
+  let amountCriterion = null;
+  if (line.amount === order.totalAmount) {
+    score += 0.3;
+    amountCriterion = BankStatementMatchCriterion.AMOUNT;
+  } else if (Math.abs(line.amount - order.totalAmount) <= order.totalAmount * APPROXIMATE_AMOUNT_TOLERANCE) {
+    score += 0.15;
+    amountCriterion = BankStatementMatchCriterion.APPROXIMATE_AMOUNT;
+  }
+
+  // The reference is only the order ID, which can also appear by chance in the remittance information (dates,
+  // invoice numbers...): it's only a strong signal if the amount matches too.
+  if (referenceContainsOrderId(line.reference, order.id)) {
+    score += amountCriterion ? 0.5 : 0.05;
+    criteria.push(BankStatementMatchCriterion.REFERENCE);
+  }
+
+  if (amountCriterion) {
+    criteria.push(amountCriterion);
+  }
+
+  const fromCollective = order.fromCollective;
+  const nameSimilarity = Math.max(
+    getNameSimilarity(line.payerName, fromCollective?.name),
+    getNameSimilarity(line.payerName, fromCollective?.legalName),
+  );
+  if (nameSimilarity >= MIN_NAME_SIMILARITY) {
+    score += 0.2 * nameSimilarity;
+    criteria.push(BankStatementMatchCriterion.PAYER_NAME);
+  }
+
+  return score >= MIN_CONFIDENCE ? { order, confidence: round(Math.min(score, 1), 2), criteria } : null;
+};
+
+/**
+ * Proposes, for each line of the bank statement, the pending orders of the host it could be paying for.
+ * Each order is proposed first for at most one line: the one it matches best.
+ */
+export const findMatchesForBankStatementLines = async (
+  host: typeof models.Collective,
+  lines: BankStatementLine[],
+): Promise<BankStatementLineWithMatches[]> => {
+  const pendingOrders = await models.Order.findAll({
+    where: { status: OrderStatus.PENDING, currency: { [Op.in]: uniq(lines.map(line => line.currency)) } },
+    include: [
+      { model: models.Collective, as: 'collective', where: { HostCollectiveId: host.id }, required: true },
+      { model: models.Collective, as: 'fromCollective' },
+    ],
+  });
+
+  const candidates = [];
+  for (const line of lines) {
+    for (const order of pendingOrders) {
+      const match = scoreMatch(line, order);
+      if (match) {
+        candidates.push({ line, match });
+      }
+    }
+  }
+
+  // Greedy assignment, best matches first
+  const bestMatchByLine = new Map<BankStatementLine, BankStatementMatch>();
+  const assignedOrderIds = new Set<number>();
+  for (const { line, match } of orderBy(candidates, ({ match }) => match.confidence, 'desc')) {
+    if (!bestMatchByLine.has(line) && !assignedOrderIds.has(match.order.id)) {
+      bestMatchByLine.set(line, match);
+      assignedOrderIds.add(match.order.id);
+    }
+  }
+
+  return lines.map(line => {
+    const bestMatch = bestMatchByLine.get(line);
+    const otherMatches = orderBy(
+      candidates.filter(candidate => candidate.line === line && candidate.match !== bestMatch),
+      ({ match }) => match.confidence,
+      'desc',
+    ).map(({ match }) => match);
+
+    const matches = bestMatch ? [bestMatch, ...otherMatches] : otherMatches;
+    return { ...line, matches: matches.slice(0, MAX_MATCHES_PER_LINE) };
+  });
+};
@@ -0,0 +1,21 @@
+export enum BankStatementFormat {
+  CAMT_053 = 'CAMT_053',
+  CSV = 'CSV',
+}
+
+/**
+ * A credit received on the bank account of the host, as parsed from a bank statement
+ */
+export type BankStatementLine = {
+  /** Position of the line in the statement, starting at 1 */
+  lineNumber: number;
+  /** Identifier of the transaction given by the bank, if any */
+  bankReference: string | null;
+  date: Date | null;
+  /** In cents */
+  amount: number;
+  currency: string;
+  /** The remittance information entered by the payer */
+  reference: string | null;
+  payerName: string | null;
+};
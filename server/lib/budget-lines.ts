@@ -0,0 +1,218 @@
+import moment from 'moment';
+
+import ExpenseStatus from '../constants/expense_status';
+import { ValidationFailed } from '../graphql/errors';
+import models, { Op, sequelize } from '../models';
+import { BudgetEnforcement, BudgetLine, BudgetPeriod } from '../models/BudgetLine';
+
+import { getFxRate } from './currency';
+import { sanitizeTags } from './tags';
+import { formatCurrency } from './utils';
+
+/** Paid expenses, counted as spent */
+const SPENT_STATUSES = [ExpenseStatus.PAID];
+
+/** Expenses that were submitted and may be paid soon, counted as committed */
+const COMMITTED_STATUSES = [
+  ExpenseStatus.PENDING,
+  ExpenseStatus.PARTIALLY_APPROVED,
+  ExpenseStatus.APPROVED,
+  ExpenseStatus.SCHEDULED_FOR_PAYMENT,
+  ExpenseStatus.PROCESSING,
+];
+
+const PERIOD_UNITS: Record<BudgetPeriod, moment.unitOfTime.StartOf> = {
+  [BudgetPeriod.MONTH]: 'month',
+  [BudgetPeriod.QUARTER]: 'quarter',
+  [BudgetPeriod.YEAR]: 'year',
+};
+
+/** The action that triggered a budget check */
+export enum BudgetCheckAction {
+  /** The expense is submitted: it's compared to what's spent and committed */
+  SUBMIT = 'SUBMIT',
+  /** The expense is paid: it's only compared to what's spent, as it was already committed */
+  PAY = 'PAY',
+}
+
+/** The subset of an expense used to match it against budget lines */
+type BudgetExpenseData = {
+  id?: number;
+  type: string;
+  tags?: string[] | null;
+  amount: number;
+  currency: string;
+  incurredAt?: Date | string | null;
+};
+
+export type BudgetLineReport = {
+  budgetLine: BudgetLine;
+  startDate: Date;
+  endDate: Date;
+  currency: string;
+  /** Sum of the paid expenses */
+  spent: number;
+  /** Sum of the expenses that are submitted but not paid yet */
+  committed: number;
+  /** What's left after the spent and committed amounts, can be negative */
+  remaining: number;
+};
+
+export type BudgetWarning = {
+  BudgetLineId: number;
+  name: string;
+  period: BudgetPeriod;
+  startDate: Date;
+  currency: string;
+  amount: number;
+  /** What the total for the period would be, including the expense */
+  projected: number;
+};
+
+/**
+ * Budget lines are managed by the admins of the collective and of its host
+ */
+export const canManageBudgetLines = (user: typeof models.User, collective: typeof models.Collective): boolean => {
+  return Boolean(user && (user.isAdminOfCollective(collective) || user.isAdmin(collective.HostCollectiveId)));
+};
+
+export const getBudgetPeriodRange = (period: BudgetPeriod, date: Date | string = new Date()) => {
+  const unit = PERIOD_UNITS[period];
+  return {
+    startDate: moment.utc(date).startOf(unit).toDate(),
+    endDate: moment.utc(date).endOf(unit).toDate(),
+  };
+};
+
+/**
+ * A budget line applies to an expense if its tag (when set) is one of the expense's tags and
+ * its expense type (when set) is the expense's type. A line without tag or type covers all expenses.
+ */
+export const budgetLineMatchesExpense = (budgetLine: BudgetLine, expense: BudgetExpenseData): boolean => {
+  if (budgetLine.expenseType && budgetLine.expenseType !== expense.type) {
+    return false;
+  } else if (budgetLine.tag && !sanitizeTags(expense.tags || []).includes(budgetLine.tag)) {
+    return false;
+  } else {
+    return true;
+  }
+};
+
+/**
+ * Sums the expenses matching the budget line over the period containing `date`, grouped by status
+ * and converted to the collective currency.
+ */
+const getBudgetLineUsage = async (
+  budgetLine: BudgetLine,
+  currency: string,
+  date: Date | string,
+  { excludedExpenseId = null } = {},
+): Promise<Omit<BudgetLineReport, 'budgetLine' | 'remaining'>> => {
+  const { startDate, endDate } = getBudgetPeriodRange(budgetLine.period, date);
+  const where = {
+    CollectiveId: budgetLine.CollectiveId,
+    status: [...SPENT_STATUSES, ...COMMITTED_STATUSES],
+    incurredAt: { [Op.gte]: startDate, [Op.lte]: endDate },
+  };
+
+  if (budgetLine.expenseType) {
+    where['type'] = budgetLine.expenseType;
+  }
+  if (budgetLine.tag) {
+    where['tags'] = { [Op.contains]: [budgetLine.tag] };
+  }
+  if (excludedExpenseId) {
+    where['id'] = { [Op.ne]: excludedExpenseId };
+  }
+
+  const results = await models.Expense.findAll({
+    attributes: ['status', 'currency', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    where,
+    group: ['status', 'currency'],
+    raw: true,
+  });
+
+  const usage = { startDate, endDate, currency, spent: 0, committed: 0 };
+  for (const result of results) {
+    const fxRate = await getFxRate(result.currency, currency);
+    const total = Math.round(parseInt(result.total) * fxRate);
+    if (SPENT_STATUSES.includes(result.status)) {
+      usage.spent += total;
+    } else {
+      usage.committed += total;
+    }
+  }
+
+  return usage;
+};
+
+/**
+ * Returns the budget-vs-actual report of all the budget lines of the collective, for the periods containing `date`.
+ */
+export const getBudgetReport = async (
+  collective: typeof models.Collective,
+  date: Date | string = new Date(),
+): Promise<BudgetLineReport[]> => {
+  const budgetLines = await models.BudgetLine.findAll({
+    where: { CollectiveId: collective.id },
+    order: [['id', 'ASC']],
+  });
+
+  const reports = [];
+  for (const budgetLine of budgetLines) {
+    const usage = await getBudgetLineUsage(budgetLine, collective.currency, date);
+    const remaining = budgetLine.amount - usage.spent - usage.committed;
+    reports.push({ budgetLine, ...usage, remaining });
+  }
+
+  return reports;
+};
+
+/**
+ * Checks the expense against the budget lines of the collective.
+ * Throws if a line with the `BLOCK` enforcement would be exceeded, returns the list of
+ * exceeded lines with the `WARN` enforcement otherwise.
+ */
+export const checkExpenseBudget = async (
+  collective: typeof models.Collective,
+  expense: BudgetExpenseData,
+  action: BudgetCheckAction,
+): Promise<BudgetWarning[]> => {
+  const budgetLines = await models.BudgetLine.findAll({ where: { CollectiveId: collective.id } });
+  const matchingBudgetLines = budgetLines.filter(budgetLine => budgetLineMatchesExpense(budgetLine, expense));
+  if (!matchingBudgetLines.length) {
+    return [];
+  }
+
+  const date = expense.incurredAt || new Date();
+  const fxRate = await getFxRate(expense.currency, collective.currency);
+  const expenseAmount = Math.round(expense.amount * fxRate);
+  const warnings = [];
+
+  for (const budgetLine of matchingBudgetLines) {
+    const usage = await getBudgetLineUsage(budgetLine, collective.currency, date, { excludedExpenseId: expense.id });
+    const used = action === BudgetCheckAction.PAY ? usage.spent : usage.spent + usage.committed;
+    const projected = used + expenseAmount;
+    if (projected <= budgetLine.amount) {
+      continue;
+    } else if (budgetLine.enforcement === BudgetEnforcement.BLOCK) {
+      const formattedAmount = formatCurrency(budgetLine.amount, collective.currency);
+      const formattedRemaining = formatCurrency(Math.max(budgetLine.amount - used, 0), collective.currency);
+      throw new ValidationFailed(
+        `This expense exceeds the budget "${budgetLine.name}" (${formattedAmount}), only ${formattedRemaining} are left for this period.`,
+      );
+    } else {
+      warnings.push({
+        BudgetLineId: budgetLine.id,
+        name: budgetLine.name,
+        period: budgetLine.period,
+        startDate: usage.startDate,
+        currency: collective.currency,
+        amount: budgetLine.amount,
+        projected,
+      });
+    }
+  }
+
+  return warnings;
+};
@@ -7,6 +7,9 @@ import { MODERATION_CATEGORIES } from '../constants/moderation-categories';
 import { VAT_OPTIONS } from '../constants/vat';
 import models, { sequelize } from '../models';
 
+import { validateAccountingSettings } from './accounting-export';
+import { validateDunningPolicy } from './dunning';
+import { validateExpenseApprovalPolicy } from './expense-approvals';
 import { DEFAULT_GUEST_NAME } from './guest-accounts';
 import logger from './logger';
 import { md5 } from './utils';
@@ -47,6 +50,7 @@ export const getCollectiveAvatarUrl = (
 };
 
 export const COLLECTIVE_SETTINGS_KEYS_LIST = [
+  'accounting',
   'apply',
   'disablePublicExpenseSubmission',
   'disablePaypalPayouts',
@@ -55,9 +59,11 @@ export const COLLECTIVE_SETTINGS_KEYS_LIST = [
   'collectivePage',
   'disableCustomContributions',
   'dismissedHelpMessages',
+  'dunning',
   'disableCryptoContributions',
   'editor',
   'enableWebhooks',
+  'expenseApprovalPolicy',
   'features',
   'feesOnTop',
   'fund',
@@ -79,7 +85,9 @@ export const COLLECTIVE_SETTINGS_KEYS_LIST = [
   'moderation',
   'paymentMethods',
   'payoutsTwoFactorAuth',
+  'proration',
   'recommendedCollectives',
+  'stripeExpressPayouts',
   'style',
   'superCollectiveTag',
   'taxDeductibleDonations',
@@ -142,6 +150,27 @@ export function validateSettings(settings: any): string | boolean {
     }
   }
 
+  if (settings.expenseApprovalPolicy) {
+    const error = validateExpenseApprovalPolicy(settings.expenseApprovalPolicy);
+    if (error) {
+      return error;
+    }
+  }
+
+  if (settings.dunning) {
+    const error = validateDunningPolicy(settings.dunning);
+    if (error) {
+      return error;
+    }
+  }
+
+  if (settings.accounting) {
+    const error = validateAccountingSettings(settings.accounting);
+    if (error) {
+      return error;
+    }
+  }
+
   if (settings.moderation?.rejectedCategories) {
     const categories = get(settings, 'moderation.rejectedCategories');
     for (const category of categories) {
@@ -0,0 +1,134 @@
+import { uniq } from 'lodash';
+
+import activities from '../constants/activities';
+import { types as CollectiveTypes } from '../constants/collectives';
+import models, { Op } from '../models';
+
+/**
+ * Mentions: users can be mentioned in comments with `@slug`. Mentioned users are notified through the
+ * `COLLECTIVE_COMMENT_MENTIONED` activity, if they're allowed to see the comment.
+ */
+
+/** Prevents a single comment from notifying a crowd */
+export const MAX_MENTIONS_PER_COMMENT = 10;
+
+// The mention must not be preceded by a word character to ignore emails (`hello@example.com`)
+const MENTION_REGEX = /(?:^|[^\w@/.-])@([a-z0-9][a-z0-9-]*)/gi;
+
+/**
+ * Returns the slugs mentioned in the (sanitized) HTML of a comment
+ */
+export const parseMentions = (html: string): string[] => {
+  if (!html) {
+    return [];
+  }
+
+  const text = html.replace(/<[^>]*>/g, ' ');
+  const slugs = [];
+  let match;
+  MENTION_REGEX.lastIndex = 0;
+  while ((match = MENTION_REGEX.exec(text))) {
+    slugs.push(match[1].toLowerCase());
+  }
+
+  return uniq(slugs).slice(0, MAX_MENTIONS_PER_COMMENT);
+};
+
+/**
+ * Mentioned users can't be notified of comments they're not allowed to see, like the ones on private updates
+ */
+const canSeeComment = async (user: typeof models.User, comment: typeof models.Comment): Promise<boolean> => {
+  if (comment.ConversationId) {
+    return true;
+  }
+
+  await user.populateRoles();
+  if (comment.UpdateId) {
+    const update = await models.Update.findByPk(comment.UpdateId);
+    if (!update) {
+      return false;
+    } else if (!update.isPrivate && update.publishedAt) {
+      return true;
+    } else {
+      const collective = await models.Collective.findByPk(update.CollectiveId);
+      return user.canSeePrivateUpdatesForCollective(collective);
+    }
+  } else if (comment.ExpenseId) {
+    const expense = await models.Expense.findByPk(comment.ExpenseId, {
+      include: [{ model: models.Collective, as: 'collective' }],
+    });
+    if (!expense) {
+      return false;
+    }
+
+    return (
+      user.id === expense.UserId ||
+      user.isAdmin(expense.FromCollectiveId) ||
+      user.isAdminOfCollective(expense.collective) ||
+      Boolean(expense.collective.HostCollectiveId && user.isAdmin(expense.collective.HostCollectiveId))
+    );
+  }
+
+  return false;
+};
+
+/**
+ * Returns the users mentioned in `comment` who can be notified, ignoring the author and the users that were already
+ * mentioned in `previousHtml` (when the comment is edited)
+ */
+export const getMentionedUsers = async (
+  comment: typeof models.Comment,
+  { previousHtml = null }: { previousHtml?: string } = {},
+): Promise<Array<typeof models.User>> => {
+  const previousSlugs = parseMentions(previousHtml);
+  const slugs = parseMentions(comment.html).filter(slug => !previousSlugs.includes(slug));
+  if (!slugs.length) {
+    return [];
+  }
+
+  const users = await models.User.findAll({
+    where: { id: { [Op.ne]: comment.CreatedByUserId } },
+    include: [
+      {
+        model: models.Collective,
+        as: 'collective',
+        required: true,
+        where: { slug: { [Op.in]: slugs }, type: CollectiveTypes.USER },
+      },
+    ],
+  });
+
+  const mentionedUsers = [];
+  for (const user of users) {
+    if (await canSeeComment(user, comment)) {
+      mentionedUsers.push(user);
+    }
+  }
+
+  return mentionedUsers;
+};
+
+/**
+ * Creates a `COLLECTIVE_COMMENT_MENTIONED` activity for each of the users
+ */
+export const createMentionActivities = async (
+  comment: typeof models.Comment,
+  users: Array<typeof models.User>,
+): Promise<void> => {
+  for (const user of users) {
+    await models.Activity.create({
+      type: activities.COLLECTIVE_COMMENT_MENTIONED,
+      UserId: comment.CreatedByUserId,
+      CollectiveId: comment.CollectiveId,
+      data: {
+        CommentId: comment.id,
+        comment: { id: comment.id, html: comment.html },
+        FromCollectiveId: comment.FromCollectiveId,
+        MentionedUserId: user.id,
+        ExpenseId: comment.ExpenseId,
+        UpdateId: comment.UpdateId,
+        ConversationId: comment.ConversationId,
+      },
+    });
+  }
+};
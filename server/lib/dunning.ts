@@ -0,0 +1,311 @@
+import config from 'config';
+import jwt from 'jsonwebtoken';
+import { get, sum, uniq } from 'lodash';
+import moment from 'moment';
+import { Op } from 'sequelize';
+
+import OrderStatus from '../constants/order_status';
+import { TransactionKind } from '../constants/transaction-kind';
+import { TransactionTypes } from '../constants/transactions';
+import { idEncode, IDENTIFIER_TYPES } from '../graphql/v2/identifiers';
+import models from '../models';
+
+import { getFxRate } from './currency';
+
+/**
+ * Dunning: what we do when the charge of a recurring contribution fails.
+ * The policy can be customized by hosts, in the `dunning` settings.
+ */
+
+export enum DunningEndAction {
+  /** Cancel the recurring contribution */
+  CANCEL = 'CANCEL',
+  /** Pause the recurring contribution, it will be resumed when the contributor updates their payment method */
+  PAUSE = 'PAUSE',
+}
+
+export type DunningPolicy = {
+  /** Number of days to wait before each retry. Once all retries have failed, the `endAction` is applied */
+  retryScheduleInDays: number[];
+  /** Number of days after the first failure during which the contribution is still considered as active */
+  gracePeriodInDays: number;
+  endAction: DunningEndAction;
+};
+
+/** Stored on `Subscription.data.dunning` while the charges are failing */
+export type DunningState = {
+  firstFailedAt: string;
+  failedAttempts: number;
+  declineCode?: string;
+  isRetriable: boolean;
+  endedAt?: string;
+  endAction?: DunningEndAction;
+};
+
+export const DEFAULT_DUNNING_POLICY: DunningPolicy = {
+  retryScheduleInDays: [2, 2, 5, 5, 5],
+  gracePeriodInDays: 0,
+  endAction: DunningEndAction.CANCEL,
+};
+
+const MAX_RETRIES_IN_SCHEDULE = 10;
+const MAX_DAYS_BETWEEN_RETRIES = 30;
+
+/**
+ * Returns false if the policy is valid or an error as string otherwise, used to validate the collective settings
+ */
+export const validateDunningPolicy = (policy: Partial<DunningPolicy>): string | false => {
+  if (typeof policy !== 'object') {
+    return 'Invalid type for the dunning policy';
+  } else if (policy.retryScheduleInDays) {
+    const schedule = policy.retryScheduleInDays;
+    if (!Array.isArray(schedule) || !schedule.length || schedule.length > MAX_RETRIES_IN_SCHEDULE) {
+      return `The retry schedule must have between 1 and ${MAX_RETRIES_IN_SCHEDULE} retries`;
+    } else if (schedule.some(days => !Number.isInteger(days) || days < 1 || days > MAX_DAYS_BETWEEN_RETRIES)) {
+      return `Retries must be scheduled between 1 and ${MAX_DAYS_BETWEEN_RETRIES} days after the previous attempt`;
+    }
+  }
+
+  if (
+    policy.gracePeriodInDays !== undefined &&
+    (!Number.isInteger(policy.gracePeriodInDays) || policy.gracePeriodInDays < 0)
+  ) {
+    return 'The grace period must be a positive number of days';
+  } else if (policy.endAction && !Object.values(DunningEndAction).includes(policy.endAction)) {
+    return `The dunning end action must be one of ${Object.values(DunningEndAction).join(', ')}`;
+  }
+
+  return false;
+};
+
+export const getDunningPolicy = (host: typeof models.Collective | null): DunningPolicy => {
+  const hostPolicy: Partial<DunningPolicy> = host?.settings?.dunning;
+  if (!hostPolicy || validateDunningPolicy(hostPolicy)) {
+    return DEFAULT_DUNNING_POLICY;
+  }
+
+  return { ...DEFAULT_DUNNING_POLICY, ...hostPolicy };
+};
+
+/** The number of failed charges after which the `endAction` is applied */
+export const getMaxRetries = (policy: DunningPolicy): number => {
+  return policy.retryScheduleInDays.length + 1;
+};
+
+/**
+ * Returns the number of days to wait before retrying, given the number of charges that failed so far
+ */
+export const getDaysBeforeRetry = (policy: DunningPolicy, chargeRetryCount: number): number => {
+  const schedule = policy.retryScheduleInDays;
+  return schedule[Math.min(Math.max(chargeRetryCount || 0, 1), schedule.length) - 1];
+};
+
+/** Number of days between the given failure and the last retry */
+export const getRemainingDaysInSchedule = (policy: DunningPolicy, chargeRetryCount: number): number => {
+  return sum(policy.retryScheduleInDays.slice(Math.max(chargeRetryCount || 0, 1) - 1));
+};
+
+/**
+ * Decline codes for which retrying the same payment method will not help: the contributor needs to update it.
+ * See https://stripe.com/docs/declines/codes
+ */
+const NON_RETRIABLE_DECLINE_CODES = [
+  'authentication_required',
+  'card_not_supported',
+  'currency_not_supported',
+  'do_not_try_again',
+  'expired_card',
+  'fraudulent',
+  'incorrect_number',
+  'invalid_account',
+  'invalid_number',
+  'lost_card',
+  'new_account_information_available',
+  'pickup_card',
+  'restricted_card',
+  'revocation_of_authorization',
+  'security_violation',
+  'stolen_card',
+  'stop_payment_order',
+  'transaction_not_allowed',
+];
+
+export const getDeclineCode = (error: Record<string, any>): string | undefined => {
+  return error?.decline_code || error?.raw?.decline_code || error?.code || undefined;
+};
+
+/**
+ * Soft declines (insufficient funds, processing errors...) are worth retrying, unknown errors are considered as such
+ */
+export const isRetriableChargeError = (error: Record<string, any>): boolean => {
+  return !NON_RETRIABLE_DECLINE_CODES.includes(getDeclineCode(error));
+};
+
+export const getNextDunningState = (state: DunningState | undefined, error: Record<string, any>): DunningState => {
+  return {
+    firstFailedAt: state?.firstFailedAt || new Date().toISOString(),
+    failedAttempts: (state?.failedAttempts || 0) + 1,
+    declineCode: getDeclineCode(error),
+    isRetriable: isRetriableChargeError(error),
+  };
+};
+
+export const isInGracePeriod = (policy: DunningPolicy, state: DunningState | undefined): boolean => {
+  return Boolean(
+    state && policy.gracePeriodInDays && moment(state.firstFailedAt).add(policy.gracePeriodInDays, 'days').isAfter(),
+  );
+};
+
+export const isPausedByDunning = (order: typeof models.Order): boolean => {
+  return (
+    order.status === OrderStatus.PAUSED && get(order, 'Subscription.data.dunning.endAction') === DunningEndAction.PAUSE
+  );
+};
+
+/**
+ * Flags the transaction of a charge that succeeded after some failures, to measure the recovered revenue
+ */
+export const recordRecoveredCharge = async (
+  order: typeof models.Order,
+  transaction: typeof models.Transaction | null,
+): Promise<void> => {
+  const state: DunningState = order.Subscription.data?.dunning;
+  if (!state || state.endedAt || !transaction) {
+    return;
+  }
+
+  await transaction.update({
+    data: { ...transaction.data, dunning: { recovered: true, failedAttempts: state.failedAttempts } },
+  });
+};
+
+// ---- Update link ----
+
+const PAYMENT_METHOD_UPDATE_TOKEN_SCOPE = 'update-payment-method';
+const PAYMENT_METHOD_UPDATE_TOKEN_EXPIRATION = '30d';
+
+/**
+ * Returns a link that lets the contributor update the payment method of a failing recurring contribution without
+ * having to sign in. The token is only valid for this order, and until its payment method changes.
+ */
+export const getPaymentMethodUpdateLink = (order: typeof models.Order): string => {
+  const token = jwt.sign(
+    { scope: PAYMENT_METHOD_UPDATE_TOKEN_SCOPE, OrderId: order.id, PaymentMethodId: order.PaymentMethodId },
+    config.keys.opencollective.paymentMethodUpdateSecret,
+    { expiresIn: PAYMENT_METHOD_UPDATE_TOKEN_EXPIRATION },
+  );
+
+  const orderId = idEncode(order.id, IDENTIFIER_TYPES.ORDER);
+  return `${config.host.website}/orders/${orderId}/update-payment-method?token=${token}`;
+};
+
+/**
+ * Returns the order matching the token, or null if the token is invalid, expired or was already used
+ */
+export const getOrderFromPaymentMethodUpdateToken = async (token: string): Promise<typeof models.Order | null> => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.keys.opencollective.paymentMethodUpdateSecret);
+  } catch (e) {
+    return null;
+  }
+
+  if (payload?.scope !== PAYMENT_METHOD_UPDATE_TOKEN_SCOPE) {
+    return null;
+  }
+
+  const order = await models.Order.findByPk(payload.OrderId, {
+    include: [
+      { model: models.Subscription, required: true },
+      { association: 'collective', required: true },
+      { association: 'fromCollective', required: true },
+      { association: 'paymentMethod' },
+      { association: 'createdByUser' },
+    ],
+  });
+
+  return order?.PaymentMethodId === payload.PaymentMethodId ? order : null;
+};
+
+// ---- Metrics ----
+
+export type DunningMetrics = {
+  recoveredAmount: number;
+  recoveredCount: number;
+  pastDueAmount: number;
+  pastDueCount: number;
+  lostAmount: number;
+  lostCount: number;
+  pausedCount: number;
+};
+
+const sumInHostCurrency = async (orders: Array<typeof models.Order>, hostCurrency: string): Promise<number> => {
+  const currencies = uniq(orders.map(order => order.currency));
+  const fxRates = await Promise.all(currencies.map(currency => getFxRate(currency, hostCurrency)));
+  const fxRateByCurrency = Object.fromEntries(currencies.map((currency, idx) => [currency, fxRates[idx]]));
+  return sum(orders.map(order => Math.round(order.totalAmount * fxRateByCurrency[order.currency])));
+};
+
+/**
+ * Revenue recovered by retrying failed charges, currently at risk, and lost after the end of the dunning.
+ * Amounts are in host currency.
+ */
+export const getDunningMetrics = async (
+  host: typeof models.Collective,
+  { dateFrom, dateTo }: { dateFrom?: Date; dateTo?: Date } = {},
+): Promise<DunningMetrics> => {
+  const dateConditions = { ...(dateFrom && { [Op.gte]: dateFrom }), ...(dateTo && { [Op.lte]: dateTo }) };
+  const hostedCollective = { association: 'collective', required: true, where: { HostCollectiveId: host.id } };
+
+  const recoveredTransactions = await models.Transaction.findAll({
+    attributes: ['amountInHostCurrency'],
+    where: {
+      HostCollectiveId: host.id,
+      type: TransactionTypes.CREDIT,
+      kind: TransactionKind.CONTRIBUTION,
+      isRefund: false,
+      data: { dunning: { recovered: true } },
+      ...((dateFrom || dateTo) && { createdAt: dateConditions }),
+    },
+  });
+
+  const pastDueOrders = await models.Order.findAll({
+    where: { status: { [Op.in]: [OrderStatus.ACTIVE, OrderStatus.ERROR] } },
+    include: [
+      hostedCollective,
+      { model: models.Subscription, required: true, where: { isActive: true, chargeRetryCount: { [Op.gt]: 0 } } },
+    ],
+  });
+
+  const endedOrders = await models.Order.findAll({
+    include: [
+      hostedCollective,
+      {
+        model: models.Subscription,
+        required: true,
+        where: {
+          data: {
+            dunning: {
+              endedAt: {
+                [Op.ne]: null,
+                ...(dateFrom && { [Op.gte]: dateFrom.toISOString() }),
+                ...(dateTo && { [Op.lte]: dateTo.toISOString() }),
+              },
+            },
+          },
+        },
+      },
+    ],
+  });
+
+  const lostOrders = endedOrders.filter(order => order.status === OrderStatus.CANCELLED);
+  return {
+    recoveredAmount: sum(recoveredTransactions.map(t => t.amountInHostCurrency)),
+    recoveredCount: recoveredTransactions.length,
+    pastDueAmount: await sumInHostCurrency(pastDueOrders, host.currency),
+    pastDueCount: pastDueOrders.length,
+    lostAmount: await sumInHostCurrency(lostOrders, host.currency),
+    lostCount: lostOrders.length,
+    pausedCount: endedOrders.filter(order => isPausedByDunning(order)).length,
+  };
+};
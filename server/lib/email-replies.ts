@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+
+import config from 'config';
+import { escape, get } from 'lodash';
+
+import models from '../models';
+
+import cache from './cache';
+
+/**
+ * Replies by email: the notifications about expenses and comments are sent with a signed `Reply-To` address that
+ * encodes the commented entity, the recipient and an expiration date. Mailgun posts the replies to
+ * `/webhooks/mailgun`, where they are turned into comments on behalf of the recipient once the request signature
+ * is verified.
+ */
+
+export type CommentableEntity = { ExpenseId?: number; UpdateId?: number; ConversationId?: number };
+
+export type ReplyToAddress = { entity: CommentableEntity; UserId: number };
+
+const ENTITY_TYPES = { expense: 'ExpenseId', update: 'UpdateId', conversation: 'ConversationId' };
+
+/** The local part of an email address is limited to 64 characters */
+const REPLY_SIGNATURE_LENGTH = 16;
+
+const REPLY_ADDRESS_VALIDITY_IN_DAYS = 90;
+
+/** Mailgun requests older than this are rejected, see `isValidMailgunRequest` */
+const MAILGUN_REQUEST_MAX_AGE_IN_SECONDS = 15 * 60;
+
+const REPLY_ADDRESS_REGEX = /reply\+(expense|update|conversation)-(\d+)-(\d+)-([a-z0-9]+)-([a-f0-9]+)@([a-z0-9.-]+)/i;
+
+const signReply = (type: string, id: number, UserId: number, expiresAt: string): string => {
+  return crypto
+    .createHmac('sha256', config.keys.opencollective.emailReplySecret)
+    .update(`reply:${type}:${id}:${UserId}:${expiresAt}`)
+    .digest('hex')
+    .slice(0, REPLY_SIGNATURE_LENGTH);
+};
+
+const safeCompare = (a: string, b: string): boolean => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const getEntityTypeAndId = (entity: CommentableEntity): [string, number] | [] => {
+  for (const [type, field] of Object.entries(ENTITY_TYPES)) {
+    if (entity?.[field]) {
+      return [type, entity[field]];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Returns the address that `user` can reply to in order to comment on `entity`
+ */
+export const getReplyToAddress = (entity: CommentableEntity, user: typeof models.User): string | null => {
+  const [type, id] = getEntityTypeAndId(entity);
+  if (!type || !user?.id) {
+    return null;
+  }
+
+  // The expiration date is a timestamp in seconds, in base 36 to keep the address short
+  const expirationInSeconds = Math.round(Date.now() / 1000) + REPLY_ADDRESS_VALIDITY_IN_DAYS * 24 * 60 * 60;
+  const expiresAt = expirationInSeconds.toString(36);
+  const signature = signReply(type, id, user.id, expiresAt);
+  return `reply+${type}-${id}-${user.id}-${expiresAt}-${signature}@${config.email.replyDomain}`;
+};
+
+/**
+ * Returns the entity and the user encoded in the address (usually the `recipient` of an inbound email), or null if
+ * it's not a valid reply address or if it expired
+ */
+export const parseReplyToAddress = (address: string): ReplyToAddress | null => {
+  const match = (address || '').toLowerCase().match(REPLY_ADDRESS_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const [, type, id, userId, expiresAt, signature, domain] = match;
+  const UserId = parseInt(userId);
+  if (domain !== config.email.replyDomain.toLowerCase()) {
+    return null;
+  } else if (!safeCompare(signature, signReply(type, parseInt(id), UserId, expiresAt))) {
+    return null;
+  } else if (parseInt(expiresAt, 36) * 1000 < Date.now()) {
+    return null;
+  }
+
+  return { entity: { [ENTITY_TYPES[type]]: parseInt(id) }, UserId };
+};
+
+/**
+ * Returns true if the inbound email was posted by Mailgun: the signature of the request must be valid and recent, and
+ * its token can only be used once. See https://documentation.mailgun.com/en/latest/user_manual.html#securing-webhooks
+ */
+export const isValidMailgunRequest = async ({
+  timestamp,
+  token,
+  signature,
+}: {
+  timestamp?: string;
+  token?: string;
+  signature?: string;
+}): Promise<boolean> => {
+  const apiKey = get(config, 'mailgun.apiKey');
+  if (!apiKey || !timestamp || !token || !signature) {
+    return false;
+  } else if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > MAILGUN_REQUEST_MAX_AGE_IN_SECONDS) {
+    return false;
+  }
+
+  const expectedSignature = crypto.createHmac('sha256', apiKey).update(`${timestamp}${token}`).digest('hex');
+  if (!safeCompare(signature, expectedSignature)) {
+    return false;
+  }
+
+  const cacheKey = `mailgun_token_${token}`;
+  if (await cache.get(cacheKey)) {
+    return false;
+  }
+
+  await cache.set(cacheKey, true, MAILGUN_REQUEST_MAX_AGE_IN_SECONDS);
+  return true;
+};
+
+/** Lines that introduce the quoted message, in the most common email clients */
+const QUOTE_HEADER_REGEXES = [
+  /^\s*On\b[^\n]*(\n[^\n]*)?\bwrote:\s*$/m, // Gmail, Apple Mail, Thunderbird (possibly wrapped on 2 lines)
+  /^\s*-{2,}\s*Original Message\s*-{2,}/im, // Outlook
+  /^\s*_{10,}\s*$/m, // Outlook (web)
+  /^\s*From:\s.*\n\s*(Sent|Date):\s/im, // Outlook headers
+];
+
+/** Lines that start the signature */
+const SIGNATURE_REGEXES = [
+  /^--\s*$/m, // Standard signature delimiter
+  /^\s*Sent from my\s.*$/im, // Mobile clients
+  /^\s*Get Outlook for\s.*$/im,
+];
+
+/**
+ * Removes the quoted message and the signature from the plain text of an email reply
+ */
+export const stripQuotedReply = (text: string): string => {
+  let reply = (text || '').replace(/\r\n?/g, '\n');
+  for (const regex of [...QUOTE_HEADER_REGEXES, ...SIGNATURE_REGEXES]) {
+    const match = reply.match(regex);
+    if (match) {
+      reply = reply.slice(0, match.index);
+    }
+  }
+
+  return reply
+    .split('\n')
+    .filter(line => !line.trim().startsWith('>'))
+    .join('\n')
+    .trim();
+};
+
+/**
+ * Converts the plain text of a reply to HTML, with one paragraph per block of text
+ */
+export const formatReplyAsHtml = (text: string): string => {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escape(paragraph).replace(/\n/g, '<br />')}</p>`)
+    .join('');
+};
+
+/**
+ * Returns the address part of a `From` header like `John <john@example.com>`
+ */
+export const getSenderEmail = (from: string): string => {
+  const match = (from || '').match(/<([^>]+)>/);
+  return (match ? match[1] : from || '').trim().toLowerCase();
+};
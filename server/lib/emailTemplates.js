@@ -18,6 +18,7 @@ export const templateNames = [
   'collective.approved.the-social-change-nest',
   'collective.rejected',
   'collective.comment.created',
+  'collective.comment.mentioned',
   'collective.conversation.created',
   'collective.confirm',
   'collective.created',
@@ -71,6 +72,10 @@ export const templateNames = [
   'report.platform',
   'report.platform.weekly',
   'subscription.canceled',
+  'subscription.paused',
+  'subscription.paused.for.collective',
+  'subscription.resumed',
+  'subscription.resumed.for.collective',
   'ticket.confirmed',
   'ticket.confirmed.fearlesscitiesbrussels',
   'ticket.confirmed.open-2020',
@@ -83,6 +88,7 @@ export const templateNames = [
   'thankyou.laprimaire',
   'thankyou.foundation',
   'thankyou.opensource',
+  'tier.waitlist.spot.available',
   'user.card.claimed',
   'user.card.invited',
   'user.changeEmail',
@@ -105,6 +111,7 @@ const toplogo = fs.readFileSync(`${templatesPath}/partials/toplogo.hbs`, 'utf8')
 const eventsnippet = fs.readFileSync(`${templatesPath}/partials/eventsnippet.hbs`, 'utf8');
 const expenseItems = fs.readFileSync(`${templatesPath}/partials/expense-items.hbs`, 'utf8');
 const eventdata = fs.readFileSync(`${templatesPath}/partials/eventdata.hbs`, 'utf8');
+const tickets = fs.readFileSync(`${templatesPath}/partials/tickets.hbs`, 'utf8');
 const collectivecard = fs.readFileSync(`${templatesPath}/partials/collectivecard.hbs`, 'utf8');
 const chargeDateNotice = fs.readFileSync(`${templatesPath}/partials/charge_date_notice.hbs`, 'utf8');
 const mthReportFooter = fs.readFileSync(`${templatesPath}/partials/monthlyreport.footer.hbs`, 'utf8');
@@ -117,6 +124,7 @@ handlebars.registerPartial('collectivecard', collectivecard);
 handlebars.registerPartial('eventsnippet', eventsnippet);
 handlebars.registerPartial('expenseItems', expenseItems);
 handlebars.registerPartial('eventdata', eventdata);
+handlebars.registerPartial('tickets', tickets);
 handlebars.registerPartial('charge_date_notice', chargeDateNotice);
 handlebars.registerPartial('mr-footer', mthReportFooter);
 handlebars.registerPartial('mr-subscription', mthReportSubscription);
@@ -0,0 +1,150 @@
+import { max } from 'lodash';
+
+import ExpenseStatus from '../constants/expense_status';
+import { Forbidden } from '../graphql/errors';
+import models, { sequelize } from '../models';
+import { ExpenseApproval } from '../models/ExpenseApproval';
+
+import { getFxRate } from './currency';
+
+/**
+ * An approval policy, set in the `expenseApprovalPolicy` settings of a collective or a host.
+ * The policies of the collective and of its host are combined, the strictest rule wins.
+ */
+export type ExpenseApprovalPolicy = {
+  /** The user who submitted the expense cannot approve it */
+  preventSelfApproval?: boolean;
+  /**
+   * Expenses with an amount greater than or equal to `minAmount` (in cents, in the currency of the
+   * account that defines the policy) need `requiredApprovals` distinct approvers
+   */
+  rules?: Array<{ minAmount: number; requiredApprovals: number }>;
+};
+
+const MAX_REQUIRED_APPROVALS = 10;
+
+/**
+ * Returns false if the policy is valid or an error as string otherwise, used to validate the collective settings
+ */
+export const validateExpenseApprovalPolicy = (policy: ExpenseApprovalPolicy): string | false => {
+  if (typeof policy !== 'object') {
+    return 'Invalid type for the expense approval policy';
+  } else if (policy.rules) {
+    if (!Array.isArray(policy.rules)) {
+      return 'The rules of the expense approval policy must be a list';
+    }
+
+    for (const rule of policy.rules) {
+      if (!Number.isInteger(rule?.minAmount) || rule.minAmount < 0) {
+        return 'The minimum amount of an expense approval rule must be a positive amount in cents';
+      } else if (
+        !Number.isInteger(rule.requiredApprovals) ||
+        rule.requiredApprovals < 1 ||
+        rule.requiredApprovals > MAX_REQUIRED_APPROVALS
+      ) {
+        return `The number of approvals required by an expense approval rule must be between 1 and ${MAX_REQUIRED_APPROVALS}`;
+      }
+    }
+  }
+
+  return false;
+};
+
+const getRequiredApprovalsForPolicy = async (
+  policy: ExpenseApprovalPolicy | undefined,
+  expense: typeof models.Expense,
+  policyCurrency: string,
+): Promise<number> => {
+  if (!policy?.rules?.length) {
+    return 1;
+  }
+
+  const fxRate = await getFxRate(expense.currency, policyCurrency);
+  const amount = Math.round(expense.amount * fxRate);
+  const matchingRules = policy.rules.filter(rule => amount >= rule.minAmount);
+  return max([1, ...matchingRules.map(rule => rule.requiredApprovals)]);
+};
+
+/**
+ * Combines the approval policies of the expense's collective and host
+ */
+export const getExpenseApprovalRequirements = async (
+  expense: typeof models.Expense,
+): Promise<{ preventSelfApproval: boolean; requiredApprovals: number }> => {
+  if (!expense.collective) {
+    expense.collective = await models.Collective.findByPk(expense.CollectiveId);
+  }
+
+  const collective = expense.collective;
+  const host = collective.HostCollectiveId && (await collective.getHostCollective());
+  const collectivePolicy: ExpenseApprovalPolicy = collective.settings?.expenseApprovalPolicy;
+  const hostPolicy: ExpenseApprovalPolicy = host?.settings?.expenseApprovalPolicy;
+
+  return {
+    preventSelfApproval: Boolean(collectivePolicy?.preventSelfApproval || hostPolicy?.preventSelfApproval),
+    requiredApprovals: Math.max(
+      await getRequiredApprovalsForPolicy(collectivePolicy, expense, collective.currency),
+      host ? await getRequiredApprovalsForPolicy(hostPolicy, expense, host.currency) : 1,
+    ),
+  };
+};
+
+export const getExpenseApprovals = (expense: typeof models.Expense): Promise<ExpenseApproval[]> => {
+  return models.ExpenseApproval.findAll({ where: { ExpenseId: expense.id }, order: [['createdAt', 'ASC']] });
+};
+
+/**
+ * Returns why the approval policy prevents the user from approving the expense, or null if they can
+ */
+export const getApprovalPolicyViolation = async (
+  expense: typeof models.Expense,
+  user: typeof models.User,
+): Promise<string | null> => {
+  const { preventSelfApproval } = await getExpenseApprovalRequirements(expense);
+  if (preventSelfApproval && (expense.UserId === user.id || expense.FromCollectiveId === user.CollectiveId)) {
+    return 'The approval policy of this collective does not allow you to approve your own expense';
+  }
+
+  const approvals = await getExpenseApprovals(expense);
+  if (approvals.some(approval => approval.UserId === user.id)) {
+    return 'You have already approved this expense, it needs to be approved by another admin';
+  }
+
+  return null;
+};
+
+/**
+ * Records the approval of the user and returns the new status of the expense:
+ * `APPROVED` once enough distinct admins approved it, `PARTIALLY_APPROVED` otherwise.
+ */
+export const recordExpenseApproval = async (
+  expense: typeof models.Expense,
+  user: typeof models.User,
+): Promise<{ status: string; approvals: number; requiredApprovals: number }> => {
+  const { requiredApprovals } = await getExpenseApprovalRequirements(expense);
+  return sequelize.transaction(async transaction => {
+    // Lock the expense so that concurrent approvals are counted one after the other
+    const lockedExpense = await models.Expense.findByPk(expense.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (
+      ![ExpenseStatus.PENDING, ExpenseStatus.PARTIALLY_APPROVED, ExpenseStatus.REJECTED].includes(lockedExpense?.status)
+    ) {
+      throw new Forbidden('This expense can no longer be approved');
+    } else if (await models.ExpenseApproval.count({ where: { ExpenseId: expense.id, UserId: user.id }, transaction })) {
+      throw new Forbidden('You have already approved this expense, it needs to be approved by another admin');
+    }
+
+    await models.ExpenseApproval.create({ ExpenseId: expense.id, UserId: user.id }, { transaction });
+    const approvals = await models.ExpenseApproval.count({ where: { ExpenseId: expense.id }, transaction });
+    const status = approvals >= requiredApprovals ? ExpenseStatus.APPROVED : ExpenseStatus.PARTIALLY_APPROVED;
+    await expense.update({ status, lastEditedById: user.id }, { transaction });
+    return { status, approvals, requiredApprovals };
+  });
+};
+
+/**
+ * Approvals are only valid for the current version of the expense, they're cleared whenever
+ * it goes back to `PENDING` or is rejected.
+ */
+export const clearExpenseApprovals = async (expense: typeof models.Expense, { transaction = null } = {}) => {
+  await models.ExpenseApproval.destroy({ where: { ExpenseId: expense.id }, transaction });
+};
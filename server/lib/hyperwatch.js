@@ -44,7 +44,9 @@ const load = async app => {
 
   if (config.hyperwatch.secret) {
     // We need to setup express-ws here to make Hyperwatch's websocket works
-    expressWs(app);
+    if (!app.ws) {
+      expressWs(app);
+    }
     const hyperwatchBasicAuth = expressBasicAuth({
       users: { [config.hyperwatch.username]: config.hyperwatch.secret },
       challenge: true,
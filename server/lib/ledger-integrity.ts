@@ -0,0 +1,504 @@
+import { groupBy, isNil, last, uniq } from 'lodash';
+
+import { TransactionKind } from '../constants/transaction-kind';
+import { TransactionTypes } from '../constants/transactions';
+import models, { Op } from '../models';
+import {
+  LedgerIntegrityCheck,
+  LedgerIntegrityIssue,
+  LedgerIntegrityIssueSeverity,
+} from '../models/LedgerIntegrityIssue';
+
+import logger from './logger';
+
+export { LedgerIntegrityCheck, LedgerIntegrityIssueSeverity };
+
+export type LedgerIntegrityFinding = {
+  check: LedgerIntegrityCheck;
+  severity: LedgerIntegrityIssueSeverity;
+  TransactionGroup: string;
+  TransactionId: number | null;
+  message: string;
+  suggestedFix: string | null;
+  /** `data.key` tells apart the findings of the same check on the same transaction (or group), e.g. the fee */
+  data?: Record<string, unknown>;
+};
+
+type Transaction = typeof models.Transaction;
+
+/** Same tolerance as `Transaction.assertAmountsLooselyEqual`, to absorb rounding of old FX rates */
+const CURRENCY_CONVERSION_TOLERANCE = 100;
+
+/** The debts and the transactions they were created for */
+const DEBT_KINDS = {
+  [TransactionKind.HOST_FEE_SHARE_DEBT]: TransactionKind.HOST_FEE_SHARE,
+  [TransactionKind.PLATFORM_TIP_DEBT]: TransactionKind.PLATFORM_TIP,
+};
+
+/** The fees and the kinds of transactions they can be charged on */
+const FEE_PARENT_KINDS = {
+  [TransactionKind.HOST_FEE]: [TransactionKind.CONTRIBUTION, TransactionKind.ADDED_FUNDS],
+  [TransactionKind.HOST_FEE_SHARE]: [TransactionKind.HOST_FEE],
+};
+
+const describe = (transaction: Transaction): string => {
+  return `${transaction.kind || 'LEGACY'} ${transaction.type} #${transaction.id}${transaction.isDebt ? ' (debt)' : ''}`;
+};
+
+const makeFinding = (
+  check: LedgerIntegrityCheck,
+  severity: LedgerIntegrityIssueSeverity,
+  transaction: Transaction,
+  message: string,
+  suggestedFix: string,
+  data?: Record<string, unknown>,
+): LedgerIntegrityFinding => ({
+  check,
+  severity,
+  TransactionGroup: transaction.TransactionGroup,
+  TransactionId: transaction.id,
+  message,
+  suggestedFix,
+  data,
+});
+
+/**
+ * Returns the FX rate between the host currencies of `transaction` and `oppositeTransaction`, using the rates
+ * stored when they were created (see `Transaction.validate`). Returns null if it can't be known without
+ * fetching historical rates.
+ */
+const getOppositeTransactionFxRate = (transaction: Transaction, oppositeTransaction: Transaction): number | null => {
+  if (transaction.hostCurrency === oppositeTransaction.hostCurrency) {
+    return 1;
+  }
+
+  const transactionRate =
+    transaction.data?.oppositeTransactionHostCurrencyFxRate || transaction.data?.oppositeTransactionFeesCurrencyFxRate;
+  const oppositeRate =
+    oppositeTransaction.data?.oppositeTransactionHostCurrencyFxRate ||
+    oppositeTransaction.data?.oppositeTransactionFeesCurrencyFxRate;
+  return oppositeRate || (transactionRate ? 1 / transactionRate : null);
+};
+
+const checkCurrencyConversion = (transaction: Transaction): LedgerIntegrityFinding[] => {
+  const { amount, amountInHostCurrency, currency, hostCurrency, hostCurrencyFxRate } = transaction;
+  const suggestedFix = 'Recompute amountInHostCurrency (and the fees) from the FX rate of the day of the transaction';
+  if (isNil(hostCurrencyFxRate) || hostCurrencyFxRate <= 0) {
+    return [
+      makeFinding(
+        LedgerIntegrityCheck.CURRENCY_CONVERSION,
+        LedgerIntegrityIssueSeverity.ERROR,
+        transaction,
+        `${describe(transaction)} has an invalid hostCurrencyFxRate: ${hostCurrencyFxRate}`,
+        suggestedFix,
+      ),
+    ];
+  } else if (currency === hostCurrency && hostCurrencyFxRate !== 1) {
+    return [
+      makeFinding(
+        LedgerIntegrityCheck.CURRENCY_CONVERSION,
+        LedgerIntegrityIssueSeverity.ERROR,
+        transaction,
+        `${describe(
+          transaction,
+        )} is in its host currency (${currency}) but has a hostCurrencyFxRate of ${hostCurrencyFxRate}`,
+        'Set hostCurrencyFxRate to 1 and amountInHostCurrency to amount',
+      ),
+    ];
+  } else if (Math.abs(Math.round(amountInHostCurrency / hostCurrencyFxRate) - amount) > CURRENCY_CONVERSION_TOLERANCE) {
+    return [
+      makeFinding(
+        LedgerIntegrityCheck.CURRENCY_CONVERSION,
+        LedgerIntegrityIssueSeverity.ERROR,
+        transaction,
+        `The amount of ${describe(
+          transaction,
+        )} (${amount} ${currency}) doesn't match its amount in host currency (${amountInHostCurrency} ${hostCurrency} at ${hostCurrencyFxRate})`,
+        suggestedFix,
+        { amount, amountInHostCurrency, hostCurrencyFxRate },
+      ),
+    ];
+  } else {
+    return [];
+  }
+};
+
+const checkOppositeTransactions = (credit: Transaction, debit: Transaction): LedgerIntegrityFinding[] => {
+  const findings = [];
+  if (
+    credit.currency === debit.currency &&
+    (debit.netAmountInCollectiveCurrency !== -credit.amount || debit.amount !== -credit.netAmountInCollectiveCurrency)
+  ) {
+    findings.push(
+      makeFinding(
+        LedgerIntegrityCheck.OPPOSITE_AMOUNTS,
+        LedgerIntegrityIssueSeverity.WARNING,
+        credit,
+        `The amounts of ${describe(credit)} and ${describe(debit)} don't match`,
+        'The DEBIT should have amount = -CREDIT.netAmountInCollectiveCurrency and netAmountInCollectiveCurrency = -CREDIT.amount',
+        {
+          creditAmount: credit.amount,
+          creditNetAmount: credit.netAmountInCollectiveCurrency,
+          debitAmount: debit.amount,
+          debitNetAmount: debit.netAmountInCollectiveCurrency,
+        },
+      ),
+    );
+  }
+
+  const fxRate = getOppositeTransactionFxRate(credit, debit);
+  if (fxRate) {
+    for (const fee of ['hostFeeInHostCurrency', 'platformFeeInHostCurrency', 'paymentProcessorFeeInHostCurrency']) {
+      const expected = Math.round((credit[fee] || 0) * fxRate);
+      if ((debit[fee] || 0) !== expected) {
+        findings.push(
+          makeFinding(
+            LedgerIntegrityCheck.OPPOSITE_FEES,
+            LedgerIntegrityIssueSeverity.ERROR,
+            credit,
+            `${fee} of ${describe(debit)} (${debit[fee]}) doesn't match the one of ${describe(credit)} (${
+              credit[fee]
+            })`,
+            `Set ${fee} to ${expected} on #${debit.id}`,
+            { key: fee, fxRate, credit: credit[fee], debit: debit[fee] },
+          ),
+        );
+      }
+    }
+  }
+
+  return findings;
+};
+
+/**
+ * Every transaction must have an opposite one: same kind, opposite type, accounts swapped.
+ */
+const checkDoubleEntries = (transactions: Transaction[]): LedgerIntegrityFinding[] => {
+  const findings = [];
+  const buckets: Record<string, Transaction[]> = groupBy(transactions, t => `${t.kind}-${Boolean(t.isDebt)}`);
+  for (const bucket of Object.values(buckets)) {
+    const debits = bucket.filter(t => t.type === TransactionTypes.DEBIT);
+    const credits = bucket.filter(t => t.type === TransactionTypes.CREDIT);
+    for (const credit of credits) {
+      if (credit.CollectiveId === credit.FromCollectiveId) {
+        continue; // Transactions to itself don't have a counterpart
+      }
+
+      const debitIndex = debits.findIndex(
+        debit => debit.CollectiveId === credit.FromCollectiveId && debit.FromCollectiveId === credit.CollectiveId,
+      );
+      if (debitIndex === -1) {
+        findings.push(
+          makeFinding(
+            LedgerIntegrityCheck.OPPOSITE_ENTRY,
+            LedgerIntegrityIssueSeverity.ERROR,
+            credit,
+            `${describe(credit)} has no opposite DEBIT`,
+            `Create the DEBIT from collective #${credit.FromCollectiveId} (e.g. with Transaction.createDoubleEntry), or remove the CREDIT if it was recorded by mistake`,
+          ),
+        );
+      } else {
+        const [debit] = debits.splice(debitIndex, 1);
+        findings.push(...checkOppositeTransactions(credit, debit));
+      }
+    }
+
+    for (const debit of debits.filter(debit => debit.CollectiveId !== debit.FromCollectiveId)) {
+      findings.push(
+        makeFinding(
+          LedgerIntegrityCheck.OPPOSITE_ENTRY,
+          LedgerIntegrityIssueSeverity.ERROR,
+          debit,
+          `${describe(debit)} has no opposite CREDIT`,
+          `Create the CREDIT to collective #${debit.FromCollectiveId} (e.g. with Transaction.createDoubleEntry), or remove the DEBIT if it was recorded by mistake`,
+        ),
+      );
+    }
+  }
+
+  return findings;
+};
+
+/**
+ * A debt is recorded as a DEBIT on the account that received the original CREDIT, for the same amount
+ */
+const checkDebts = (transactions: Transaction[]): LedgerIntegrityFinding[] => {
+  const findings = [];
+  const notDebts = transactions.filter(t => !t.isDebt);
+  for (const debt of transactions.filter(t => t.isDebt && t.type === TransactionTypes.DEBIT && DEBT_KINDS[t.kind])) {
+    const originalKind = DEBT_KINDS[debt.kind];
+    const original = notDebts.find(
+      t => t.kind === originalKind && t.type === TransactionTypes.CREDIT && t.CollectiveId === debt.CollectiveId,
+    );
+
+    if (!original) {
+      findings.push(
+        makeFinding(
+          LedgerIntegrityCheck.DEBT_PAIR,
+          LedgerIntegrityIssueSeverity.ERROR,
+          debt,
+          `${describe(debt)} has no ${originalKind} CREDIT to cancel`,
+          `Remove the ${debt.kind} transactions and their settlement, or create the missing ${originalKind} transactions`,
+        ),
+      );
+    } else if (debt.amountInHostCurrency !== -original.amountInHostCurrency) {
+      findings.push(
+        makeFinding(
+          LedgerIntegrityCheck.DEBT_PAIR,
+          LedgerIntegrityIssueSeverity.ERROR,
+          debt,
+          `${describe(debt)} (${debt.amountInHostCurrency}) doesn't cancel ${describe(original)} (${
+            original.amountInHostCurrency
+          })`,
+          `Set the amounts of the ${debt.kind} transactions to the opposite of the ${originalKind} ones`,
+        ),
+      );
+    }
+  }
+
+  return findings;
+};
+
+const checkFees = (transactions: Transaction[]): LedgerIntegrityFinding[] => {
+  const findings = [];
+  const kinds = uniq(transactions.map(t => t.kind));
+  for (const fee of transactions.filter(t => FEE_PARENT_KINDS[t.kind] && t.type === TransactionTypes.CREDIT)) {
+    const parentKinds = FEE_PARENT_KINDS[fee.kind];
+    if (!parentKinds.some(kind => kinds.includes(kind))) {
+      findings.push(
+        makeFinding(
+          LedgerIntegrityCheck.FEE_WITHOUT_PARENT,
+          LedgerIntegrityIssueSeverity.WARNING,
+          fee,
+          `${describe(fee)} is not recorded with a ${parentKinds.join(' or ')} transaction`,
+          `Move the fee to the TransactionGroup of the transaction it was charged on`,
+        ),
+      );
+    }
+  }
+
+  return findings;
+};
+
+/**
+ * The refund and the refunded transaction must reference each other, be on the same account and have opposite types.
+ * `transactionsById` must contain the transactions referenced by `RefundTransactionId`.
+ */
+const checkRefunds = (
+  transactions: Transaction[],
+  transactionsById: Record<number, Transaction>,
+): LedgerIntegrityFinding[] => {
+  const findings = [];
+  for (const transaction of transactions.filter(t => t.RefundTransactionId)) {
+    const linked = transactionsById[transaction.RefundTransactionId];
+    if (!linked || linked.deletedAt) {
+      findings.push(
+        makeFinding(
+          LedgerIntegrityCheck.REFUND_PAIR,
+          LedgerIntegrityIssueSeverity.ERROR,
+          transaction,
+          `${describe(transaction)} references a ${linked ? 'deleted' : 'missing'} transaction #${
+            transaction.RefundTransactionId
+          } as refund`,
+          'Restore the linked transaction, or set RefundTransactionId to null (and isRefund to false) if there was no refund',
+        ),
+      );
+    } else if (linked.RefundTransactionId !== transaction.id) {
+      findings.push(
+        makeFinding(
+          LedgerIntegrityCheck.REFUND_PAIR,
+          LedgerIntegrityIssueSeverity.ERROR,
+          transaction,
+          `${describe(transaction)} references #${linked.id} as refund, but #${linked.id} references ${
+            linked.RefundTransactionId ? `#${linked.RefundTransactionId}` : 'nothing'
+          }`,
+          `Set RefundTransactionId to ${transaction.id} on #${linked.id}`,
+        ),
+      );
+    } else if (transaction.id < linked.id) {
+      // Both transactions reference each other, only report the issues once
+      if (Boolean(transaction.isRefund) === Boolean(linked.isRefund)) {
+        findings.push(
+          makeFinding(
+            LedgerIntegrityCheck.REFUND_PAIR,
+            LedgerIntegrityIssueSeverity.WARNING,
+            transaction,
+            `Exactly one of ${describe(transaction)} and ${describe(linked)} should be marked as a refund`,
+            `Set isRefund to true on the most recent one (#${linked.id}) and to false on the other`,
+          ),
+        );
+      }
+
+      if (transaction.CollectiveId !== linked.CollectiveId || transaction.type === linked.type) {
+        findings.push(
+          makeFinding(
+            LedgerIntegrityCheck.REFUND_PAIR,
+            LedgerIntegrityIssueSeverity.ERROR,
+            transaction,
+            `The refund of ${describe(
+              transaction,
+            )} should be on the same account with the opposite type, got ${describe(linked)} on collective #${
+              linked.CollectiveId
+            }`,
+            'Link the refund to the transaction it actually refunds',
+          ),
+        );
+      }
+    }
+  }
+
+  return findings;
+};
+
+/**
+ * Runs all the checks on the (non-deleted) transactions of a TransactionGroup
+ */
+export const checkTransactionGroup = (
+  transactions: Transaction[],
+  transactionsById: Record<number, Transaction> = {},
+): LedgerIntegrityFinding[] => {
+  return [
+    ...transactions.flatMap(checkCurrencyConversion),
+    ...checkDoubleEntries(transactions),
+    ...checkDebts(transactions),
+    ...checkFees(transactions),
+    ...checkRefunds(transactions, transactionsById),
+  ];
+};
+
+const getFindingKey = (finding: {
+  check: string;
+  TransactionGroup: string;
+  TransactionId: number | null;
+  data?: Record<string, unknown> | null;
+}): string => {
+  return `${finding.check}-${finding.TransactionGroup}-${finding.TransactionId}-${finding.data?.key || ''}`;
+};
+
+/**
+ * Stores the findings for the checked groups: new issues are created, the ones that are still detected are
+ * updated and the ones that are not detected anymore are resolved.
+ */
+export const recordFindings = async (
+  transactionGroups: string[],
+  findings: LedgerIntegrityFinding[],
+): Promise<{ created: number; resolved: number }> => {
+  const now = new Date();
+  const existingIssues = await LedgerIntegrityIssue.findAll({
+    where: { TransactionGroup: { [Op.in]: transactionGroups }, resolvedAt: null },
+  });
+
+  const findingsByKey = new Map(findings.map(finding => [getFindingKey(finding), finding]));
+  let resolved = 0;
+  for (const issue of existingIssues) {
+    const key = getFindingKey(issue);
+    const finding = findingsByKey.get(key);
+    if (finding) {
+      await issue.update({ ...finding, lastDetectedAt: now });
+      findingsByKey.delete(key);
+    } else {
+      await issue.update({ resolvedAt: now });
+      resolved++;
+    }
+  }
+
+  const newFindings = Array.from(findingsByKey.values());
+  if (newFindings.length) {
+    await LedgerIntegrityIssue.bulkCreate(newFindings.map(finding => ({ ...finding, lastDetectedAt: now })));
+  }
+
+  return { created: newFindings.length, resolved };
+};
+
+/**
+ * Checks the given TransactionGroups and records the findings
+ */
+const checkTransactionGroups = async (transactionGroups: string[]): Promise<{ created: number; resolved: number }> => {
+  const transactions = await models.Transaction.findAll({
+    where: { TransactionGroup: { [Op.in]: transactionGroups } },
+  });
+  const transactionsById = Object.fromEntries(transactions.map(t => [t.id, t]));
+  const missingRefundIds = transactions.map(t => t.RefundTransactionId).filter(id => id && !transactionsById[id]);
+  if (missingRefundIds.length) {
+    const refunds = await models.Transaction.findAll({ where: { id: missingRefundIds }, paranoid: false });
+    refunds.forEach(refund => (transactionsById[refund.id] = refund));
+  }
+
+  const transactionsByGroup: Record<string, Transaction[]> = groupBy(transactions, 'TransactionGroup');
+  const findings = Object.values(transactionsByGroup).flatMap(groupTransactions =>
+    checkTransactionGroup(groupTransactions, transactionsById),
+  );
+
+  return recordFindings(transactionGroups, findings);
+};
+
+/**
+ * Returns the next `limit` TransactionGroups of the ledger after `after`, to go through all of them in batches
+ */
+const getTransactionGroupsAfter = async (after: string | null, limit: number): Promise<string[]> => {
+  const transactions = await models.Transaction.findAll({
+    attributes: ['TransactionGroup'],
+    where: { TransactionGroup: after ? { [Op.gt]: after } : { [Op.ne]: null } },
+    group: ['TransactionGroup'],
+    order: [['TransactionGroup', 'ASC']],
+    limit,
+    paranoid: false,
+    raw: true,
+  });
+
+  return transactions.map(t => t.TransactionGroup);
+};
+
+/**
+ * Checks the TransactionGroups that changed since `since`, plus the ones that still have unresolved issues.
+ * Without `since`, checks the whole ledger: this is how the issues are backfilled, and how the ones that the
+ * incremental checks can't see (e.g. a transaction edited without updating `updatedAt`) get detected.
+ */
+export const checkLedgerIntegrity = async ({
+  since = null,
+  batchSize = 500,
+}: {
+  since?: Date | null;
+  batchSize?: number;
+} = {}): Promise<{ checked: number; created: number; resolved: number }> => {
+  const result = { checked: 0, created: 0, resolved: 0 };
+  const checkBatch = async (batch: string[]): Promise<void> => {
+    const batchResult = await checkTransactionGroups(batch);
+    result.checked += batch.length;
+    result.created += batchResult.created;
+    result.resolved += batchResult.resolved;
+    logger.info(`Ledger integrity: checked ${result.checked} groups`);
+  };
+
+  if (!since) {
+    let batch = await getTransactionGroupsAfter(null, batchSize);
+    while (batch.length) {
+      await checkBatch(batch);
+      batch = await getTransactionGroupsAfter(last(batch), batchSize);
+    }
+
+    return result;
+  }
+
+  const updatedTransactions = await models.Transaction.findAll({
+    attributes: ['TransactionGroup'],
+    where: { updatedAt: { [Op.gte]: since }, TransactionGroup: { [Op.ne]: null } },
+    group: ['TransactionGroup'],
+    paranoid: false,
+    raw: true,
+  });
+
+  const unresolvedIssues = await LedgerIntegrityIssue.findAll({
+    attributes: ['TransactionGroup'],
+    where: { resolvedAt: null },
+    group: ['TransactionGroup'],
+    raw: true,
+  });
+
+  const transactionGroups = uniq([...updatedTransactions, ...unresolvedIssues].map(t => t.TransactionGroup));
+  for (let i = 0; i < transactionGroups.length; i += batchSize) {
+    await checkBatch(transactionGroups.slice(i, i + batchSize));
+  }
+
+  return result;
+};
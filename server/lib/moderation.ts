@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+
+import express from 'express';
+
+import ExpenseStatus from '../constants/expense_status';
+import { canMarkAsSpam, markExpenseAsSpam } from '../graphql/common/expenses';
+import { Forbidden, ValidationFailed } from '../graphql/errors';
+import models, { sequelize } from '../models';
+import { ModerationAction, ModerationDecision } from '../models/ModerationDecision';
+import { ModerationStatus, SpamAction, SpamEntityType, SpamReport } from '../models/SpamReport';
+
+import { Op } from './sequelize';
+import { getAuthorId, getContentData } from './spam-pipeline';
+
+/**
+ * Moderation queue: the pending `SpamReports`, created by the spam pipeline or by users reporting content. Root users
+ * can moderate all the reports, host admins the ones about their hosted collectives. Every decision is recorded
+ * as a `ModerationDecision`.
+ */
+
+const MODERATION_STATUS_FOR_ACTION: Record<ModerationAction, ModerationStatus> = {
+  [ModerationAction.DISMISS]: ModerationStatus.DISMISSED,
+  [ModerationAction.MARK_AS_SPAM]: ModerationStatus.SPAM,
+  [ModerationAction.BAN_ACCOUNT]: ModerationStatus.BANNED,
+};
+
+const banCollectivesQuery = fs.readFileSync(path.join(__dirname, '..', '..', 'sql', 'ban-collectives.sql'), 'utf8');
+
+/**
+ * Returns true if `user` can see and process the report: root users, or admins of the host of the reported collective
+ */
+export const canModerateReport = async (user: typeof models.User, report: SpamReport): Promise<boolean> => {
+  if (!user) {
+    return false;
+  } else if (user.isRoot()) {
+    return true;
+  } else if (!report.CollectiveId) {
+    return false;
+  }
+
+  const collective = report.collective || (await models.Collective.findByPk(report.CollectiveId));
+  return Boolean(collective?.HostCollectiveId && user.isAdmin(collective.HostCollectiveId));
+};
+
+/**
+ * Returns the collective, expense, comment or update targeted by the report, or null if it was deleted (or never
+ * created, for the content blocked by the spam pipeline)
+ */
+export const getReportedEntity = async (report: SpamReport): Promise<Record<string, any> | null> => {
+  if (!report.entityId) {
+    return null;
+  }
+
+  switch (report.entityType) {
+    case SpamEntityType.COLLECTIVE:
+      return models.Collective.findByPk(report.entityId);
+    case SpamEntityType.EXPENSE:
+      return models.Expense.findByPk(report.entityId);
+    case SpamEntityType.COMMENT:
+      return models.Comment.findByPk(report.entityId);
+    case SpamEntityType.UPDATE:
+      return models.Update.findByPk(report.entityId);
+  }
+};
+
+/**
+ * Adds the content to the moderation queue on behalf of `user`. Reporting the same content twice returns the
+ * existing report.
+ */
+export const reportContent = async (
+  user: typeof models.User,
+  entityType: SpamEntityType,
+  entity: Record<string, any>,
+  { category = null, message = null }: { category?: string; message?: string } = {},
+): Promise<SpamReport> => {
+  const existingReport = await models.SpamReport.findOne({
+    where: { entityType, entityId: entity.id, ReportedByUserId: user.id, status: ModerationStatus.PENDING },
+  });
+
+  if (existingReport) {
+    return existingReport;
+  }
+
+  return models.SpamReport.create({
+    entityType,
+    entityId: entity.id,
+    CollectiveId: entityType === SpamEntityType.COLLECTIVE ? entity.id : entity.CollectiveId,
+    UserId: getAuthorId(entityType, entity),
+    ReportedByUserId: user.id,
+    score: 0,
+    action: SpamAction.FLAG,
+    context: 'User report',
+    category,
+    message,
+    data: getContentData(entityType, entity),
+  });
+};
+
+/**
+ * Bans the accounts from the platform with all their data, see `sql/ban-collectives.sql`
+ */
+export const banAccounts = async (slugs: string[]): Promise<Record<string, unknown>> => {
+  const [result] = await sequelize.query(banCollectivesQuery, {
+    bind: { collectiveSlugs: slugs },
+    type: sequelize.QueryTypes.SELECT,
+  });
+
+  return result;
+};
+
+/**
+ * Throws if the content targeted by the report cannot be marked as spam by the logged-in moderator
+ */
+const checkCanMarkEntityAsSpam = async (
+  req: express.Request,
+  report: SpamReport,
+  entity: Record<string, any>,
+): Promise<void> => {
+  if (report.entityType === SpamEntityType.COLLECTIVE) {
+    throw new ValidationFailed('Collectives cannot be marked as spam, ban the account instead');
+  } else if (
+    report.entityType === SpamEntityType.EXPENSE &&
+    entity &&
+    entity.status !== ExpenseStatus.SPAM &&
+    !(await canMarkAsSpam(req, entity))
+  ) {
+    throw new Forbidden('Only the rejected expenses can be marked as spam');
+  }
+};
+
+const markEntityAsSpam = async (
+  req: express.Request,
+  report: SpamReport,
+  entity: Record<string, any>,
+): Promise<void> => {
+  switch (report.entityType) {
+    case SpamEntityType.EXPENSE:
+      if (entity) {
+        await markExpenseAsSpam(req, entity);
+      }
+      return;
+    case SpamEntityType.COMMENT:
+      await entity?.destroy();
+      return;
+    case SpamEntityType.UPDATE:
+      await entity?.delete(req.remoteUser);
+      return;
+  }
+};
+
+const getAccountsToBan = async (report: SpamReport, entity: Record<string, any>): Promise<string[]> => {
+  const slugs = [];
+  if (report.entityType === SpamEntityType.COLLECTIVE && entity) {
+    slugs.push(entity.slug);
+  }
+
+  const author =
+    report.UserId && (await models.User.findByPk(report.UserId, { include: [{ association: 'collective' }] }));
+  if (author?.isRoot()) {
+    throw new ValidationFailed('Root users cannot be banned');
+  } else if (author?.collective) {
+    slugs.push(author.collective.slug);
+  }
+
+  return slugs;
+};
+
+/**
+ * Applies the decision of the logged-in moderator to the report, and to the other pending reports about the same content
+ */
+export const processModerationReport = async (
+  req: express.Request,
+  report: SpamReport,
+  action: ModerationAction,
+  message: string = null,
+): Promise<SpamReport> => {
+  const moderator = req.remoteUser;
+  if (!(await canModerateReport(moderator, report))) {
+    throw new Forbidden('You need to be logged in as root or as an admin of the host to moderate this content');
+  } else if (action === ModerationAction.BAN_ACCOUNT && !moderator.isRoot()) {
+    throw new Forbidden('Only root users can ban accounts');
+  }
+
+  // The decision is recorded first, then applied once committed: banning accounts or marking content as spam
+  // can't be rolled back, and must not happen for a report that another moderator is already processing
+  const { entity, decision } = await sequelize.transaction(async transaction => {
+    // Lock all the reports about the content, so that two moderators can't process them at the same time
+    const sameContentCondition = report.entityId ? [{ entityType: report.entityType, entityId: report.entityId }] : [];
+    const reports = await models.SpamReport.findAll({
+      where: { [Op.or]: [{ id: report.id }, ...sameContentCondition] },
+      order: [['id', 'ASC']],
+      lock: true,
+      transaction,
+    });
+
+    const lockedReport = reports.find(r => r.id === report.id);
+    if (lockedReport?.status !== ModerationStatus.PENDING) {
+      throw new ValidationFailed('This report was already processed');
+    }
+
+    let data = null;
+    const entity = await getReportedEntity(lockedReport);
+    if (action === ModerationAction.MARK_AS_SPAM) {
+      await checkCanMarkEntityAsSpam(req, lockedReport, entity);
+    } else if (action === ModerationAction.BAN_ACCOUNT) {
+      const slugs = await getAccountsToBan(lockedReport, entity);
+      if (!slugs.length) {
+        throw new ValidationFailed('There is no account to ban for this report');
+      }
+
+      data = { slugs };
+    }
+
+    const decision = await models.ModerationDecision.create(
+      { SpamReportId: report.id, UserId: moderator.id, action, message, data },
+      { transaction },
+    );
+
+    const pendingReportIds = reports.filter(r => r.status === ModerationStatus.PENDING).map(r => r.id);
+    await models.SpamReport.update(
+      { status: MODERATION_STATUS_FOR_ACTION[action] },
+      { where: { id: pendingReportIds }, transaction },
+    );
+
+    return { entity, decision };
+  });
+
+  if (action === ModerationAction.MARK_AS_SPAM) {
+    await markEntityAsSpam(req, report, entity);
+  } else if (action === ModerationAction.BAN_ACCOUNT) {
+    const result = await banAccounts(decision.data.slugs);
+    await decision.update({ data: { ...decision.data, result } });
+  }
+
+  return models.SpamReport.findByPk(report.id);
+};
+
+/**
+ * Returns the decisions taken on the report, most recent first
+ */
+export const getModerationDecisions = (report: SpamReport): Promise<ModerationDecision[]> => {
+  return models.ModerationDecision.findAll({ where: { SpamReportId: report.id }, order: [['createdAt', 'DESC']] });
+};
@@ -2,7 +2,7 @@ import axios from 'axios';
 import Promise from 'bluebird';
 import config from 'config';
 import debugLib from 'debug';
-import { get, remove } from 'lodash';
+import { get, omit, pick, remove } from 'lodash';
 
 import { activities, channels } from '../constants';
 import activityType from '../constants/activities';
@@ -10,11 +10,13 @@ import activitiesLib from '../lib/activities';
 import emailLib, { NO_REPLY_EMAIL } from '../lib/email';
 import models from '../models';
 
+import { getReplyToAddress } from './email-replies';
 import { getTransactionPdf } from './pdf';
 import slackLib from './slack';
+import { getOrderTickets, getTicketQRCode } from './tickets';
 import twitter from './twitter';
 import { parseToBoolean, toIsoDateStr } from './utils';
-import { enrichActivity, sanitizeActivity } from './webhooks';
+import { deliverActivityToWebhook } from './webhook-deliveries';
 
 const debug = debugLib('notifications');
 
@@ -51,7 +53,7 @@ export default async activity => {
     } else if (notifConfig.channel === channels.TWITTER) {
       return twitter.tweetActivity(activity);
     } else if (notifConfig.channel === channels.WEBHOOK) {
-      return publishToWebhook(activity, notifConfig.webhookUrl);
+      return publishToWebhook(activity, notifConfig);
     } else {
       return Promise.resolve();
     }
@@ -86,16 +88,27 @@ function publishToGitter(activity, notifConfig) {
   }
 }
 
-function publishToWebhook(activity, webhookUrl) {
-  if (slackLib.isSlackWebhookUrl(webhookUrl)) {
-    return slackLib.postActivityOnPublicChannel(activity, webhookUrl);
+function publishToWebhook(activity, webhook) {
+  if (slackLib.isSlackWebhookUrl(webhook.webhookUrl)) {
+    return slackLib.postActivityOnPublicChannel(activity, webhook.webhookUrl);
   } else {
-    const sanitizedActivity = sanitizeActivity(activity);
-    const enrichedActivity = enrichActivity(sanitizedActivity);
-    return axios.post(webhookUrl, enrichedActivity);
+    // Signs the payload, records the delivery and schedules retries if needed
+    return deliverActivityToWebhook(activity, webhook);
   }
 }
 
+/**
+ * When `options.replyByEmail` is set to the commented entity (eg. `{ ExpenseId }`), the recipient gets a personal
+ * address to reply to, and their reply is posted as a comment (see `lib/email-replies`)
+ */
+const getEmailOptionsForUser = (user, options) => {
+  if (!options.replyByEmail) {
+    return options;
+  }
+
+  return { ...omit(options, ['replyByEmail']), replyTo: getReplyToAddress(options.replyByEmail, user) };
+};
+
 /**
  * Send the notification email (using emailLib.sendMessageFromActivity)
  * to all users that have not unsubscribed
@@ -130,7 +143,7 @@ async function notifySubscribers(users, activity, options = {}) {
       // skip users that have unsubscribed
       if (unsubscribedUserIds.indexOf(u.id) === -1) {
         debug('sendMessageFromActivity', activity.type, 'UserId', u.id);
-        return emailLib.send(options.template || activity.type, u.email, data, options);
+        return emailLib.send(options.template || activity.type, u.email, data, getEmailOptionsForUser(u, options));
       }
     }),
   );
@@ -178,13 +191,24 @@ async function notifyUserId(UserId, activity, options = {}) {
         }
       }
     }
+    const order = await models.Order.findByPk(activity.data.order.id);
+    const tickets = order ? await getOrderTickets(order) : [];
+    activity.data.tickets = [];
+    for (const ticket of tickets) {
+      // The QR codes are embedded in the email, and attached so they can be printed or saved
+      const cid = `ticket-${order.id}-${ticket.ticketNumber}@opencollective.com`;
+      const filename = `ticket_${event.slug}_${order.id}_${ticket.ticketNumber}.png`;
+      options.attachments.push({ filename, cid, content: await getTicketQRCode(ticket) });
+      activity.data.tickets.push({ ticketNumber: ticket.ticketNumber, code: ticket.code, cid });
+    }
+
     activity.data.event = event.info;
     activity.data.isOffline = activity.data.event.locationName !== 'Online';
     activity.data.collective = parentCollective.info;
     options.from = `${parentCollective.name} <no-reply@${parentCollective.slug}.opencollective.com>`;
   }
 
-  return emailLib.send(activity.type, user.email, activity.data, options);
+  return emailLib.send(activity.type, user.email, activity.data, getEmailOptionsForUser(user, options));
 }
 
 export async function notifyAdminsOfCollective(CollectiveId, activity, options = {}) {
@@ -237,6 +261,37 @@ const notifyUpdateSubscribers = async activity => {
   return notifySubscribers(allUsers, activity, emailOpts);
 };
 
+/**
+ * Adds the collective, the author and the commented entity to the data of a comment activity, with the path
+ * to the comment. Returns the collective and the conversation (if any) models.
+ */
+const populateCommentActivityData = async activity => {
+  const collective = await models.Collective.findByPk(activity.CollectiveId);
+  activity.data.collective = collective.info;
+  activity.data.fromCollective = await models.Collective.findByPk(activity.data.FromCollectiveId);
+  activity.data.fromCollective = activity.data.fromCollective.info;
+
+  let conversation;
+  if (activity.data.ConversationId) {
+    conversation = await models.Conversation.findByPk(activity.data.ConversationId);
+    activity.data.conversation = conversation.info;
+    activity.data.UserId = get(activity.data.conversation, 'CreatedByUserId');
+    activity.data.path = `/${activity.data.collective.slug}/conversations/${activity.data.conversation.slug}-${activity.data.conversation.hashId}`;
+  } else if (activity.data.ExpenseId) {
+    activity.data.expense = await models.Expense.findByPk(activity.data.ExpenseId);
+    activity.data.expense = activity.data.expense.info;
+    activity.data.UserId = activity.data.expense.UserId;
+    activity.data.path = `/${activity.data.collective.slug}/expenses/${activity.data.expense.id}`;
+  } else if (activity.data.UpdateId) {
+    activity.data.update = await models.Update.findByPk(activity.data.UpdateId);
+    activity.data.update = activity.data.update.info;
+    activity.data.UserId = activity.data.update.CreatedByUserId;
+    activity.data.path = `/${activity.data.collective.slug}/updates/${activity.data.update.slug}`;
+  }
+
+  return { collective, conversation };
+};
+
 async function notifyByEmail(activity) {
   debug('notifyByEmail', activity.type);
   let collective, conversation;
@@ -249,6 +304,12 @@ async function notifyByEmail(activity) {
       notifyUserId(activity.UserId, activity);
       break;
 
+    case activityType.TIER_WAITLIST_SPOT_AVAILABLE:
+      notifyUserId(activity.UserId, activity, {
+        from: `${activity.data.collective.name} <no-reply@${activity.data.collective.slug}.opencollective.com>`,
+      });
+      break;
+
     case activityType.COLLECTIVE_UPDATE_PUBLISHED:
       twitter.tweetActivity(activity);
       notifyUpdateSubscribers(activity);
@@ -259,13 +320,23 @@ async function notifyByEmail(activity) {
         bcc: `no-reply@${activity.data.collective.slug}.opencollective.com`,
       });
 
+    case activityType.SUBSCRIPTION_PAUSED:
+    case activityType.SUBSCRIPTION_RESUMED:
+      notifyUserId(activity.UserId, activity, {
+        from: `${activity.data.collective.name} <no-reply@${activity.data.collective.slug}.opencollective.com>`,
+      });
+      notifyAdminsOfCollective(activity.CollectiveId, activity, { template: `${activity.type}.for.collective` });
+      break;
+
     case activityType.COLLECTIVE_MEMBER_CREATED:
       twitter.tweetActivity(activity);
       notifyAdminsOfCollective(activity.data.collective.id, activity);
       break;
 
     case activityType.COLLECTIVE_EXPENSE_CREATED:
-      notifyAdminsOfCollective(activity.CollectiveId, activity);
+      notifyAdminsOfCollective(activity.CollectiveId, activity, {
+        replyByEmail: { ExpenseId: activity.data.expense.id },
+      });
       break;
 
     case activityType.COLLECTIVE_CONTACT:
@@ -281,32 +352,25 @@ async function notifyByEmail(activity) {
       activity.data.rootComment = activity.data.rootComment?.info;
       notifyAdminsOfCollective(activity.data.conversation.CollectiveId, activity, { exclude: [activity.UserId] });
       break;
-    case activityType.COLLECTIVE_COMMENT_CREATED:
-      collective = await models.Collective.findByPk(activity.CollectiveId);
-      activity.data.collective = collective.info;
-      activity.data.fromCollective = await models.Collective.findByPk(activity.data.FromCollectiveId);
-      activity.data.fromCollective = activity.data.fromCollective.info;
+    case activityType.COLLECTIVE_COMMENT_CREATED: {
+      ({ collective, conversation } = await populateCommentActivityData(activity));
+      // Mentioned users get a dedicated notification
+      const mentionedUserIds = activity.data.MentionedUserIds || [];
+      // Recipients can reply to the email to comment
+      const replyByEmail = pick(activity.data, ['ExpenseId', 'UpdateId', 'ConversationId']);
 
       if (activity.data.ConversationId) {
-        conversation = await models.Conversation.findByPk(activity.data.ConversationId);
-        activity.data.conversation = conversation.info;
-        activity.data.UserId = get(activity.data.conversation, 'CreatedByUserId');
-        activity.data.path = `/${activity.data.collective.slug}/conversations/${activity.data.conversation.slug}-${activity.data.conversation.hashId}`;
-
         notifyConversationFollowers(conversation, activity, {
           from: NO_REPLY_EMAIL,
-          exclude: [activity.UserId], // Don't notify the person who commented
+          replyByEmail,
+          exclude: [activity.UserId, ...mentionedUserIds], // Don't notify the person who commented
         });
       } else if (activity.data.ExpenseId) {
-        activity.data.expense = await models.Expense.findByPk(activity.data.ExpenseId);
-        activity.data.expense = activity.data.expense.info;
-        activity.data.UserId = activity.data.expense.UserId;
-        activity.data.path = `/${activity.data.collective.slug}/expenses/${activity.data.expense.id}`;
-
         // Notify the admins of the collective
         notifyAdminsOfCollective(activity.CollectiveId, activity, {
           from: NO_REPLY_EMAIL,
-          exclude: [activity.UserId, activity.data.UserId], // Don't notify the person who commented nor the expense author
+          replyByEmail,
+          exclude: [activity.UserId, activity.data.UserId, ...mentionedUserIds], // Don't notify the person who commented nor the expense author
         });
 
         // Notify the admins of the host (if any)
@@ -314,30 +378,34 @@ async function notifyByEmail(activity) {
         if (HostCollectiveId) {
           notifyAdminsOfCollective(HostCollectiveId, activity, {
             from: NO_REPLY_EMAIL,
-            exclude: [activity.UserId, activity.data.UserId], // Don't notify the person who commented nor the expense author
+            replyByEmail,
+            exclude: [activity.UserId, activity.data.UserId, ...mentionedUserIds], // Don't notify the person who commented nor the expense author
           });
         }
 
         // Notify the author of the expense
-        if (activity.UserId !== activity.data.UserId) {
+        if (activity.UserId !== activity.data.UserId && !mentionedUserIds.includes(activity.data.UserId)) {
           notifyUserId(activity.data.UserId, activity, {
             from: NO_REPLY_EMAIL,
+            replyByEmail,
           });
         }
       } else if (activity.data.UpdateId) {
-        activity.data.update = await models.Update.findByPk(activity.data.UpdateId);
-        activity.data.update = activity.data.update.info;
-        activity.data.UserId = activity.data.update.CreatedByUserId;
-        activity.data.path = `/${activity.data.collective.slug}/updates/${activity.data.update.slug}`;
-
         // Notify the admins of the collective
         notifyAdminsOfCollective(activity.CollectiveId, activity, {
           from: NO_REPLY_EMAIL,
-          exclude: [activity.UserId], // Don't notify the person who commented
+          replyByEmail,
+          exclude: [activity.UserId, ...mentionedUserIds], // Don't notify the person who commented
         });
       }
 
       break;
+    }
+
+    case activityType.COLLECTIVE_COMMENT_MENTIONED:
+      await populateCommentActivityData(activity);
+      notifyUserId(activity.data.MentionedUserId, activity, { from: NO_REPLY_EMAIL });
+      break;
 
     case activityType.COLLECTIVE_EXPENSE_APPROVED:
       activity.data.actions = {
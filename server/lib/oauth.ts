@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+
+import { difference, isEmpty, uniq } from 'lodash';
+import moment from 'moment';
+
+import { ALL_SCOPES } from '../constants/scopes';
+import models, { sequelize } from '../models';
+import { OAuthAuthorization } from '../models/OAuthAuthorization';
+import { CodeChallengeMethod, OAuthAuthorizationCode } from '../models/OAuthAuthorizationCode';
+import { OAuthToken } from '../models/OAuthToken';
+
+import { createJwt, verifyJwt } from './auth';
+
+/**
+ * OAuth2 authorization server, implementing the authorization code flow (RFC 6749)
+ * with PKCE (RFC 7636), refresh tokens and revocation (RFC 7009).
+ *
+ * Access tokens are JWTs that reference an `OAuthToken`. They are accepted anywhere a user
+ * JWT is (see `server/middleware/authentication.js`), with the permissions limited by the scopes.
+ *
+ * Like personal tokens, the authorization codes and the refresh tokens are stored hashed
+ * (see `Application.hashToken`): the plain values are only returned once, to the client.
+ */
+
+export const AUTHORIZATION_CODE_EXPIRATION = moment.duration({ minutes: 10 }).asSeconds();
+export const ACCESS_TOKEN_EXPIRATION = moment.duration({ hours: 1 }).asSeconds();
+export const REFRESH_TOKEN_EXPIRATION = moment.duration({ days: 90 }).asSeconds();
+
+/**
+ * An error formatted as described in https://datatracker.ietf.org/doc/html/rfc6749#section-5.2
+ */
+export class OAuthError extends Error {
+  public readonly code: string;
+  public readonly status: number;
+
+  constructor(code: string, message: string, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+
+  toJSON(): Record<string, string> {
+    return { error: this.code, ['error_description']: this.message };
+  }
+}
+
+type TokenResponse = {
+  ['access_token']: string;
+  ['token_type']: 'Bearer';
+  ['expires_in']: number;
+  ['refresh_token']: string;
+  scope: string;
+};
+
+type ClientCredentials = {
+  clientId: string;
+  clientSecret?: string;
+};
+
+const generateSecret = (): string => crypto.randomBytes(32).toString('hex');
+
+const safeCompare = (a: string, b: string): boolean => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+export const parseScopes = (scope: string): string[] => {
+  const scopes = uniq((scope || '').split(' ').filter(Boolean));
+  if (isEmpty(scopes)) {
+    throw new OAuthError('invalid_scope', 'At least one scope is required');
+  }
+
+  const invalidScopes = difference(scopes, ALL_SCOPES);
+  if (invalidScopes.length) {
+    throw new OAuthError('invalid_scope', `Invalid scopes: ${invalidScopes.join(', ')}`);
+  }
+
+  return scopes;
+};
+
+const getApplication = async (clientId: string): Promise<typeof models.Application> => {
+  const application = clientId && (await models.Application.findOne({ where: { type: 'oAuth', clientId } }));
+  if (!application || application.disabled) {
+    throw new OAuthError('invalid_client', 'Unknown client', 401);
+  }
+
+  return application;
+};
+
+const authenticateClient = async ({
+  clientId,
+  clientSecret,
+}: ClientCredentials): Promise<typeof models.Application> => {
+  const application = await getApplication(clientId);
+  if (!safeCompare(clientSecret, application.clientSecret)) {
+    throw new OAuthError('invalid_client', 'Invalid client credentials', 401);
+  }
+
+  return application;
+};
+
+/**
+ * Only the S256 method is accepted: with `plain`, the challenge is the verifier itself.
+ */
+const verifyCodeChallenge = (code: OAuthAuthorizationCode, codeVerifier: string): boolean => {
+  if (!codeVerifier || code.codeChallengeMethod !== CodeChallengeMethod.S256) {
+    return false;
+  }
+
+  const hash = crypto.createHash('sha256').update(codeVerifier).digest('base64');
+  const challenge = hash.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return safeCompare(challenge, code.codeChallenge);
+};
+
+const formatTokenResponse = (oauthToken: OAuthToken, refreshToken: string): TokenResponse => {
+  const accessToken = createJwt(
+    oauthToken.UserId,
+    { scope: 'oauth', oauthTokenId: oauthToken.id, oauthTokenVersion: oauthToken.accessTokenVersion },
+    ACCESS_TOKEN_EXPIRATION,
+  );
+  return {
+    ['access_token']: accessToken,
+    ['token_type']: 'Bearer',
+    ['expires_in']: ACCESS_TOKEN_EXPIRATION,
+    ['refresh_token']: refreshToken,
+    scope: oauthToken.scopes.join(' '),
+  };
+};
+
+const getTokenExpiryDates = (): { accessTokenExpiresAt: Date; refreshTokenExpiresAt: Date } => ({
+  accessTokenExpiresAt: moment().add(ACCESS_TOKEN_EXPIRATION, 'seconds').toDate(),
+  refreshTokenExpiresAt: moment().add(REFRESH_TOKEN_EXPIRATION, 'seconds').toDate(),
+});
+
+/**
+ * Records the consent of `user` and returns the URL to redirect them to, with the authorization code.
+ * Called by the consent screen of the website once the user approved the application.
+ */
+export const authorize = async (
+  user: typeof models.User,
+  params: {
+    clientId: string;
+    responseType: string;
+    redirectUri?: string;
+    scope: string;
+    state?: string;
+    codeChallenge?: string;
+    codeChallengeMethod?: string;
+  },
+): Promise<string> => {
+  const application = await getApplication(params.clientId);
+  if (!application.callbackUrl) {
+    throw new OAuthError('invalid_request', 'This application does not have a callback URL');
+  } else if (params.redirectUri && params.redirectUri !== application.callbackUrl) {
+    throw new OAuthError('invalid_request', 'The redirect URI does not match the callback URL of the application');
+  } else if (params.responseType !== 'code') {
+    throw new OAuthError('unsupported_response_type', 'Only the "code" response type is supported');
+  }
+
+  let codeChallengeMethod = null;
+  if (params.codeChallenge) {
+    codeChallengeMethod = params.codeChallengeMethod || CodeChallengeMethod.PLAIN;
+    if (codeChallengeMethod !== CodeChallengeMethod.S256) {
+      throw new OAuthError('invalid_request', `Unsupported code challenge method: ${codeChallengeMethod}`);
+    }
+  }
+
+  const scopes = parseScopes(params.scope);
+  const authorization = await models.OAuthAuthorization.findOne({
+    where: { UserId: user.id, ApplicationId: application.id },
+  });
+
+  if (authorization) {
+    await authorization.update({ scopes });
+  } else {
+    await models.OAuthAuthorization.create({ UserId: user.id, ApplicationId: application.id, scopes });
+  }
+
+  const code = generateSecret();
+  await models.OAuthAuthorizationCode.create({
+    code: models.Application.hashToken(code),
+    UserId: user.id,
+    ApplicationId: application.id,
+    redirectUri: application.callbackUrl,
+    scopes,
+    codeChallenge: params.codeChallenge || null,
+    codeChallengeMethod,
+    expiresAt: moment().add(AUTHORIZATION_CODE_EXPIRATION, 'seconds').toDate(),
+  });
+
+  const redirectUrl = new URL(application.callbackUrl);
+  redirectUrl.searchParams.set('code', code);
+  if (params.state) {
+    redirectUrl.searchParams.set('state', params.state);
+  }
+
+  return redirectUrl.toString();
+};
+
+/**
+ * Exchanges an authorization code for a token. Public clients (that can't keep a secret) must use
+ * PKCE, confidential clients can authenticate with their secret.
+ */
+export const exchangeAuthorizationCode = async (
+  params: ClientCredentials & { code: string; redirectUri?: string; codeVerifier?: string },
+): Promise<TokenResponse> => {
+  const application = await getApplication(params.clientId);
+  const code =
+    params.code &&
+    (await models.OAuthAuthorizationCode.findOne({
+      where: { code: models.Application.hashToken(params.code), ApplicationId: application.id },
+    }));
+
+  // Codes can only be used once: if two requests exchange the same code, only one of them deletes it
+  const deletedCount = code ? await models.OAuthAuthorizationCode.destroy({ where: { id: code.id } }) : 0;
+  if (!deletedCount) {
+    throw new OAuthError('invalid_grant', 'Invalid authorization code');
+  }
+
+  if (code.expiresAt < new Date()) {
+    throw new OAuthError('invalid_grant', 'The authorization code has expired');
+  } else if (params.redirectUri && params.redirectUri !== code.redirectUri) {
+    throw new OAuthError('invalid_grant', 'The redirect URI does not match the one used for the authorization');
+  } else if (code.codeChallenge && !verifyCodeChallenge(code, params.codeVerifier)) {
+    throw new OAuthError('invalid_grant', 'Invalid code verifier');
+  } else if (!code.codeChallenge || params.clientSecret) {
+    await authenticateClient(params);
+  }
+
+  const authorization = await models.OAuthAuthorization.findOne({
+    where: { UserId: code.UserId, ApplicationId: application.id },
+  });
+  if (!authorization) {
+    throw new OAuthError('invalid_grant', 'The authorization has been revoked');
+  }
+
+  const refreshToken = generateSecret();
+  const oauthToken = await models.OAuthToken.create({
+    UserId: code.UserId,
+    ApplicationId: application.id,
+    scopes: code.scopes,
+    refreshToken: models.Application.hashToken(refreshToken),
+    ...getTokenExpiryDates(),
+  });
+
+  return formatTokenResponse(oauthToken, refreshToken);
+};
+
+/**
+ * Issues a new access token. The refresh token is rotated, the previous one can't be used anymore.
+ */
+export const refreshAccessToken = async (
+  params: ClientCredentials & { refreshToken: string },
+): Promise<TokenResponse> => {
+  const application = await authenticateClient(params);
+  const hashedRefreshToken = params.refreshToken && models.Application.hashToken(params.refreshToken);
+  const oauthToken =
+    hashedRefreshToken &&
+    (await models.OAuthToken.findOne({
+      where: { refreshToken: hashedRefreshToken, ApplicationId: application.id },
+    }));
+
+  if (!oauthToken || oauthToken.refreshTokenExpiresAt < new Date()) {
+    throw new OAuthError('invalid_grant', 'Invalid refresh token');
+  }
+
+  // The access tokens issued with the previous refresh token stop working. The update only applies if
+  // the refresh token has not changed in the meantime, so that a refresh token can't be used twice.
+  const refreshToken = generateSecret();
+  const [updatedCount, [updatedToken]] = await models.OAuthToken.update(
+    {
+      refreshToken: models.Application.hashToken(refreshToken),
+      accessTokenVersion: sequelize.literal('"accessTokenVersion" + 1'),
+      ...getTokenExpiryDates(),
+    },
+    { where: { id: oauthToken.id, refreshToken: hashedRefreshToken }, returning: true },
+  );
+
+  if (!updatedCount) {
+    throw new OAuthError('invalid_grant', 'Invalid refresh token');
+  }
+
+  return formatTokenResponse(updatedToken, refreshToken);
+};
+
+/**
+ * Returns the payload of an OAuth access token, or null if it's not a valid one
+ */
+const verifyAccessToken = (token: string): { sub: string; oauthTokenId: number; oauthTokenVersion: number } | null => {
+  try {
+    const payload = verifyJwt(token);
+    return payload?.scope === 'oauth' ? payload : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Revokes an access or refresh token. As required by RFC 7009, unknown tokens are silently ignored.
+ */
+export const revokeToken = async (params: ClientCredentials & { token: string }): Promise<void> => {
+  const application = await authenticateClient(params);
+  let oauthToken =
+    params.token &&
+    (await models.OAuthToken.findOne({
+      where: { refreshToken: models.Application.hashToken(params.token), ApplicationId: application.id },
+    }));
+
+  if (!oauthToken) {
+    const payload = verifyAccessToken(params.token);
+    if (payload) {
+      oauthToken = await models.OAuthToken.findOne({
+        where: { id: payload.oauthTokenId, ApplicationId: application.id },
+      });
+    }
+  }
+
+  if (oauthToken) {
+    await oauthToken.destroy();
+  }
+};
+
+/**
+ * Revokes the consent given by a user to an application, and all the tokens issued to it
+ */
+export const revokeAuthorization = async (authorization: OAuthAuthorization): Promise<void> => {
+  await models.OAuthToken.destroy({
+    where: { UserId: authorization.UserId, ApplicationId: authorization.ApplicationId },
+  });
+  await models.OAuthAuthorizationCode.destroy({
+    where: { UserId: authorization.UserId, ApplicationId: authorization.ApplicationId },
+  });
+  await authorization.destroy();
+};
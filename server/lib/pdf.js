@@ -9,11 +9,7 @@ import { fetchWithTimeout } from './fetch';
 import logger from './logger';
 import { parseToBoolean } from './utils';
 
-export const getTransactionPdf = async (transaction, user) => {
-  if (parseToBoolean(config.pdfService.fetchTransactionsReceipts) === false) {
-    return;
-  }
-  const pdfUrl = `${config.host.pdf}/receipts/transactions/${transaction.uuid}/receipt.pdf`;
+const fetchPdf = (pdfUrl, user) => {
   const accessToken = user.jwt({}, TOKEN_EXPIRATION_PDF);
   const headers = {
     Authorization: `Bearer ${accessToken}`,
@@ -34,6 +30,14 @@ export const getTransactionPdf = async (transaction, user) => {
     });
 };
 
+export const getTransactionPdf = async (transaction, user) => {
+  if (parseToBoolean(config.pdfService.fetchTransactionsReceipts) === false) {
+    return;
+  }
+  const pdfUrl = `${config.host.pdf}/receipts/transactions/${transaction.uuid}/receipt.pdf`;
+  return fetchPdf(pdfUrl, user);
+};
+
 export const getConsolidatedInvoicesData = async fromCollective => {
   const transactions = await models.Transaction.findAll({
     attributes: ['createdAt', 'HostCollectiveId', 'amountInHostCurrency', 'hostCurrency', 'CollectiveId'],
@@ -0,0 +1,139 @@
+import { get, pick } from 'lodash';
+import moment from 'moment';
+
+import OrderStatus from '../constants/order_status';
+import models from '../models';
+
+import * as paymentsLib from './payments';
+
+/**
+ * Proration: when a contributor changes the amount of their recurring contribution in the middle of a period,
+ * collectives that enabled it in their settings (`proration.enabled`) charge the difference for the rest of the
+ * period right away. On downgrades, the difference is credited by postponing the next charges.
+ */
+
+/** Stripe can't charge less than 50 cents, smaller differences are ignored */
+const MINIMUM_PRORATION_AMOUNT = 50;
+
+export type Proration = {
+  /** Positive when the difference is charged right away, negative when it's credited */
+  amount: number;
+  currency: string;
+  periodStart: Date;
+  periodEnd: Date;
+  /** The next charge date of the subscription, once the proration is applied */
+  nextChargeDate: Date;
+};
+
+export const isProrationEnabled = (collective: typeof models.Collective): boolean => {
+  return Boolean(get(collective, 'settings.proration.enabled'));
+};
+
+/**
+ * Returns the period covered by the last charge. The first period goes from the activation of the subscription
+ * to the first recurring charge, the following ones last exactly one interval.
+ */
+export const getCurrentPeriod = (subscription: typeof models.Subscription): { start: Date; end: Date } => {
+  const end = moment(subscription.nextPeriodStart || subscription.nextChargeDate);
+  const start =
+    subscription.chargeNumber > 1 || !subscription.activatedAt
+      ? end.clone().subtract(1, subscription.interval)
+      : moment(subscription.activatedAt);
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+/**
+ * Computes the proration for changing the total amount of `order` to `newTotalAmount` now. Returns null if the
+ * change can't be prorated (changing the interval, subscriptions managed by PayPal...) or if the difference is too
+ * small to be charged.
+ */
+export const getProration = (
+  order: typeof models.Order,
+  newTotalAmount: number,
+  tier: typeof models.Tier | null = null,
+  now = new Date(),
+): Proration | null => {
+  const subscription = order.Subscription;
+  if (order.status !== OrderStatus.ACTIVE || !subscription?.isActive || subscription.isManagedExternally) {
+    return null;
+  } else if (tier?.interval && tier.interval !== 'flexible' && tier.interval !== order.interval) {
+    return null;
+  }
+
+  const { start, end } = getCurrentPeriod(subscription);
+  const periodLength = end.getTime() - start.getTime();
+  const remainingRatio =
+    periodLength > 0 ? Math.min(Math.max((end.getTime() - now.getTime()) / periodLength, 0), 1) : 0;
+  const amount = Math.round((newTotalAmount - order.totalAmount) * remainingRatio);
+  if (Math.abs(amount) < MINIMUM_PRORATION_AMOUNT) {
+    return null;
+  }
+
+  let nextChargeDate = subscription.nextChargeDate;
+  if (amount < 0) {
+    // The credit pays for some days of the next period, at the new rate
+    const nextPeriodDays = moment(end).add(1, subscription.interval).diff(end, 'days');
+    const creditedDays = Math.floor((-amount / newTotalAmount) * nextPeriodDays);
+    nextChargeDate = moment(subscription.nextChargeDate).add(creditedDays, 'days').toDate();
+  }
+
+  return { amount, currency: order.currency, periodStart: start, periodEnd: end, nextChargeDate };
+};
+
+/**
+ * Charges the prorated amount with the payment method of the recurring contribution, through a one-time order
+ * so that the transactions are created with the usual fees.
+ */
+const chargeProration = async (order: typeof models.Order, proration: Proration): Promise<typeof models.Order> => {
+  const prorationOrder = await models.Order.create({
+    CreatedByUserId: order.CreatedByUserId,
+    FromCollectiveId: order.FromCollectiveId,
+    CollectiveId: order.CollectiveId,
+    TierId: order.TierId,
+    PaymentMethodId: order.PaymentMethodId,
+    quantity: 1,
+    totalAmount: proration.amount,
+    currency: proration.currency,
+    description: `Prorated upgrade of recurring contribution #${order.id}`,
+    status: OrderStatus.NEW,
+    data: { ...pick(order.data, ['hostFeePercent']), prorationForOrderId: order.id },
+  });
+
+  prorationOrder.collective = order.collective || (await order.getCollective());
+  prorationOrder.fromCollective = order.fromCollective || (await order.getFromCollective());
+  prorationOrder.paymentMethod = order.paymentMethod || (await order.getPaymentMethod());
+  prorationOrder.createdByUser = order.createdByUser || (await order.getCreatedByUser());
+
+  try {
+    const transaction = await paymentsLib.processOrder(prorationOrder, {});
+    // Bank debits are settled later, by the webhook of the payment provider
+    if (transaction) {
+      await prorationOrder.update({ status: OrderStatus.PAID, processedAt: new Date() });
+    }
+  } catch (error) {
+    await prorationOrder.update({
+      status: OrderStatus.ERROR,
+      data: { ...prorationOrder.data, error: { message: error.message } },
+    });
+    throw error;
+  }
+
+  return prorationOrder;
+};
+
+/**
+ * Charges or credits the proration. Must be called once the new amount has been saved on the order.
+ */
+export const applyProration = async (order: typeof models.Order, proration: Proration): Promise<void> => {
+  if (proration.amount > 0) {
+    await chargeProration(order, proration);
+  } else if (proration.amount < 0) {
+    const postponedBy = proration.nextChargeDate.getTime() - order.Subscription.nextChargeDate.getTime();
+    const nextPeriodStart = order.Subscription.nextPeriodStart || order.Subscription.nextChargeDate;
+    await order.Subscription.update({
+      nextChargeDate: proration.nextChargeDate,
+      nextPeriodStart: new Date(nextPeriodStart.getTime() + postponedBy),
+    });
+  }
+};
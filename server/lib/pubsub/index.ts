@@ -0,0 +1,142 @@
+import config from 'config';
+import { get, pick } from 'lodash';
+
+import logger from '../logger';
+
+import makeMemoryProvider from './memory';
+import makeRedisProvider from './redis';
+import { PubSubProvider } from './types';
+
+export const PROVIDER_TYPES = {
+  MEMORY: 'MEMORY',
+  REDIS: 'REDIS',
+};
+
+export const PUBSUB_CHANNELS = {
+  ACTIVITY_CREATED: 'activity.created',
+};
+
+export const getProvider = (providerType: string): PubSubProvider => {
+  switch (providerType) {
+    case PROVIDER_TYPES.REDIS:
+      return makeRedisProvider(get(config, 'redis'));
+    case PROVIDER_TYPES.MEMORY:
+      return makeMemoryProvider();
+    default:
+      throw new Error(`Unsupported pub/sub provider: ${providerType}`);
+  }
+};
+
+const getDefaultProviderType = (): string => {
+  // Redis is required to broadcast events when running multiple workers
+  if (get(config, 'redis.serverUrl')) {
+    return PROVIDER_TYPES.REDIS;
+  } else {
+    return PROVIDER_TYPES.MEMORY;
+  }
+};
+
+let defaultProvider: PubSubProvider;
+
+const getDefaultProvider = (): PubSubProvider => {
+  if (!defaultProvider) {
+    defaultProvider = getProvider(getDefaultProviderType());
+  }
+  return defaultProvider;
+};
+
+export const publish = async (channel: string, message: Record<string, any>): Promise<void> => {
+  try {
+    await getDefaultProvider().publish(channel, message);
+  } catch (err) {
+    logger.error(`Error while publishing on ${channel}: ${err.message}`);
+  }
+};
+
+/**
+ * Publishes a newly created activity, to be consumed by GraphQL subscriptions
+ */
+export const publishActivity = (activity: Record<string, any>): Promise<void> => {
+  const message = pick(activity, ['id', 'type', 'CollectiveId', 'UserId', 'ExpenseId', 'TransactionId', 'createdAt']);
+  return publish(PUBSUB_CHANNELS.ACTIVITY_CREATED, { ...message, data: activity.data || {} });
+};
+
+/**
+ * The messages are buffered until the subscriber pulls them. A subscriber that can't keep up (e.g. a slow
+ * WebSocket client) loses the oldest messages rather than growing the buffer indefinitely.
+ */
+const MAX_PENDING_MESSAGES = 100;
+
+/**
+ * Subscribes to `channel` and returns an async iterator that yields the messages matching `filter`.
+ * Calling `return()` on the iterator (which is what GraphQL does when a subscription ends) unsubscribes.
+ */
+export const subscribe = (
+  channel: string,
+  filter: (message: Record<string, any>) => boolean | Promise<boolean> = () => true,
+): AsyncIterableIterator<Record<string, any>> => {
+  const pendingMessages = [];
+  const pendingPulls = [];
+  let isDone = false;
+  let hasDroppedMessages = false;
+
+  const unsubscribePromise = getDefaultProvider().subscribe(channel, message => {
+    const pull = pendingPulls.shift();
+    if (pull) {
+      pull(message);
+    } else {
+      pendingMessages.push(message);
+      if (pendingMessages.length > MAX_PENDING_MESSAGES) {
+        pendingMessages.shift();
+        if (!hasDroppedMessages) {
+          hasDroppedMessages = true;
+          logger.warn(`A subscriber to ${channel} is too slow, dropping its oldest messages`);
+        }
+      }
+    }
+  });
+
+  const pullMessage = (): Promise<Record<string, any>> => {
+    if (pendingMessages.length) {
+      return Promise.resolve(pendingMessages.shift());
+    } else {
+      return new Promise(resolve => pendingPulls.push(resolve));
+    }
+  };
+
+  const end = async (): Promise<IteratorResult<Record<string, any>>> => {
+    if (!isDone) {
+      isDone = true;
+      pendingMessages.length = 0;
+      pendingPulls.forEach(pull => pull(null));
+      pendingPulls.length = 0;
+      const unsubscribe = await unsubscribePromise;
+      await unsubscribe();
+    }
+
+    return { value: undefined, done: true };
+  };
+
+  return {
+    async next() {
+      await unsubscribePromise;
+      while (!isDone) {
+        const message = await pullMessage();
+        // Bluebird coroutines can only await promises, and the filters are usually synchronous
+        if (!isDone && (await Promise.resolve(filter(message)))) {
+          return { value: message, done: false };
+        }
+      }
+
+      return { value: undefined, done: true };
+    },
+    return: end,
+    throw: async error => {
+      await end();
+      throw error;
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
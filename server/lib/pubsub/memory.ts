@@ -0,0 +1,26 @@
+import { EventEmitter } from 'events';
+
+import { PubSubProvider } from './types';
+
+/**
+ * A pub/sub that only works within the current process. Good for development and tests,
+ * but events won't reach the subscribers connected to other workers.
+ */
+const makeMemoryProvider = (): PubSubProvider => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: async (channel, message) => {
+      emitter.emit(channel, message);
+    },
+    subscribe: async (channel, listener) => {
+      emitter.on(channel, listener);
+      return async () => {
+        emitter.off(channel, listener);
+      };
+    },
+  };
+};
+
+export default makeMemoryProvider;
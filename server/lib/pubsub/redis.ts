@@ -0,0 +1,53 @@
+import { EventEmitter } from 'events';
+
+import debug from 'debug';
+import redis from 'redis';
+
+import { PubSubProvider } from './types';
+
+const debugPubSub = debug('pubsub');
+
+const makeRedisProvider = ({ serverUrl }): PubSubProvider => {
+  const redisOptions = {};
+  if (serverUrl.includes('rediss://')) {
+    redisOptions['tls'] = { rejectUnauthorized: false };
+  }
+
+  // A connection in subscriber mode can't be used for anything else, so we need two of them
+  const publisher = redis.createClient(serverUrl, redisOptions);
+  const subscriber = redis.createClient(serverUrl, redisOptions);
+
+  // Messages are dispatched locally, so that we only subscribe once per channel on Redis
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  subscriber.on('message', (channel, message) => {
+    try {
+      emitter.emit(channel, JSON.parse(message));
+    } catch (err) {
+      debugPubSub(`Invalid JSON (${message}): ${err}`);
+    }
+  });
+
+  return {
+    publish: async (channel, message) => {
+      await new Promise((resolve, reject) => {
+        publisher.publish(channel, JSON.stringify(message), err => (err ? reject(err) : resolve(null)));
+      });
+    },
+    subscribe: async (channel, listener) => {
+      if (emitter.listenerCount(channel) === 0) {
+        subscriber.subscribe(channel);
+      }
+
+      emitter.on(channel, listener);
+      return async () => {
+        emitter.off(channel, listener);
+        if (emitter.listenerCount(channel) === 0) {
+          subscriber.unsubscribe(channel);
+        }
+      };
+    },
+  };
+};
+
+export default makeRedisProvider;
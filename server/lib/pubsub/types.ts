@@ -0,0 +1,8 @@
+export type PubSubListener = (message: Record<string, any>) => void;
+
+export interface PubSubProvider {
+  /** Sends `message` to all the subscribers of `channel` */
+  publish(channel: string, message: Record<string, any>): Promise<void>;
+  /** Registers `listener` for `channel`, resolves with a function to unsubscribe */
+  subscribe(channel: string, listener: PubSubListener): Promise<() => Promise<void>>;
+}
@@ -1002,7 +1002,7 @@ const getTaxFormsRequiredForExpenses = expenseIds => {
     AND analyzed_expenses."FromCollectiveId" != d."HostCollectiveId"
     AND analyzed_expenses.type != 'RECEIPT'
     AND analyzed_expenses.type != 'CHARGE'
-    AND analyzed_expenses.status IN ('PENDING', 'APPROVED')
+    AND analyzed_expenses.status IN ('PENDING', 'PARTIALLY_APPROVED', 'APPROVED')
     AND analyzed_expenses."deletedAt" IS NULL
     AND (from_collective."HostCollectiveId" IS NULL OR from_collective."HostCollectiveId" != c."HostCollectiveId")
     AND all_expenses.type != 'RECEIPT'
@@ -8,6 +8,18 @@ import status from '../constants/order_status';
 import { PAYMENT_METHOD_TYPE } from '../constants/paymentMethods';
 import models from '../models';
 
+import {
+  DEFAULT_DUNNING_POLICY,
+  DunningEndAction,
+  getDaysBeforeRetry,
+  getDunningPolicy,
+  getMaxRetries,
+  getNextDunningState,
+  getPaymentMethodUpdateLink,
+  getRemainingDaysInSchedule,
+  isInGracePeriod,
+  recordRecoveredCharge,
+} from './dunning';
 import emailLib from './email';
 import logger from './logger';
 import * as paymentsLib from './payments';
@@ -15,7 +27,7 @@ import { getTransactionPdf } from './pdf';
 import { sleep, toIsoDateStr } from './utils';
 
 /** Maximum number of attempts before an order gets cancelled. */
-export const MAX_RETRIES = 6;
+export const MAX_RETRIES = getMaxRetries(DEFAULT_DUNNING_POLICY);
 
 /** Find all orders with subscriptions that are active & due.
  *
@@ -26,6 +38,9 @@ export async function ordersWithPendingCharges({ limit, startDate } = {}) {
   return models.Order.findAndCountAll({
     where: {
       SubscriptionId: { [Op.ne]: null },
+      // Charges that are still being settled (bank debits) will be completed by the payment provider webhook,
+      // paused contributions are skipped until they get resumed
+      status: { [Op.notIn]: [status.PROCESSING, status.PAUSED] },
       deletedAt: null,
     },
     limit: limit,
@@ -89,9 +104,11 @@ export async function processOrderWithSubscription(order, options) {
     chargeDateAfter: null,
     nextPeriodStartBefore: dateFormat(order.Subscription.nextPeriodStart),
     nextPeriodStartAfter: null,
+    dunningEndAction: null,
   };
 
   let orderProcessedStatus = 'unattempted';
+  let dunningPolicy = DEFAULT_DUNNING_POLICY;
   let collectiveIsArchived = false;
   let creditCardNeedsConfirmation = false;
   let transaction;
@@ -108,14 +125,17 @@ export async function processOrderWithSubscription(order, options) {
       collectiveIsArchived = true;
       cancelSubscription(order);
     } else {
+      let chargeError;
+      dunningPolicy = getDunningPolicy(await order.collective.getHostCollective());
       try {
         transaction = await paymentsLib.processOrder(order);
-        orderProcessedStatus = 'success';
+        orderProcessedStatus = !transaction && order.status === status.PROCESSING ? 'processing' : 'success';
       } catch (error) {
         if (error.stripeResponse && error.stripeResponse.paymentIntent) {
           creditCardNeedsConfirmation = true;
         }
         orderProcessedStatus = 'failure';
+        chargeError = error;
         csvEntry.error = error.message;
         order.status = status.ERROR;
         order.data = order.data || {};
@@ -123,19 +143,13 @@ export async function processOrderWithSubscription(order, options) {
         order.data = { ...order.data, error: { message: error.message }, latestError: error.message };
       }
 
-      order.Subscription.chargeRetryCount = getChargeRetryCount(orderProcessedStatus, order);
-      order.Subscription = Object.assign(
-        order.Subscription,
-        getNextChargeAndPeriodStartDates(orderProcessedStatus, order),
-      );
-
-      if (orderProcessedStatus === 'success') {
-        if (order.Subscription.chargeNumber !== null) {
-          order.Subscription.chargeNumber += 1;
-        }
-        order.status = status.ACTIVE;
-        // TODO: we should consolidate on error and remove latestError
-        order.data = omit(order.data, ['error', 'latestError', 'paymentIntent']);
+      // The subscription will be updated once the charge is settled, see `handleSettledCharge`
+      if (orderProcessedStatus !== 'processing') {
+        await updateSubscriptionAfterCharge(orderProcessedStatus, order, {
+          transaction,
+          error: chargeError,
+          dunningPolicy,
+        });
       }
     }
   } else if (options.simulate) {
@@ -151,14 +165,16 @@ export async function processOrderWithSubscription(order, options) {
     try {
       if (collectiveIsArchived) {
         await sendArchivedCollectiveEmail(order);
+      } else if (orderProcessedStatus === 'processing') {
+        // Contributor will be notified when the charge is settled
       } else if (creditCardNeedsConfirmation) {
-        if (order.Subscription.chargeRetryCount >= MAX_RETRIES) {
-          await cancelSubscriptionAndNotifyUser(order);
+        if (order.Subscription.chargeRetryCount >= getMaxRetries(dunningPolicy)) {
+          await endDunningAndNotifyUser(order, dunningPolicy);
         } else {
           await sendCreditCardConfirmationEmail(order);
         }
       } else {
-        await handleRetryStatus(order, transaction);
+        await handleRetryStatus(order, transaction, dunningPolicy);
       }
     } catch (error) {
       console.log(`Error notifying order #${order.id} ${error}`);
@@ -168,9 +184,97 @@ export async function processOrderWithSubscription(order, options) {
     }
   }
 
+  csvEntry.dunningEndAction = order.Subscription.data?.dunning?.endAction || null;
   return csvEntry;
 }
 
+/** Update the subscription and the order after a charge attempt.
+ *
+ * Failed charges are retried following the dunning policy of the
+ * host. When the card was declined for a reason that won't go away
+ * by itself (e.g. expired card), the intermediate retries are skipped
+ * and the last one happens at the end of the schedule, leaving time
+ * to the contributor to update their payment method.
+ *
+ * Notice that this function doesn't save the changes to the database
+ * so a call to `order.Subscription.save()` and `order.save()` is
+ * required after this function.
+ */
+async function updateSubscriptionAfterCharge(
+  orderProcessedStatus,
+  order,
+  { transaction = null, error = null, dunningPolicy = DEFAULT_DUNNING_POLICY } = {},
+) {
+  if (orderProcessedStatus === 'success') {
+    await recordRecoveredCharge(order, transaction);
+    order.Subscription.data = omit(order.Subscription.data, ['dunning']);
+  } else if (orderProcessedStatus === 'failure') {
+    const dunning = getNextDunningState(order.Subscription.data?.dunning, error);
+    order.Subscription.data = { ...order.Subscription.data, dunning };
+  }
+
+  order.Subscription.chargeRetryCount = getChargeRetryCount(orderProcessedStatus, order);
+  order.Subscription = Object.assign(
+    order.Subscription,
+    getNextChargeAndPeriodStartDates(orderProcessedStatus, order, dunningPolicy),
+  );
+
+  if (orderProcessedStatus === 'success') {
+    if (order.Subscription.chargeNumber !== null) {
+      order.Subscription.chargeNumber += 1;
+    }
+    order.status = status.ACTIVE;
+    // TODO: we should consolidate on error and remove latestError
+    order.data = omit(order.data, ['error', 'latestError', 'paymentIntent']);
+  } else if (orderProcessedStatus === 'failure') {
+    const { dunning } = order.Subscription.data;
+    const lastRetry = getMaxRetries(dunningPolicy) - 1;
+    if (!dunning.isRetriable && order.Subscription.chargeRetryCount < lastRetry) {
+      const daysBeforeLastRetry = getRemainingDaysInSchedule(dunningPolicy, order.Subscription.chargeRetryCount);
+      order.Subscription.chargeRetryCount = lastRetry;
+      order.Subscription.nextChargeDate = moment(new Date(new Date().toDateString()))
+        .add(daysBeforeLastRetry, 'days')
+        .toDate();
+    }
+    if (isInGracePeriod(dunningPolicy, dunning)) {
+      order.status = status.ACTIVE;
+    }
+  }
+}
+
+/** Complete a charge that was left in PROCESSING by `processOrderWithSubscription`.
+ *
+ * Bank debits take a few days to settle: the payment provider calls
+ * this function from its webhook with either the transaction created
+ * for the successful charge or the error of the failed one. The order
+ * must include its `Subscription`, `collective`, `fromCollective` and
+ * `createdByUser`.
+ */
+export async function handleSettledCharge(order, { transaction = null, error = null } = {}) {
+  const orderProcessedStatus = error ? 'failure' : 'success';
+  const dunningPolicy = getDunningPolicy(await order.collective.getHostCollective());
+  if (error) {
+    order.status = status.ERROR;
+    // TODO: we should consolidate on error and remove latestError
+    order.data = {
+      ...omit(order.data, ['paymentIntent']),
+      error: { message: error.message },
+      latestError: error.message,
+    };
+  }
+
+  await updateSubscriptionAfterCharge(orderProcessedStatus, order, { transaction, error, dunningPolicy });
+
+  try {
+    await handleRetryStatus(order, transaction, dunningPolicy);
+  } catch (e) {
+    logger.error(`Error notifying order #${order.id} ${e}`);
+  } finally {
+    await order.Subscription.save();
+    await order.save();
+  }
+}
+
 /** Standard way to format dates in this script */
 function dateFormat(date) {
   return moment(date).format();
@@ -185,32 +289,28 @@ function dateFormat(date) {
  *   1. zero(0): Means success. The counter was reset after a
  *      successful processing.
  *
- *   2. MAX_RETRIES: The order will be cancelled because it reached
- *      the maximum number of retries and the payment method doesn't
- *      work.
+ *   2. The maximum number of retries of the dunning policy: The order
+ *      will be cancelled or paused (depending on the policy) because
+ *      the payment method doesn't work.
  *
  *   3. WARN_USER: The last attempt failed. Warn user about the
  *      failure and allow them to update the payment method.
  */
-export async function handleRetryStatus(order, transaction) {
+export async function handleRetryStatus(order, transaction, dunningPolicy = DEFAULT_DUNNING_POLICY) {
   const errorMessage = get(order, 'data.error.message');
-  switch (order.Subscription.chargeRetryCount) {
-    case 0:
-      return sendThankYouEmail(order, transaction);
-    case 1:
-    case 2:
-      // Don't send an error in the 2 first attempts because the user is not responsible for these errors
-      if (errorMessage) {
-        if (errorMessage.includes('Payment Processing error') || errorMessage.includes('Internal Payment error')) {
-          return Promise.resolve();
-        }
-      }
-      return sendFailedEmail(order, false);
-    case MAX_RETRIES:
-      return cancelSubscriptionAndNotifyUser(order);
-    default:
-      return sendFailedEmail(order, false);
+  const chargeRetryCount = order.Subscription.chargeRetryCount;
+  if (chargeRetryCount === 0) {
+    return sendThankYouEmail(order, transaction);
+  } else if (chargeRetryCount >= getMaxRetries(dunningPolicy)) {
+    return endDunningAndNotifyUser(order, dunningPolicy);
+  } else if (chargeRetryCount <= 2 && errorMessage) {
+    // Don't send an error in the 2 first attempts because the user is not responsible for these errors
+    if (errorMessage.includes('Payment Processing error') || errorMessage.includes('Internal Payment error')) {
+      return Promise.resolve();
+    }
   }
+
+  return sendFailedEmail(order, false);
 }
 
 /** Get the date an order should be charged again and it's next period start date
@@ -223,9 +323,13 @@ export async function handleRetryStatus(order, transaction) {
  *      same month of the next year for yearly.
  *   1. success: Increment date by 1 month for monthly or 1 year for
  *      yearly subscriptions
- *   2. failure: Two days after today.
+ *   2. failure: Following the retry schedule of the dunning policy
+ *      (by default, two days after today for the first retries, then
+ *      five days).
+ *   3. intervalUpdated: The period that was already paid is kept, the
+ *      new interval starts when it ends (or now if it's already over).
  */
-export function getNextChargeAndPeriodStartDates(status, order) {
+export function getNextChargeAndPeriodStartDates(status, order, dunningPolicy = DEFAULT_DUNNING_POLICY) {
   const initial = order.Subscription.nextPeriodStart || order.Subscription.createdAt;
   let nextChargeDate = moment(initial);
   const response = {};
@@ -248,16 +352,16 @@ export function getNextChargeAndPeriodStartDates(status, order) {
 
     response.nextPeriodStart = nextChargeDate.toDate();
   } else if (status === 'failure') {
-    if (order.Subscription.chargeRetryCount > 2) {
-      // How do I remove time part from JavaScript date?
-      // https://stackoverflow.com/questions/34722862/how-do-i-remove-time-part-from-javascript-date/34722927
-      nextChargeDate = moment(new Date(new Date().toDateString())).add(5, 'days');
-    } else {
-      nextChargeDate = moment(new Date(new Date().toDateString())).add(2, 'days');
-    }
+    // How do I remove time part from JavaScript date?
+    // https://stackoverflow.com/questions/34722862/how-do-i-remove-time-part-from-javascript-date/34722927
+    const daysBeforeRetry = getDaysBeforeRetry(dunningPolicy, order.Subscription.chargeRetryCount);
+    nextChargeDate = moment(new Date(new Date().toDateString())).add(daysBeforeRetry, 'days');
   } else if (status === 'updated') {
     // used when user updates payment method
     nextChargeDate = moment(new Date()); // sets next charge date to now
+  } else if (status === 'intervalUpdated') {
+    nextChargeDate = moment.max(nextChargeDate, moment());
+    response.nextPeriodStart = nextChargeDate.toDate();
   }
   response.nextChargeDate = nextChargeDate.toDate();
   return response;
@@ -299,17 +403,28 @@ export function cancelSubscription(order) {
  * they're going to belong to:
  *
  *  1. entry.status: If it's `success` then the entry is automatically
- *     categorized within the group `charged`. If the value of this
- *     field is `failure`, the other variable will be used in the
- *     decision.
+ *     categorized within the group `charged`, if it's `processing`
+ *     (bank debits waiting to settle) within the group `processing`.
+ *     If the value of this field is `failure`, the other variable will
+ *     be used in the decision.
  *
- *  2. entry.retriesAfter: If that's less than MAX_RETRIES than the
- *     entry is grouped under `past_due`. Otherwise, it's marked as
- *     `canceled`.
+ *  2. entry.dunningEndAction: If the dunning ended, the entry is
+ *     grouped under `paused` or `canceled` depending on the policy of
+ *     the host. Otherwise, if entry.retriesAfter is less than
+ *     MAX_RETRIES the entry is grouped under `past_due`.
  */
 export function groupProcessedOrders(orders) {
   return orders.reduce((map, value) => {
-    const key = value.status === 'success' ? 'charged' : value.retriesAfter >= MAX_RETRIES ? 'canceled' : 'past_due';
+    const key =
+      value.status === 'success'
+        ? 'charged'
+        : value.status === 'processing'
+        ? 'processing'
+        : value.dunningEndAction === DunningEndAction.PAUSE
+        ? 'paused'
+        : value.dunningEndAction === DunningEndAction.CANCEL || value.retriesAfter >= MAX_RETRIES
+        ? 'canceled'
+        : 'past_due';
     const group = map.get(key);
     if (group) {
       group.total += value.amount;
@@ -330,6 +445,23 @@ export async function cancelSubscriptionAndNotifyUser(order) {
   return sendFailedEmail(order, true);
 }
 
+/** Apply the end action of the dunning policy once all the retries failed, and notify the contributor
+ *
+ * Paused contributions are not charged anymore, they get resumed when
+ * the contributor updates their payment method.
+ */
+export async function endDunningAndNotifyUser(order, dunningPolicy = DEFAULT_DUNNING_POLICY) {
+  const dunning = { ...order.Subscription.data?.dunning, endedAt: new Date().toISOString() };
+  dunning.endAction = dunningPolicy.endAction;
+  order.Subscription.data = { ...order.Subscription.data, dunning };
+  if (dunningPolicy.endAction === DunningEndAction.PAUSE) {
+    order.status = status.PAUSED;
+    return sendFailedEmail(order, true);
+  } else {
+    return cancelSubscriptionAndNotifyUser(order);
+  }
+}
+
 /** Send `archived.collective` email */
 export async function sendArchivedCollectiveEmail(order) {
   const user = order.createdByUser;
@@ -354,11 +486,16 @@ export async function sendFailedEmail(order, lastAttempt) {
   if (errorMessage && errorMessage.includes('Something went wrong with the payment')) {
     errorMessage = 'Something went wrong with the payment.';
   }
+  const dunning = order.Subscription?.data?.dunning;
+  const isPaused = order.status === status.PAUSED;
   return emailLib.send(
     'payment.failed',
     user.email,
     {
       lastAttempt,
+      isPaused,
+      isRetriable: dunning ? dunning.isRetriable : true,
+      updatePaymentMethodLink: !lastAttempt || isPaused ? getPaymentMethodUpdateLink(order) : null,
       order: order.info,
       collective: order.collective.info,
       fromCollective: order.fromCollective.minimal,
@@ -0,0 +1,149 @@
+import config from 'config';
+import moment from 'moment';
+import { v4 as uuid } from 'uuid';
+
+import activities from '../constants/activities';
+import ExpenseStatus from '../constants/expense_status';
+import { idEncode, IDENTIFIER_TYPES } from '../graphql/v2/identifiers';
+import models, { Op, sequelize } from '../models';
+import { RecurringExpense, RecurringExpenseInterval } from '../models/RecurringExpense';
+
+import logger from './logger';
+
+const INTERVAL_DURATIONS: Record<RecurringExpenseInterval, [number, moment.unitOfTime.DurationConstructor]> = {
+  [RecurringExpenseInterval.WEEK]: [1, 'week'],
+  [RecurringExpenseInterval.MONTH]: [1, 'month'],
+  [RecurringExpenseInterval.QUARTER]: [3, 'months'],
+  [RecurringExpenseInterval.YEAR]: [1, 'year'],
+};
+
+/**
+ * Returns the first due date after `date`. Due dates are always computed from the start date rather than
+ * from the previous due date: a monthly expense starting on January 31 is due on February 28, then March 31.
+ */
+export const getNextDueDate = (startDate: Date, interval: RecurringExpenseInterval, date: Date): Date => {
+  const [amount, unit] = INTERVAL_DURATIONS[interval];
+  let periods = 0;
+  let nextDueDate = startDate;
+  while (nextDueDate <= date) {
+    periods++;
+    nextDueDate = moment
+      .utc(startDate)
+      .add(periods * amount, unit)
+      .toDate();
+  }
+
+  return nextDueDate;
+};
+
+/**
+ * Recurring expenses are managed by the admins of the collective and of its host
+ */
+export const canManageRecurringExpenses = (user: typeof models.User, collective: typeof models.Collective): boolean => {
+  return Boolean(user && (user.isAdminOfCollective(collective) || user.isAdmin(collective.HostCollectiveId)));
+};
+
+/**
+ * Creates the draft of the next expense and invites the payee to attach the invoice and submit it,
+ * like `draftExpenseAndInviteUser` does. Then schedules the next one.
+ */
+export const draftRecurringExpense = async (
+  recurringExpense: RecurringExpense,
+): Promise<typeof models.Expense | null> => {
+  const collective = await models.Collective.findByPk(recurringExpense.CollectiveId);
+  const payee = await models.Collective.findByPk(recurringExpense.FromCollectiveId);
+  const user = await models.User.findByPk(recurringExpense.CreatedByUserId);
+  if (!collective || !payee || !user) {
+    logger.warn(`Skipping recurring expense #${recurringExpense.id}: its collective, payee or author is gone`);
+    return null;
+  }
+
+  const payoutMethod = recurringExpense.PayoutMethodId
+    ? await models.PayoutMethod.findByPk(recurringExpense.PayoutMethodId)
+    : null;
+  const draftKey = process.env.OC_ENV === 'e2e' || process.env.OC_ENV === 'ci' ? 'draft-key' : uuid();
+  const dueDate = recurringExpense.nextDueDate;
+  const formattedDueDate = moment.utc(dueDate).format('MMMM D, YYYY');
+
+  // The draft and the next due date are saved together, so that a failure can't draft the same period twice
+  const expense = await sequelize.transaction(async transaction => {
+    const expense = await models.Expense.create(
+      {
+        CollectiveId: collective.id,
+        FromCollectiveId: user.CollectiveId,
+        UserId: user.id,
+        lastEditedById: user.id,
+        currency: collective.currency,
+        type: recurringExpense.type,
+        description: recurringExpense.description,
+        tags: recurringExpense.tags,
+        incurredAt: dueDate,
+        amount: recurringExpense.amount,
+        status: ExpenseStatus.DRAFT,
+        data: {
+          items: recurringExpense.items.map(item => ({ ...item, incurredAt: dueDate })),
+          payee: payee.minimal,
+          invitedByCollectiveId: user.CollectiveId,
+          draftKey,
+          recipientNote: `This is the recurring expense "${recurringExpense.description}" due on ${formattedDueDate}. Please attach your invoice and submit it.`,
+          payoutMethod: payoutMethod && { id: idEncode(payoutMethod.id, IDENTIFIER_TYPES.PAYOUT_METHOD) },
+          recurringExpenseId: recurringExpense.id,
+        },
+      },
+      { transaction },
+    );
+
+    await recurringExpense.update(
+      {
+        nextDueDate: getNextDueDate(recurringExpense.startDate, recurringExpense.interval, dueDate),
+        lastDraftedAt: new Date(),
+      },
+      { transaction },
+    );
+
+    return expense;
+  });
+
+  const inviteUrl = `${config.host.website}/${collective.slug}/expenses/${expense.id}?key=${draftKey}`;
+  await expense.createActivity(activities.COLLECTIVE_EXPENSE_INVITE_DRAFTED, user, { ...expense.data, inviteUrl });
+  return expense;
+};
+
+/**
+ * Drafts all the recurring expenses that are due at `date`. A recurring expense that was not processed for
+ * several periods (e.g. because the cron didn't run) only gets one draft, and its next due date is moved to
+ * the future.
+ */
+export const draftDueRecurringExpenses = async (
+  date: Date = new Date(),
+): Promise<{ drafted: number; errors: number }> => {
+  const recurringExpenses = await models.RecurringExpense.findAll({
+    where: {
+      nextDueDate: { [Op.lte]: date },
+      [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: sequelize.col('nextDueDate') } }],
+    },
+    order: [['nextDueDate', 'ASC']],
+  });
+
+  const result = { drafted: 0, errors: 0 };
+  for (const recurringExpense of recurringExpenses) {
+    try {
+      const expense = await draftRecurringExpense(recurringExpense);
+      if (expense) {
+        result.drafted++;
+      }
+
+      // Catch up on the missed periods without drafting them
+      if (recurringExpense.nextDueDate <= date) {
+        await recurringExpense.update({
+          nextDueDate: getNextDueDate(recurringExpense.startDate, recurringExpense.interval, date),
+        });
+      }
+    } catch (e) {
+      result.errors++;
+      logger.error(`Error while drafting recurring expense #${recurringExpense.id}: ${e.message}`);
+    }
+  }
+
+  return result;
+};
@@ -4,8 +4,9 @@
 
 import config from 'config';
 import slugify from 'limax';
-import { get } from 'lodash';
+import { escape, get, unescape } from 'lodash';
 
+import roles from '../constants/roles';
 import { RateLimitExceeded } from '../graphql/errors';
 import models, { sequelize } from '../models';
 
@@ -163,3 +164,219 @@ export const searchCollectivesInDB = async (
 
   return [result, get(result[0], 'dataValues.__total__', 0)];
 };
+
+export const CONTENT_SEARCH_TYPES = {
+  EXPENSE: 'EXPENSE',
+  UPDATE: 'UPDATE',
+  CONVERSATION: 'CONVERSATION',
+  COMMENT: 'COMMENT',
+};
+
+/** Text of an HTML column, without the tags */
+const getHtmlText = column => `regexp_replace(COALESCE(${column}, ''), '<[^>]*>', ' ', 'g')`;
+
+/**
+ * TSVectors to search for expenses, updates, conversations and comments. Updating the values here requires
+ * generating a new migration to update the indexes.
+ * See `migrations/20210910100000-add-content-search-indexes.js`
+ */
+const CONTENT_TS_VECTORS = {
+  EXPENSE: alias => `to_tsvector('simple', COALESCE(${alias}.description, ''))`,
+  EXPENSE_ITEM: alias => `to_tsvector('simple', COALESCE(${alias}.description, ''))`,
+  UPDATE: alias => `(
+    to_tsvector('simple', COALESCE(${alias}.title, ''))
+    || to_tsvector('simple', ${getHtmlText(`${alias}.html`)})
+  )`,
+  CONVERSATION: alias => `to_tsvector('simple', COALESCE(${alias}.title, ''))`,
+  COMMENT: alias => `to_tsvector('simple', ${getHtmlText(`${alias}.html`)})`,
+};
+
+const TS_QUERY = `plainto_tsquery('simple', :term)`;
+
+// Highlights are escaped after being generated, these markers are replaced by `<mark>` tags
+const HIGHLIGHT_START = '__SEARCH_HIGHLIGHT_START__';
+const HIGHLIGHT_END = '__SEARCH_HIGHLIGHT_END__';
+const HIGHLIGHT_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=30, MinWords=10, MaxFragments=2`;
+
+/**
+ * Private updates (and drafts) are only visible to the members of the collective or of its parent
+ */
+const canSeeUpdateCondition = (update, collective) => `(
+  (${update}."publishedAt" IS NOT NULL AND ${update}."isPrivate" IS NOT TRUE)
+  OR ${collective}.id IN (:memberCollectiveIds)
+  OR ${collective}."ParentCollectiveId" IN (:memberCollectiveIds)
+)`;
+
+/**
+ * Drafts are only visible to their author, and spam is never returned
+ */
+const canSeeExpenseCondition = expense => `(
+  ${expense}.status NOT IN ('DRAFT', 'SPAM')
+  OR (${expense}.status = 'DRAFT' AND ${expense}."UserId" = :userId)
+)`;
+
+/**
+ * Comments on expenses are only visible to the submitter and to the admins of the payee, the collective and its host
+ */
+const canSeeExpenseCommentsCondition = (expense, collective) => `(
+  ${expense}."UserId" = :userId
+  OR ${expense}."FromCollectiveId" IN (:adminCollectiveIds)
+  OR ${collective}.id IN (:adminCollectiveIds)
+  OR ${collective}."ParentCollectiveId" IN (:adminCollectiveIds)
+  OR ${collective}."HostCollectiveId" IN (:adminCollectiveIds)
+)`;
+
+/**
+ * One query per type of content, returning the searchable text of the matching items
+ */
+const CONTENT_SEARCH_QUERIES = {
+  EXPENSE: `
+    SELECT 'EXPENSE' AS type, e.id, e."CollectiveId", e."createdAt", CONCAT_WS(' ', e.description, (
+      SELECT string_agg(i.description, ' ') FROM "ExpenseItems" i WHERE i."ExpenseId" = e.id AND i."deletedAt" IS NULL
+    )) AS text
+    FROM "Expenses" e
+    INNER JOIN "Collectives" c ON c.id = e."CollectiveId" AND c."deletedAt" IS NULL
+    WHERE e."deletedAt" IS NULL
+    AND (
+      ${CONTENT_TS_VECTORS.EXPENSE('e')} @@ ${TS_QUERY}
+      OR e.id IN (
+        SELECT i."ExpenseId" FROM "ExpenseItems" i
+        WHERE i."deletedAt" IS NULL AND ${CONTENT_TS_VECTORS.EXPENSE_ITEM('i')} @@ ${TS_QUERY}
+      )
+    )
+    AND ${canSeeExpenseCondition('e')}
+  `,
+  UPDATE: `
+    SELECT 'UPDATE' AS type, u.id, u."CollectiveId", u."createdAt", CONCAT_WS(' ', u.title, ${getHtmlText(
+      'u.html',
+    )}) AS text
+    FROM "Updates" u
+    INNER JOIN "Collectives" c ON c.id = u."CollectiveId" AND c."deletedAt" IS NULL
+    WHERE u."deletedAt" IS NULL
+    AND ${CONTENT_TS_VECTORS.UPDATE('u')} @@ ${TS_QUERY}
+    AND ${canSeeUpdateCondition('u', 'c')}
+  `,
+  CONVERSATION: `
+    SELECT 'CONVERSATION' AS type, cv.id, cv."CollectiveId", cv."createdAt", cv.title AS text
+    FROM "Conversations" cv
+    INNER JOIN "Collectives" c ON c.id = cv."CollectiveId" AND c."deletedAt" IS NULL
+    WHERE cv."deletedAt" IS NULL
+    AND ${CONTENT_TS_VECTORS.CONVERSATION('cv')} @@ ${TS_QUERY}
+  `,
+  COMMENT: `
+    SELECT 'COMMENT' AS type, cm.id, cm."CollectiveId", cm."createdAt", ${getHtmlText('cm.html')} AS text
+    FROM "Comments" cm
+    INNER JOIN "Collectives" c ON c.id = cm."CollectiveId" AND c."deletedAt" IS NULL
+    LEFT JOIN "Conversations" cv ON cv.id = cm."ConversationId" AND cv."deletedAt" IS NULL
+    LEFT JOIN "Updates" u ON u.id = cm."UpdateId" AND u."deletedAt" IS NULL
+    LEFT JOIN "Expenses" e ON e.id = cm."ExpenseId" AND e."deletedAt" IS NULL
+    WHERE cm."deletedAt" IS NULL
+    AND ${CONTENT_TS_VECTORS.COMMENT('cm')} @@ ${TS_QUERY}
+    AND (
+      cv.id IS NOT NULL
+      OR (u.id IS NOT NULL AND ${canSeeUpdateCondition('u', 'c')})
+      OR (e.id IS NOT NULL AND ${canSeeExpenseCondition('e')} AND ${canSeeExpenseCommentsCondition('e', 'c')})
+    )
+  `,
+};
+
+/**
+ * Returns the IDs of the collectives where `user` has one of `allowedRoles`. Roles must be populated.
+ * Always returns at least one (invalid) ID to keep the `IN` conditions valid.
+ */
+const getCollectiveIdsWithRoles = (user, allowedRoles) => {
+  const rolesByCollectiveId = user?.rolesByCollectiveId || {};
+  const collectiveIds = Object.keys(rolesByCollectiveId)
+    .filter(CollectiveId => rolesByCollectiveId[CollectiveId].some(role => allowedRoles.includes(role)))
+    .map(Number);
+
+  return collectiveIds.length ? collectiveIds : [0];
+};
+
+/**
+ * Builds the highlighted snippet of a result: the text is HTML-escaped, matches are wrapped in `<mark>` tags
+ */
+const formatHighlight = highlight => {
+  return escape(unescape(highlight || ''))
+    .replace(new RegExp(HIGHLIGHT_START, 'g'), '<mark>')
+    .replace(new RegExp(HIGHLIGHT_END, 'g'), '</mark>')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Full-text search on expenses (description and items), updates (title and content), conversations (title) and
+ * comments. Only returns the content that `user` is allowed to see. Results are ordered by relevance.
+ *
+ * @returns {Promise<[Array<{ type, id, CollectiveId, rank, highlight }>, number]>}
+ */
+export const searchContent = async (
+  term,
+  { types = Object.values(CONTENT_SEARCH_TYPES), CollectiveId = null, user = null, offset = 0, limit = 20 } = {},
+) => {
+  term = (term || '').trim();
+  if (!term || !types?.length) {
+    return EMPTY_SEARCH_RESULT;
+  }
+
+  if (user) {
+    await user.populateRoles();
+  }
+
+  // Filter each sub-query on the collective, rather than the whole union
+  const collectiveCondition = CollectiveId ? `AND c.id = :CollectiveId` : '';
+  const results = await sequelize.query(
+    `
+    WITH results AS (
+      ${types.map(type => `${CONTENT_SEARCH_QUERIES[type]} ${collectiveCondition}`).join(' UNION ALL ')}
+    ), ranked_results AS (
+      SELECT
+        results.*,
+        ts_rank(to_tsvector('simple', results.text), ${TS_QUERY}) AS rank,
+        COUNT(*) OVER() AS __total__
+      FROM results
+      ORDER BY rank DESC, results."createdAt" DESC
+      OFFSET :offset
+      LIMIT :limit
+    )
+    SELECT
+      type,
+      id,
+      "CollectiveId",
+      rank,
+      __total__,
+      ts_headline('simple', text, ${TS_QUERY}, :highlightOptions) AS highlight
+    FROM ranked_results
+    ORDER BY rank DESC, "createdAt" DESC
+    `,
+    {
+      type: sequelize.QueryTypes.SELECT,
+      replacements: {
+        term,
+        CollectiveId,
+        offset,
+        limit,
+        highlightOptions: HIGHLIGHT_OPTIONS,
+        userId: user?.id || 0,
+        adminCollectiveIds: getCollectiveIdsWithRoles(user, [roles.ADMIN]),
+        memberCollectiveIds: getCollectiveIdsWithRoles(user, [
+          roles.HOST,
+          roles.ADMIN,
+          roles.MEMBER,
+          roles.CONTRIBUTOR,
+          roles.BACKER,
+        ]),
+      },
+    },
+  );
+
+  const nodes = results.map(result => ({
+    type: result.type,
+    id: result.id,
+    CollectiveId: result.CollectiveId,
+    rank: result.rank,
+    highlight: formatHighlight(result.highlight),
+  }));
+
+  return [nodes, parseInt(get(results[0], '__total__', 0))];
+};
@@ -0,0 +1,392 @@
+import config from 'config';
+import { clamp, get, sumBy } from 'lodash';
+import moment from 'moment';
+
+import expenseStatus from '../constants/expense_status';
+import { ValidationFailed } from '../graphql/errors';
+import models, { sequelize } from '../models';
+import { SpamAction, SpamDetection, SpamEntityType, SpamReport } from '../models/SpamReport';
+
+import logger from './logger';
+import { Op, Transaction as SQLTransaction } from './sequelize';
+import { collectiveBayesCheck, getSpamDomains, getSuspiciousKeywords, SPAM_KEYWORDS, SpamAnalysisReport } from './spam';
+
+/**
+ * Spam pipeline: every collective, expense, comment and update goes through a list of detectors when it's created.
+ * Each detector adds to the score of the content (between 0 and 1), and the thresholds configured for the type of
+ * content (`config.spam.thresholds`) decide whether it should be flagged for moderation or blocked.
+ */
+
+export type SpamPipelineInput = {
+  entityType: SpamEntityType;
+  /** The collective, expense, comment or update (possibly not saved yet) */
+  entity: Record<string, any>;
+  /** The text content of the entity */
+  content: string;
+  /** The author of the content */
+  user: typeof models.User | null;
+  /** The IP address of the author, as recorded by hyperwatch when they signed in or created their account */
+  ip: string | null;
+  /** The hyperwatch fingerprint (`req.mask`) of the author, if known */
+  mask: string | null;
+};
+
+export type SpamDetector = {
+  name: string;
+  /** The types of content to analyze, all of them if not set */
+  entityTypes?: SpamEntityType[];
+  /** Returns the score to add, or null if the detector did not find anything */
+  detect(input: SpamPipelineInput): Promise<Omit<SpamDetection, 'detector'> | null>;
+};
+
+export type SpamPipelineReport = {
+  entityType: SpamEntityType;
+  date: string;
+  context: string;
+  /** A score between 0 and 1. 0=NotSpam, 1=IsSpamForSure */
+  score: number;
+  action: SpamAction;
+  /** The detectors that found something */
+  detections: SpamDetection[];
+  UserId: number | null;
+  data: Record<string, unknown>;
+};
+
+/** The fields analyzed for each type of content */
+const CONTENT_FIELDS: Record<SpamEntityType, string[]> = {
+  [SpamEntityType.COLLECTIVE]: ['name', 'website', 'description', 'longDescription'],
+  [SpamEntityType.EXPENSE]: ['description', 'privateMessage', 'invoiceInfo'],
+  [SpamEntityType.COMMENT]: ['html'],
+  [SpamEntityType.UPDATE]: ['title', 'html'],
+};
+
+/** The field that links the content to its author */
+const AUTHOR_FIELDS: Record<SpamEntityType, string> = {
+  [SpamEntityType.COLLECTIVE]: 'CreatedByUserId',
+  [SpamEntityType.EXPENSE]: 'UserId',
+  [SpamEntityType.COMMENT]: 'CreatedByUserId',
+  [SpamEntityType.UPDATE]: 'CreatedByUserId',
+};
+
+/** Number of items a user can create in an hour before being considered suspicious */
+const VELOCITY_LIMITS_PER_HOUR: Record<SpamEntityType, number> = {
+  [SpamEntityType.COLLECTIVE]: 5,
+  [SpamEntityType.EXPENSE]: 10,
+  [SpamEntityType.COMMENT]: 30,
+  [SpamEntityType.UPDATE]: 5,
+};
+
+// ---- Detectors ----
+
+/** Any domain from `SPAMMERS_DOMAINS` gives a score of 1 */
+const domainsDetector: SpamDetector = {
+  name: 'domains',
+  async detect({ content }) {
+    const domains = getSpamDomains(content);
+    return domains.length ? { score: 1, details: { domains } } : null;
+  },
+};
+
+const keywordsDetector: SpamDetector = {
+  name: 'keywords',
+  async detect({ content }) {
+    const keywords = getSuspiciousKeywords(content);
+    return keywords.length
+      ? { score: sumBy(keywords, keyword => SPAM_KEYWORDS[keyword]), details: { keywords } }
+      : null;
+  },
+};
+
+/** The Bayes classifier is only trained for collectives, see `scripts/train-collective-spam-bayes.js` */
+const bayesDetector: SpamDetector = {
+  name: 'bayes',
+  entityTypes: [SpamEntityType.COLLECTIVE],
+  async detect({ entity }) {
+    if (!entity.description && !entity.longDescription) {
+      return null;
+    }
+
+    const bayes = await collectiveBayesCheck(entity);
+    return bayes === 'spam' ? { score: 0.5, details: { bayes } } : null;
+  },
+};
+
+/**
+ * Banned users (soft-deleted by `sql/ban-collectives.sql`) sharing the IP or the hyperwatch mask of the author.
+ * Uses the partial indexes on the banned users' requests.
+ */
+const countBannedUsersQuery = `
+  SELECT COUNT(*) AS count
+  FROM "Users"
+  WHERE (data ->> 'isBanned')::boolean IS TRUE
+  AND id != :userId
+  AND (
+    (data #>> '{lastSignInRequest,ip}') = :ip
+    OR (data #>> '{creationRequest,ip}') = :ip
+    OR (data #>> '{creationRequest,mask}') = :mask
+  )
+`;
+
+const ipReputationDetector: SpamDetector = {
+  name: 'ipReputation',
+  async detect({ user, ip, mask }) {
+    if (!ip && !mask) {
+      return null;
+    }
+
+    const [result] = await sequelize.query(countBannedUsersQuery, {
+      type: sequelize.QueryTypes.SELECT,
+      replacements: { userId: user?.id || 0, ip, mask },
+    });
+
+    const bannedUsersCount = Number(result.count);
+    return bannedUsersCount ? { score: 0.5, details: { ip, mask, bannedUsersCount } } : null;
+  },
+};
+
+const accountAgeDetector: SpamDetector = {
+  name: 'accountAge',
+  async detect({ user }) {
+    if (!user?.createdAt) {
+      return null;
+    }
+
+    const accountAgeInHours = moment().diff(moment(user.createdAt), 'hours');
+    return accountAgeInHours < 24 ? { score: 0.1, details: { accountAgeInHours } } : null;
+  },
+};
+
+const countRecentItemsByUser = (entityType: SpamEntityType, user: typeof models.User): Promise<number> => {
+  const where = {
+    [AUTHOR_FIELDS[entityType]]: user.id,
+    createdAt: { [Op.gte]: moment().subtract(1, 'hour').toDate() },
+  };
+  switch (entityType) {
+    case SpamEntityType.COLLECTIVE:
+      return models.Collective.count({ where });
+    case SpamEntityType.EXPENSE:
+      return models.Expense.count({ where });
+    case SpamEntityType.COMMENT:
+      return models.Comment.count({ where });
+    case SpamEntityType.UPDATE:
+      return models.Update.count({ where });
+  }
+};
+
+/** Users creating a lot of content in a short time */
+const velocityDetector: SpamDetector = {
+  name: 'velocity',
+  async detect({ entityType, user }) {
+    if (!user) {
+      return null;
+    }
+
+    const limit = VELOCITY_LIMITS_PER_HOUR[entityType];
+    const countLastHour = await countRecentItemsByUser(entityType, user);
+    if (countLastHour >= limit * 3) {
+      return { score: 0.5, details: { countLastHour, limit } };
+    } else if (countLastHour >= limit) {
+      return { score: 0.3, details: { countLastHour, limit } };
+    } else {
+      return null;
+    }
+  },
+};
+
+const detectors: SpamDetector[] = [
+  domainsDetector,
+  keywordsDetector,
+  bayesDetector,
+  ipReputationDetector,
+  accountAgeDetector,
+  velocityDetector,
+];
+
+/**
+ * Adds a detector to the pipeline. Returns a function to remove it.
+ */
+export const registerSpamDetector = (detector: SpamDetector): (() => void) => {
+  detectors.push(detector);
+  return () => {
+    const index = detectors.indexOf(detector);
+    if (index !== -1) {
+      detectors.splice(index, 1);
+    }
+  };
+};
+
+// ---- Pipeline ----
+
+/**
+ * Returns the scores from which the content of this type is flagged or blocked. A null threshold disables the action.
+ */
+export const getSpamThresholds = (entityType: SpamEntityType): { flag: number | null; block: number | null } => {
+  const thresholds = get(config, ['spam', 'thresholds', entityType.toLowerCase()], {});
+  return { flag: thresholds.flag ?? null, block: thresholds.block ?? null };
+};
+
+/**
+ * Returns the id of the user who created the entity
+ */
+export const getAuthorId = (entityType: SpamEntityType, entity: Record<string, any>): number | null => {
+  return entity[AUTHOR_FIELDS[entityType]] || null;
+};
+
+const getSpamAction = (entityType: SpamEntityType, score: number): SpamAction => {
+  const { flag, block } = getSpamThresholds(entityType);
+  if (block !== null && score >= block) {
+    return SpamAction.BLOCK;
+  } else if (flag !== null && score >= flag) {
+    return SpamAction.FLAG;
+  } else {
+    return SpamAction.NONE;
+  }
+};
+
+/**
+ * Returns the analyzed fields of the entity, stored in the reports
+ */
+export const getContentData = (entityType: SpamEntityType, entity: Record<string, any>): Record<string, unknown> => {
+  return CONTENT_FIELDS[entityType].reduce((data, field) => ({ ...data, [field]: entity[field] }), {});
+};
+
+/**
+ * Runs all the detectors on `entity` and returns the report, with the action to take
+ */
+export const analyzeSpam = async (
+  entityType: SpamEntityType,
+  entity: Record<string, any>,
+  { context = null, user = undefined, ip = undefined, mask = undefined } = {},
+): Promise<SpamPipelineReport> => {
+  const UserId = getAuthorId(entityType, entity);
+  if (user === undefined) {
+    user = UserId ? await models.User.findByPk(UserId) : null;
+  }
+
+  const data = getContentData(entityType, entity);
+  const input: SpamPipelineInput = {
+    entityType,
+    entity,
+    content: Object.values(data).filter(Boolean).join('\n'),
+    user,
+    ip: ip || get(user, 'data.lastSignInRequest.ip') || get(user, 'data.creationRequest.ip') || null,
+    mask: mask || get(user, 'data.creationRequest.mask') || null,
+  };
+
+  const detections = [];
+  for (const detector of detectors) {
+    if (detector.entityTypes && !detector.entityTypes.includes(entityType)) {
+      continue;
+    }
+
+    try {
+      const result = await detector.detect(input);
+      if (result?.score > 0) {
+        detections.push({ detector: detector.name, ...result });
+      }
+    } catch (e) {
+      // A broken detector must not prevent users from creating content
+      logger.error(`Spam detector ${detector.name} failed: ${e.message}`);
+    }
+  }
+
+  const score = clamp(sumBy(detections, 'score'), 0, 1);
+  return {
+    entityType,
+    date: new Date().toISOString(),
+    context,
+    score,
+    action: getSpamAction(entityType, score),
+    detections,
+    UserId: user?.id || UserId || null,
+    data,
+  };
+};
+
+/**
+ * Stores the report for moderation, if the content was flagged or blocked
+ */
+export const saveSpamReport = async (
+  report: SpamPipelineReport,
+  entity: Record<string, any> = null,
+  { transaction = null }: { transaction?: SQLTransaction } = {},
+): Promise<SpamReport | null> => {
+  if (!report || report.action === SpamAction.NONE) {
+    return null;
+  }
+
+  const isCollective = report.entityType === SpamEntityType.COLLECTIVE;
+  return models.SpamReport.create(
+    {
+      entityType: report.entityType,
+      entityId: entity?.id || null,
+      CollectiveId: (isCollective ? entity?.id : entity?.CollectiveId) || null,
+      UserId: report.UserId,
+      score: report.score,
+      action: report.action,
+      context: report.context,
+      detections: report.detections,
+      data: report.data,
+    },
+    { transaction },
+  );
+};
+
+/**
+ * Converts the report to the format used by `notifyTeamAboutSuspiciousCollective` and stored in `collective.data`
+ */
+export const toSpamAnalysisReport = (
+  report: SpamPipelineReport,
+  data: Record<string, unknown> = report.data,
+): SpamAnalysisReport => {
+  const getDetails = <T>(detector: string, key: string): T | undefined => {
+    return get(report.detections.find(d => d.detector === detector)?.details, key) as T | undefined;
+  };
+  return {
+    date: report.date,
+    context: report.context,
+    data,
+    score: report.score,
+    keywords: getDetails<string[]>('keywords', 'keywords') || [],
+    domains: getDetails<string[]>('domains', 'domains') || [],
+    bayes: getDetails<string>('bayes', 'bayes') || null,
+  };
+};
+
+/**
+ * To call in the `beforeCreate` hooks: analyzes the content and blocks it if needed. Blocked expenses are marked as
+ * spam, other types of content are rejected. The report is attached to the instance as `spamReport`, to be saved
+ * with `saveSpamReportAfterCreate` once the instance has an id.
+ */
+export const checkSpamBeforeCreate = async (
+  entityType: SpamEntityType,
+  instance: Record<string, any>,
+  context: string,
+): Promise<SpamPipelineReport> => {
+  const report = await analyzeSpam(entityType, instance, { context });
+  instance.spamReport = report;
+  if (report.action !== SpamAction.BLOCK) {
+    return report;
+  } else if (entityType === SpamEntityType.EXPENSE) {
+    instance.status = expenseStatus.SPAM;
+    return report;
+  }
+
+  // Saved outside of the creation transaction, as it will be rolled back
+  await saveSpamReport(report, instance);
+  throw new ValidationFailed('This content was detected as spam and cannot be published', 'SPAM_DETECTED');
+};
+
+/**
+ * To call in the `afterCreate` hooks with the hook options, see `checkSpamBeforeCreate`. The report is saved in the
+ * creation transaction, if any.
+ */
+export const saveSpamReportAfterCreate = async (
+  instance: Record<string, any>,
+  { transaction = null }: { transaction?: SQLTransaction } = {},
+): Promise<void> => {
+  if (instance.spamReport) {
+    await saveSpamReport(instance.spamReport, instance, { transaction });
+    instance.spamReport = null;
+  }
+};
@@ -37,7 +37,7 @@ export type BayesClassifier = {
 const ANALYZED_FIELDS: string[] = ['name', 'website', 'description', 'longDescription'];
 
 // A map of spam keywords<>score. Please keep everything in there lowercase.
-const SPAM_KEYWORDS: { [keyword: string]: number } = {
+export const SPAM_KEYWORDS: { [keyword: string]: number } = {
   'anti aging': 0.3,
   'blood flow': 0.3,
   'car seats': 0.2,
@@ -559,7 +559,7 @@ export const getSuspiciousKeywords = (content: string): string[] => {
  *
  * Returns blocked domains found in content
  */
-const getSpamDomains = (content: string): string[] => {
+export const getSpamDomains = (content: string): string[] => {
   if (!content) {
     return [];
   }
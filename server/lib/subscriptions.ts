@@ -1,10 +1,15 @@
-import { isEmpty, keys, pick } from 'lodash';
+import { isEmpty, keys, omit, pick } from 'lodash';
 
+import activities from '../constants/activities';
+import INTERVALS from '../constants/intervals';
 import OrderStatus from '../constants/order_status';
-import { Unauthorized } from '../graphql/errors';
-import models, { sequelize } from '../models';
+import { Unauthorized, ValidationFailed } from '../graphql/errors';
+import models, { Op, sequelize } from '../models';
 
+import { isPausedByDunning } from './dunning';
+import logger from './logger';
 import { findPaymentMethodProvider } from './payments';
+import { getChargeRetryCount, getNextChargeAndPeriodStartDates } from './recurring-contributions';
 
 const getIsSubscriptionManagedExternally = pm => {
   const provider = findPaymentMethodProvider(pm);
@@ -23,7 +28,8 @@ export const updatePaymentMethodForSubscription = async (
   }
 
   // Order changes
-  const newStatus = order.status === OrderStatus.ERROR ? OrderStatus.ACTIVE : order.status;
+  const isPaused = isPausedByDunning(order);
+  const newStatus = order.status === OrderStatus.ERROR || isPaused ? OrderStatus.ACTIVE : order.status;
   const newOrderData = { PaymentMethodId: newPaymentMethod.id, status: newStatus };
 
   // Subscription changes
@@ -34,15 +40,30 @@ export const updatePaymentMethodForSubscription = async (
     newSubscriptionData = { isManagedExternally, paypalSubscriptionId: null };
   }
 
+  // Charges were failing: retry right away with the new payment method
+  if (order.status === OrderStatus.ERROR || order.Subscription?.chargeRetryCount > 0 || isPaused) {
+    newSubscriptionData = {
+      ...newSubscriptionData,
+      ...getNextChargeAndPeriodStartDates('updated', order),
+      chargeRetryCount: getChargeRetryCount('updated', order),
+      data: omit(order.Subscription.data, ['dunning']),
+    };
+  }
+
   const { order: updatedOrder } = await updateOrderSubscription(order, newOrderData, newSubscriptionData);
   return updatedOrder;
 };
 
-const checkSubscriptionDetails = (order, tier, amountInCents) => {
+const checkSubscriptionDetails = (order, tier, amountInCents, interval) => {
   if (tier && tier.CollectiveId !== order.CollectiveId) {
     throw new Error(`This tier (#${tier.id}) doesn't belong to the given Collective #${order.CollectiveId}`);
   }
 
+  // Tiers with a fixed interval can't be contributed to with another one
+  if (interval && tier?.interval && tier.interval !== 'flexible' && tier.interval !== interval) {
+    throw new ValidationFailed(`This tier can only be contributed to every ${tier.interval}`);
+  }
+
   // The amount can never be less than $1.00
   if (amountInCents < 100) {
     throw new Error('Invalid amount.');
@@ -95,13 +116,18 @@ export const updateOrderSubscription = async (
   });
 };
 
+/**
+ * Update the amount, tier or interval of a recurring contribution. When the interval changes, the period that was
+ * already paid is kept and the new interval starts when it ends.
+ */
 export const updateSubscriptionDetails = async (
   order: typeof models.Order,
   tier: typeof models.Tier,
   amountInCents: number,
+  interval: INTERVALS | null = null,
 ): Promise<OrderSubscriptionUpdate> => {
   // Make sure the new details are ok values, that match tier's minimum amount if there's one
-  checkSubscriptionDetails(order, tier, amountInCents);
+  checkSubscriptionDetails(order, tier, amountInCents, interval);
 
   const newOrderData = {};
   const newSubscriptionData = {};
@@ -113,9 +139,11 @@ export const updateSubscriptionDetails = async (
   }
 
   // Update interval
-  if (tier?.interval && tier.interval !== 'flexible' && tier.interval !== order.interval) {
-    newOrderData['interval'] = tier.interval;
-    newSubscriptionData['interval'] = tier.interval;
+  const newInterval = interval || (tier?.interval !== 'flexible' && tier?.interval);
+  if (newInterval && newInterval !== order.interval) {
+    newOrderData['interval'] = newInterval;
+    newSubscriptionData['interval'] = newInterval;
+    Object.assign(newSubscriptionData, getNextChargeAndPeriodStartDates('intervalUpdated', order));
   }
 
   // Update order's Tier
@@ -127,3 +155,126 @@ export const updateSubscriptionDetails = async (
   // Backup previous values
   return updateOrderSubscription(order, newOrderData, newSubscriptionData);
 };
+
+/**
+ * Set on `Subscription.data.pause` while a contributor skips some charges of their recurring contribution
+ */
+type SubscriptionPause = {
+  pausedAt: string;
+  resumeAt: string | null;
+};
+
+export const createSubscriptionActivity = async (
+  type: string,
+  order: typeof models.Order,
+  user: typeof models.User | null,
+  data: Record<string, unknown> = {},
+): Promise<void> => {
+  const collective = order.collective || (await order.getCollective());
+  const fromCollective = order.fromCollective || (await order.getFromCollective());
+  await models.Activity.create({
+    type,
+    CollectiveId: order.CollectiveId,
+    UserId: order.CreatedByUserId,
+    data: {
+      subscription: order.Subscription,
+      pause: order.Subscription.data?.pause,
+      collective: collective.minimal,
+      fromCollective: fromCollective.minimal,
+      user: user?.minimal,
+      ...data,
+    },
+  });
+};
+
+/**
+ * Pause a recurring contribution: it won't be charged until it gets resumed by the contributor, or automatically
+ * on `resumeAt` by the `resumeDuePausedOrders` cron job.
+ */
+export const pauseOrderSubscription = async (
+  order: typeof models.Order,
+  user: typeof models.User,
+  resumeAt: Date | null = null,
+): Promise<typeof models.Order> => {
+  if (order.status !== OrderStatus.ACTIVE || !order.Subscription?.isActive) {
+    throw new ValidationFailed('Only active recurring contributions can be paused');
+  } else if (order.Subscription.isManagedExternally) {
+    throw new ValidationFailed('Recurring contributions managed by PayPal cannot be paused, please cancel it instead');
+  } else if (resumeAt && resumeAt <= new Date()) {
+    throw new ValidationFailed('The resume date must be in the future');
+  }
+
+  const pause: SubscriptionPause = { pausedAt: new Date().toISOString(), resumeAt: resumeAt?.toISOString() || null };
+  const { order: updatedOrder } = await updateOrderSubscription(
+    order,
+    { status: OrderStatus.PAUSED },
+    { data: { ...order.Subscription.data, pause } },
+  );
+
+  await createSubscriptionActivity(activities.SUBSCRIPTION_PAUSED, updatedOrder, user);
+  return updatedOrder;
+};
+
+/**
+ * Resume a paused recurring contribution. If the charges that were skipped are past, the contribution is charged
+ * right away and the next period starts now.
+ */
+export const resumeOrderSubscription = async (
+  order: typeof models.Order,
+  user: typeof models.User | null,
+): Promise<typeof models.Order> => {
+  if (order.status !== OrderStatus.PAUSED) {
+    throw new ValidationFailed('This recurring contribution is not paused');
+  } else if (isPausedByDunning(order)) {
+    throw new ValidationFailed(
+      'This recurring contribution was paused because its payment failed, update the payment method to resume it',
+    );
+  }
+
+  const now = new Date();
+  const newSubscriptionData = { data: omit(order.Subscription.data, ['pause']) };
+  if (order.Subscription.nextChargeDate < now) {
+    newSubscriptionData['nextChargeDate'] = now;
+    newSubscriptionData['nextPeriodStart'] = now;
+  }
+
+  const { order: updatedOrder } = await updateOrderSubscription(
+    order,
+    { status: OrderStatus.ACTIVE },
+    newSubscriptionData,
+  );
+
+  await createSubscriptionActivity(activities.SUBSCRIPTION_RESUMED, updatedOrder, user);
+  return updatedOrder;
+};
+
+/**
+ * Resume the paused recurring contributions whose resume date is past
+ */
+export const resumeDuePausedOrders = async (): Promise<{ resumed: number; errors: number }> => {
+  const orders = await models.Order.findAll({
+    where: { status: OrderStatus.PAUSED },
+    include: [
+      {
+        model: models.Subscription,
+        required: true,
+        where: { isActive: true, data: { pause: { resumeAt: { [Op.lte]: new Date().toISOString() } } } },
+      },
+      { association: 'collective' },
+      { association: 'fromCollective' },
+    ],
+  });
+
+  const result = { resumed: 0, errors: 0 };
+  for (const order of orders) {
+    try {
+      await resumeOrderSubscription(order, null);
+      result.resumed++;
+    } catch (e) {
+      logger.error(`Error while resuming order #${order.id}: ${e.message}`);
+      result.errors++;
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+
+import Axios from 'axios';
+import config from 'config';
+import Debug from 'debug';
+import { pick } from 'lodash';
+
+import { DepositTransaction, Event, Pledge, PledgeParams, TGBResponse, TGBTokens } from '../types/thegivingblock';
+
+const debug = Debug('thegivingblock');
+const axios = Axios.create({
+  baseURL: config.thegivingblock.apiUrl,
+});
+
+const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
+
+const sanitizeError = e => {
+  e.config = pick(e.config, ['url', 'method', 'params', 'baseUrl']);
+  return e;
+};
+
+const rethrowSanitizedError = e => {
+  throw sanitizeError(e);
+};
+
+/**
+ * The Giving Block credentials are stored on the host's connected account:
+ * - username: the login of the organization on The Giving Block
+ * - token: the password of the organization on The Giving Block
+ * - data: { organizationId, webhookKey, webhookIv }
+ */
+type ConnectedAccountWithCredentials = {
+  username: string;
+  token: string;
+  data?: Record<string, any>;
+};
+
+export const login = async (username: string, password: string): Promise<TGBTokens> => {
+  debug(`POST /login: ${username}`);
+  const response = await axios
+    .post<TGBResponse<TGBTokens>>('/login', { login: username, password })
+    .catch(rethrowSanitizedError);
+
+  return response.data.data;
+};
+
+export const createPledge = async (
+  connectedAccount: ConnectedAccountWithCredentials,
+  params: PledgeParams,
+): Promise<Pledge> => {
+  const { accessToken } = await login(connectedAccount.username, connectedAccount.token);
+  const organizationId = connectedAccount.data?.organizationId;
+  debug(`POST /deposit-address: ${organizationId} ${params.pledgeAmount} ${params.pledgeCurrency}`);
+  const response = await axios
+    .post<TGBResponse<Pledge>>(
+      '/deposit-address',
+      { organizationId, isAnonymous: true, ...params },
+      { headers: { Authorization: `Bearer ${accessToken}` } },
+    )
+    .catch(rethrowSanitizedError);
+
+  return response.data.data;
+};
+
+export const decryptPayload = (payload: string, key: string, iv: string): string => {
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv);
+  return decipher.update(payload, 'hex', 'utf8') + decipher.final('utf8');
+};
+
+/**
+ * Webhook payloads are encrypted with the key and IV that The Giving Block generated for the organization,
+ * being able to decrypt them is what proves that the event comes from The Giving Block.
+ */
+export const verifyEvent = (event: Event, connectedAccount: ConnectedAccountWithCredentials): DepositTransaction => {
+  const { webhookKey, webhookIv } = connectedAccount.data || {};
+  if (!event?.payload || !webhookKey || !webhookIv) {
+    throw new Error('Could not verify event signature');
+  }
+
+  try {
+    return JSON.parse(decryptPayload(event.payload, webhookKey, webhookIv));
+  } catch (e) {
+    throw new Error('Could not verify event signature');
+  }
+};
@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+
+import config from 'config';
+import { groupBy, range } from 'lodash';
+import moment from 'moment';
+import QRCode from 'qrcode';
+
+import OrderStatus from '../constants/order_status';
+import TierType from '../constants/tiers';
+import { ValidationFailed } from '../graphql/errors';
+import models, { Op } from '../models';
+import { TicketCheckIn } from '../models/TicketCheckIn';
+
+/**
+ * Event tickets: every unit of an order on one of the TICKET tiers of an event is a ticket, with a signed code.
+ * The code is meant to be printed as a QR code, and scanned at the entrance by the organizers to check the
+ * attendee in. Tickets are numbered from 1 to the quantity of the order.
+ */
+
+export enum AttendanceStatus {
+  CHECKED_IN = 'CHECKED_IN',
+  NO_SHOW = 'NO_SHOW',
+  EXPECTED = 'EXPECTED',
+}
+
+export type EventTicket = {
+  order: typeof models.Order;
+  ticketNumber: number;
+  code: string;
+  checkedInAt: Date | null;
+};
+
+export type AttendanceReport = {
+  attendees: Array<{ ticket: EventTicket; status: AttendanceStatus }>;
+  totalCount: number;
+  checkedInCount: number;
+  noShowCount: number;
+};
+
+/** Keeps the QR codes small enough to be scanned easily from a phone screen */
+const TICKET_SIGNATURE_LENGTH = 24;
+
+/** Only the paid orders give access to the event */
+const TICKET_ORDER_STATUSES = [OrderStatus.PAID];
+
+const signTicket = (OrderId: number, ticketNumber: number, EventId: number): string => {
+  return crypto
+    .createHmac('sha256', config.keys.opencollective.ticketSecret)
+    .update(`ticket:${OrderId}:${ticketNumber}:${EventId}`)
+    .digest('hex')
+    .slice(0, TICKET_SIGNATURE_LENGTH);
+};
+
+const safeCompare = (a: string, b: string): boolean => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Returns the code of a ticket of the order, as encoded in its QR code
+ */
+export const getTicketCode = (order: typeof models.Order, ticketNumber: number): string => {
+  return `${order.id}-${ticketNumber}-${signTicket(order.id, ticketNumber, order.CollectiveId)}`;
+};
+
+/**
+ * Returns the QR code of the ticket as a PNG image, to be scanned at the entrance
+ */
+export const getTicketQRCode = (ticket: EventTicket): Promise<Buffer> => {
+  return QRCode.toBuffer(ticket.code, { type: 'png', width: 300, margin: 2, errorCorrectionLevel: 'M' });
+};
+
+const findTicketOrders = (where: Record<string, unknown>): Promise<Array<typeof models.Order>> => {
+  return models.Order.findAll({
+    where: { ...where, status: TICKET_ORDER_STATUSES },
+    include: [{ model: models.Tier, required: true, where: { type: TierType.TICKET } }],
+    order: [['createdAt', 'ASC']],
+  });
+};
+
+const getTickets = (orders: Array<typeof models.Order>, checkIns: Array<TicketCheckIn>): Array<EventTicket> => {
+  const checkInsByOrderId = groupBy(checkIns, 'OrderId');
+  return orders.flatMap(order =>
+    range(1, (order.quantity || 1) + 1).map(ticketNumber => {
+      const checkIn = checkInsByOrderId[order.id]?.find(checkIn => checkIn.ticketNumber === ticketNumber);
+      return { order, ticketNumber, code: getTicketCode(order, ticketNumber), checkedInAt: checkIn?.createdAt || null };
+    }),
+  );
+};
+
+/**
+ * Returns the tickets of the order, one for each unit. Returns an empty list if the order is not a paid ticket order.
+ */
+export const getOrderTickets = async (order: typeof models.Order): Promise<Array<EventTicket>> => {
+  const orders = await findTicketOrders({ id: order.id });
+  if (!orders.length) {
+    return [];
+  }
+
+  const checkIns = await models.TicketCheckIn.findAll({ where: { OrderId: order.id } });
+  return getTickets(orders, checkIns);
+};
+
+/**
+ * Returns the ticket matching the code, or null if the code is invalid
+ */
+export const getTicketFromCode = async (code: string): Promise<EventTicket | null> => {
+  const [orderId, number, signature] = (code || '').trim().split('-');
+  const OrderId = parseInt(orderId);
+  const ticketNumber = parseInt(number);
+  if (!OrderId || !ticketNumber || !signature) {
+    return null;
+  }
+
+  const [order] = await findTicketOrders({ id: OrderId });
+  if (!order || ticketNumber > (order.quantity || 1)) {
+    return null;
+  } else if (!safeCompare(signature, signTicket(order.id, ticketNumber, order.CollectiveId))) {
+    return null;
+  }
+
+  const checkIn = await models.TicketCheckIn.findOne({ where: { OrderId, ticketNumber } });
+  return { order, ticketNumber, code: getTicketCode(order, ticketNumber), checkedInAt: checkIn?.createdAt || null };
+};
+
+/**
+ * Validates the ticket code scanned at the entrance of `event`, and marks the ticket as checked in
+ */
+export const checkInTicket = async (
+  event: typeof models.Collective,
+  code: string,
+  user: typeof models.User,
+): Promise<EventTicket> => {
+  const ticket = await getTicketFromCode(code);
+  if (!ticket) {
+    throw new ValidationFailed('This ticket is not valid', 'INVALID_TICKET');
+  } else if (ticket.order.CollectiveId !== event.id) {
+    throw new ValidationFailed('This ticket is for another event', 'INVALID_TICKET');
+  }
+
+  // The unique index prevents two organizers from checking in the same ticket at the same time
+  const [checkIn, created] = await models.TicketCheckIn.findOrCreate({
+    where: { OrderId: ticket.order.id, ticketNumber: ticket.ticketNumber },
+    defaults: { OrderId: ticket.order.id, ticketNumber: ticket.ticketNumber, CheckedInByUserId: user.id },
+  });
+
+  if (!created) {
+    throw new ValidationFailed(
+      `This ticket was already checked in on ${moment(checkIn.createdAt).format('MMMM Do YYYY h:mm a')}`,
+      'TICKET_ALREADY_CHECKED_IN',
+      { checkedInAt: checkIn.createdAt },
+    );
+  }
+
+  return { ...ticket, checkedInAt: checkIn.createdAt };
+};
+
+/**
+ * Attendees are only considered as no-shows once the event is over
+ */
+const isEventOver = (event: typeof models.Collective, now = new Date()): boolean => {
+  if (event.endsAt) {
+    return new Date(event.endsAt) < now;
+  } else if (event.startsAt) {
+    return moment(event.startsAt).endOf('day').toDate() < now;
+  } else {
+    return false;
+  }
+};
+
+export const getAttendanceReport = async (event: typeof models.Collective): Promise<AttendanceReport> => {
+  const orders = await findTicketOrders({ CollectiveId: event.id });
+  const checkIns = orders.length
+    ? await models.TicketCheckIn.findAll({ where: { OrderId: { [Op.in]: orders.map(order => order.id) } } })
+    : [];
+
+  const isOver = isEventOver(event);
+  const getStatus = ticket => {
+    if (ticket.checkedInAt) {
+      return AttendanceStatus.CHECKED_IN;
+    } else {
+      return isOver ? AttendanceStatus.NO_SHOW : AttendanceStatus.EXPECTED;
+    }
+  };
+
+  const attendees = getTickets(orders, checkIns).map(ticket => ({ ticket, status: getStatus(ticket) }));
+  return {
+    attendees,
+    totalCount: attendees.length,
+    checkedInCount: attendees.filter(({ status }) => status === AttendanceStatus.CHECKED_IN).length,
+    noShowCount: attendees.filter(({ status }) => status === AttendanceStatus.NO_SHOW).length,
+  };
+};
@@ -35,8 +35,21 @@ const getTwoFactorAuthenticationLimitKey = userId => {
 };
 
 export async function handleTwoFactorAuthenticationPayoutLimit(user, twoFactorAuthenticatorCode, expense) {
+  const host = await expense.collective.getHostCollective();
+  return handleTwoFactorAuthenticationPayoutLimitForAmount(user, twoFactorAuthenticatorCode, host, expense.amount);
+}
+
+/**
+ * Same as `handleTwoFactorAuthenticationPayoutLimit`, for an arbitrary amount paid by `host`.
+ * Used to check the limit once for a batch of expenses.
+ */
+export async function handleTwoFactorAuthenticationPayoutLimitForAmount(
+  user,
+  twoFactorAuthenticatorCode,
+  host,
+  amount,
+) {
   if (user.twoFactorAuthToken !== null) {
-    const host = await expense.collective.getHostCollective();
     const hostPayoutTwoFactorAuthenticationRollingLimit = get(
       host,
       'settings.payoutsTwoFactorAuth.rollingLimit',
@@ -64,7 +77,7 @@ export async function handleTwoFactorAuthenticationPayoutLimit(user, twoFactorAu
         // 5. if the limit key doesn't exist, ask for 2FA
         throw new Error('Two-factor authentication enabled: please enter your code.');
       } else {
-        const runningTotal = twoFactorAuthenticationLimitAmountForUser + expense.amount;
+        const runningTotal = twoFactorAuthenticationLimitAmountForUser + amount;
         const expenseExceedsRollingLimit = runningTotal > hostPayoutTwoFactorAuthenticationRollingLimit;
         if (expenseExceedsRollingLimit) {
           throw new Error('Two-factor authentication payout limit exceeded: please re-enter your code.');
@@ -80,13 +93,20 @@ export async function handleTwoFactorAuthenticationPayoutLimit(user, twoFactorAu
 }
 
 export async function resetRollingPayoutLimitOnFailure(user, expense) {
+  return resetRollingPayoutLimitForAmountOnFailure(user, expense.amount);
+}
+
+/**
+ * Same as `resetRollingPayoutLimitOnFailure`, for an arbitrary amount in host currency.
+ */
+export async function resetRollingPayoutLimitForAmountOnFailure(user, amount) {
   const twoFactorAuthenticationLimitKey = getTwoFactorAuthenticationLimitKey(user.id);
   const twoFactorAuthenticationLimitAmountForUser = await cache.get(twoFactorAuthenticationLimitKey);
 
   if (!isNil(twoFactorAuthenticationLimitAmountForUser) && twoFactorAuthenticationLimitAmountForUser !== 0) {
     cache.set(
       twoFactorAuthenticationLimitKey,
-      twoFactorAuthenticationLimitAmountForUser - expense.amount,
+      twoFactorAuthenticationLimitAmountForUser - amount,
       ROLLING_LIMIT_CACHE_VALIDITY,
     );
   }
@@ -0,0 +1,269 @@
+import moment from 'moment';
+
+import activities from '../constants/activities';
+import OrderStatus from '../constants/order_status';
+import { NotFound, ValidationFailed } from '../graphql/errors';
+import models, { Op, sequelize } from '../models';
+import { TierWaitlistEntry, TierWaitlistEntryStatus } from '../models/TierWaitlistEntry';
+
+/**
+ * Waitlists: tiers with a `maxQuantity` can opt in (`hasWaitlist`) to let users join a waitlist once they are sold
+ * out. When spots free up (cancellations, refunds, quantity increases), they are offered to the users in the order
+ * they joined, with a reservation that lasts `RESERVATION_DURATION_IN_HOURS` to complete their order.
+ */
+
+export const RESERVATION_DURATION_IN_HOURS = 48;
+
+/** Entries of users who are waiting, or whose reservation is not over yet */
+const getActiveEntriesCondition = () => ({
+  [Op.or]: [
+    { status: TierWaitlistEntryStatus.WAITING },
+    { status: TierWaitlistEntryStatus.RESERVED, reservedUntil: { [Op.gt]: new Date() } },
+  ],
+});
+
+const getActiveEntries = (tier: typeof models.Tier): Promise<Array<TierWaitlistEntry>> => {
+  return models.TierWaitlistEntry.findAll({
+    where: { TierId: tier.id, ...getActiveEntriesCondition() },
+    order: [
+      ['createdAt', 'ASC'],
+      ['id', 'ASC'],
+    ],
+  });
+};
+
+const sumQuantities = (entries: Array<TierWaitlistEntry>): number => {
+  return entries.reduce((total, entry) => total + entry.quantity, 0);
+};
+
+/**
+ * Returns the quantity that `user` can order. Spots that are reserved for other users, or awaited by users who are
+ * before them on the waitlist, are not available.
+ */
+export const getAvailableQuantityForUser = async (
+  tier: typeof models.Tier,
+  user: typeof models.User | null,
+): Promise<number> => {
+  const availableQuantity = await tier.availableQuantity();
+  if (!tier.hasWaitlist || !tier.maxQuantity) {
+    return availableQuantity;
+  }
+
+  const entries = await getActiveEntries(tier);
+  const userEntry = user && entries.find(entry => entry.UserId === user.id);
+  const userEntryIndex = userEntry ? entries.indexOf(userEntry) : entries.length;
+  const blockingEntries = entries.filter((entry, index) => {
+    if (entry === userEntry) {
+      return false;
+    } else {
+      return entry.status === TierWaitlistEntryStatus.RESERVED || index < userEntryIndex;
+    }
+  });
+
+  return Math.max(availableQuantity - sumQuantities(blockingEntries), 0);
+};
+
+export const getWaitlistEntryForUser = (
+  tier: typeof models.Tier,
+  user: typeof models.User,
+): Promise<TierWaitlistEntry | null> => {
+  return models.TierWaitlistEntry.findOne({
+    where: { TierId: tier.id, UserId: user.id, ...getActiveEntriesCondition() },
+  });
+};
+
+/**
+ * Returns the number of users waiting for a spot, not including the ones who already have a reservation
+ */
+export const getWaitlistCount = (tier: typeof models.Tier): Promise<number> => {
+  return models.TierWaitlistEntry.count({ where: { TierId: tier.id, status: TierWaitlistEntryStatus.WAITING } });
+};
+
+/**
+ * Returns the position of `user` in the waitlist, starting at 1. Returns 0 if a spot is currently reserved for them,
+ * or null if they are not on the waitlist.
+ */
+export const getWaitlistPosition = async (
+  tier: typeof models.Tier,
+  user: typeof models.User,
+): Promise<number | null> => {
+  const entry = await getWaitlistEntryForUser(tier, user);
+  if (!entry) {
+    return null;
+  } else if (entry.status === TierWaitlistEntryStatus.RESERVED) {
+    return 0;
+  }
+
+  const entriesBefore = await models.TierWaitlistEntry.count({
+    where: {
+      TierId: tier.id,
+      status: TierWaitlistEntryStatus.WAITING,
+      [Op.or]: [{ createdAt: { [Op.lt]: entry.createdAt } }, { createdAt: entry.createdAt, id: { [Op.lt]: entry.id } }],
+    },
+  });
+
+  return entriesBefore + 1;
+};
+
+const expireReservations = async (tier: typeof models.Tier): Promise<void> => {
+  await models.TierWaitlistEntry.update(
+    { status: TierWaitlistEntryStatus.EXPIRED },
+    {
+      where: {
+        TierId: tier.id,
+        status: TierWaitlistEntryStatus.RESERVED,
+        reservedUntil: { [Op.lte]: new Date() },
+      },
+    },
+  );
+};
+
+export const joinWaitlist = async (
+  tier: typeof models.Tier,
+  user: typeof models.User,
+  quantity = 1,
+): Promise<TierWaitlistEntry> => {
+  if (!tier.hasWaitlist || !tier.maxQuantity) {
+    throw new ValidationFailed('This tier does not have a waitlist');
+  } else if (quantity < 1 || quantity > tier.maxQuantity) {
+    throw new ValidationFailed(`Quantity must be between 1 and ${tier.maxQuantity}`);
+  } else if (await getWaitlistEntryForUser(tier, user)) {
+    throw new ValidationFailed('You are already on the waitlist of this tier', 'ALREADY_ON_WAITLIST');
+  } else if ((await getAvailableQuantityForUser(tier, user)) >= quantity) {
+    throw new ValidationFailed('This tier is not sold out, you can contribute directly', 'TIER_NOT_SOLD_OUT');
+  }
+
+  // Users whose reservation expired can join again
+  await expireReservations(tier);
+  return models.TierWaitlistEntry.create({ TierId: tier.id, UserId: user.id, quantity });
+};
+
+export const leaveWaitlist = async (tier: typeof models.Tier, user: typeof models.User): Promise<void> => {
+  const entry = await getWaitlistEntryForUser(tier, user);
+  if (!entry) {
+    throw new NotFound('You are not on the waitlist of this tier');
+  }
+
+  await entry.destroy();
+
+  // Give the spot to the next user if it was reserved
+  if (entry.status === TierWaitlistEntryStatus.RESERVED) {
+    await processWaitlist(tier);
+  }
+};
+
+const reserveSpot = async (tier: typeof models.Tier, entry: TierWaitlistEntry): Promise<TierWaitlistEntry> => {
+  const reservedUntil = moment().add(RESERVATION_DURATION_IN_HOURS, 'hours').toDate();
+  await entry.update({ status: TierWaitlistEntryStatus.RESERVED, reservedUntil });
+
+  const collective = tier.collective || (await tier.getCollective());
+  await models.Activity.create({
+    type: activities.TIER_WAITLIST_SPOT_AVAILABLE,
+    CollectiveId: tier.CollectiveId,
+    UserId: entry.UserId,
+    data: {
+      tier: { ...tier.info, slug: tier.slug },
+      collective: collective.info,
+      quantity: entry.quantity,
+      reservedUntil,
+    },
+  });
+
+  return entry;
+};
+
+/**
+ * Expires the elapsed reservations, then reserves the spots that are available for the next users of the waitlist.
+ * Spots are offered strictly in order: if the next user needs more spots than what is available, the users after
+ * them have to wait too.
+ */
+export const processWaitlist = async (tier: typeof models.Tier): Promise<Array<TierWaitlistEntry>> => {
+  await expireReservations(tier);
+  if (!tier.hasWaitlist || !tier.maxQuantity) {
+    return [];
+  }
+
+  const entries = await getActiveEntries(tier);
+  const reservedEntries = entries.filter(entry => entry.status === TierWaitlistEntryStatus.RESERVED);
+  let freeQuantity = (await tier.availableQuantity()) - sumQuantities(reservedEntries);
+  const newReservations = [];
+  for (const entry of entries) {
+    if (entry.status !== TierWaitlistEntryStatus.WAITING) {
+      continue;
+    } else if (entry.quantity > freeQuantity) {
+      break;
+    }
+
+    newReservations.push(await reserveSpot(tier, entry));
+    freeQuantity -= entry.quantity;
+  }
+
+  return newReservations;
+};
+
+/**
+ * Processes the waitlist of the tier of `order`, if any. To call when the order stops using its spot.
+ */
+export const processWaitlistForOrder = async (order: typeof models.Order): Promise<Array<TierWaitlistEntry>> => {
+  if (!order.TierId) {
+    return [];
+  }
+
+  const tier = order.Tier || (await models.Tier.findByPk(order.TierId));
+  return tier?.hasWaitlist ? processWaitlist(tier) : [];
+};
+
+/**
+ * Refunded one-time orders of tiers with a limited quantity don't use their spot anymore: they are marked as
+ * cancelled so that the spot is available again, whether the tier has a waitlist or not. If it has one, the spot
+ * is offered to the waitlist. The refunded orders of the other tiers keep their status.
+ */
+export const releaseSpotForRefundedOrder = async (order: typeof models.Order): Promise<Array<TierWaitlistEntry>> => {
+  if (!order?.TierId || order.SubscriptionId || order.status !== OrderStatus.PAID) {
+    return [];
+  }
+
+  const tier = order.Tier || (await models.Tier.findByPk(order.TierId));
+  if (!tier?.maxQuantity) {
+    return [];
+  }
+
+  await order.update({ status: OrderStatus.CANCELLED });
+  return tier.hasWaitlist ? processWaitlist(tier) : [];
+};
+
+/**
+ * Processes all the waitlists with pending users or reservations
+ */
+export const processAllWaitlists = async (): Promise<Array<TierWaitlistEntry>> => {
+  const tiers = await models.Tier.findAll({
+    where: {
+      id: {
+        [Op.in]: sequelize.literal(
+          `(SELECT DISTINCT "TierId" FROM "TierWaitlistEntries" WHERE "deletedAt" IS NULL AND "status" IN ('WAITING', 'RESERVED'))`,
+        ),
+      },
+    },
+  });
+
+  const newReservations = [];
+  for (const tier of tiers) {
+    newReservations.push(...(await processWaitlist(tier)));
+  }
+
+  return newReservations;
+};
+
+/**
+ * Marks the entry of `user` as completed once they ordered
+ */
+export const completeWaitlistEntry = async (
+  tier: typeof models.Tier,
+  user: typeof models.User,
+  order: typeof models.Order,
+): Promise<void> => {
+  const entry = await getWaitlistEntryForUser(tier, user);
+  if (entry) {
+    await entry.update({ status: TierWaitlistEntryStatus.COMPLETED, OrderId: order.id });
+  }
+};
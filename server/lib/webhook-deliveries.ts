@@ -0,0 +1,129 @@
+import axios from 'axios';
+import config from 'config';
+import { get, truncate } from 'lodash';
+
+import models, { Op } from '../models';
+import { WebhookDelivery, WebhookDeliveryStatus } from '../models/WebhookDelivery';
+
+import logger from './logger';
+import { enrichActivity, getWebhookSignatureHeaders, sanitizeActivity } from './webhooks';
+
+const MAX_ATTEMPTS: number = get(config, 'webhooks.maxDeliveryAttempts', 5);
+const RETRY_BASE_DELAY: number = get(config, 'webhooks.retryBaseDelay', 600); // In seconds
+const REQUEST_TIMEOUT: number = get(config, 'webhooks.timeout', 10000); // In milliseconds
+
+/**
+ * Returns the date of the next attempt using an exponential backoff: 10 minutes, 20 minutes, 40 minutes...
+ * (with the default base delay), or null if the delivery should not be retried. The retries are sent by
+ * `cron/10mn/retry-webhook-deliveries.js`, so the delays are not meant to be shorter than 10 minutes.
+ */
+export const getNextAttemptDate = (attempts: number, now = new Date()): Date | null => {
+  if (attempts >= MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const delayInSeconds = RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+  return new Date(now.getTime() + delayInSeconds * 1000);
+};
+
+/**
+ * Builds the payload sent to webhooks for `activity`
+ */
+export const getWebhookPayload = (activity: typeof models.Activity): Record<string, unknown> => {
+  return enrichActivity(sanitizeActivity(activity));
+};
+
+/**
+ * Sends the delivery to the webhook, then records the result of the attempt. Failed deliveries are
+ * scheduled for a retry until they reach the maximum number of attempts.
+ */
+export const attemptWebhookDelivery = async (
+  delivery: WebhookDelivery,
+  webhook: typeof models.Notification = null,
+): Promise<WebhookDelivery> => {
+  webhook = webhook || delivery.webhook || (await models.Notification.findByPk(delivery.NotificationId));
+  const attempts = delivery.attempts + 1;
+  const lastAttemptAt = new Date();
+  const body = JSON.stringify(delivery.payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (webhook.secret) {
+    Object.assign(headers, getWebhookSignatureHeaders(webhook.secret, body));
+  }
+
+  const startTime = Date.now();
+  try {
+    // Send the exact body that was signed
+    const response = await axios.post(webhook.webhookUrl, body, { headers, timeout: REQUEST_TIMEOUT });
+    return delivery.update({
+      status: WebhookDeliveryStatus.SUCCESS,
+      attempts,
+      lastAttemptAt,
+      nextAttemptAt: null,
+      responseStatusCode: response?.status || null,
+      latency: Date.now() - startTime,
+      error: null,
+    });
+  } catch (e) {
+    const nextAttemptAt = getNextAttemptDate(attempts, lastAttemptAt);
+    logger.debug(`Webhook delivery #${delivery.id} failed (attempt ${attempts}): ${e.message}`);
+    return delivery.update({
+      status: nextAttemptAt ? WebhookDeliveryStatus.PENDING : WebhookDeliveryStatus.FAILED,
+      attempts,
+      lastAttemptAt,
+      nextAttemptAt,
+      responseStatusCode: e.response?.status || null,
+      latency: e.response ? Date.now() - startTime : null,
+      error: truncate(e.message, { length: 255 }),
+    });
+  }
+};
+
+/**
+ * Records a delivery of `activity` for `webhook` and sends it
+ */
+export const deliverActivityToWebhook = async (
+  activity: typeof models.Activity,
+  webhook: typeof models.Notification,
+): Promise<WebhookDelivery> => {
+  const delivery = await models.WebhookDelivery.create({
+    NotificationId: webhook.id,
+    ActivityId: activity.id || null,
+    status: WebhookDeliveryStatus.PENDING,
+    payload: getWebhookPayload(activity),
+  });
+
+  return attemptWebhookDelivery(delivery, webhook);
+};
+
+/**
+ * Manually sends again the payload of a past delivery. A new delivery is recorded to keep the log intact.
+ */
+export const redeliverWebhookDelivery = async (delivery: WebhookDelivery): Promise<WebhookDelivery> => {
+  const webhook = await models.Notification.findByPk(delivery.NotificationId);
+  const newDelivery = await models.WebhookDelivery.create({
+    NotificationId: delivery.NotificationId,
+    ActivityId: delivery.ActivityId,
+    status: WebhookDeliveryStatus.PENDING,
+    payload: delivery.payload,
+  });
+
+  return attemptWebhookDelivery(newDelivery, webhook);
+};
+
+/**
+ * Retries all the pending deliveries that are due. Meant to be called by a CRON job.
+ */
+export const retryPendingWebhookDeliveries = async (): Promise<WebhookDelivery[]> => {
+  const deliveries = await models.WebhookDelivery.findAll({
+    where: { status: WebhookDeliveryStatus.PENDING, nextAttemptAt: { [Op.lte]: new Date() } },
+    include: [{ association: 'webhook', required: true, where: { active: true } }],
+    order: [['nextAttemptAt', 'ASC']],
+  });
+
+  const results = [];
+  for (const delivery of deliveries) {
+    results.push(await attemptWebhookDelivery(delivery));
+  }
+
+  return results;
+};
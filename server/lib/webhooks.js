@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+
 import { pick } from 'lodash';
 
 import { activities } from '../constants';
@@ -61,6 +63,7 @@ const expenseActivities = [
   activities.COLLECTIVE_EXPENSE_UPDATED,
   activities.COLLECTIVE_EXPENSE_REJECTED,
   activities.COLLECTIVE_EXPENSE_APPROVED,
+  activities.COLLECTIVE_EXPENSE_PARTIALLY_APPROVED,
   activities.COLLECTIVE_EXPENSE_UNAPPROVED,
   activities.COLLECTIVE_EXPENSE_PAID,
   activities.COLLECTIVE_EXPENSE_MARKED_AS_UNPAID,
@@ -139,3 +142,30 @@ export const enrichActivity = activity => {
   enrichActivityData(activity.data);
   return activity;
 };
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-OpenCollective-Signature';
+export const WEBHOOK_TIMESTAMP_HEADER = 'X-OpenCollective-Timestamp';
+
+/**
+ * Signs a webhook payload with HMAC-SHA256. The timestamp is part of the signed content
+ * to let receivers reject replayed requests.
+ *
+ * @param {string} secret - the webhook secret
+ * @param {number} timestamp - the UNIX timestamp (in seconds) sent with the request
+ * @param {string} body - the raw JSON body, as sent to the webhook
+ * @returns {string} the signature, formatted as `sha256=<hex digest>`
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Returns the headers to authenticate a webhook request
+ */
+export const getWebhookSignatureHeaders = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  return {
+    [WEBHOOK_TIMESTAMP_HEADER]: timestamp.toString(),
+    [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(secret, timestamp, body),
+  };
+};
@@ -16,12 +16,21 @@ import paymentProviders from '../paymentProviders';
 
 const { User } = models;
 
-const { BadRequest, CustomError, Unauthorized } = errors;
+const { BadRequest, CustomError, Forbidden, Unauthorized } = errors;
 
 const { jwtSecret } = config.keys.opencollective;
 
 const debug = debugLib('auth');
 
+/** `lastUsedAt` is only refreshed once per minute, to avoid a database write on every API call */
+const LAST_USED_AT_REFRESH_INTERVAL = 60 * 1000;
+
+const touchLastUsedAt = async token => {
+  if (!token.lastUsedAt || Date.now() - token.lastUsedAt.getTime() > LAST_USED_AT_REFRESH_INTERVAL) {
+    await token.update({ lastUsedAt: new Date() }, { hooks: false });
+  }
+};
+
 /**
  * Middleware related to authentication.
  *
@@ -100,6 +109,27 @@ export const _authenticateUserByJwt = async (req, res, next) => {
     return next(errors.Unauthorized('Cannot use this token on this route.'));
   }
 
+  // Access tokens issued to OAuth applications, see `server/lib/oauth.ts`
+  if (req.jwtPayload.scope === 'oauth') {
+    const oauthToken = await models.OAuthToken.findByPk(req.jwtPayload.oauthTokenId, {
+      include: [{ association: 'application', required: true }],
+    });
+    if (!oauthToken || oauthToken.UserId !== user.id || oauthToken.application.disabled) {
+      return next(new Unauthorized('This access token has been revoked'));
+    } else if (
+      oauthToken.accessTokenVersion !== req.jwtPayload.oauthTokenVersion ||
+      oauthToken.accessTokenExpiresAt < new Date()
+    ) {
+      return next(new Unauthorized('This access token has expired, please refresh it'));
+    } else if (!req.originalUrl.startsWith('/graphql/v2')) {
+      return next(new Forbidden('OAuth access tokens can only be used with the GraphQL API v2'));
+    }
+
+    req.oauthToken = oauthToken;
+    req.clientApp = oauthToken.application;
+    await touchLastUsedAt(oauthToken);
+  }
+
   /**
    * Functionality for one-time login links. We check that the lastLoginAt
    * in the JWT matches the lastLoginAt in the db. If so, we allow the user
@@ -266,7 +296,15 @@ function getOAuthCallbackUrl(req) {
 export async function checkClientApp(req, res, next) {
   const apiKey = req.get('Api-Key') || req.query.apiKey || req.apiKey;
   const clientId = req.get('Client-Id') || req.query.clientId;
-  if (apiKey) {
+  const personalToken = req.get('Personal-Token');
+  if (personalToken) {
+    try {
+      await authenticateUserByPersonalToken(req, personalToken);
+      next();
+    } catch (e) {
+      next(e);
+    }
+  } else if (apiKey) {
     const app = await models.Application.findOne({
       where: { type: 'apiKey', apiKey },
     });
@@ -307,6 +345,43 @@ export async function checkClientApp(req, res, next) {
   }
 }
 
+/**
+ * Authenticate the user with a personal token and populates:
+ *  - req.personalToken
+ *  - req.remoteUser, with roles limited to the accounts the token is restricted to (if any)
+ *
+ * Personal tokens can only be used with the GraphQL API v2, where their scopes are enforced.
+ */
+export const authenticateUserByPersonalToken = async (req, token) => {
+  const personalToken = await models.Application.findOne({
+    where: { type: 'personalToken', token: models.Application.hashToken(token) },
+  });
+  if (!personalToken || personalToken.disabled) {
+    debug('Invalid personal token');
+    throw new Unauthorized('Invalid personal token');
+  } else if (personalToken.isExpired()) {
+    throw new Unauthorized('This personal token has expired');
+  } else if (!req.originalUrl.startsWith('/graphql/v2')) {
+    throw new Forbidden('Personal tokens can only be used with the GraphQL API v2');
+  }
+
+  const user = await models.User.findByPk(personalToken.CreatedByUserId);
+  if (!user) {
+    throw new Unauthorized('Invalid personal token');
+  }
+
+  if (personalToken.limitedToCollectiveIds?.length) {
+    await user.limitRolesToCollectiveIds(personalToken.limitedToCollectiveIds);
+  } else {
+    await user.populateRoles();
+  }
+
+  req.personalToken = personalToken;
+  req.remoteUser = user;
+  await touchLastUsedAt(personalToken);
+  debug('logged in user with personal token', user.id, 'scopes:', personalToken.scopes);
+};
+
 /**
  * Authorize api_key
  *
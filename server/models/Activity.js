@@ -1,4 +1,5 @@
 import notify from '../lib/notifications';
+import { publishActivity } from '../lib/pubsub';
 import sequelize, { DataTypes } from '../lib/sequelize';
 
 function defineModel() {
@@ -52,6 +53,7 @@ function defineModel() {
       hooks: {
         afterCreate(activity) {
           notify(activity); // intentionally no return statement, needs to be async
+          publishActivity(activity); // for GraphQL subscriptions
           return Promise.resolve();
         },
       },
@@ -1,8 +1,9 @@
 import crypto from 'crypto';
 
-import { merge } from 'lodash';
+import { difference, merge } from 'lodash';
 import { DataTypes } from 'sequelize';
 
+import { ALL_SCOPES } from '../constants/scopes';
 import sequelize from '../lib/sequelize';
 
 function defineModel() {
@@ -34,7 +35,7 @@ function defineModel() {
       },
       type: {
         type: DataTypes.ENUM,
-        values: ['apiKey', 'oAuth'],
+        values: ['apiKey', 'oAuth', 'personalToken'],
       },
       apiKey: {
         type: DataTypes.STRING,
@@ -54,6 +55,34 @@ function defineModel() {
       description: {
         type: DataTypes.STRING,
       },
+      token: {
+        type: DataTypes.STRING,
+        comment: 'SHA-256 hash of the personal token, see `Application.hashToken`',
+      },
+      plainToken: {
+        type: DataTypes.VIRTUAL,
+        comment: 'The personal token, only available when it is created',
+      },
+      scopes: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        validate: {
+          isValidScopes(value) {
+            const invalidScopes = difference(value || [], ALL_SCOPES);
+            if (invalidScopes.length) {
+              throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+            }
+          },
+        },
+      },
+      limitedToCollectiveIds: {
+        type: DataTypes.ARRAY(DataTypes.INTEGER),
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+      },
       disabled: {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
@@ -100,9 +129,34 @@ function defineModel() {
         clientSecret: crypto.randomBytes(40).toString('hex'),
       });
     }
+    if (props.type === 'personalToken') {
+      const plainToken = crypto.randomBytes(32).toString('hex');
+      props = merge(props, { plainToken, token: Application.hashToken(plainToken) });
+    }
     return Application.build(props).save();
   };
 
+  /**
+   * Personal tokens are stored hashed, like passwords: the plain token is only returned once, when it is created
+   */
+  Application.hashToken = token => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  Application.prototype.isExpired = function () {
+    return Boolean(this.expiresAt && this.expiresAt < new Date());
+  };
+
+  /**
+   * Personal tokens can only do what their scopes allow. API keys keep the full power of the user.
+   */
+  Application.prototype.hasScope = function (scope) {
+    if (this.type !== 'personalToken') {
+      return true;
+    }
+    return Boolean(this.scopes?.includes(scope));
+  };
+
   return Application;
 }
 
@@ -0,0 +1,142 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+import { sanitizeTags } from '../lib/tags';
+
+import models from '.';
+
+export enum BudgetPeriod {
+  MONTH = 'MONTH',
+  QUARTER = 'QUARTER',
+  YEAR = 'YEAR',
+}
+
+export enum BudgetEnforcement {
+  /** Expenses exceeding the budget are flagged, but can still be submitted and paid */
+  WARN = 'WARN',
+  /** Expenses exceeding the budget are rejected */
+  BLOCK = 'BLOCK',
+}
+
+interface BudgetLineCreationAttributes {
+  CollectiveId: number;
+  CreatedByUserId?: number;
+  name: string;
+  tag?: string | null;
+  expenseType?: string | null;
+  period: BudgetPeriod;
+  amount: number;
+  enforcement?: BudgetEnforcement;
+}
+
+/**
+ * A spending limit defined by the admins of a collective, for the expenses matching a tag
+ * and/or an expense type over a period. See `lib/budget-lines`.
+ */
+export class BudgetLine extends Model<BudgetLine, BudgetLineCreationAttributes> {
+  public readonly id!: number;
+  public CollectiveId!: number;
+  public CreatedByUserId: number;
+  public name!: string;
+  public tag: string | null;
+  public expenseType: string | null;
+  public period!: BudgetPeriod;
+  public amount!: number;
+  public enforcement!: BudgetEnforcement;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+  public deletedAt: Date | null;
+
+  public collective?: typeof models.Collective;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(BudgetLine) {
+  // Link the model to database fields
+  BudgetLine.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      CollectiveId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      CreatedByUserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+          len: [1, 255],
+        },
+      },
+      tag: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        set(value: string | null): void {
+          // Stored like expense tags, to be able to match them
+          this.setDataValue('tag', sanitizeTags([value])[0] || null);
+        },
+      },
+      expenseType: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      period: {
+        type: DataTypes.ENUM(...Object.values(BudgetPeriod)),
+        allowNull: false,
+      },
+      amount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 1,
+        },
+      },
+      enforcement: {
+        type: DataTypes.ENUM(...Object.values(BudgetEnforcement)),
+        defaultValue: BudgetEnforcement.WARN,
+        allowNull: false,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'BudgetLines',
+      paranoid: true,
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(BudgetLine);
+
+export default BudgetLine;
@@ -53,12 +53,14 @@ import queries from '../lib/queries';
 import { buildSanitizerOptions, sanitizeHTML } from '../lib/sanitize-html';
 import sequelize, { DataTypes, Op, Sequelize } from '../lib/sequelize';
 import { collectiveSpamCheck, notifyTeamAboutSuspiciousCollective } from '../lib/spam';
+import { checkSpamBeforeCreate, saveSpamReportAfterCreate, toSpamAnalysisReport } from '../lib/spam-pipeline';
 import { canUseFeature } from '../lib/user-permissions';
 import userlib from '../lib/userlib';
 import { capitalize, cleanTags, formatCurrency, getDomain, md5 } from '../lib/utils';
 
 import CustomDataTypes from './DataTypes';
 import { PayoutMethodTypes } from './PayoutMethod';
+import { SpamEntityType } from './SpamReport';
 
 const debug = debugLib('models:Collective');
 
@@ -649,16 +651,18 @@ function defineModel() {
             throw new Error("You're not authorized to create new collectives at the moment.");
           }
 
-          // Check if collective is spam
-          const spamReport = await collectiveSpamCheck(instance, 'Collective.beforeCreate');
-          // If 100% sure that it's a spam
-          if (spamReport.score > 0) {
+          // Check if collective is spam (throws if it must be blocked)
+          const report = await checkSpamBeforeCreate(SpamEntityType.COLLECTIVE, instance, 'Collective.beforeCreate');
+          const spamReport = toSpamAnalysisReport(report, instance.info);
+          // Like before the spam pipeline, only notify about the content (not about new accounts, IPs...)
+          if (spamReport.keywords.length || spamReport.domains.length || spamReport.bayes === 'spam') {
             notifyTeamAboutSuspiciousCollective(spamReport);
             instance.data = { ...instance.data, spamReport };
           }
         },
         afterCreate: async (instance, options) => {
           instance.findImage();
+          await saveSpamReportAfterCreate(instance, options);
 
           if ([types.COLLECTIVE, types.FUND, types.EVENT, types.PROJECT].includes(instance.type)) {
             await models.PaymentMethod.create(
@@ -3040,10 +3044,10 @@ function defineModel() {
   };
 
   Collective.prototype.doesUserHaveTotalExpensesOverThreshold = async function ({ threshold, year, UserId }) {
-    const { PENDING, APPROVED, PAID, PROCESSING } = expenseStatus;
+    const { PENDING, PARTIALLY_APPROVED, APPROVED, PAID, PROCESSING } = expenseStatus;
     const since = moment({ year });
     const until = moment({ year }).add(1, 'y');
-    const status = [PENDING, APPROVED, PAID, PROCESSING];
+    const status = [PENDING, PARTIALLY_APPROVED, APPROVED, PAID, PROCESSING];
     const excludedTypes = [expenseTypes.RECEIPT];
 
     const expenses = await this.getExpensesForHost(status, since, until, UserId, excludedTypes);
@@ -3,8 +3,12 @@ import { defaults } from 'lodash';
 import Temporal from 'sequelize-temporal';
 
 import activities from '../constants/activities';
+import { createMentionActivities, getMentionedUsers } from '../lib/comment-mentions';
 import { buildSanitizerOptions, sanitizeHTML } from '../lib/sanitize-html';
 import sequelize, { DataTypes } from '../lib/sequelize';
+import { checkSpamBeforeCreate, saveSpamReportAfterCreate } from '../lib/spam-pipeline';
+
+import { SpamEntityType } from './SpamReport';
 
 // Options for sanitizing comment's body
 const sanitizeOptions = buildSanitizerOptions({
@@ -89,6 +93,15 @@ function defineModel() {
         allowNull: true,
       },
 
+      // The comment this one replies to, to build threads
+      ParentCommentId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Comments' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+
       html: {
         type: DataTypes.TEXT,
         set(value) {
@@ -142,12 +155,32 @@ function defineModel() {
       },
 
       hooks: {
-        beforeCreate: instance => {
+        beforeCreate: async instance => {
           if (!instance.ExpenseId && !instance.UpdateId && !instance.ConversationId) {
             throw new Error('Comment must be linked to an expense, an update or a conversation');
           }
+
+          if (instance.ParentCommentId) {
+            const parent = await models.Comment.findByPk(instance.ParentCommentId);
+            const entityFields = ['ExpenseId', 'UpdateId', 'ConversationId'];
+            if (!parent || entityFields.some(field => (parent[field] || null) !== (instance[field] || null))) {
+              throw new Error('A reply must be linked to the same expense, update or conversation as its parent');
+            }
+
+            // Replying to the root comment of a conversation is replying to the conversation
+            if (parent.ConversationId) {
+              const conversation = await models.Conversation.findOne({ where: { RootCommentId: parent.id } });
+              if (conversation) {
+                instance.ParentCommentId = null;
+              }
+            }
+          }
+
+          await checkSpamBeforeCreate(SpamEntityType.COMMENT, instance, 'Comment.beforeCreate');
         },
-        afterCreate: instance => {
+        afterCreate: async (instance, options) => {
+          await saveSpamReportAfterCreate(instance, options);
+          const mentionedUsers = await getMentionedUsers(instance);
           models.Activity.create({
             type: activities.COLLECTIVE_COMMENT_CREATED,
             UserId: instance.CreatedByUserId,
@@ -162,8 +195,12 @@ function defineModel() {
               ExpenseId: instance.ExpenseId,
               UpdateId: instance.UpdateId,
               ConversationId: instance.ConversationId,
+              ParentCommentId: instance.ParentCommentId,
+              MentionedUserIds: mentionedUsers.map(user => user.id),
             },
           });
+
+          await createMentionActivities(instance, mentionedUsers);
         },
       },
     },
@@ -183,6 +220,9 @@ function defineModel() {
       }
     }
 
+    // Replies are kept in the thread, attached to the parent of the deleted comment
+    await models.Comment.update({ ParentCommentId: this.ParentCommentId }, { where: { ParentCommentId: this.id } });
+
     return this._internalDestroy(...arguments);
   };
 
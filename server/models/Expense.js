@@ -10,10 +10,12 @@ import { reduceArrayToCurrency } from '../lib/currency';
 import logger from '../lib/logger';
 import { buildSanitizerOptions, sanitizeHTML, stripHTML } from '../lib/sanitize-html';
 import sequelize, { DataTypes, Op, QueryTypes } from '../lib/sequelize';
+import { checkSpamBeforeCreate, saveSpamReportAfterCreate } from '../lib/spam-pipeline';
 import { sanitizeTags, validateTags } from '../lib/tags';
 import CustomDataTypes from '../models/DataTypes';
 
 import { PayoutMethodTypes } from './PayoutMethod';
+import { SpamEntityType } from './SpamReport';
 
 // Options for sanitizing private messages
 const PRIVATE_MESSAGE_SANITIZE_OPTS = buildSanitizerOptions({
@@ -279,6 +281,13 @@ function defineModel() {
         },
       },
       hooks: {
+        async beforeCreate(expense) {
+          // Expenses detected as spam are created with the SPAM status
+          await checkSpamBeforeCreate(SpamEntityType.EXPENSE, expense, 'Expense.beforeCreate');
+        },
+        afterCreate(expense, options) {
+          return saveSpamReportAfterCreate(expense, options);
+        },
         afterDestroy(expense) {
           return models.ExpenseItem.destroy({ where: { ExpenseId: expense.id } });
         },
@@ -316,7 +325,16 @@ function defineModel() {
       CollectiveId: this.collective.id,
       ExpenseId: this.id,
       data: {
-        ...pick(data, ['isManualPayout', 'error', 'payee', 'draftKey', 'inviteUrl', 'recipientNote']),
+        ...pick(data, [
+          'isManualPayout',
+          'error',
+          'payee',
+          'draftKey',
+          'inviteUrl',
+          'recipientNote',
+          'approvals',
+          'requiredApprovals',
+        ]),
         host: get(host, 'minimal'),
         collective: { ...this.collective.minimal, isActive: this.collective.isActive },
         user: submittedByUserCollective.minimal,
@@ -0,0 +1,80 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+interface ExpenseApprovalCreationAttributes {
+  ExpenseId: number;
+  UserId: number;
+}
+
+/**
+ * An approval given to an expense by one of the admins of its collective or host. Approvals are
+ * (soft) deleted when the expense goes back to `PENDING`, see `lib/expense-approvals`.
+ */
+export class ExpenseApproval extends Model<ExpenseApproval, ExpenseApprovalCreationAttributes> {
+  public readonly id!: number;
+  public ExpenseId!: number;
+  public UserId!: number;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+  public deletedAt: Date | null;
+
+  public user?: typeof models.User;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(ExpenseApproval) {
+  // Link the model to database fields
+  ExpenseApproval.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      ExpenseId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Expenses' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'ExpenseApprovals',
+      paranoid: true,
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(ExpenseApproval);
+
+export default ExpenseApproval;
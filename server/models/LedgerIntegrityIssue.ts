@@ -0,0 +1,138 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+export enum LedgerIntegrityCheck {
+  /** Every transaction must have a counterpart with the opposite type, between the same accounts */
+  OPPOSITE_ENTRY = 'OPPOSITE_ENTRY',
+  /** The amounts of the counterpart must match */
+  OPPOSITE_AMOUNTS = 'OPPOSITE_AMOUNTS',
+  /** The fees of the counterpart must match, once converted to its host currency */
+  OPPOSITE_FEES = 'OPPOSITE_FEES',
+  /** A debt (HOST_FEE_SHARE_DEBT, PLATFORM_TIP_DEBT) must cancel the transaction it was created for */
+  DEBT_PAIR = 'DEBT_PAIR',
+  /** A fee (HOST_FEE, HOST_FEE_SHARE) must be recorded with the transaction it was charged on */
+  FEE_WITHOUT_PARENT = 'FEE_WITHOUT_PARENT',
+  /** A refund and the refunded transaction must reference each other */
+  REFUND_PAIR = 'REFUND_PAIR',
+  /** The amount in host currency must match the amount and the FX rate */
+  CURRENCY_CONVERSION = 'CURRENCY_CONVERSION',
+}
+
+export enum LedgerIntegrityIssueSeverity {
+  /** The balances are wrong */
+  ERROR = 'ERROR',
+  /** Something looks off, but the balances are probably right */
+  WARNING = 'WARNING',
+}
+
+interface LedgerIntegrityIssueCreationAttributes {
+  check: LedgerIntegrityCheck;
+  severity: LedgerIntegrityIssueSeverity;
+  TransactionGroup: string;
+  TransactionId?: number | null;
+  message: string;
+  suggestedFix?: string | null;
+  data?: Record<string, unknown> | null;
+  lastDetectedAt?: Date;
+}
+
+/**
+ * An issue found in the ledger by `lib/ledger-integrity`. Issues are resolved automatically
+ * when the check stops detecting them.
+ */
+export class LedgerIntegrityIssue extends Model<LedgerIntegrityIssue, LedgerIntegrityIssueCreationAttributes> {
+  public readonly id!: number;
+  public check!: LedgerIntegrityCheck;
+  public severity!: LedgerIntegrityIssueSeverity;
+  public TransactionGroup!: string;
+  public TransactionId: number | null;
+  public message!: string;
+  public suggestedFix: string | null;
+  public data: Record<string, unknown> | null;
+  public lastDetectedAt!: Date;
+  public resolvedAt: Date | null;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+
+  public transaction?: typeof models.Transaction;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(LedgerIntegrityIssue) {
+  // Link the model to database fields
+  LedgerIntegrityIssue.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      check: {
+        type: DataTypes.ENUM(...Object.values(LedgerIntegrityCheck)),
+        allowNull: false,
+      },
+      severity: {
+        type: DataTypes.ENUM(...Object.values(LedgerIntegrityIssueSeverity)),
+        allowNull: false,
+      },
+      TransactionGroup: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      TransactionId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Transactions' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      suggestedFix: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      data: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      lastDetectedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'LedgerIntegrityIssues',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(LedgerIntegrityIssue);
+
+export default LedgerIntegrityIssue;
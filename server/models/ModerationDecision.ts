@@ -0,0 +1,108 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+export enum ModerationAction {
+  /** The content is legit */
+  DISMISS = 'DISMISS',
+  /** Remove the content (expenses are marked as spam) */
+  MARK_AS_SPAM = 'MARK_AS_SPAM',
+  /** Ban the author of the content (and the reported collective) from the platform. Root users only. */
+  BAN_ACCOUNT = 'BAN_ACCOUNT',
+}
+
+interface ModerationDecisionCreationAttributes {
+  SpamReportId: number;
+  UserId: number;
+  action: ModerationAction;
+  message?: string;
+  data?: Record<string, unknown>;
+}
+
+/**
+ * The audit trail of the moderation queue: one entry for each decision taken by a moderator on a report.
+ */
+export class ModerationDecision extends Model<ModerationDecision, ModerationDecisionCreationAttributes> {
+  public readonly id!: number;
+  public SpamReportId!: number;
+  public UserId: number | null;
+  public action!: ModerationAction;
+  public message: string | null;
+  public data: Record<string, unknown> | null;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+
+  public report?: typeof models.SpamReport;
+  public user?: typeof models.User;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(ModerationDecision) {
+  // Link the model to database fields
+  ModerationDecision.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      SpamReportId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'SpamReports' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      action: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [Object.values(ModerationAction)],
+            msg: `Must be one of: ${Object.values(ModerationAction)}`,
+          },
+        },
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      data: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'ModerationDecisions',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(ModerationDecision);
+
+export default ModerationDecision;
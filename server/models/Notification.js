@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+
 import Promise from 'bluebird';
 import debugLib from 'debug';
 import { defaults, isNil } from 'lodash';
@@ -71,6 +73,12 @@ function defineModel() {
           }
         },
       },
+
+      secret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Used to sign the payloads sent to webhooks',
+      },
     },
     {
       indexes: [
@@ -87,12 +95,18 @@ function defineModel() {
         beforeCreate(instance) {
           if (instance.channel === channels.WEBHOOK && isNil(instance.webhookUrl)) {
             throw new ValidationFailed('Webhook URL can not be undefined');
+          } else if (instance.channel === channels.WEBHOOK && !instance.secret) {
+            instance.secret = Notification.generateWebhookSecret();
           }
         },
       },
     },
   );
 
+  Notification.generateWebhookSecret = () => {
+    return crypto.randomBytes(32).toString('hex');
+  };
+
   Notification.prototype.getUser = function () {
     return models.User.findByPk(this.UserId);
   };
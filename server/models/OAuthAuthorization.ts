@@ -0,0 +1,88 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+interface OAuthAuthorizationCreationAttributes {
+  UserId: number;
+  ApplicationId: number;
+  scopes: string[];
+}
+
+/**
+ * The consent given by a user to an OAuth application. Revoking it (soft-deleting) also revokes
+ * all the tokens issued to the application for this user.
+ */
+export class OAuthAuthorization extends Model<OAuthAuthorization, OAuthAuthorizationCreationAttributes> {
+  public readonly id!: number;
+  public UserId!: number;
+  public ApplicationId!: number;
+  public scopes!: string[];
+  public createdAt!: Date;
+  public updatedAt!: Date;
+  public deletedAt: Date | null;
+
+  public application?: typeof models.Application;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(OAuthAuthorization) {
+  // Link the model to database fields
+  OAuthAuthorization.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      ApplicationId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Applications' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      scopes: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      paranoid: true,
+      tableName: 'OAuthAuthorizations',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(OAuthAuthorization);
+
+export default OAuthAuthorization;
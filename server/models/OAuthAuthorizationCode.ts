@@ -0,0 +1,113 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+export enum CodeChallengeMethod {
+  PLAIN = 'plain',
+  S256 = 'S256',
+}
+
+interface OAuthAuthorizationCodeCreationAttributes {
+  code: string;
+  UserId: number;
+  ApplicationId: number;
+  redirectUri: string;
+  scopes: string[];
+  codeChallenge?: string | null;
+  codeChallengeMethod?: CodeChallengeMethod | null;
+  expiresAt: Date;
+}
+
+/**
+ * A short-lived code returned by the authorization endpoint, to be exchanged for a token
+ */
+export class OAuthAuthorizationCode extends Model<OAuthAuthorizationCode, OAuthAuthorizationCodeCreationAttributes> {
+  public readonly id!: number;
+  public code!: string;
+  public UserId!: number;
+  public ApplicationId!: number;
+  public redirectUri!: string;
+  public scopes!: string[];
+  public codeChallenge: string | null;
+  public codeChallengeMethod: CodeChallengeMethod | null;
+  public expiresAt!: Date;
+  public createdAt!: Date;
+
+  public application?: typeof models.Application;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(OAuthAuthorizationCode) {
+  // Link the model to database fields
+  OAuthAuthorizationCode.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      code: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 hash of the code, see `Application.hashToken`',
+      },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      ApplicationId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Applications' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      redirectUri: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      scopes: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      codeChallenge: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      codeChallengeMethod: {
+        type: DataTypes.ENUM(...Object.values(CodeChallengeMethod)),
+        allowNull: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      updatedAt: false,
+      tableName: 'OAuthAuthorizationCodes',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(OAuthAuthorizationCode);
+
+export default OAuthAuthorizationCode;
@@ -0,0 +1,125 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+interface OAuthTokenCreationAttributes {
+  UserId: number;
+  ApplicationId: number;
+  scopes: string[];
+  refreshToken: string;
+  accessTokenExpiresAt: Date;
+  refreshTokenExpiresAt: Date;
+  accessTokenVersion?: number;
+}
+
+/**
+ * A token issued to an OAuth application. The access token itself is a JWT referencing this record
+ * (see `server/lib/oauth`), so deleting the record is enough to revoke it. Refreshing the token increments
+ * `accessTokenVersion`, which invalidates the access tokens issued before.
+ */
+export class OAuthToken extends Model<OAuthToken, OAuthTokenCreationAttributes> {
+  public readonly id!: number;
+  public UserId!: number;
+  public ApplicationId!: number;
+  public scopes!: string[];
+  public refreshToken!: string;
+  public accessTokenExpiresAt!: Date;
+  public refreshTokenExpiresAt!: Date;
+  public accessTokenVersion!: number;
+  public lastUsedAt: Date | null;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+  public deletedAt: Date | null;
+
+  public application?: typeof models.Application;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+
+  hasScope(scope: string): boolean {
+    return this.scopes.includes(scope);
+  }
+}
+
+function setupModel(OAuthToken) {
+  // Link the model to database fields
+  OAuthToken.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      ApplicationId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Applications' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      scopes: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+      },
+      refreshToken: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 hash of the refresh token, see `Application.hashToken`',
+      },
+      accessTokenExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      refreshTokenExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      accessTokenVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      paranoid: true,
+      tableName: 'OAuthTokens',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(OAuthToken);
+
+export default OAuthToken;
@@ -0,0 +1,188 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+import { sanitizeTags, validateTags } from '../lib/tags';
+
+import models from '.';
+
+export enum RecurringExpenseInterval {
+  WEEK = 'WEEK',
+  MONTH = 'MONTH',
+  QUARTER = 'QUARTER',
+  YEAR = 'YEAR',
+}
+
+export type RecurringExpenseItem = {
+  description: string;
+  amount: number;
+};
+
+interface RecurringExpenseCreationAttributes {
+  CollectiveId: number;
+  FromCollectiveId: number;
+  PayoutMethodId?: number | null;
+  CreatedByUserId: number;
+  interval: RecurringExpenseInterval;
+  startDate: Date;
+  nextDueDate: Date;
+  endDate?: Date | null;
+  type: string;
+  description: string;
+  tags?: string[] | null;
+  items: RecurringExpenseItem[];
+}
+
+/**
+ * A template for an expense that must be submitted at a regular interval. A draft of the expense is
+ * created when it's due, and the payee is invited to attach the invoice. See `lib/recurring-expenses`.
+ */
+export class RecurringExpense extends Model<RecurringExpense, RecurringExpenseCreationAttributes> {
+  public readonly id!: number;
+  public CollectiveId!: number;
+  public FromCollectiveId!: number;
+  public PayoutMethodId: number | null;
+  public CreatedByUserId!: number;
+  public interval!: RecurringExpenseInterval;
+  /** The first due date. The next ones are computed from it, so that they don't drift at the end of the months */
+  public startDate!: Date;
+  public nextDueDate!: Date;
+  public endDate: Date | null;
+  public lastDraftedAt: Date | null;
+  public type!: string;
+  public description!: string;
+  public tags: string[] | null;
+  public items!: RecurringExpenseItem[];
+  public createdAt!: Date;
+  public updatedAt!: Date;
+  public deletedAt: Date | null;
+
+  public collective?: typeof models.Collective;
+  public fromCollective?: typeof models.Collective;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+
+  /** The total amount of the items, in the currency of the collective */
+  get amount(): number {
+    return this.items.reduce((total, item) => total + item.amount, 0);
+  }
+}
+
+function setupModel(RecurringExpense) {
+  // Link the model to database fields
+  RecurringExpense.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      CollectiveId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      FromCollectiveId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      PayoutMethodId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'PayoutMethods' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      CreatedByUserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      interval: {
+        type: DataTypes.ENUM(...Object.values(RecurringExpenseInterval)),
+        allowNull: false,
+      },
+      startDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      nextDueDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      endDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastDraftedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+          len: [1, 255],
+        },
+      },
+      tags: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        set(tags: string[] | null): void {
+          const sanitizedTags = sanitizeTags(tags);
+          this.setDataValue('tags', sanitizedTags?.length ? sanitizedTags : null);
+        },
+        validate: { validateTags },
+      },
+      items: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        validate: {
+          hasItems(items: RecurringExpenseItem[]): void {
+            if (!Array.isArray(items) || !items.length) {
+              throw new Error('A recurring expense needs at least one item');
+            } else if (items.some(item => !item.description || !Number.isInteger(item.amount) || item.amount <= 0)) {
+              throw new Error('Each item needs a description and a positive amount');
+            }
+          },
+        },
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'RecurringExpenses',
+      paranoid: true,
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(RecurringExpense);
+
+export default RecurringExpense;
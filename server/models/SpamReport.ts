@@ -0,0 +1,217 @@
+import { MODERATION_CATEGORIES } from '../constants/moderation-categories';
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+export enum SpamEntityType {
+  COLLECTIVE = 'COLLECTIVE',
+  EXPENSE = 'EXPENSE',
+  COMMENT = 'COMMENT',
+  UPDATE = 'UPDATE',
+}
+
+export enum SpamAction {
+  /** The score is below the thresholds */
+  NONE = 'NONE',
+  /** The content was created, but needs to be reviewed */
+  FLAG = 'FLAG',
+  /** The content was rejected (or marked as spam for expenses) */
+  BLOCK = 'BLOCK',
+}
+
+/** The status of the report in the moderation queue */
+export enum ModerationStatus {
+  PENDING = 'PENDING',
+  /** A moderator decided that the content was legit */
+  DISMISSED = 'DISMISSED',
+  /** The content was marked as spam and removed */
+  SPAM = 'SPAM',
+  /** The author of the content was banned */
+  BANNED = 'BANNED',
+}
+
+export type SpamDetection = {
+  /** Name of the detector, see `lib/spam-pipeline` */
+  detector: string;
+  /** The score added by the detector */
+  score: number;
+  /** What the detector found (keywords, domains...) */
+  details?: Record<string, unknown>;
+};
+
+interface SpamReportCreationAttributes {
+  entityType: SpamEntityType;
+  entityId?: number;
+  CollectiveId?: number;
+  UserId?: number;
+  score: number;
+  action: SpamAction;
+  context?: string;
+  detections?: SpamDetection[];
+  data?: Record<string, unknown>;
+  status?: ModerationStatus;
+  ReportedByUserId?: number;
+  category?: string;
+  message?: string;
+}
+
+/**
+ * The result of the spam pipeline for a collective, an expense, a comment or an update, stored when the content
+ * was flagged or blocked. Users can also report content, in which case `ReportedByUserId` is set. The pending
+ * reports make the moderation queue, see `lib/moderation`.
+ */
+export class SpamReport extends Model<SpamReport, SpamReportCreationAttributes> {
+  public readonly id!: number;
+  public entityType!: SpamEntityType;
+  public entityId: number | null;
+  public CollectiveId: number | null;
+  public UserId: number | null;
+  public score!: number;
+  public action!: SpamAction;
+  public context: string | null;
+  public detections!: SpamDetection[];
+  public data: Record<string, unknown> | null;
+  public status!: ModerationStatus;
+  public ReportedByUserId: number | null;
+  public category: string | null;
+  public message: string | null;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+
+  public collective?: typeof models.Collective;
+  public user?: typeof models.User;
+  public reportedByUser?: typeof models.User;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(SpamReport) {
+  // Link the model to database fields
+  SpamReport.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      entityType: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [Object.values(SpamEntityType)],
+            msg: `Must be one of: ${Object.values(SpamEntityType)}`,
+          },
+        },
+      },
+      entityId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      CollectiveId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Collectives' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      score: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        validate: {
+          min: 0,
+          max: 1,
+        },
+      },
+      action: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [Object.values(SpamAction)],
+            msg: `Must be one of: ${Object.values(SpamAction)}`,
+          },
+        },
+      },
+      context: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      detections: {
+        type: DataTypes.JSONB,
+        defaultValue: [],
+        allowNull: false,
+      },
+      data: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.STRING,
+        defaultValue: ModerationStatus.PENDING,
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [Object.values(ModerationStatus)],
+            msg: `Must be one of: ${Object.values(ModerationStatus)}`,
+          },
+        },
+      },
+      ReportedByUserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      category: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: {
+            args: [Object.keys(MODERATION_CATEGORIES)],
+            msg: `Must be one of: ${Object.keys(MODERATION_CATEGORIES)}`,
+          },
+        },
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        validate: {
+          len: [0, 2000],
+        },
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'SpamReports',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(SpamReport);
+
+export default SpamReport;
@@ -0,0 +1,83 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+interface TicketCheckInCreationAttributes {
+  OrderId: number;
+  ticketNumber: number;
+  CheckedInByUserId?: number;
+}
+
+/**
+ * A ticket scanned at the entrance of an event. Tickets are identified by their order and their number within
+ * the order (from 1 to the quantity), see `server/lib/tickets`.
+ */
+export class TicketCheckIn extends Model<TicketCheckIn, TicketCheckInCreationAttributes> {
+  public readonly id!: number;
+  public OrderId!: number;
+  public ticketNumber!: number;
+  public CheckedInByUserId: number | null;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+
+  public order?: typeof models.Order;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(TicketCheckIn) {
+  // Link the model to database fields
+  TicketCheckIn.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      OrderId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Orders' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+        unique: 'ticket',
+      },
+      ticketNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: 'ticket',
+      },
+      CheckedInByUserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'TicketCheckIns',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(TicketCheckIn);
+
+export default TicketCheckIn;
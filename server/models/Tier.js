@@ -211,6 +211,13 @@ function defineModel() {
         },
       },
 
+      // Whether contributors can join a waitlist when the tier is sold out, see `lib/waitlists`
+      hasWaitlist: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+      },
+
       // Goal to reach
       goal: {
         type: DataTypes.INTEGER,
@@ -262,6 +269,7 @@ function defineModel() {
             interval: this.interval,
             currency: this.currency,
             maxQuantity: this.maxQuantity,
+            hasWaitlist: this.hasWaitlist,
             startsAt: this.startsAt,
             endsAt: this.endsAt,
             createdAt: this.createdAt,
@@ -0,0 +1,128 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+export enum TierWaitlistEntryStatus {
+  /** Waiting for a spot to free up */
+  WAITING = 'WAITING',
+  /** A spot is reserved for the user until `reservedUntil` */
+  RESERVED = 'RESERVED',
+  /** The user ordered the reserved spot */
+  COMPLETED = 'COMPLETED',
+  /** The user didn't order before the end of the reservation */
+  EXPIRED = 'EXPIRED',
+}
+
+interface TierWaitlistEntryCreationAttributes {
+  TierId: number;
+  UserId: number;
+  quantity?: number;
+  status?: TierWaitlistEntryStatus;
+}
+
+/**
+ * A user waiting for a spot on a sold-out tier. Entries are (soft) deleted when the user leaves
+ * the waitlist, see `lib/waitlists`.
+ */
+export class TierWaitlistEntry extends Model<TierWaitlistEntry, TierWaitlistEntryCreationAttributes> {
+  public readonly id!: number;
+  public TierId!: number;
+  public UserId!: number;
+  public OrderId: number | null;
+  public quantity!: number;
+  public status!: TierWaitlistEntryStatus;
+  public reservedUntil: Date | null;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+  public deletedAt: Date | null;
+
+  public tier?: typeof models.Tier;
+  public user?: typeof models.User;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(TierWaitlistEntry) {
+  // Link the model to database fields
+  TierWaitlistEntry.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      TierId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Tiers' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Users' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      OrderId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Orders' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        defaultValue: 1,
+        allowNull: false,
+        validate: {
+          min: 1,
+        },
+      },
+      status: {
+        type: DataTypes.STRING,
+        defaultValue: TierWaitlistEntryStatus.WAITING,
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [Object.values(TierWaitlistEntryStatus)],
+            msg: `Must be one of: ${Object.values(TierWaitlistEntryStatus)}`,
+          },
+        },
+      },
+      reservedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'TierWaitlistEntries',
+      paranoid: true,
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(TierWaitlistEntry);
+
+export default TierWaitlistEntry;
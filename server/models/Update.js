@@ -11,6 +11,9 @@ import logger from '../lib/logger';
 import * as SQLQueries from '../lib/queries';
 import { buildSanitizerOptions, generateSummaryForHTML, sanitizeHTML } from '../lib/sanitize-html';
 import sequelize, { DataTypes, Op, QueryTypes } from '../lib/sequelize';
+import { checkSpamBeforeCreate, saveSpamReportAfterCreate } from '../lib/spam-pipeline';
+
+import { SpamEntityType } from './SpamReport';
 
 const sanitizerOptions = buildSanitizerOptions({
   titles: true,
@@ -242,7 +245,11 @@ function defineModel() {
           instance.slug = newSlug;
           await instance.save({ paranoid: false, hooks: false });
         },
-        afterCreate: instance => {
+        beforeCreate: instance => {
+          return checkSpamBeforeCreate(SpamEntityType.UPDATE, instance, 'Update.beforeCreate');
+        },
+        afterCreate: async (instance, options) => {
+          await saveSpamReportAfterCreate(instance, options);
           models.Activity.create({
             type: activities.COLLECTIVE_UPDATE_CREATED,
             UserId: instance.LastEditedByUserId,
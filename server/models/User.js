@@ -3,7 +3,7 @@ import { isEmailBurner } from 'burner-email-providers';
 import config from 'config';
 import debugLib from 'debug';
 import slugify from 'limax';
-import { defaults, get, intersection, pick } from 'lodash';
+import { defaults, get, intersection, pick, uniq } from 'lodash';
 import Temporal from 'sequelize-temporal';
 
 import roles from '../constants/roles';
@@ -303,16 +303,44 @@ function defineModel() {
         rolesByCollectiveId[m.CollectiveId].push(roles.ADMIN);
       });
     }
-    this.rolesByCollectiveId = rolesByCollectiveId;
+    // Personal tokens can be restricted to some accounts, see `limitRolesToCollectiveIds`
+    this.rolesByCollectiveId = this.limitedToCollectiveIds
+      ? pick(rolesByCollectiveId, this.limitedToCollectiveIds)
+      : rolesByCollectiveId;
     debug('populateRoles', this.rolesByCollectiveId);
     return this;
   };
 
+  /**
+   * Restricts the roles of the user to the given accounts, and to the collectives hosted by them.
+   * Used when authenticating with a personal token that is limited to some accounts.
+   */
+  User.prototype.limitRolesToCollectiveIds = async function (collectiveIds) {
+    const hostedMemberships = await models.Member.findAll({
+      attributes: ['CollectiveId'],
+      where: { MemberCollectiveId: { [Op.in]: collectiveIds }, role: roles.HOST },
+    });
+
+    this.limitedToCollectiveIds = uniq([...collectiveIds, ...hostedMemberships.map(m => m.CollectiveId)]);
+    this.rolesByCollectiveId = null;
+    return this.populateRoles();
+  };
+
+  /**
+   * Users have all the permissions on their own profile, unless their roles are limited to other accounts.
+   */
+  User.prototype.isOwnCollectiveId = function (CollectiveId) {
+    if (this.CollectiveId !== Number(CollectiveId)) {
+      return false;
+    }
+    return !this.limitedToCollectiveIds || this.limitedToCollectiveIds.includes(this.CollectiveId);
+  };
+
   User.prototype.hasRole = function (roles, CollectiveId) {
     if (!CollectiveId) {
       return false;
     }
-    if (this.CollectiveId === Number(CollectiveId)) {
+    if (this.isOwnCollectiveId(CollectiveId)) {
       return true;
     }
     if (!this.rolesByCollectiveId) {
@@ -330,7 +358,7 @@ function defineModel() {
 
   // Adding some sugars
   User.prototype.isAdmin = function (CollectiveId) {
-    const result = this.CollectiveId === Number(CollectiveId) || this.hasRole([roles.HOST, roles.ADMIN], CollectiveId);
+    const result = this.isOwnCollectiveId(CollectiveId) || this.hasRole([roles.HOST, roles.ADMIN], CollectiveId);
     debug('isAdmin of CollectiveId', CollectiveId, '?', result);
     return result;
   };
@@ -352,7 +380,7 @@ function defineModel() {
 
   User.prototype.isMember = function (CollectiveId) {
     const result =
-      this.CollectiveId === CollectiveId || this.hasRole([roles.HOST, roles.ADMIN, roles.MEMBER], CollectiveId);
+      this.isOwnCollectiveId(CollectiveId) || this.hasRole([roles.HOST, roles.ADMIN, roles.MEMBER], CollectiveId);
     debug('isMember of CollectiveId', CollectiveId, '?', result);
     return result;
   };
@@ -0,0 +1,130 @@
+import restoreSequelizeAttributesOnClass from '../lib/restore-sequelize-attributes-on-class';
+import sequelize, { DataTypes, Model } from '../lib/sequelize';
+
+import models from '.';
+
+export enum WebhookDeliveryStatus {
+  PENDING = 'PENDING',
+  SUCCESS = 'SUCCESS',
+  FAILED = 'FAILED',
+}
+
+interface WebhookDeliveryCreationAttributes {
+  NotificationId: number;
+  ActivityId?: number | null;
+  status?: WebhookDeliveryStatus;
+  payload: Record<string, unknown>;
+  attempts?: number;
+  nextAttemptAt?: Date | null;
+}
+
+export class WebhookDelivery extends Model<WebhookDelivery, WebhookDeliveryCreationAttributes> {
+  public readonly id!: number;
+  public NotificationId!: number;
+  public ActivityId: number | null;
+  public status!: WebhookDeliveryStatus;
+  public payload!: Record<string, unknown>;
+  public attempts!: number;
+  public responseStatusCode: number | null;
+  public latency: number | null;
+  public error: string | null;
+  public lastAttemptAt: Date | null;
+  public nextAttemptAt: Date | null;
+  public createdAt!: Date;
+  public updatedAt!: Date;
+
+  public webhook?: typeof models.Notification;
+
+  constructor(...args) {
+    super(...args);
+    restoreSequelizeAttributesOnClass(new.target, this);
+  }
+}
+
+function setupModel(WebhookDelivery) {
+  // Link the model to database fields
+  WebhookDelivery.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      NotificationId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Notifications' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+        allowNull: false,
+      },
+      ActivityId: {
+        type: DataTypes.INTEGER,
+        references: { key: 'id', model: 'Activities' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(WebhookDeliveryStatus)),
+        allowNull: false,
+        defaultValue: WebhookDeliveryStatus.PENDING,
+        validate: {
+          isIn: {
+            args: [Object.values(WebhookDeliveryStatus)],
+            msg: `Must be one of: ${Object.values(WebhookDeliveryStatus)}`,
+          },
+        },
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      responseStatusCode: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      latency: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Time in milliseconds taken by the remote server to respond to the last attempt',
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      lastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      tableName: 'WebhookDeliveries',
+    },
+  );
+}
+
+// We're using the setupModel function to keep the indentation and have a clearer git history.
+// Please consider this if you plan to refactor.
+setupModel(WebhookDelivery);
+
+export default WebhookDelivery;
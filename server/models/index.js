@@ -2,6 +2,7 @@ import sequelize, { Op } from '../lib/sequelize';
 
 import Activity from './Activity';
 import Application from './Application';
+import BudgetLine from './BudgetLine';
 import Collective from './Collective';
 import Comment from './Comment';
 import ConnectedAccount from './ConnectedAccount';
@@ -10,27 +11,38 @@ import ConversationFollower from './ConversationFollower';
 import CurrencyExchangeRate from './CurrencyExchangeRate';
 import EmojiReaction from './EmojiReaction';
 import Expense from './Expense';
+import ExpenseApproval from './ExpenseApproval';
 import ExpenseAttachedFile from './ExpenseAttachedFile';
 import ExpenseItem from './ExpenseItem';
 import HostApplication from './HostApplication';
+import LedgerIntegrityIssue from './LedgerIntegrityIssue';
 import LegalDocument from './LegalDocument';
 import Member from './Member';
 import MemberInvitation from './MemberInvitation';
+import ModerationDecision from './ModerationDecision';
 import Notification from './Notification';
+import OAuthAuthorization from './OAuthAuthorization';
+import OAuthAuthorizationCode from './OAuthAuthorizationCode';
+import OAuthToken from './OAuthToken';
 import Order from './Order';
 import PaymentMethod from './PaymentMethod';
 import PayoutMethod from './PayoutMethod';
 import PaypalPlan from './PaypalPlan';
 import PaypalProduct from './PaypalProduct';
+import RecurringExpense from './RecurringExpense';
 import RequiredLegalDocument from './RequiredLegalDocument';
 import Session from './Session';
+import SpamReport from './SpamReport';
 import Subscription from './Subscription';
+import TicketCheckIn from './TicketCheckIn';
 import Tier from './Tier';
+import TierWaitlistEntry from './TierWaitlistEntry';
 import Transaction from './Transaction';
 import TransactionSettlement from './TransactionSettlement';
 import Update from './Update';
 import User from './User';
 import VirtualCard from './VirtualCard';
+import WebhookDelivery from './WebhookDelivery';
 
 /**
  * Separate function to be able to use in scripts
@@ -43,6 +55,7 @@ export function setupModels() {
    */
   m['Activity'] = Activity;
   m['Application'] = Application;
+  m['BudgetLine'] = BudgetLine;
   m['Collective'] = Collective;
   m['Comment'] = Comment;
   m['EmojiReaction'] = EmojiReaction;
@@ -51,27 +64,38 @@ export function setupModels() {
   m['ConversationFollower'] = ConversationFollower;
   m['CurrencyExchangeRate'] = CurrencyExchangeRate;
   m['Expense'] = Expense;
+  m['ExpenseApproval'] = ExpenseApproval;
   m['ExpenseAttachedFile'] = ExpenseAttachedFile;
   m['ExpenseItem'] = ExpenseItem;
   m['HostApplication'] = HostApplication;
+  m['LedgerIntegrityIssue'] = LedgerIntegrityIssue;
   m['LegalDocument'] = LegalDocument;
   m['Member'] = Member;
   m['MemberInvitation'] = MemberInvitation;
+  m['ModerationDecision'] = ModerationDecision;
   m['Notification'] = Notification;
+  m['OAuthAuthorization'] = OAuthAuthorization;
+  m['OAuthAuthorizationCode'] = OAuthAuthorizationCode;
+  m['OAuthToken'] = OAuthToken;
   m['Order'] = Order;
   m['PaymentMethod'] = PaymentMethod;
   m['PayoutMethod'] = PayoutMethod;
   m['PaypalPlan'] = PaypalPlan;
   m['PaypalProduct'] = PaypalProduct;
+  m['RecurringExpense'] = RecurringExpense;
   m['RequiredLegalDocument'] = RequiredLegalDocument;
   m['Session'] = Session;
+  m['SpamReport'] = SpamReport;
   m['Subscription'] = Subscription;
+  m['TicketCheckIn'] = TicketCheckIn;
   m['Tier'] = Tier;
+  m['TierWaitlistEntry'] = TierWaitlistEntry;
   m['Transaction'] = Transaction;
   m['TransactionSettlement'] = TransactionSettlement;
   m['Update'] = Update;
   m['User'] = User;
   m['VirtualCard'] = VirtualCard;
+  m['WebhookDelivery'] = WebhookDelivery;
 
   /**
    * Relationships
@@ -179,6 +203,24 @@ export function setupModels() {
   m.Notification.belongsTo(m.User);
 
   m.Notification.belongsTo(m.Collective);
+  m.Notification.hasMany(m.WebhookDelivery, { foreignKey: 'NotificationId', as: 'deliveries' });
+
+  // OAuth
+  m.OAuthAuthorization.belongsTo(m.Application, { foreignKey: 'ApplicationId', as: 'application' });
+  m.OAuthAuthorization.belongsTo(m.User, { foreignKey: 'UserId', as: 'user' });
+  m.OAuthAuthorizationCode.belongsTo(m.Application, { foreignKey: 'ApplicationId', as: 'application' });
+  m.OAuthToken.belongsTo(m.Application, { foreignKey: 'ApplicationId', as: 'application' });
+  m.OAuthToken.belongsTo(m.User, { foreignKey: 'UserId', as: 'user' });
+
+  // Webhook deliveries
+  m.WebhookDelivery.belongsTo(m.Notification, { foreignKey: 'NotificationId', as: 'webhook' });
+  m.WebhookDelivery.belongsTo(m.Activity, { foreignKey: 'ActivityId', as: 'activity' });
+
+  // Budget lines
+  m.BudgetLine.belongsTo(m.Collective, { foreignKey: 'CollectiveId', as: 'collective' });
+
+  // Ledger integrity
+  m.LedgerIntegrityIssue.belongsTo(m.Transaction, { foreignKey: 'TransactionId', as: 'transaction' });
 
   // Transactions
   m.Collective.hasMany(m.Transaction, { foreignKey: 'CollectiveId' });
@@ -224,6 +266,7 @@ export function setupModels() {
     foreignKey: 'VirtualCardId',
     as: 'virtualCard',
   });
+  m.Expense.hasMany(m.ExpenseApproval, { as: 'approvals' });
   m.Expense.hasMany(m.ExpenseAttachedFile, { as: 'attachedFiles' });
   m.Expense.hasMany(m.ExpenseItem, { as: 'items' });
   m.Expense.hasMany(m.Transaction);
@@ -233,6 +276,15 @@ export function setupModels() {
   // Expense items
   m.ExpenseItem.belongsTo(m.Expense);
 
+  // Recurring expenses
+  m.RecurringExpense.belongsTo(m.Collective, { foreignKey: 'CollectiveId', as: 'collective' });
+  m.RecurringExpense.belongsTo(m.Collective, { foreignKey: 'FromCollectiveId', as: 'fromCollective' });
+  m.RecurringExpense.belongsTo(m.PayoutMethod, { foreignKey: 'PayoutMethodId', as: 'payoutMethod' });
+
+  // Expense approvals
+  m.ExpenseApproval.belongsTo(m.Expense);
+  m.ExpenseApproval.belongsTo(m.User, { foreignKey: 'UserId', as: 'user' });
+
   // Expense attached files
   m.ExpenseAttachedFile.belongsTo(m.Expense);
 
@@ -242,6 +294,8 @@ export function setupModels() {
   m.Comment.belongsTo(m.Expense, { foreignKey: 'ExpenseId', as: 'expense' });
   m.Comment.belongsTo(m.Update, { foreignKey: 'UpdateId', as: 'update' });
   m.Comment.belongsTo(m.User, { foreignKey: 'CreatedByUserId', as: 'user' });
+  m.Comment.belongsTo(m.Comment, { foreignKey: 'ParentCommentId', as: 'parentComment' });
+  m.Comment.hasMany(m.Comment, { foreignKey: 'ParentCommentId', as: 'replies' });
 
   // Comment reactions
   m.EmojiReaction.belongsTo(m.Comment);
@@ -310,8 +364,26 @@ export function setupModels() {
     as: 'plans',
   });
 
+  // SpamReport
+  m.SpamReport.belongsTo(m.Collective, { foreignKey: 'CollectiveId', as: 'collective' });
+  m.SpamReport.belongsTo(m.User, { foreignKey: 'UserId', as: 'user' });
+  m.SpamReport.belongsTo(m.User, { foreignKey: 'ReportedByUserId', as: 'reportedByUser' });
+  m.SpamReport.hasMany(m.ModerationDecision, { foreignKey: 'SpamReportId', as: 'decisions' });
+  m.ModerationDecision.belongsTo(m.SpamReport, { foreignKey: 'SpamReportId', as: 'report' });
+  m.ModerationDecision.belongsTo(m.User, { foreignKey: 'UserId', as: 'user' });
+
+  // TicketCheckIn
+  m.TicketCheckIn.belongsTo(m.Order, { foreignKey: 'OrderId', as: 'order' });
+  m.TicketCheckIn.belongsTo(m.User, { foreignKey: 'CheckedInByUserId', as: 'checkedInByUser' });
+
   // Tier
   m.Tier.belongsTo(m.Collective);
+  m.Tier.hasMany(m.TierWaitlistEntry, { as: 'waitlistEntries' });
+
+  // TierWaitlistEntry
+  m.TierWaitlistEntry.belongsTo(m.Tier, { foreignKey: 'TierId', as: 'tier' });
+  m.TierWaitlistEntry.belongsTo(m.User, { foreignKey: 'UserId', as: 'user' });
+  m.TierWaitlistEntry.belongsTo(m.Order, { foreignKey: 'OrderId', as: 'order' });
 
   // Update
   m.Update.belongsTo(m.Collective, { foreignKey: 'CollectiveId', as: 'collective' });
@@ -2,6 +2,7 @@ import opencollective from './opencollective';
 import paypal from './paypal';
 import privacy from './privacy';
 import stripe from './stripe';
+import thegivingblock from './thegivingblock';
 import transferwise from './transferwise';
 
 export default {
@@ -9,5 +10,6 @@ export default {
   paypal,
   privacy,
   stripe,
+  thegivingblock,
   transferwise,
 };
@@ -293,6 +293,8 @@ const verifySubscription = async (order: typeof models.Order, paypalSubscription
     throw new Error(`PayPal plan does not match the subscription (#${paypalSubscription.id})`);
   } else if (plan.amount !== order.totalAmount) {
     throw new Error('The plan amount does not match the order amount');
+  } else if (plan.interval !== order.interval) {
+    throw new Error('The plan interval does not match the order interval');
   }
 };
 
@@ -0,0 +1,271 @@
+/* eslint-disable camelcase */
+import config from 'config';
+import debugLib from 'debug';
+import { get, omit } from 'lodash';
+
+import OrderStatus from '../../constants/order_status';
+import { PAYMENT_METHOD_TYPE } from '../../constants/paymentMethods';
+import logger from '../../lib/logger';
+import * as paymentsLib from '../../lib/payments';
+import { handleSettledCharge } from '../../lib/recurring-contributions';
+import stripe, { convertToStripeAmount } from '../../lib/stripe';
+import models from '../../models';
+
+import { refundTransaction, refundTransactionOnlyInDatabase } from './common';
+import { createChargeTransactions } from './creditcard';
+
+const debug = debugLib('stripe:bank-debit');
+
+/**
+ * Bank debits (SEPA Direct Debit and ACH Direct Debit)
+ * The contributor authorizes the host to debit their bank account by accepting a mandate, which is stored on the
+ * payment method and reused for the next charges of recurring contributions. Unlike credit cards, these charges
+ * take a few business days to settle: the order stays `PROCESSING` until Stripe notifies us that the charge
+ * succeeded or failed (`charge.succeeded` / `charge.failed` webhooks).
+ *
+ * The token of the payment method is the id of a Stripe PaymentMethod created with Stripe.js on the host account.
+ */
+
+/** The currency in which each type of bank debit can be charged */
+const BANK_DEBIT_CURRENCIES = {
+  [PAYMENT_METHOD_TYPE.SEPA_DEBIT]: 'EUR',
+  [PAYMENT_METHOD_TYPE.US_BANK_ACCOUNT]: 'USD',
+};
+
+export const BANK_DEBIT_TYPES = Object.keys(BANK_DEBIT_CURRENCIES);
+
+const getOrCreateCustomerOnHostAccount = async (
+  hostStripeAccount: typeof models.ConnectedAccount,
+  { paymentMethod, user }: { paymentMethod: typeof models.PaymentMethod; user: typeof models.User },
+): Promise<string> => {
+  const customerId = get(paymentMethod.data, ['customerIdForHost', hostStripeAccount.username]);
+  if (customerId) {
+    return customerId;
+  }
+
+  const customer = await stripe.customers.create(
+    { email: user.email, payment_method: paymentMethod.token },
+    { stripeAccount: hostStripeAccount.username },
+  );
+
+  const stripePaymentMethod = await stripe.paymentMethods.retrieve(paymentMethod.token, {
+    stripeAccount: hostStripeAccount.username,
+  });
+  const bankAccount = stripePaymentMethod[paymentMethod.type] || {};
+  const data = {
+    ...paymentMethod.data,
+    customerIdForHost: { [hostStripeAccount.username]: customer.id },
+    last4: bankAccount.last4,
+    bankName: bankAccount.bank_name || bankAccount.bank_code,
+    country: bankAccount.country,
+  };
+
+  await paymentMethod.update({ data, name: paymentMethod.name || bankAccount.last4 });
+  return customer.id;
+};
+
+/**
+ * The mandate is accepted online by the contributor with the first charge, then reused for the next ones
+ */
+const getMandatePayload = (order: typeof models.Order): Record<string, unknown> => {
+  const mandate = order.paymentMethod.data?.mandate;
+  if (mandate) {
+    return { mandate: mandate.id, off_session: true };
+  } else {
+    return {
+      mandate_data: {
+        customer_acceptance: {
+          type: 'online',
+          online: { ip_address: order.data?.reqIp, user_agent: order.data?.reqUserAgent },
+        },
+      },
+    };
+  }
+};
+
+const saveMandate = async (order: typeof models.Order, paymentIntent): Promise<void> => {
+  const charge = paymentIntent.charges?.data[0];
+  const mandateId = get(charge, ['payment_method_details', order.paymentMethod.type, 'mandate']);
+  if (!mandateId || order.paymentMethod.data?.mandate?.id === mandateId) {
+    return;
+  }
+
+  const mandate = { id: mandateId, acceptedAt: new Date(), ipAddress: order.data?.reqIp };
+  await order.paymentMethod.update({
+    data: { ...order.paymentMethod.data, mandate },
+    confirmedAt: order.paymentMethod.confirmedAt || new Date(),
+    saved: order.paymentMethod.saved || Boolean(order.interval || order.data?.savePaymentMethod),
+  });
+};
+
+const createPaymentIntent = async (hostStripeAccount: typeof models.ConnectedAccount, order: typeof models.Order) => {
+  const host = await order.collective.getHostCollective();
+  const applicationFee = await paymentsLib.getApplicationFee(order, host);
+  const customerId = await getOrCreateCustomerOnHostAccount(hostStripeAccount, {
+    paymentMethod: order.paymentMethod,
+    user: order.createdByUser,
+  });
+
+  const createPayload = {
+    amount: convertToStripeAmount(order.currency, order.totalAmount),
+    currency: order.currency.toLowerCase(),
+    customer: customerId,
+    payment_method: order.paymentMethod.token,
+    payment_method_types: [order.paymentMethod.type],
+    description: order.description,
+    confirm: true,
+    metadata: {
+      OrderId: order.id,
+      from: `${config.host.website}/${order.fromCollective.slug}`,
+      to: `${config.host.website}/${order.collective.slug}`,
+    },
+    ...getMandatePayload(order),
+  };
+
+  // We don't add a platform fee if the host is the root account
+  if (applicationFee && hostStripeAccount.username !== config.stripe.accountId) {
+    createPayload['application_fee_amount'] = convertToStripeAmount(order.currency, applicationFee);
+  }
+  if (order.interval && !order.paymentMethod.data?.mandate) {
+    createPayload['setup_future_usage'] = 'off_session';
+  }
+
+  return stripe.paymentIntents.create(createPayload, { stripeAccount: hostStripeAccount.username });
+};
+
+const processOrder = async (order: typeof models.Order): Promise<typeof models.Transaction | void> => {
+  const hostStripeAccount = await order.collective.getHostStripeAccount();
+  if (!hostStripeAccount) {
+    throw new Error('Host is not connected to Stripe');
+  }
+
+  const expectedCurrency = BANK_DEBIT_CURRENCIES[order.paymentMethod.type];
+  if (order.currency !== expectedCurrency) {
+    throw new Error(`This bank account can only be debited in ${expectedCurrency}`);
+  }
+
+  let paymentIntent;
+  if (order.data?.paymentIntent) {
+    debug(`intent for order ${order.id} already exists, fetching it from stripe`);
+    paymentIntent = await stripe.paymentIntents.retrieve(order.data.paymentIntent.id, {
+      stripeAccount: hostStripeAccount.username,
+    });
+  } else {
+    debug(`creating intent for order ${order.id}`);
+    paymentIntent = await createPaymentIntent(hostStripeAccount, order);
+    await saveMandate(order, paymentIntent);
+  }
+
+  if (paymentIntent.status === 'succeeded') {
+    return createChargeTransactions(hostStripeAccount, { order, charge: paymentIntent.charges.data[0] });
+  } else if (paymentIntent.status === 'processing') {
+    await order.update({
+      status: OrderStatus.PROCESSING,
+      data: { ...order.data, paymentIntent: { id: paymentIntent.id, status: paymentIntent.status } },
+    });
+  } else if (paymentIntent.next_action) {
+    // ACH: the bank account must be verified with micro-deposits
+    await order.update({
+      data: { ...order.data, paymentIntent: { id: paymentIntent.id, status: paymentIntent.status } },
+    });
+    const paymentIntentError = new Error('Payment Intent require action');
+    paymentIntentError['stripeAccount'] = hostStripeAccount.username;
+    paymentIntentError['stripeResponse'] = { paymentIntent };
+    throw paymentIntentError;
+  } else {
+    await order.update({ data: omit(order.data, ['paymentIntent']) });
+    throw new Error(paymentIntent.last_payment_error?.message || 'The bank account could not be debited');
+  }
+};
+
+/**
+ * Marks the payment intent of the order as being settled. The update only applies if the order is still waiting
+ * for the debit, so that when Stripe delivers the same event twice in parallel, only one of them settles the order.
+ */
+const claimOrderForSettlement = async (order: typeof models.Order): Promise<boolean> => {
+  const [claimedCount] = await models.Order.update(
+    { data: { ...order.data, paymentIntent: { ...order.data.paymentIntent, status: 'settling' } } },
+    { where: { id: order.id, status: OrderStatus.PROCESSING, data: { paymentIntent: { status: 'processing' } } } },
+  );
+
+  return claimedCount === 1;
+};
+
+const releaseOrderForSettlement = async (orderId: number): Promise<void> => {
+  const order = await models.Order.findByPk(orderId);
+  if (order?.data?.paymentIntent) {
+    await models.Order.update(
+      { data: { ...order.data, paymentIntent: { ...order.data.paymentIntent, status: 'processing' } } },
+      { where: { id: order.id, status: OrderStatus.PROCESSING, data: { paymentIntent: { status: 'settling' } } } },
+    );
+  }
+};
+
+/**
+ * Settles the order once the bank confirmed (or rejected) the debit
+ */
+const webhook = async (_, event): Promise<void> => {
+  const charge = event.data.object;
+  if (!BANK_DEBIT_TYPES.includes(charge.payment_method_details?.type)) {
+    return;
+  }
+
+  const order = await models.Order.findOne({
+    where: { status: OrderStatus.PROCESSING, data: { paymentIntent: { id: charge.payment_intent } } },
+    include: [
+      { model: models.Collective, as: 'collective' },
+      { model: models.Collective, as: 'fromCollective' },
+      { model: models.PaymentMethod, as: 'paymentMethod' },
+      { model: models.Subscription, as: 'Subscription' },
+      { association: 'createdByUser' },
+    ],
+  });
+
+  if (!order) {
+    logger.warn(`Could not find the order for ${event.type} event (${charge.payment_intent})`);
+    return;
+  } else if (!['charge.succeeded', 'charge.failed'].includes(event.type)) {
+    return;
+  } else if (!(await claimOrderForSettlement(order))) {
+    logger.info(`Order #${order.id} is already being settled, ignoring ${event.type} event`);
+    return;
+  }
+
+  await order.reload();
+  if (event.type === 'charge.succeeded') {
+    try {
+      if (!order.processedAt) {
+        // First charge: creates the transactions and the subscription, and marks the order as PAID (or ACTIVE)
+        await paymentsLib.executeOrder(order.createdByUser, order);
+      } else {
+        const transaction = await processOrder(order);
+        await handleSettledCharge(order, { transaction });
+      }
+    } catch (e) {
+      // Let the next delivery of the event settle the order
+      await releaseOrderForSettlement(order.id);
+      throw e;
+    }
+  } else if (event.type === 'charge.failed') {
+    const error = new Error(charge.failure_message || 'The bank account could not be debited');
+    if (!order.processedAt) {
+      await order.update({
+        status: OrderStatus.ERROR,
+        data: { ...omit(order.data, ['paymentIntent']), error: { message: error.message } },
+      });
+    } else {
+      await handleSettledCharge(order, { error });
+    }
+  }
+};
+
+export default {
+  features: {
+    recurring: true,
+    waitToCharge: false,
+  },
+  processOrder,
+  webhook,
+  refundTransaction,
+  refundTransactionOnlyInDatabase,
+};
@@ -119,8 +119,6 @@ const getOrCreateCustomerOnHostAccount = async (hostStripeAccount, { paymentMeth
  */
 const createChargeAndTransactions = async (hostStripeAccount, { order, hostStripeCustomer }) => {
   const host = await order.collective.getHostCollective();
-  const hostFeeSharePercent = await getHostFeeSharePercent(order, host);
-  const isSharedRevenue = !!hostFeeSharePercent;
 
   // Compute Application Fee (Shared Revenue + Platform Tip)
   const applicationFee = await getApplicationFee(order, host);
@@ -187,6 +185,16 @@ const createChargeAndTransactions = async (hostStripeAccount, { order, hostStrip
   }
 
   const charge = paymentIntent.charges.data[0];
+  return createChargeTransactions(hostStripeAccount, { order, charge });
+};
+
+/**
+ * Creates the transactions for a successful charge on the host Stripe account
+ */
+export const createChargeTransactions = async (hostStripeAccount, { order, charge }) => {
+  const host = await order.collective.getHostCollective();
+  const hostFeeSharePercent = await getHostFeeSharePercent(order, host);
+  const isSharedRevenue = !!hostFeeSharePercent;
 
   const balanceTransaction = await stripe.balanceTransactions.retrieve(charge.balance_transaction, {
     stripeAccount: hostStripeAccount.username,
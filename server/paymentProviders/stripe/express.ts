@@ -0,0 +1,153 @@
+/* eslint-disable camelcase */
+import config from 'config';
+import { get } from 'lodash';
+
+import { getFxRate } from '../../lib/currency';
+import stripe, { convertToStripeAmount } from '../../lib/stripe';
+import models from '../../models';
+import { PayoutMethod, PayoutMethodTypes } from '../../models/PayoutMethod';
+
+/**
+ * Stripe Connect Express
+ * Enables a host to pay expenses to the bank account of the payees through Stripe. Every payee gets an Express
+ * account under the platform Stripe account, onboarded through an account link hosted by Stripe. Paying an expense
+ * transfers the funds from the platform balance to the Express account, and Stripe then pays them out to the payee's
+ * bank account.
+ *
+ * Stripe only lets the platform create and fund Express accounts, so this is limited to the hosts whose funds are
+ * held on the platform Stripe account (see `config.stripe.accountId`).
+ *
+ * The Express account is stored on a `BANK_ACCOUNT` payout method, in `data.stripe`.
+ */
+
+export type StripeExpressPayoutMethodData = {
+  accountId: string;
+  HostCollectiveId: number;
+};
+
+export const isStripeExpressPayoutMethod = (payoutMethod: PayoutMethod): boolean => {
+  return Boolean(payoutMethod?.type === PayoutMethodTypes.BANK_ACCOUNT && payoutMethod.unfilteredData?.stripe);
+};
+
+export const hasStripeExpressPayouts = (host: typeof models.Collective): boolean => {
+  return Boolean(get(host, 'settings.stripeExpressPayouts.enabled'));
+};
+
+const checkHostUsesPlatformStripeAccount = async (host: typeof models.Collective): Promise<void> => {
+  const stripeAccount = await models.ConnectedAccount.findOne({
+    where: { service: 'stripe', CollectiveId: host.id },
+    order: [['createdAt', 'DESC']],
+  });
+
+  if (!stripeAccount) {
+    throw new Error('Host is not connected to Stripe');
+  } else if (stripeAccount.username !== config.stripe.accountId) {
+    throw new Error('Stripe payouts are only available for the hosts using the platform Stripe account');
+  }
+};
+
+/**
+ * Returns the Stripe Express payout method of `collective` for `host`, creating the Express account if needed.
+ */
+export const getOrCreatePayoutMethod = async (
+  host: typeof models.Collective,
+  collective: typeof models.Collective,
+  user: typeof models.User,
+): Promise<PayoutMethod> => {
+  if (!hasStripeExpressPayouts(host)) {
+    throw new Error(`${host.name} does not pay expenses with Stripe`);
+  }
+
+  const existingPayoutMethod = await models.PayoutMethod.findOne({
+    where: {
+      CollectiveId: collective.id,
+      type: PayoutMethodTypes.BANK_ACCOUNT,
+      data: { stripe: { HostCollectiveId: host.id } },
+    },
+  });
+  if (existingPayoutMethod) {
+    return existingPayoutMethod.isSaved ? existingPayoutMethod : existingPayoutMethod.update({ isSaved: true });
+  }
+
+  await checkHostUsesPlatformStripeAccount(host);
+  const account = await stripe.accounts.create({
+    type: 'express',
+    email: user.email,
+    default_currency: host.currency.toLowerCase(),
+    capabilities: { transfers: { requested: true } },
+    business_profile: { url: `${config.host.website}/${collective.slug}` },
+    metadata: { CollectiveId: collective.id, HostCollectiveId: host.id },
+  });
+
+  return models.PayoutMethod.create({
+    type: PayoutMethodTypes.BANK_ACCOUNT,
+    name: `Stripe (${host.name})`,
+    isSaved: true,
+    CollectiveId: collective.id,
+    CreatedByUserId: user.id,
+    data: {
+      accountHolderName: collective.legalName || collective.name,
+      currency: host.currency,
+      type: 'stripe',
+      details: {},
+      stripe: <StripeExpressPayoutMethodData>{ accountId: account.id, HostCollectiveId: host.id },
+    },
+  });
+};
+
+/**
+ * Creates a link to the Stripe onboarding of the Express account, where the payee enters their bank details.
+ * Links are single-use and expire after a few minutes, the payee is redirected to `refreshUrl` to get a new one.
+ */
+export const createAccountLink = async (
+  payoutMethod: PayoutMethod,
+  { returnUrl, refreshUrl }: { returnUrl: string; refreshUrl: string },
+): Promise<{ url: string; expiresAt: Date }> => {
+  const { accountId } = <StripeExpressPayoutMethodData>payoutMethod.unfilteredData.stripe;
+  const accountLink = await stripe.accountLinks.create({
+    account: accountId,
+    type: 'account_onboarding',
+    return_url: returnUrl,
+    refresh_url: refreshUrl,
+  });
+
+  return { url: accountLink.url, expiresAt: new Date(accountLink.expires_at * 1000) };
+};
+
+/**
+ * Transfers the amount of the expense, in host currency, from the platform balance to the Express account of the
+ * payee. Transfers between Stripe accounts are immediate and free, the payout to the bank account is handled by Stripe.
+ * The transfer is idempotent for the expense, retrying it doesn't send the funds twice.
+ */
+export const payExpense = async (
+  host: typeof models.Collective,
+  payoutMethod: PayoutMethod,
+  expense: typeof models.Expense,
+): Promise<Record<string, unknown>> => {
+  const { accountId, HostCollectiveId } = <StripeExpressPayoutMethodData>payoutMethod.unfilteredData.stripe;
+  if (HostCollectiveId !== host.id) {
+    throw new Error('This Stripe account was set up to be paid by another host');
+  }
+
+  await checkHostUsesPlatformStripeAccount(host);
+  const account = await stripe.accounts.retrieve(accountId);
+  if (account.capabilities?.transfers !== 'active') {
+    throw new Error('The payee has not completed their Stripe onboarding yet');
+  }
+
+  const fxRate = await getFxRate(expense.currency, host.currency);
+  const amountInHostCurrency = Math.round(expense.amount * fxRate);
+  const transfer = await stripe.transfers.create(
+    {
+      amount: convertToStripeAmount(host.currency, amountInHostCurrency),
+      currency: host.currency.toLowerCase(),
+      destination: accountId,
+      description: `Expense #${expense.id}: ${expense.description}`,
+      transfer_group: `expense-${expense.id}`,
+      metadata: { ExpenseId: expense.id },
+    },
+    { idempotencyKey: `expense-${expense.id}` },
+  );
+
+  return { id: transfer.id, amount: transfer.amount, currency: transfer.currency, destination: transfer.destination };
+};
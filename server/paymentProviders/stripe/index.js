@@ -6,6 +6,7 @@ import debugLib from 'debug';
 import jwt from 'jsonwebtoken';
 import { get } from 'lodash';
 
+import { PAYMENT_METHOD_TYPE } from '../../constants/paymentMethods';
 import errors from '../../lib/errors';
 import logger from '../../lib/logger';
 import stripe from '../../lib/stripe';
@@ -13,6 +14,7 @@ import { addParamsToUrl } from '../../lib/utils';
 import models from '../../models';
 
 import alipay from './alipay';
+import bankDebit from './bank-debit';
 import creditcard from './creditcard';
 
 const debug = debugLib('stripe');
@@ -51,6 +53,8 @@ export default {
     default: creditcard,
     creditcard,
     alipay,
+    [PAYMENT_METHOD_TYPE.SEPA_DEBIT]: bankDebit,
+    [PAYMENT_METHOD_TYPE.US_BANK_ACCOUNT]: bankDebit,
   },
 
   oauth: {
@@ -200,6 +204,9 @@ export default {
         throw new errors.BadRequest('Stripe-Bitcoin not supported anymore :(');
       case 'alipay':
         return alipay.processOrder(order);
+      case PAYMENT_METHOD_TYPE.SEPA_DEBIT:
+      case PAYMENT_METHOD_TYPE.US_BANK_ACCOUNT:
+        return bankDebit.processOrder(order);
       case 'creditcard': /* Fallthrough */
       default:
         return creditcard.processOrder(order);
@@ -225,6 +232,8 @@ export default {
         return creditcard.webhook(requestBody, event);
       } else if (event.type === 'charge.refund.updated') {
         return alipay.webhook(requestBody, event);
+      } else if (event.type === 'charge.succeeded' || event.type === 'charge.failed') {
+        return bankDebit.webhook(requestBody, event);
       } else if (event.type === 'source.chargeable') {
         /* This will cause stripe to send us email alerts, saying
          * that our stuff is broken. But that should never happen
@@ -0,0 +1,138 @@
+import { pick } from 'lodash';
+
+import { Service } from '../../constants/connected_account';
+import { PAYMENT_METHOD_TYPE } from '../../constants/paymentMethods';
+import { TransactionTypes } from '../../constants/transactions';
+import { getFxRate } from '../../lib/currency';
+import {
+  createRefundTransaction,
+  getHostFee,
+  getHostFeeSharePercent,
+  getPlatformTip,
+  isPlatformTipEligible,
+} from '../../lib/payments';
+import * as thegivingblock from '../../lib/thegivingblock';
+import models from '../../models';
+import { PaymentProviderService } from '../types';
+
+/**
+ * The Giving Block
+ * Enables a host to receive crypto contributions. Processing an order works in two steps:
+ * 1. When the order is created, a pledge is made on The Giving Block. The contributor receives a deposit address
+ *    and the order stays NEW.
+ * 2. When the deposit is received, The Giving Block notifies our webhook, which records the deposit on the order
+ *    and executes it again. This time, the transactions are created.
+ */
+
+const getHostConnectedAccount = async (
+  host: typeof models.Collective,
+): Promise<typeof models.ConnectedAccount> => {
+  const [connectedAccount] = await host.getConnectedAccounts({ where: { service: Service.THEGIVINGBLOCK } });
+  return connectedAccount;
+};
+
+const createPledge = async (order: typeof models.Order, host: typeof models.Collective): Promise<void> => {
+  const connectedAccount = await getHostConnectedAccount(host);
+  if (!connectedAccount) {
+    throw new Error(`${host.name} does not accept crypto contributions`);
+  }
+
+  const { pledgeAmount, pledgeCurrency } = order.paymentMethod.data || {};
+  if (!pledgeCurrency || !pledgeAmount) {
+    throw new Error('The cryptocurrency and the pledged amount are required for a crypto contribution');
+  }
+
+  const pledge = await thegivingblock.createPledge(connectedAccount, {
+    pledgeCurrency,
+    pledgeAmount: pledgeAmount.toString(),
+  });
+
+  const pledgeData = { ...pick(pledge, ['pledgeId', 'depositAddress']), pledgeAmount, pledgeCurrency };
+  await order.update({ data: { ...order.data, thegivingblock: pledgeData } });
+  await order.paymentMethod.update({ data: { ...order.paymentMethod.data, ...pledgeData } });
+};
+
+const createTransactions = async (
+  order: typeof models.Order,
+  host: typeof models.Collective,
+): Promise<typeof models.Transaction> => {
+  const hostFeeSharePercent = await getHostFeeSharePercent(order, host);
+  const isSharedRevenue = !!hostFeeSharePercent;
+
+  const amount = order.totalAmount;
+  const currency = order.currency;
+  const hostCurrency = host.currency;
+  const hostCurrencyFxRate = await getFxRate(order.currency, hostCurrency);
+  const amountInHostCurrency = Math.round(order.totalAmount * hostCurrencyFxRate);
+
+  const hostFee = await getHostFee(order, host);
+  const hostFeeInHostCurrency = Math.round(hostFee * hostCurrencyFxRate);
+
+  const platformTipEligible = await isPlatformTipEligible(order, host);
+  const platformTip = getPlatformTip(order);
+  const platformTipInHostCurrency = Math.round(platformTip * hostCurrencyFxRate);
+
+  const transactionPayload = {
+    ...pick(order, ['CreatedByUserId', 'FromCollectiveId', 'CollectiveId', 'PaymentMethodId']),
+    type: TransactionTypes.CREDIT,
+    OrderId: order.id,
+    amount,
+    currency,
+    hostCurrency,
+    hostCurrencyFxRate,
+    amountInHostCurrency,
+    hostFeeInHostCurrency,
+    taxAmount: order.taxAmount,
+    description: order.description,
+    paymentProcessorFeeInHostCurrency: 0,
+    data: {
+      isFeesOnTop: order.data?.isFeesOnTop,
+      hasPlatformTip: platformTip ? true : false,
+      isSharedRevenue,
+      platformTipEligible,
+      platformTip,
+      platformTipInHostCurrency,
+      hostFeeSharePercent,
+      tax: order.data?.tax,
+      thegivingblock: order.data.thegivingblock,
+    },
+  };
+
+  return models.Transaction.createFromContributionPayload(transactionPayload);
+};
+
+const processOrder = async (order: typeof models.Order): Promise<typeof models.Transaction> => {
+  const host = await order.collective.getHostCollective();
+  if (order.data?.thegivingblock?.deposit) {
+    return createTransactions(order, host);
+  } else {
+    // The transactions will be created when the deposit is received, see `./webhook.ts`
+    await createPledge(order, host);
+  }
+};
+
+/**
+ * Crypto deposits can't be refunded through The Giving Block, it's up to the host to send the funds back.
+ */
+const refundTransaction = async (
+  transaction: typeof models.Transaction,
+  user: typeof models.User,
+): Promise<typeof models.Transaction> => {
+  return createRefundTransaction(transaction, 0, null, user);
+};
+
+const crypto: PaymentProviderService = {
+  features: {
+    recurring: false,
+    isRecurringManagedExternally: false,
+  },
+  processOrder,
+  refundTransaction,
+};
+
+export default {
+  types: {
+    default: crypto,
+    [PAYMENT_METHOD_TYPE.CRYPTO]: crypto,
+  },
+};
@@ -1,11 +1,106 @@
 import { Request } from 'express';
+import { pick } from 'lodash';
 
+import { Service } from '../../constants/connected_account';
+import OrderStatus from '../../constants/order_status';
+import { getFxRate } from '../../lib/currency';
 import logger from '../../lib/logger';
+import { executeOrder } from '../../lib/payments';
+import { verifyEvent } from '../../lib/thegivingblock';
+import models from '../../models';
+import { DepositTransaction, Event, EventType } from '../../types/thegivingblock';
 
-async function webhook(req: Request & { rawBody: string }): Promise<void> {
-  logger.info('The Giving Block webhook');
-  logger.info(`body: ${JSON.stringify(req.body)}`);
-  logger.info(`rawBody: ${JSON.stringify(req.rawBody)}`);
+/**
+ * Events are not signed with a host-specific header, so we look for the connected account whose
+ * webhook key is able to decrypt the payload.
+ */
+const findConnectedAccountForEvent = async (
+  event: Event,
+): Promise<{ connectedAccount: typeof models.ConnectedAccount; deposit: DepositTransaction }> => {
+  const connectedAccounts = await models.ConnectedAccount.findAll({ where: { service: Service.THEGIVINGBLOCK } });
+  for (const connectedAccount of connectedAccounts) {
+    try {
+      const deposit = verifyEvent(event, connectedAccount);
+      return { connectedAccount, deposit };
+    } catch (e) {
+      // Try the next one
+    }
+  }
+
+  throw new Error('Could not verify event signature');
+};
+
+async function handleDepositTransaction(
+  connectedAccount: typeof models.ConnectedAccount,
+  deposit: DepositTransaction,
+): Promise<void> {
+  const order = await models.Order.findOne({
+    where: { data: { thegivingblock: { pledgeId: deposit.pledgeId } } },
+    include: [{ model: models.Collective, as: 'collective', required: true }],
+  });
+
+  if (!order) {
+    logger.warn('thegivingblock/webhook: could not find the Order matching the deposit', { deposit });
+    return;
+  } else if (order.collective.HostCollectiveId !== connectedAccount.CollectiveId) {
+    throw new Error(`Order #${order.id} is not hosted by the account that received the deposit`);
+  } else if (order.status !== OrderStatus.NEW) {
+    // The Giving Block may send the same notification multiple times
+    logger.info(`thegivingblock/webhook: Order #${order.id} has already been processed, ignoring deposit`);
+    return;
+  }
+
+  // The contributed amount is the value of the deposit when it was received, not the pledged one
+  const fxRate = await getFxRate('USD', order.currency);
+  const totalAmount = Math.round(deposit.valueAtDonationTimeUSD * 100 * fxRate);
+
+  // Claim the order, so that a notification delivered twice in parallel only gets processed once
+  const [claimedCount] = await models.Order.update(
+    {
+      status: OrderStatus.PROCESSING,
+      totalAmount,
+      data: {
+        ...order.data,
+        thegivingblock: {
+          ...order.data.thegivingblock,
+          pledgedTotalAmount: order.totalAmount,
+          deposit: pick(deposit, ['id', 'transactionHash', 'currency', 'amount', 'valueAtDonationTimeUSD']),
+        },
+      },
+    },
+    { where: { id: order.id, status: OrderStatus.NEW } },
+  );
+
+  if (!claimedCount) {
+    logger.info(`thegivingblock/webhook: Order #${order.id} is already being processed, ignoring deposit`);
+    return;
+  }
+
+  await order.reload();
+  const user = await order.getUser();
+  try {
+    await executeOrder(user, order);
+  } catch (e) {
+    // Release the order, so that the next notification can process it
+    await models.Order.update(
+      { status: OrderStatus.NEW },
+      { where: { id: order.id, status: OrderStatus.PROCESSING, processedAt: null } },
+    );
+    throw e;
+  }
+}
+
+async function webhook(req: Request & { body: Event; rawBody: string }): Promise<void> {
+  const { connectedAccount, deposit } = await findConnectedAccountForEvent(req.body);
+
+  switch (req.body.eventType) {
+    case EventType.DEPOSIT_TRANSACTION:
+      await handleDepositTransaction(connectedAccount, deposit);
+      break;
+    default:
+      logger.debug(`thegivingblock/webhook: ignoring event ${req.body.eventType}`);
+      break;
+  }
 }
 
 export default webhook;
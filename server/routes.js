@@ -1,13 +1,16 @@
 import { ApolloServer } from 'apollo-server-express';
 import config from 'config';
 import expressLimiter from 'express-limiter';
+import expressWs from 'express-ws';
 import { get, pick } from 'lodash';
 import multer from 'multer';
 import redis from 'redis';
 
+import * as accountingExport from './controllers/accountingExport';
 import * as connectedAccounts from './controllers/connectedAccounts';
 import helloworks from './controllers/helloworks';
 import uploadImage from './controllers/images';
+import * as oauth from './controllers/oauth';
 import * as email from './controllers/services/email';
 import * as transferwise from './controllers/transferwise';
 import * as users from './controllers/users';
@@ -21,6 +24,7 @@ import {
 import { getGraphqlCacheKey } from './graphql/cache';
 import graphqlSchemaV1 from './graphql/v1/schema';
 import graphqlSchemaV2 from './graphql/v2/schema';
+import { makeGraphqlWebSocketHandler } from './graphql/websocket-server';
 import cache from './lib/cache';
 import logger from './lib/logger';
 import { SentryGraphQLPlugin } from './lib/sentry';
@@ -45,7 +49,10 @@ export default async app => {
    * Extract GraphQL API Key
    */
   app.use('/graphql/:version/:apiKey?', (req, res, next) => {
-    req.apiKey = req.params.apiKey;
+    // express-ws routes the WebSocket connections to `<path>/.websocket`
+    if (req.params.apiKey !== '.websocket') {
+      req.apiKey = req.params.apiKey;
+    }
     next();
   });
 
@@ -194,6 +201,16 @@ export default async app => {
 
   graphqlServerV1.applyMiddleware({ app, path: '/graphql/v1' });
 
+  /**
+   * GraphQL v2 subscriptions (WebSocket). Must be registered before the Apollo middleware, which
+   * would otherwise handle the upgrade request.
+   */
+  if (!app.ws) {
+    expressWs(app);
+  }
+
+  app.ws('/graphql/v2', makeGraphqlWebSocketHandler(graphqlSchemaV2));
+
   /**
    * GraphQL v2
    */
@@ -234,6 +251,18 @@ export default async app => {
    */
   app.get('/users/exists', required('email'), users.exists); // Checks the existence of a user based on email.
 
+  /**
+   * OAuth2 authorization server, for third-party applications
+   */
+  app.post('/oauth/authorize', noCache, oauth.authorize); // called by the consent screen of the website
+  app.post('/oauth/token', noCache, oauth.token);
+  app.post('/oauth/revoke', noCache, oauth.revoke);
+
+  /**
+   * Hosts
+   */
+  app.get('/hosts/:hostSlug/accounting-export/:format', noCache, accountingExport.download); // ledger for accounting software
+
   /**
    * Separate route for uploading images to S3
    */
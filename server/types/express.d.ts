@@ -1,11 +1,14 @@
 import DataLoader from 'dataloader';
 
 import models from '../models';
+import { OAuthToken } from '../models/OAuthToken';
 
 declare global {
   namespace Express {
     interface Request {
       remoteUser?: typeof models.User;
+      personalToken?: typeof models.Application;
+      oauthToken?: OAuthToken;
       loaders: Record<string, DataLoader>;
     }
   }
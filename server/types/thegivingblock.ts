@@ -0,0 +1,45 @@
+export type TGBResponse<T> = {
+  data: T;
+};
+
+export type TGBTokens = {
+  accessToken: string;
+  refreshToken: string;
+};
+
+export type Pledge = {
+  depositAddress: string;
+  pledgeId: string;
+  qrCode?: string;
+};
+
+export type PledgeParams = {
+  pledgeCurrency: string;
+  pledgeAmount: string;
+  isAnonymous?: boolean;
+  receiptEmail?: string;
+  firstName?: string;
+  lastName?: string;
+};
+
+export enum EventType {
+  DEPOSIT_TRANSACTION = 'DEPOSIT_TRANSACTION',
+  TRANSACTION_CONVERTED = 'TRANSACTION_CONVERTED',
+}
+
+export type Event = {
+  eventType: EventType | string;
+  // Encrypted (AES-256-CBC, hex encoded) JSON payload
+  payload: string;
+};
+
+export type DepositTransaction = {
+  id?: string;
+  pledgeId: string;
+  transactionHash?: string;
+  currency: string;
+  amount: string | number;
+  // Value of the deposit, in USD, when it was received
+  valueAtDonationTimeUSD: number;
+  timestampms?: string;
+};
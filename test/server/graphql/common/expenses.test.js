@@ -2,6 +2,7 @@ import { expect } from 'chai';
 
 import { expenseStatus } from '../../../../server/constants';
 import {
+  approveExpense,
   canApprove,
   canComment,
   canDeleteExpense,
@@ -16,7 +17,9 @@ import {
   canSeeExpensePayoutMethod,
   canUnapprove,
   canUnschedulePayment,
+  unapproveExpense,
 } from '../../../../server/graphql/common/expenses';
+import models from '../../../../server/models';
 import { PayoutMethodTypes } from '../../../../server/models/PayoutMethod';
 import { fakeCollective, fakeExpense, fakePayoutMethod, fakeUser } from '../../../test-helpers/fake-data';
 import { makeRequest } from '../../../utils';
@@ -249,9 +252,11 @@ describe('server/graphql/common/expenses', () => {
   });
 
   describe('canApprove', () => {
-    it('only if pending or rejected', async () => {
+    it('only if pending, partially approved or rejected', async () => {
       await expense.update({ status: 'PENDING' });
       expect(await canApprove(hostAdminReq, expense)).to.be.true;
+      await expense.update({ status: 'PARTIALLY_APPROVED' });
+      expect(await canApprove(hostAdminReq, expense)).to.be.true;
       await expense.update({ status: 'APPROVED' });
       expect(await canApprove(hostAdminReq, expense)).to.be.false;
       await expense.update({ status: 'PROCESSING' });
@@ -278,9 +283,11 @@ describe('server/graphql/common/expenses', () => {
   });
 
   describe('canReject', () => {
-    it('only if pending', async () => {
+    it('only if pending or partially approved', async () => {
       await expense.update({ status: 'PENDING' });
       expect(await canReject(hostAdminReq, expense)).to.be.true;
+      await expense.update({ status: 'PARTIALLY_APPROVED' });
+      expect(await canReject(hostAdminReq, expense)).to.be.true;
       await expense.update({ status: 'APPROVED' });
       expect(await canReject(hostAdminReq, expense)).to.be.false;
       await expense.update({ status: 'PROCESSING' });
@@ -307,11 +314,13 @@ describe('server/graphql/common/expenses', () => {
   });
 
   describe('canUnapprove', () => {
-    it('only if approved', async () => {
+    it('only if approved or partially approved', async () => {
       await expense.update({ status: 'PENDING' });
       expect(await canUnapprove(hostAdminReq, expense)).to.be.false;
       await expense.update({ status: 'APPROVED' });
       expect(await canUnapprove(hostAdminReq, expense)).to.be.true;
+      await expense.update({ status: 'PARTIALLY_APPROVED' });
+      expect(await canUnapprove(hostAdminReq, expense)).to.be.true;
       await expense.update({ status: 'PROCESSING' });
       expect(await canUnapprove(hostAdminReq, expense)).to.be.false;
       await expense.update({ status: 'ERROR' });
@@ -408,4 +417,68 @@ describe('server/graphql/common/expenses', () => {
       expect(await canUnschedulePayment(hostAccountantReq, expense)).to.be.false;
     });
   });
+
+  describe('approveExpense with an approval policy', () => {
+    const fakeExpenseWithPolicy = async (policy, expenseData = {}) => {
+      await collective.update({ settings: { ...collective.settings, expenseApprovalPolicy: policy } });
+      return fakeExpense({
+        CollectiveId: collective.id,
+        FromCollectiveId: expenseOwner.CollectiveId,
+        UserId: expenseOwner.id,
+        status: 'PENDING',
+        ...expenseData,
+      });
+    };
+
+    after(async () => {
+      await collective.update({ settings: { ...collective.settings, expenseApprovalPolicy: null } });
+    });
+
+    it('requires distinct approvers above the threshold', async () => {
+      const policy = { rules: [{ minAmount: 100000, requiredApprovals: 2 }] };
+      const bigExpense = await fakeExpenseWithPolicy(policy, { amount: 150000 });
+
+      await approveExpense(collectiveAdminReq, bigExpense);
+      expect(bigExpense.status).to.eq('PARTIALLY_APPROVED');
+      expect(await canApprove(collectiveAdminReq, bigExpense)).to.be.false;
+      await expect(approveExpense(collectiveAdminReq, bigExpense)).to.be.rejectedWith('already approved');
+
+      await approveExpense(hostAdminReq, bigExpense);
+      expect(bigExpense.status).to.eq('APPROVED');
+      expect(await models.ExpenseApproval.count({ where: { ExpenseId: bigExpense.id } })).to.eq(2);
+
+      const smallExpense = await fakeExpenseWithPolicy(policy, { amount: 5000 });
+      await approveExpense(collectiveAdminReq, smallExpense);
+      expect(smallExpense.status).to.eq('APPROVED');
+    });
+
+    it('prevents self approval', async () => {
+      await collective.addUserWithRole(expenseOwner, 'ADMIN');
+      await expenseOwner.populateRoles();
+      const ownExpense = await fakeExpenseWithPolicy({ preventSelfApproval: true });
+      expect(await canApprove(expenseOwnerReq, ownExpense)).to.be.false;
+      await expect(approveExpense(expenseOwnerReq, ownExpense)).to.be.rejectedWith('your own expense');
+      expect(await canApprove(collectiveAdminReq, ownExpense)).to.be.true;
+    });
+
+    it('clears the approvals when the expense is unapproved', async () => {
+      const policy = { rules: [{ minAmount: 0, requiredApprovals: 2 }] };
+      const pendingExpense = await fakeExpenseWithPolicy(policy);
+      await approveExpense(collectiveAdminReq, pendingExpense);
+      await unapproveExpense(hostAdminReq, pendingExpense);
+      expect(pendingExpense.status).to.eq('PENDING');
+      expect(await models.ExpenseApproval.count({ where: { ExpenseId: pendingExpense.id } })).to.eq(0);
+      expect(await canApprove(collectiveAdminReq, pendingExpense)).to.be.true;
+    });
+
+    it('counts concurrent approvals one after the other', async () => {
+      const policy = { rules: [{ minAmount: 0, requiredApprovals: 2 }] };
+      const expense = await fakeExpenseWithPolicy(policy);
+      const otherInstance = await models.Expense.findByPk(expense.id);
+      await Promise.all([approveExpense(collectiveAdminReq, expense), approveExpense(hostAdminReq, otherInstance)]);
+      await expense.reload();
+      expect(expense.status).to.eq('APPROVED');
+      expect(await models.ExpenseApproval.count({ where: { ExpenseId: expense.id } })).to.eq(2);
+    });
+  });
 });
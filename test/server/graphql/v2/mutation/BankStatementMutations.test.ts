@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+import gqlV2 from 'fake-tag';
+
+import models from '../../../../../server/models';
+import { fakeCollective, fakeHost, fakeOrder, fakeOrganization, fakeUser } from '../../../../test-helpers/fake-data';
+import { graphqlQueryV2 } from '../../../../utils';
+import * as utils from '../../../../utils';
+
+const importBankStatementMutation = gqlV2/* GraphQL */ `
+  mutation ImportBankStatement($host: AccountReferenceInput!, $content: String!) {
+    importBankStatement(host: $host, format: CSV, content: $content) {
+      lineNumber
+      amount {
+        valueInCents
+      }
+      matches {
+        confidence
+        criteria
+        order {
+          legacyId
+        }
+      }
+    }
+  }
+`;
+
+const confirmBankStatementMatchesMutation = gqlV2/* GraphQL */ `
+  mutation ConfirmBankStatementMatches($host: AccountReferenceInput!, $matches: [BankStatementMatchInput!]!) {
+    confirmBankStatementMatches(host: $host, matches: $matches) {
+      legacyId
+      status
+      amount {
+        valueInCents
+      }
+    }
+  }
+`;
+
+describe('server/graphql/v2/mutation/BankStatementMutations', () => {
+  let hostAdmin, host, collective, contributor;
+
+  before(async () => {
+    await utils.resetTestDB();
+    hostAdmin = await fakeUser();
+    host = await fakeHost({ currency: 'EUR', admin: hostAdmin.collective });
+    collective = await fakeCollective({ HostCollectiveId: host.id, currency: 'EUR' });
+    contributor = await fakeOrganization({ name: 'ACME & Co' });
+  });
+
+  const createPendingOrder = (values = {}) =>
+    fakeOrder({
+      CollectiveId: collective.id,
+      FromCollectiveId: contributor.id,
+      status: 'PENDING',
+      totalAmount: 15000,
+      currency: 'EUR',
+      ...values,
+    });
+
+  describe('importBankStatement', () => {
+    it('must be an admin of the host', async () => {
+      const variables = { host: { legacyId: host.id }, content: 'Date,Amount\n2021-08-02,150.00' };
+      const result = await graphqlQueryV2(importBankStatementMutation, variables, await fakeUser());
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq('Only host admins can reconcile bank statements');
+    });
+
+    it('proposes the pending orders matching each line', async () => {
+      const order = await createPendingOrder();
+      const content = ['Date,Amount,Name,Reference', `2021-08-02,150.00,ACME and Co,Contribution ${order.id}`].join(
+        '\n',
+      );
+      const result = await graphqlQueryV2(
+        importBankStatementMutation,
+        { host: { legacyId: host.id }, content },
+        hostAdmin,
+      );
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+
+      const [line] = result.data.importBankStatement;
+      expect(line.amount.valueInCents).to.eq(15000);
+      expect(line.matches[0].order.legacyId).to.eq(order.id);
+      expect(line.matches[0].criteria).to.deep.eq(['REFERENCE', 'AMOUNT', 'PAYER_NAME']);
+
+      // Nothing is changed until the matches are confirmed
+      await order.reload();
+      expect(order.status).to.eq('PENDING');
+    });
+  });
+
+  describe('confirmBankStatementMatches', () => {
+    it('marks the orders as paid at the amounts received', async () => {
+      const order = await createPendingOrder();
+      const matches = [
+        {
+          order: { legacyId: order.id },
+          bankReference: 'BANK-REF-1',
+          amount: { valueInCents: 14800, currency: 'EUR' },
+        },
+      ];
+
+      const result = await graphqlQueryV2(
+        confirmBankStatementMatchesMutation,
+        { host: { legacyId: host.id }, matches },
+        hostAdmin,
+      );
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+      expect(result.data.confirmBankStatementMatches[0].status).to.eq('PAID');
+      expect(result.data.confirmBankStatementMatches[0].amount.valueInCents).to.eq(14800);
+
+      await order.reload();
+      expect(order.data.bankStatementLine).to.deep.include({
+        bankReference: 'BANK-REF-1',
+        expectedAmount: 15000,
+        confirmedByUserId: hostAdmin.id,
+      });
+
+      const credit = await models.Transaction.findOne({ where: { OrderId: order.id, type: 'CREDIT' } });
+      expect(credit.amount).to.eq(14800);
+    });
+
+    it('does not process any order if one of them cannot be marked as paid', async () => {
+      const pendingOrder = await createPendingOrder();
+      const paidOrder = await createPendingOrder({ status: 'PAID' });
+      const matches = [{ order: { legacyId: pendingOrder.id } }, { order: { legacyId: paidOrder.id } }];
+
+      const result = await graphqlQueryV2(
+        confirmBankStatementMatchesMutation,
+        { host: { legacyId: host.id }, matches },
+        hostAdmin,
+      );
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq(`Order #${paidOrder.id} cannot be marked as paid, it is PAID`);
+      await pendingOrder.reload();
+      expect(pendingOrder.status).to.eq('PENDING');
+    });
+
+    it('processes the orders only once when confirmed twice at the same time', async () => {
+      const order = await createPendingOrder();
+      const variables = { host: { legacyId: host.id }, matches: [{ order: { legacyId: order.id } }] };
+      const results = await Promise.all([
+        graphqlQueryV2(confirmBankStatementMatchesMutation, variables, hostAdmin),
+        graphqlQueryV2(confirmBankStatementMatchesMutation, variables, hostAdmin),
+      ]);
+
+      expect(results.filter(result => !result.errors)).to.have.length(1);
+      await order.reload();
+      expect(order.status).to.eq('PAID');
+      const credits = await models.Transaction.findAll({ where: { OrderId: order.id, type: 'CREDIT' } });
+      expect(credits).to.have.length(1);
+    });
+  });
+});
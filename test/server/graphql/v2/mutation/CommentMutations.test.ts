@@ -68,6 +68,94 @@ describe('test/server/graphql/v2/mutation/CommentMutations', () => {
       expect(sendEmailSpy.args[0][0]).to.be.oneOf([admin.email, hostAdmin.email]);
       expect(sendEmailSpy.args[1][0]).to.be.oneOf([admin.email, hostAdmin.email]);
     });
+
+    describe('replies', () => {
+      const expenseCommentsQuery = gqlV2/* GraphQL */ `
+        query ExpenseComments($legacyId: Int!) {
+          expense(expense: { legacyId: $legacyId }) {
+            comments(threaded: true) {
+              totalCount
+              nodes {
+                id
+                repliesCount
+                replies {
+                  totalCount
+                  nodes {
+                    id
+                    parentComment {
+                      id
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      it('must be on the same expense as the parent comment', async () => {
+        const otherExpense = await fakeExpense({ CollectiveId: collective.id });
+        const parentComment = await fakeComment({ ExpenseId: otherExpense.id, CollectiveId: collective.id });
+        const comment = { ...validCommentData, parentComment: { id: idEncode(parentComment.id, 'comment') } };
+        const result = await utils.graphqlQueryV2(createCommentMutation, { comment }, expenseSubmitter);
+        expect(result.errors).to.exist;
+        expect(result.errors[0].extensions.code).to.eq('ValidationFailed');
+        expect(result.errors[0].message).to.contain('A reply must be linked to the same expense');
+      });
+
+      it('creates a thread', async () => {
+        const threadExpense = await fakeExpense({
+          FromCollectiveId: expenseSubmitter.CollectiveId,
+          UserId: expenseSubmitter.id,
+          CollectiveId: collective.id,
+        });
+        const parentComment = await fakeComment({
+          ExpenseId: threadExpense.id,
+          CollectiveId: collective.id,
+          FromCollectiveId: admin.CollectiveId,
+          CreatedByUserId: admin.id,
+        });
+        const comment = {
+          html: '<p>This is a reply</p>',
+          expense: { legacyId: threadExpense.id },
+          parentComment: { id: idEncode(parentComment.id, 'comment') },
+        };
+        const result = await utils.graphqlQueryV2(createCommentMutation, { comment }, expenseSubmitter);
+        utils.expectNoErrorsFromResult(result);
+
+        const queryResult = await utils.graphqlQueryV2(expenseCommentsQuery, { legacyId: threadExpense.id }, admin);
+        utils.expectNoErrorsFromResult(queryResult);
+        const comments = queryResult.data.expense.comments;
+        expect(comments.totalCount).to.eq(1);
+        expect(comments.nodes[0].id).to.eq(idEncode(parentComment.id, 'comment'));
+        expect(comments.nodes[0].repliesCount).to.eq(1);
+        expect(comments.nodes[0].replies.nodes[0].id).to.eq(result.data.createComment.id);
+        expect(comments.nodes[0].replies.nodes[0].parentComment.id).to.eq(comments.nodes[0].id);
+      });
+
+      it('cannot fetch more than 100 replies at once', async () => {
+        const repliesQuery = gqlV2/* GraphQL */ `
+          query ExpenseComments($legacyId: Int!) {
+            expense(expense: { legacyId: $legacyId }) {
+              comments {
+                nodes {
+                  replies(limit: 1000) {
+                    totalCount
+                  }
+                }
+              }
+            }
+          }
+        `;
+
+        await fakeComment({ ExpenseId: expense.id, CollectiveId: collective.id });
+        const result = await utils.graphqlQueryV2(repliesQuery, { legacyId: expense.id }, admin);
+        expect(result.errors).to.exist;
+        expect(result.errors[0].message).to.eq(
+          'Cannot fetch more than 100 replies at the same time, please adjust the limit',
+        );
+      });
+    });
   });
 
   describe('edit a comment', () => {
@@ -10,7 +10,7 @@ import { expenseStatus, expenseTypes } from '../../../../../server/constants';
 import { TransactionKind } from '../../../../../server/constants/transaction-kind';
 import { payExpense } from '../../../../../server/graphql/common/expenses';
 import { idEncode, IDENTIFIER_TYPES } from '../../../../../server/graphql/v2/identifiers';
-import { getFxRate } from '../../../../../server/lib/currency';
+import * as libcurrency from '../../../../../server/lib/currency';
 import emailLib from '../../../../../server/lib/email';
 import models from '../../../../../server/models';
 import { PayoutMethodTypes } from '../../../../../server/models/PayoutMethod';
@@ -36,7 +36,7 @@ const CIPHER = config.dbEncryption.cipher;
 
 export const addFunds = async (user, hostCollective, collective, amount) => {
   const currency = collective.currency || 'USD';
-  const hostCurrencyFxRate = await getFxRate(currency, hostCollective.currency);
+  const hostCurrencyFxRate = await libcurrency.getFxRate(currency, hostCollective.currency);
   const amountInHostCurrency = Math.round(hostCurrencyFxRate * amount);
   await models.Transaction.create({
     CreatedByUserId: user.id,
@@ -1468,6 +1468,195 @@ describe('server/graphql/v2/mutation/ExpenseMutations', () => {
     });
   });
 
+  describe('payExpenses', () => {
+    const payExpensesMutation = gqlV2/* GraphQL */ `
+      mutation PayExpenses($expenses: [ExpenseReferenceInput!]!, $twoFactorAuthenticatorCode: String) {
+        payExpenses(expenses: $expenses, twoFactorAuthenticatorCode: $twoFactorAuthenticatorCode) {
+          success
+          error
+          expense {
+            legacyId
+            status
+          }
+        }
+      }
+    `;
+
+    const quote = {
+      payOut: 'BANK_TRANSFER',
+      paymentOptions: [
+        {
+          payInProduct: 'BALANCE',
+          fee: { total: 1.74 },
+          payIn: 'BALANCE',
+          sourceCurrency: 'USD',
+          targetCurrency: 'EUR',
+          payOut: 'BANK_TRANSFER',
+          disabled: false,
+        },
+      ],
+    };
+
+    let sandbox, host, collective, hostAdmin, user, bankAccount, otherPayoutMethod, twoFactorAuthenticatorCode;
+
+    const createApprovedExpense = (payoutMethod, values = {}) =>
+      fakeExpense({
+        status: expenseStatus.APPROVED,
+        amount: 10000,
+        currency: 'USD',
+        CollectiveId: collective.id,
+        UserId: user.id,
+        FromCollectiveId: user.CollectiveId,
+        PayoutMethodId: payoutMethod.id,
+        type: 'INVOICE',
+        ...values,
+      });
+
+    const toReferences = expenses => expenses.map(expense => ({ legacyId: expense.id }));
+
+    before(async () => {
+      sandbox = sinon.createSandbox();
+      sandbox.stub(paymentProviders.transferwise, 'createExpensesBatchGroup').resolves({ id: 'batch-group' });
+      sandbox.stub(paymentProviders.transferwise, 'fundExpensesBatchGroup').resolves({ id: 'batch-group' });
+      sandbox.stub(paymentProviders.transferwise, 'getTemporaryQuote').resolves(quote);
+
+      hostAdmin = await fakeUser();
+      user = await fakeUser();
+      host = await fakeCollective({
+        admin: hostAdmin.collective,
+        currency: 'USD',
+        settings: { payoutsTwoFactorAuth: { enabled: true, rollingLimit: 30000 } },
+      });
+      collective = await fakeCollective({ HostCollectiveId: host.id, currency: 'USD' });
+      await hostAdmin.populateRoles();
+      await host.update({ plan: 'network-host-plan' });
+      await addFunds(user, host, collective, 100000);
+      bankAccount = await fakePayoutMethod({ type: PayoutMethodTypes.BANK_ACCOUNT, CollectiveId: user.CollectiveId });
+      otherPayoutMethod = await fakePayoutMethod({ type: PayoutMethodTypes.OTHER, CollectiveId: user.CollectiveId });
+
+      const secret = speakeasy.generateSecret({ length: 64 });
+      const encryptedToken = crypto[CIPHER].encrypt(secret.base32, SECRET_KEY).toString();
+      await hostAdmin.update({ twoFactorAuthToken: encryptedToken });
+      twoFactorAuthenticatorCode = speakeasy.totp({ algorithm: 'SHA1', encoding: 'base32', secret: secret.base32 });
+    });
+
+    after(() => sandbox.restore());
+
+    it('must be host admin', async () => {
+      const expense = await createApprovedExpense(otherPayoutMethod);
+      const result = await graphqlQueryV2(payExpensesMutation, { expenses: toReferences([expense]) }, user);
+      expect(result.errors).to.not.exist;
+      expect(result.data.payExpenses[0].success).to.be.false;
+      expect(result.data.payExpenses[0].error).to.eq("You don't have permission to pay this expense");
+      await expense.reload();
+      expect(expense.status).to.eq(expenseStatus.APPROVED);
+    });
+
+    it('pays the expenses by payout method and reports the result for each of them', async () => {
+      const bankExpenses = [await createApprovedExpense(bankAccount), await createApprovedExpense(bankAccount)];
+      const otherExpense = await createApprovedExpense(otherPayoutMethod);
+      const pendingExpense = await createApprovedExpense(otherPayoutMethod, { status: expenseStatus.PENDING });
+      const expenses = [...bankExpenses, otherExpense, pendingExpense];
+
+      const result = await graphqlQueryV2(
+        payExpensesMutation,
+        { expenses: toReferences(expenses), twoFactorAuthenticatorCode },
+        hostAdmin,
+      );
+
+      expect(result.errors).to.not.exist;
+      const results = result.data.payExpenses;
+      expect(results.map(r => r.expense.legacyId)).to.deep.eq(expenses.map(e => e.id));
+      expect(results.map(r => r.success)).to.deep.eq([true, true, true, false]);
+      expect(results.map(r => r.expense.status)).to.deep.eq(['PROCESSING', 'PROCESSING', 'PAID', 'PENDING']);
+      expect(results[3].error).to.eq('Expense needs to be approved. Current status of the expense: PENDING.');
+
+      const batchedExpenses = paymentProviders.transferwise.createExpensesBatchGroup.firstCall.args[1];
+      expect(batchedExpenses.map(e => e.id)).to.deep.eq(bankExpenses.map(e => e.id));
+    });
+
+    it('does not pay the expenses that are already being processed', async () => {
+      const lockedExpense = await createApprovedExpense(bankAccount, { data: { isLocked: true } });
+      const expense = await createApprovedExpense(otherPayoutMethod);
+      const result = await graphqlQueryV2(
+        payExpensesMutation,
+        { expenses: toReferences([lockedExpense, expense]), twoFactorAuthenticatorCode },
+        hostAdmin,
+      );
+
+      expect(result.errors).to.not.exist;
+      const results = result.data.payExpenses;
+      expect(results.map(r => r.success)).to.deep.eq([false, true]);
+      expect(results[0].error).to.eq('This expense is already been processed, please try again later');
+      expect(results.map(r => r.expense.status)).to.deep.eq(['APPROVED', 'PAID']);
+
+      // The locks taken by the batch are released
+      await expense.reload();
+      expect(expense.data.isLocked).to.be.false;
+    });
+
+    it('checks the 2FA rolling limit once for the whole batch', async () => {
+      // Each expense fits in the limit of 30000, but not the whole batch
+      const expenses = [
+        await createApprovedExpense(bankAccount, { amount: 20000 }),
+        await createApprovedExpense(bankAccount, { amount: 20000 }),
+      ];
+      const result = await graphqlQueryV2(payExpensesMutation, { expenses: toReferences(expenses) }, hostAdmin);
+
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq(
+        'Two-factor authentication payout limit exceeded: please re-enter your code.',
+      );
+      await Promise.all(expenses.map(e => e.reload()));
+      expect(expenses.map(e => e.status)).to.deep.eq(['APPROVED', 'APPROVED']);
+      expenses.forEach(e => expect(e.data.isLocked).to.be.false);
+    });
+
+    it('checks the 2FA rolling limit in the currency of the host', async () => {
+      // 28000 EUR fits in the limit of 30000, but not once converted to USD
+      sandbox.stub(libcurrency, 'getFxRate').resolves(1.1);
+      const eurCollective = await fakeCollective({ HostCollectiveId: host.id, currency: 'EUR' });
+      await addFunds(user, host, eurCollective, 100000);
+      const expenses = [
+        await createApprovedExpense(bankAccount, { amount: 14000, currency: 'EUR', CollectiveId: eurCollective.id }),
+        await createApprovedExpense(bankAccount, { amount: 14000, currency: 'EUR', CollectiveId: eurCollective.id }),
+      ];
+      const result = await graphqlQueryV2(payExpensesMutation, { expenses: toReferences(expenses) }, hostAdmin);
+
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq(
+        'Two-factor authentication payout limit exceeded: please re-enter your code.',
+      );
+      libcurrency.getFxRate.restore();
+    });
+
+    it('does not pay more than the balance of the collective', async () => {
+      const otherCollective = await fakeCollective({ HostCollectiveId: host.id, currency: 'USD' });
+      await addFunds(user, host, otherCollective, 15000);
+      const expenses = [
+        await createApprovedExpense(otherPayoutMethod, { CollectiveId: otherCollective.id }),
+        await createApprovedExpense(otherPayoutMethod, { CollectiveId: otherCollective.id }),
+      ];
+
+      const result = await graphqlQueryV2(payExpensesMutation, { expenses: toReferences(expenses) }, hostAdmin);
+      expect(result.errors).to.not.exist;
+      expect(result.data.payExpenses.map(r => r.success)).to.deep.eq([true, false]);
+      expect(result.data.payExpenses[1].error).to.match(/Collective does not have enough funds/);
+    });
+
+    it('only pays expenses from the same host', async () => {
+      const otherHostCollective = await fakeCollective();
+      const expenses = [
+        await createApprovedExpense(otherPayoutMethod),
+        await createApprovedExpense(otherPayoutMethod, { CollectiveId: otherHostCollective.id }),
+      ];
+
+      const result = await graphqlQueryV2(payExpensesMutation, { expenses: toReferences(expenses) }, hostAdmin);
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq('All the expenses must belong to the same host');
+    });
+  });
+
   describe('draftExpenseAndInviteUser and resendDraftExpenseInvite', () => {
     let sandbox, collective, expense, user;
 
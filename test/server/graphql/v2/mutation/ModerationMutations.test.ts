@@ -0,0 +1,327 @@
+import { expect } from 'chai';
+import gqlV2 from 'fake-tag';
+import sinon from 'sinon';
+
+import { idDecode, idEncode, IDENTIFIER_TYPES } from '../../../../../server/graphql/v2/identifiers';
+import models from '../../../../../server/models';
+import { ModerationAction } from '../../../../../server/models/ModerationDecision';
+import { ModerationStatus } from '../../../../../server/models/SpamReport';
+import {
+  fakeCollective,
+  fakeComment,
+  fakeExpense,
+  fakeHost,
+  fakeUpdate,
+  fakeUser,
+} from '../../../../test-helpers/fake-data';
+import { graphqlQueryV2 } from '../../../../utils';
+import * as utils from '../../../../utils';
+
+const reportContentMutation = gqlV2/* GraphQL */ `
+  mutation ReportContent(
+    $comment: CommentReferenceInput
+    $account: AccountReferenceInput
+    $expense: ExpenseReferenceInput
+    $update: UpdateReferenceInput
+  ) {
+    reportContent(
+      comment: $comment
+      account: $account
+      expense: $expense
+      update: $update
+      category: PHARMACY
+      message: "Selling pills"
+    ) {
+      id
+      status
+    }
+  }
+`;
+
+const processModerationReportMutation = gqlV2/* GraphQL */ `
+  mutation ProcessModerationReport($report: ModerationReportReferenceInput!, $action: ModerationAction!) {
+    processModerationReport(report: $report, action: $action, message: "Checked") {
+      id
+      status
+      decisions {
+        action
+        message
+        moderator {
+          legacyId
+        }
+      }
+    }
+  }
+`;
+
+const moderationQueueQuery = gqlV2/* GraphQL */ `
+  query ModerationQueue($host: AccountReferenceInput) {
+    moderationQueue(host: $host) {
+      totalCount
+      nodes {
+        id
+        entityType
+        account {
+          legacyId
+        }
+        comment {
+          id
+        }
+      }
+    }
+  }
+`;
+
+describe('server/graphql/v2/mutation/ModerationMutations', () => {
+  let sandbox, hostAdmin, rootUser, randomUser, author, host, collective;
+
+  before(async () => {
+    await utils.resetTestDB();
+    sandbox = sinon.createSandbox();
+    hostAdmin = await fakeUser();
+    rootUser = await fakeUser();
+    randomUser = await fakeUser();
+    author = await fakeUser();
+    host = await fakeHost();
+    await host.addUserWithRole(hostAdmin, 'ADMIN');
+    collective = await fakeCollective({ HostCollectiveId: host.id });
+    sandbox.stub(rootUser, 'isRoot').returns(true);
+  });
+
+  after(() => {
+    sandbox.restore();
+  });
+
+  const reportComment = async (comment, user) => {
+    const result = await graphqlQueryV2(
+      reportContentMutation,
+      { comment: { id: idEncode(comment.id, IDENTIFIER_TYPES.COMMENT) } },
+      user,
+    );
+
+    result.errors && console.error(result.errors);
+    expect(result.errors).to.not.exist;
+    return result.data.reportContent;
+  };
+
+  describe('reportContent', () => {
+    it('must be logged in', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const result = await graphqlQueryV2(reportContentMutation, {
+        comment: { id: idEncode(comment.id, IDENTIFIER_TYPES.COMMENT) },
+      });
+
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq('You need to be logged in to report content');
+    });
+
+    it('must report exactly one item', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const result = await graphqlQueryV2(
+        reportContentMutation,
+        { comment: { id: idEncode(comment.id, IDENTIFIER_TYPES.COMMENT) }, account: { legacyId: collective.id } },
+        randomUser,
+      );
+
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq('You must report exactly one account, expense, comment or update');
+    });
+
+    it('adds the content to the moderation queue', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const report = await reportComment(comment, randomUser);
+      expect(report.status).to.eq('PENDING');
+
+      const spamReport = await models.SpamReport.findOne({ where: { entityType: 'COMMENT', entityId: comment.id } });
+      expect(spamReport.category).to.eq('PHARMACY');
+      expect(spamReport.message).to.eq('Selling pills');
+      expect(spamReport.UserId).to.eq(author.id);
+      expect(spamReport.ReportedByUserId).to.eq(randomUser.id);
+
+      // Reporting twice returns the same report
+      const sameReport = await reportComment(comment, randomUser);
+      expect(sameReport.id).to.eq(report.id);
+    });
+
+    it('cannot report content the user cannot see', async () => {
+      const draftExpense = await fakeExpense({ CollectiveId: collective.id, UserId: author.id, status: 'DRAFT' });
+      const privateUpdate = await fakeUpdate({ CollectiveId: collective.id, isPrivate: true });
+      const expense = await fakeExpense({ CollectiveId: collective.id, UserId: author.id });
+      const expenseComment = await fakeComment({ ExpenseId: expense.id, CollectiveId: collective.id });
+      const allVariables = [
+        { expense: { legacyId: draftExpense.id } },
+        { update: { id: idEncode(privateUpdate.id, IDENTIFIER_TYPES.UPDATE) } },
+        { comment: { id: idEncode(expenseComment.id, IDENTIFIER_TYPES.COMMENT) } },
+      ];
+
+      for (const variables of allVariables) {
+        const result = await graphqlQueryV2(reportContentMutation, variables, randomUser);
+        expect(result.errors).to.exist;
+        expect(result.errors[0].extensions.code).to.eq('NotFound');
+      }
+
+      // The host admin can see the expense comment
+      const result = await graphqlQueryV2(reportContentMutation, allVariables[2], hostAdmin);
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+    });
+
+    it('limits the number of reports per user', async () => {
+      const user = await fakeUser();
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const variables = { comment: { id: idEncode(comment.id, IDENTIFIER_TYPES.COMMENT) } };
+      for (let i = 0; i < 10; i++) {
+        const result = await graphqlQueryV2(reportContentMutation, variables, user);
+        expect(result.errors).to.not.exist;
+      }
+
+      const result = await graphqlQueryV2(reportContentMutation, variables, user);
+      expect(result.errors).to.exist;
+      expect(result.errors[0].extensions.code).to.eq('RateLimitExceeded');
+    });
+  });
+
+  describe('moderationQueue', () => {
+    it('is restricted to root users and host admins', async () => {
+      const resultWithoutHost = await graphqlQueryV2(moderationQueueQuery, {}, hostAdmin);
+      expect(resultWithoutHost.errors).to.exist;
+      expect(resultWithoutHost.errors[0].message).to.eq(
+        'You need to be logged in as root to see the whole moderation queue',
+      );
+
+      const resultForRandomUser = await graphqlQueryV2(
+        moderationQueueQuery,
+        { host: { legacyId: host.id } },
+        randomUser,
+      );
+      expect(resultForRandomUser.errors).to.exist;
+      expect(resultForRandomUser.errors[0].message).to.eq(
+        'You need to be logged in as an admin of the host to see its moderation queue',
+      );
+    });
+
+    it('returns the pending reports about the hosted accounts', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const report = await reportComment(comment, randomUser);
+      const otherComment = await fakeComment({ CreatedByUserId: author.id });
+      const otherReport = await reportComment(otherComment, randomUser);
+
+      const result = await graphqlQueryV2(moderationQueueQuery, { host: { legacyId: host.id } }, hostAdmin);
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+      const reportIds = result.data.moderationQueue.nodes.map(node => node.id);
+      expect(reportIds).to.include(report.id);
+      expect(reportIds).to.not.include(otherReport.id);
+      result.data.moderationQueue.nodes.forEach(node => expect(node.account.legacyId).to.eq(collective.id));
+
+      const resultForRoot = await graphqlQueryV2(moderationQueueQuery, {}, rootUser);
+      expect(resultForRoot.errors).to.not.exist;
+      expect(resultForRoot.data.moderationQueue.nodes.map(node => node.id)).to.include.members([
+        report.id,
+        otherReport.id,
+      ]);
+    });
+  });
+
+  describe('processModerationReport', () => {
+    it('must be root or host admin', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const report = await reportComment(comment, randomUser);
+      const result = await graphqlQueryV2(
+        processModerationReportMutation,
+        { report: { id: report.id }, action: ModerationAction.DISMISS },
+        randomUser,
+      );
+
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq(
+        'You need to be logged in as root or as an admin of the host to moderate this content',
+      );
+    });
+
+    it('marks the content as spam, records the decision and processes the other reports', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const report = await reportComment(comment, randomUser);
+      const otherReport = await reportComment(comment, hostAdmin);
+
+      const result = await graphqlQueryV2(
+        processModerationReportMutation,
+        { report: { id: report.id }, action: ModerationAction.MARK_AS_SPAM },
+        hostAdmin,
+      );
+
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+      const processedReport = result.data.processModerationReport;
+      expect(processedReport.status).to.eq(ModerationStatus.SPAM);
+      expect(processedReport.decisions).to.have.length(1);
+      expect(processedReport.decisions[0]).to.deep.include({ action: 'MARK_AS_SPAM', message: 'Checked' });
+      expect(processedReport.decisions[0].moderator.legacyId).to.eq(hostAdmin.collective.id);
+
+      expect(await models.Comment.findByPk(comment.id)).to.be.null;
+      expect(otherReport.id).to.not.eq(report.id);
+      const reports = await models.SpamReport.findAll({ where: { entityType: 'COMMENT', entityId: comment.id } });
+      expect(reports).to.have.length(2);
+      reports.forEach(report => expect(report.status).to.eq(ModerationStatus.SPAM));
+
+      // Can't process the same report twice
+      const secondResult = await graphqlQueryV2(
+        processModerationReportMutation,
+        { report: { id: otherReport.id }, action: ModerationAction.DISMISS },
+        hostAdmin,
+      );
+
+      expect(secondResult.errors).to.exist;
+      expect(secondResult.errors[0].message).to.eq('This report was already processed');
+    });
+
+    it('only marks rejected expenses as spam', async () => {
+      const expense = await fakeExpense({ CollectiveId: collective.id, UserId: author.id, status: 'PENDING' });
+      const reportResult = await graphqlQueryV2(
+        reportContentMutation,
+        { expense: { legacyId: expense.id } },
+        randomUser,
+      );
+      reportResult.errors && console.error(reportResult.errors);
+      const variables = { report: { id: reportResult.data.reportContent.id }, action: ModerationAction.MARK_AS_SPAM };
+
+      const resultForPendingExpense = await graphqlQueryV2(processModerationReportMutation, variables, hostAdmin);
+      expect(resultForPendingExpense.errors).to.exist;
+      expect(resultForPendingExpense.errors[0].extensions.code).to.eq('Forbidden');
+      await expense.reload();
+      expect(expense.status).to.eq('PENDING');
+
+      await expense.update({ status: 'REJECTED' });
+      const result = await graphqlQueryV2(processModerationReportMutation, variables, hostAdmin);
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+      expect(result.data.processModerationReport.status).to.eq(ModerationStatus.SPAM);
+      await expense.reload();
+      expect(expense.status).to.eq('SPAM');
+    });
+
+    it('only lets root users ban accounts', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: author.id });
+      const report = await reportComment(comment, randomUser);
+      const variables = { report: { id: report.id }, action: ModerationAction.BAN_ACCOUNT };
+
+      const resultForHostAdmin = await graphqlQueryV2(processModerationReportMutation, variables, hostAdmin);
+      expect(resultForHostAdmin.errors).to.exist;
+      expect(resultForHostAdmin.errors[0].message).to.eq('Only root users can ban accounts');
+
+      const result = await graphqlQueryV2(processModerationReportMutation, variables, rootUser);
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+      expect(result.data.processModerationReport.status).to.eq(ModerationStatus.BANNED);
+
+      const bannedProfile = await models.Collective.findByPk(author.collective.id, { paranoid: false });
+      expect(bannedProfile.deletedAt).to.not.be.null;
+      expect(bannedProfile.data.isBanned).to.be.true;
+
+      const SpamReportId = idDecode(report.id, IDENTIFIER_TYPES.MODERATION_REPORT);
+      const decision = await models.ModerationDecision.findOne({ where: { SpamReportId } });
+      expect(decision.data.slugs).to.deep.eq([author.collective.slug]);
+      expect(decision.data.result).to.exist;
+    });
+  });
+});
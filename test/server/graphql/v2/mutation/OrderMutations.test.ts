@@ -1,10 +1,12 @@
 import { expect } from 'chai';
 import gqlV2 from 'fake-tag';
+import moment from 'moment';
 import sinon from 'sinon';
 
 import { roles } from '../../../../../server/constants';
 import { idEncode, IDENTIFIER_TYPES } from '../../../../../server/graphql/v2/identifiers';
 import * as payments from '../../../../../server/lib/payments';
+import { resumeDuePausedOrders } from '../../../../../server/lib/subscriptions';
 import models from '../../../../../server/models';
 import { randEmail } from '../../../../stores';
 import {
@@ -14,6 +16,7 @@ import {
   fakePaymentMethod,
   fakeTier,
   fakeUser,
+  randStr,
 } from '../../../../test-helpers/fake-data';
 import { graphqlQueryV2 } from '../../../../utils';
 
@@ -66,10 +69,12 @@ const updateOrderMutation = gqlV2/* GraphQL */ `
     $amount: AmountInput
     $tier: TierReferenceInput
     $paymentMethod: PaymentMethodReferenceInput
+    $frequency: ContributionFrequency
   ) {
-    updateOrder(order: $order, amount: $amount, tier: $tier, paymentMethod: $paymentMethod) {
+    updateOrder(order: $order, amount: $amount, tier: $tier, paymentMethod: $paymentMethod, frequency: $frequency) {
       id
       status
+      frequency
       amount {
         value
         currency
@@ -94,6 +99,25 @@ const cancelRecurringContributionMutation = gqlV2/* GraphQL */ `
   }
 `;
 
+const pauseOrderMutation = gqlV2/* GraphQL */ `
+  mutation PauseOrder($order: OrderReferenceInput!, $resumeAt: DateTime) {
+    pauseOrder(order: $order, resumeAt: $resumeAt) {
+      id
+      status
+    }
+  }
+`;
+
+const resumeOrderMutation = gqlV2/* GraphQL */ `
+  mutation ResumeOrder($order: OrderReferenceInput!) {
+    resumeOrder(order: $order) {
+      id
+      status
+      nextChargeDate
+    }
+  }
+`;
+
 const callCreateOrder = (params, remoteUser = null) => {
   return graphqlQueryV2(CREATE_ORDER_MUTATION, params, remoteUser);
 };
@@ -492,6 +516,85 @@ describe('server/graphql/v2/mutation/OrderMutations', () => {
       });
     });
 
+    describe('pauseOrder / resumeOrder', () => {
+      let orderToPause;
+
+      before(async () => {
+        orderToPause = await fakeOrder(
+          {
+            CreatedByUserId: user.id,
+            FromCollectiveId: user.CollectiveId,
+            CollectiveId: collective.id,
+            status: 'ACTIVE',
+          },
+          { withSubscription: true },
+        );
+        await orderToPause.Subscription.update({ nextChargeDate: new Date('2021-01-01') });
+      });
+
+      it('must be authenticated as an admin of the contributor', async () => {
+        const order = { id: idEncode(orderToPause.id, 'order') };
+        let result = await graphqlQueryV2(pauseOrderMutation, { order });
+        expect(result.errors[0].message).to.match(/You need to be logged in to pause a recurring contribution/);
+
+        result = await graphqlQueryV2(pauseOrderMutation, { order }, randomUser);
+        expect(result.errors[0].message).to.match(/You don't have permission to update this recurring contribution/);
+      });
+
+      it('resume date must be in the future', async () => {
+        const order = { id: idEncode(orderToPause.id, 'order') };
+        const result = await graphqlQueryV2(pauseOrderMutation, { order, resumeAt: '2020-01-01' }, user);
+        expect(result.errors[0].message).to.eq('The resume date must be in the future');
+      });
+
+      it('pauses the order until the resume date', async () => {
+        const order = { id: idEncode(orderToPause.id, 'order') };
+        const resumeAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+        const result = await graphqlQueryV2(pauseOrderMutation, { order, resumeAt }, user);
+        result.errors && console.error(result.errors);
+        expect(result.data.pauseOrder.status).to.eq('PAUSED');
+
+        await orderToPause.reload({ include: [models.Subscription] });
+        expect(orderToPause.Subscription.isActive).to.be.true;
+        expect(orderToPause.Subscription.data.pause.resumeAt).to.eq(resumeAt.toISOString());
+
+        const activity = await models.Activity.findOne({ where: { type: 'subscription.paused' } });
+        expect(activity.CollectiveId).to.eq(collective.id);
+        expect(activity.UserId).to.eq(user.id);
+      });
+
+      it('cannot pause an order twice', async () => {
+        const order = { id: idEncode(orderToPause.id, 'order') };
+        const result = await graphqlQueryV2(pauseOrderMutation, { order }, user);
+        expect(result.errors[0].message).to.eq('Only active recurring contributions can be paused');
+      });
+
+      it('resumes the order and charges it right away if the next charge date is past', async () => {
+        const order = { id: idEncode(orderToPause.id, 'order') };
+        const result = await graphqlQueryV2(resumeOrderMutation, { order }, user);
+        result.errors && console.error(result.errors);
+        expect(result.data.resumeOrder.status).to.eq('ACTIVE');
+        expect(new Date(result.data.resumeOrder.nextChargeDate) > new Date('2021-01-01')).to.be.true;
+
+        await orderToPause.reload({ include: [models.Subscription] });
+        expect(orderToPause.Subscription.data.pause).to.not.exist;
+      });
+
+      it('resumes the orders automatically once their resume date is past', async () => {
+        const order = { id: idEncode(orderToPause.id, 'order') };
+        const resumeAt = new Date(Date.now() + 60 * 1000);
+        await graphqlQueryV2(pauseOrderMutation, { order, resumeAt }, user);
+        expect((await resumeDuePausedOrders()).resumed).to.eq(0);
+
+        await orderToPause.reload({ include: [models.Subscription] });
+        const pause = { ...orderToPause.Subscription.data.pause, resumeAt: new Date(Date.now() - 1000).toISOString() };
+        await orderToPause.Subscription.update({ data: { ...orderToPause.Subscription.data, pause } });
+        expect(await resumeDuePausedOrders()).to.deep.eq({ resumed: 1, errors: 0 });
+        await orderToPause.reload();
+        expect(orderToPause.status).to.eq('ACTIVE');
+      });
+    });
+
     describe('updateOrder', () => {
       it('must be authenticated', async () => {
         const result = await graphqlQueryV2(updateOrderMutation, {
@@ -612,6 +715,96 @@ describe('server/graphql/v2/mutation/OrderMutations', () => {
         expect(result.data.updateOrder.amount.value).to.eq(73);
         expect(result.data.updateOrder.tier.name).to.eq(fixedTier.name);
       });
+
+      describe('frequency', () => {
+        let monthlyOrder, nextChargeDate;
+
+        beforeEach(async () => {
+          nextChargeDate = moment().add(10, 'days').startOf('day').toDate();
+          monthlyOrder = await fakeOrder(
+            {
+              CreatedByUserId: user.id,
+              FromCollectiveId: user.CollectiveId,
+              CollectiveId: collective.id,
+              status: 'ACTIVE',
+              interval: 'month',
+              totalAmount: 1000,
+              subscription: { nextChargeDate, nextPeriodStart: nextChargeDate },
+            },
+            { withSubscription: true },
+          );
+        });
+
+        it('switches between monthly and yearly, starting at the end of the current period', async () => {
+          const result = await graphqlQueryV2(
+            updateOrderMutation,
+            { order: { id: idEncode(monthlyOrder.id, 'order') }, frequency: 'YEARLY' },
+            user,
+          );
+
+          result.errors && console.error(result.errors);
+          expect(result.errors).to.not.exist;
+          expect(result.data.updateOrder.frequency).to.eq('YEARLY');
+          expect(result.data.updateOrder.amount.value).to.eq(10);
+
+          const subscription = await models.Subscription.findByPk(monthlyOrder.SubscriptionId);
+          expect(subscription.interval).to.eq('year');
+          expect(subscription.nextChargeDate.getTime()).to.eq(nextChargeDate.getTime());
+          expect(subscription.nextPeriodStart.getTime()).to.eq(nextChargeDate.getTime());
+
+          const activity = await models.Activity.findOne({
+            where: { type: 'subscription.interval.updated', CollectiveId: collective.id },
+            order: [['id', 'DESC']],
+          });
+          expect(activity).to.exist;
+          expect(activity.data.previousInterval).to.eq('month');
+          expect(activity.data.interval).to.eq('year');
+        });
+
+        it('cannot be switched to one-time', async () => {
+          const result = await graphqlQueryV2(
+            updateOrderMutation,
+            { order: { id: idEncode(monthlyOrder.id, 'order') }, frequency: 'ONETIME' },
+            user,
+          );
+
+          expect(result.errors).to.exist;
+          expect(result.errors[0].message).to.match(/can only be switched between monthly and yearly/);
+        });
+
+        it('must match the interval of the tier', async () => {
+          const monthlyTier = await fakeTier({
+            CollectiveId: collective.id,
+            amountType: 'FLEXIBLE',
+            interval: 'month',
+          });
+          const result = await graphqlQueryV2(
+            updateOrderMutation,
+            {
+              order: { id: idEncode(monthlyOrder.id, 'order') },
+              amount: { value: 10 },
+              tier: { legacyId: monthlyTier.id },
+              frequency: 'YEARLY',
+            },
+            user,
+          );
+
+          expect(result.errors).to.exist;
+          expect(result.errors[0].message).to.eq('This tier can only be contributed to every month');
+        });
+
+        it('requires a new subscription for PayPal contributions', async () => {
+          await monthlyOrder.Subscription.update({ isManagedExternally: true, paypalSubscriptionId: randStr() });
+          const result = await graphqlQueryV2(
+            updateOrderMutation,
+            { order: { id: idEncode(monthlyOrder.id, 'order') }, frequency: 'YEARLY' },
+            user,
+          );
+
+          expect(result.errors).to.exist;
+          expect(result.errors[0].message).to.match(/approving a new PayPal subscription/);
+        });
+      });
     });
   });
 });
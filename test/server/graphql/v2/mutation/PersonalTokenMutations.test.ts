@@ -0,0 +1,326 @@
+import { expect } from 'chai';
+import gqlV2 from 'fake-tag';
+import { graphql } from 'graphql';
+import sinon from 'sinon';
+
+import schemaV2 from '../../../../../server/graphql/v2/schema';
+import { authenticateUserByPersonalToken, checkClientApp } from '../../../../../server/middleware/authentication';
+import models from '../../../../../server/models';
+import { fakeCollective, fakeConversation, fakeExpense, fakeHost, fakeUser } from '../../../../test-helpers/fake-data';
+import { graphqlQueryV2, makeRequest } from '../../../../utils';
+import * as utils from '../../../../utils';
+
+const createPersonalTokenMutation = gqlV2/* GraphQL */ `
+  mutation CreatePersonalToken($personalToken: PersonalTokenCreateInput!) {
+    createPersonalToken(personalToken: $personalToken) {
+      id
+      name
+      token
+      scopes
+      limitedToAccounts {
+        legacyId
+      }
+    }
+  }
+`;
+
+const deletePersonalTokenMutation = gqlV2/* GraphQL */ `
+  mutation DeletePersonalToken($personalToken: PersonalTokenReferenceInput!) {
+    deletePersonalToken(personalToken: $personalToken) {
+      id
+    }
+  }
+`;
+
+const expensesQuery = gqlV2/* GraphQL */ `
+  query Expenses($account: AccountReferenceInput!) {
+    expenses(account: $account) {
+      totalCount
+    }
+  }
+`;
+
+const processExpenseMutation = gqlV2/* GraphQL */ `
+  mutation ProcessExpense($expense: ExpenseReferenceInput!) {
+    processExpense(expense: $expense, action: APPROVE) {
+      status
+    }
+  }
+`;
+
+const accountConnectionsQuery = gqlV2/* GraphQL */ `
+  query AccountConnections($slug: String!) {
+    account(slug: $slug) {
+      transactions {
+        totalCount
+      }
+      orders {
+        totalCount
+      }
+      updates {
+        totalCount
+      }
+      conversations {
+        totalCount
+      }
+    }
+  }
+`;
+
+const searchQuery = gqlV2/* GraphQL */ `
+  query Search($term: String!) {
+    search(term: $term) {
+      totalCount
+      nodes {
+        type
+      }
+    }
+  }
+`;
+
+/** Authenticates a request with the personal token like the middleware does, then runs the query */
+const queryWithPersonalToken = async (token, query, variables, url = '/graphql/v2') => {
+  const req = { ...makeRequest(null, query), originalUrl: url } as any;
+  await authenticateUserByPersonalToken(req, token);
+  return graphql(schemaV2, query, null, { ...req, loaders: makeRequest(req.remoteUser, query).loaders }, variables);
+};
+
+describe('server/graphql/v2/mutation/PersonalTokenMutations', () => {
+  let user, collective;
+
+  before(async () => {
+    await utils.resetTestDB();
+    user = await fakeUser();
+    collective = await fakeCollective({ admin: user.collective });
+  });
+
+  describe('createPersonalToken', () => {
+    it('must be logged in', async () => {
+      const personalToken = { name: 'CI', scopes: ['EXPENSES_READ'] };
+      const result = await graphqlQueryV2(createPersonalTokenMutation, { personalToken });
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq('You need to be logged in to manage personal tokens');
+    });
+
+    it('requires at least one scope', async () => {
+      const personalToken = { name: 'CI', scopes: [] };
+      const result = await graphqlQueryV2(createPersonalTokenMutation, { personalToken }, user);
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq('A personal token needs at least one scope');
+    });
+
+    it('can only be restricted to accounts the user administrates', async () => {
+      const otherCollective = await fakeCollective();
+      const personalToken = {
+        name: 'CI',
+        scopes: ['EXPENSES_READ'],
+        limitedToAccounts: [{ legacyId: otherCollective.id }],
+      };
+      const result = await graphqlQueryV2(createPersonalTokenMutation, { personalToken }, user);
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.include('You need to be an admin of');
+    });
+
+    it('creates a token', async () => {
+      const personalToken = {
+        name: 'CI',
+        scopes: ['EXPENSES_READ', 'TRANSACTIONS_READ'],
+        limitedToAccounts: [{ legacyId: collective.id }],
+      };
+      const result = await graphqlQueryV2(createPersonalTokenMutation, { personalToken }, user);
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+      expect(result.data.createPersonalToken.name).to.eq('CI');
+      expect(result.data.createPersonalToken.token).to.have.length(64);
+      expect(result.data.createPersonalToken.scopes).to.deep.eq(['EXPENSES_READ', 'TRANSACTIONS_READ']);
+      expect(result.data.createPersonalToken.limitedToAccounts).to.deep.eq([{ legacyId: collective.id }]);
+
+      // Only the hash of the token is stored
+      const plainToken = result.data.createPersonalToken.token;
+      expect(await models.Application.findOne({ where: { token: plainToken } })).to.be.null;
+      const token = await models.Application.findOne({ where: { token: models.Application.hashToken(plainToken) } });
+      expect(token.type).to.eq('personalToken');
+      expect(token.scopes).to.deep.eq(['expenses:read', 'transactions:read']);
+      expect(token.CreatedByUserId).to.eq(user.id);
+    });
+  });
+
+  describe('deletePersonalToken', () => {
+    it('can only be deleted by its owner', async () => {
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+      const otherUser = await fakeUser();
+      const variables = { personalToken: { legacyId: personalToken.id } };
+      const result = await graphqlQueryV2(deletePersonalTokenMutation, variables, otherUser);
+      expect(result.errors).to.exist;
+      expect(result.errors[0].message).to.eq('You can only revoke your own personal tokens');
+
+      const result2 = await graphqlQueryV2(deletePersonalTokenMutation, variables, user);
+      expect(result2.errors).to.not.exist;
+      await personalToken.reload({ paranoid: false });
+      expect(personalToken.deletedAt).to.exist;
+    });
+  });
+
+  describe('authenticating with a personal token', () => {
+    let expense;
+
+    before(async () => {
+      const host = await fakeHost({ admin: user.collective });
+      await collective.update({ HostCollectiveId: host.id, approvedAt: new Date(), isActive: true });
+      expense = await fakeExpense({ CollectiveId: collective.id, status: 'PENDING' });
+    });
+
+    it('rejects expired tokens', async () => {
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        expiresAt: new Date(Date.now() - 1000),
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+
+      const req = { originalUrl: '/graphql/v2' };
+      await expect(authenticateUserByPersonalToken(req, personalToken.plainToken)).to.be.rejectedWith(
+        'This personal token has expired',
+      );
+    });
+
+    it('can only be used with the GraphQL API v2', async () => {
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+
+      const req = { originalUrl: '/graphql/v1' };
+      await expect(authenticateUserByPersonalToken(req, personalToken.plainToken)).to.be.rejectedWith(
+        'Personal tokens can only be used with the GraphQL API v2',
+      );
+    });
+
+    it('is only accepted in the Personal-Token header', async () => {
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+
+      const makeReq = (headers, query = {}) =>
+        ({ originalUrl: '/graphql/v2', query, get: header => headers[header] } as any);
+      const reqWithQuery = makeReq({}, { personalToken: personalToken.plainToken });
+      const next = sinon.spy();
+      await checkClientApp(reqWithQuery, null, next);
+      expect(next.firstCall.args).to.be.empty;
+      expect(reqWithQuery.personalToken).to.not.exist;
+      expect(reqWithQuery.remoteUser).to.not.exist;
+
+      const reqWithHeader = makeReq({ 'Personal-Token': personalToken.plainToken });
+      await checkClientApp(reqWithHeader, null, next);
+      expect(next.secondCall.args).to.be.empty;
+      expect(reqWithHeader.personalToken.id).to.eq(personalToken.id);
+      expect(reqWithHeader.remoteUser.id).to.eq(user.id);
+    });
+
+    it('enforces the scopes', async () => {
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+
+      const account = { legacyId: collective.id };
+      const readResult = await queryWithPersonalToken(personalToken.plainToken, expensesQuery, { account });
+      readResult.errors && console.error(readResult.errors);
+      expect(readResult.errors).to.not.exist;
+      expect(readResult.data.expenses.totalCount).to.eq(1);
+
+      const writeResult = await queryWithPersonalToken(personalToken.plainToken, processExpenseMutation, {
+        expense: { legacyId: expense.id },
+      });
+      expect(writeResult.errors).to.exist;
+      expect(writeResult.errors[0].message).to.eq('The "expenses:write" scope is required for this operation');
+      await expense.reload();
+      expect(expense.status).to.eq('PENDING');
+
+      const { plainToken } = personalToken;
+      await personalToken.reload();
+      expect(personalToken.lastUsedAt).to.exist;
+
+      // `lastUsedAt` is refreshed at most once per minute
+      const { lastUsedAt } = personalToken;
+      await queryWithPersonalToken(plainToken, expensesQuery, { account });
+      await personalToken.reload();
+      expect(personalToken.lastUsedAt.getTime()).to.eq(lastUsedAt.getTime());
+    });
+
+    it('enforces the scopes on the connection fields', async () => {
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+
+      const result = await queryWithPersonalToken(personalToken.plainToken, accountConnectionsQuery, {
+        slug: collective.slug,
+      });
+      expect(result.errors).to.have.length(4);
+      expect(result.errors.map(error => error.message)).to.have.members([
+        'The "transactions:read" scope is required for this operation',
+        'The "orders:read" scope is required for this operation',
+        'The "updates:read" scope is required for this operation',
+        'The "conversations:read" scope is required for this operation',
+      ]);
+
+      await personalToken.update({
+        scopes: ['transactions:read', 'orders:read', 'updates:read', 'conversations:read'],
+      });
+      const resultWithScopes = await queryWithPersonalToken(personalToken.plainToken, accountConnectionsQuery, {
+        slug: collective.slug,
+      });
+      resultWithScopes.errors && console.error(resultWithScopes.errors);
+      expect(resultWithScopes.errors).to.not.exist;
+    });
+
+    it('only searches the types of content allowed by the scopes', async () => {
+      await fakeExpense({ CollectiveId: collective.id, description: 'Koalabudget review' });
+      await fakeConversation({ CollectiveId: collective.id, title: 'Koalabudget questions' });
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['conversations:read'],
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+
+      const result = await queryWithPersonalToken(personalToken.plainToken, searchQuery, { term: 'koalabudget' });
+      result.errors && console.error(result.errors);
+      expect(result.errors).to.not.exist;
+      expect(result.data.search.nodes.map(node => node.type)).to.deep.eq(['CONVERSATION']);
+    });
+
+    it('limits the roles to the accounts the token is restricted to', async () => {
+      const otherCollective = await fakeCollective({ admin: user.collective });
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        limitedToCollectiveIds: [otherCollective.id],
+        CreatedByUserId: user.id,
+        CollectiveId: user.CollectiveId,
+      });
+
+      const req = { originalUrl: '/graphql/v2' } as any;
+      await authenticateUserByPersonalToken(req, personalToken.plainToken);
+      expect(req.remoteUser.isAdminOfCollective(otherCollective)).to.be.true;
+      expect(req.remoteUser.isAdminOfCollective(collective)).to.be.false;
+      expect(req.remoteUser.isAdmin(user.CollectiveId)).to.be.false;
+    });
+  });
+});
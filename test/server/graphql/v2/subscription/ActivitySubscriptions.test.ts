@@ -0,0 +1,111 @@
+import { expect } from 'chai';
+import gqlV2 from 'fake-tag';
+import { ExecutionResult, parse, subscribe } from 'graphql';
+
+import { activities } from '../../../../../server/constants';
+import schemaV2 from '../../../../../server/graphql/v2/schema';
+import models from '../../../../../server/models';
+import { fakeActivity, fakeCollective, fakeHost, fakeUser } from '../../../../test-helpers/fake-data';
+import { makeRequest, resetTestDB } from '../../../../utils';
+
+const accountActivitySubscription = gqlV2/* GraphQL */ `
+  subscription AccountActivity($account: AccountReferenceInput!) {
+    accountActivity(account: $account) {
+      id
+      type
+      account {
+        legacyId
+      }
+    }
+  }
+`;
+
+const subscribeV2 = async (query, variables, remoteUser = null, personalToken = null) => {
+  if (remoteUser) {
+    remoteUser.rolesByCollectiveId = null; // force refetching the roles
+    await remoteUser.populateRoles();
+  }
+
+  return subscribe({
+    schema: schemaV2,
+    document: parse(query),
+    contextValue: { ...makeRequest(remoteUser, query), personalToken },
+    variableValues: variables,
+  });
+};
+
+describe('server/graphql/v2/subscription/ActivitySubscriptions', () => {
+  let host, collective, otherCollective, hostAdmin, collectiveAdmin;
+
+  before(async () => {
+    await resetTestDB();
+    hostAdmin = await fakeUser();
+    collectiveAdmin = await fakeUser();
+    host = await fakeHost({ admin: hostAdmin.collective });
+    collective = await fakeCollective({ HostCollectiveId: host.id, admin: collectiveAdmin.collective });
+    otherCollective = await fakeCollective();
+  });
+
+  describe('accountActivity', () => {
+    it('must be logged in as an admin of the account', async () => {
+      const variables = { account: { legacyId: collective.id } };
+      const unauthenticated = <ExecutionResult>await subscribeV2(accountActivitySubscription, variables);
+      expect(unauthenticated.errors[0].message).to.eq('You need to be logged in to follow the activity of an account');
+
+      const randomUser = await fakeUser();
+      const forbidden = <ExecutionResult>await subscribeV2(accountActivitySubscription, variables, randomUser);
+      expect(forbidden.errors[0].message).to.eq('You need to be an admin of the account to follow its activity');
+    });
+
+    it('requires the account:read scope when using a personal token', async () => {
+      const personalToken = await models.Application.create({
+        type: 'personalToken',
+        scopes: ['expenses:read'],
+        CreatedByUserId: collectiveAdmin.id,
+        CollectiveId: collectiveAdmin.CollectiveId,
+      });
+
+      const variables = { account: { legacyId: collective.id } };
+      const result = <ExecutionResult>(
+        await subscribeV2(accountActivitySubscription, variables, collectiveAdmin, personalToken)
+      );
+      expect(result.errors[0].message).to.eq('The "account:read" scope is required for this operation');
+    });
+
+    it('notifies the activities of the account', async () => {
+      const variables = { account: { legacyId: collective.id } };
+      const iterator = <AsyncIterableIterator<ExecutionResult>>(
+        await subscribeV2(accountActivitySubscription, variables, collectiveAdmin)
+      );
+
+      const nextResult = iterator.next();
+      await fakeActivity({ CollectiveId: otherCollective.id, type: activities.COLLECTIVE_UPDATE_PUBLISHED });
+      await fakeActivity({ CollectiveId: collective.id, type: activities.COLLECTIVE_UPDATE_PUBLISHED });
+
+      const { value } = await nextResult;
+      expect(value.errors).to.not.exist;
+      expect(value.data.accountActivity.type).to.eq('COLLECTIVE_UPDATE_PUBLISHED');
+      expect(value.data.accountActivity.account.legacyId).to.eq(collective.id);
+      await iterator.return();
+    });
+
+    it('includes the activities of the hosted accounts for hosts', async () => {
+      const variables = { account: { legacyId: host.id } };
+      const iterator = <AsyncIterableIterator<ExecutionResult>>(
+        await subscribeV2(accountActivitySubscription, variables, hostAdmin)
+      );
+
+      const nextResult = iterator.next();
+      await fakeActivity({
+        CollectiveId: collective.id,
+        type: activities.COLLECTIVE_EXPENSE_CREATED,
+        data: { host: { id: host.id } },
+      });
+
+      const { value } = await nextResult;
+      expect(value.data.accountActivity.type).to.eq('COLLECTIVE_EXPENSE_CREATED');
+      expect(value.data.accountActivity.account.legacyId).to.eq(collective.id);
+      await iterator.return();
+    });
+  });
+});
@@ -0,0 +1,236 @@
+import { expect } from 'chai';
+import { v4 as uuid } from 'uuid';
+
+import { TransactionKind } from '../../../server/constants/transaction-kind';
+import {
+  AccountingExportFormat,
+  DEFAULT_CHART_OF_ACCOUNTS,
+  exportHostLedger,
+  getJournalEntry,
+  validateAccountingSettings,
+} from '../../../server/lib/accounting-export';
+import { fakeCollective, fakeHost, fakeTransaction } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/accounting-export', () => {
+  describe('getJournalEntry', () => {
+    const accounts = { ...DEFAULT_CHART_OF_ACCOUNTS, BANK: '1010', [TransactionKind.CONTRIBUTION]: '4001' };
+
+    it('balances a contribution with its payment processor fee', () => {
+      const transaction = {
+        id: 1,
+        uuid: 'uuid-1',
+        type: 'CREDIT',
+        kind: TransactionKind.CONTRIBUTION,
+        description: 'Monthly contribution',
+        amountInHostCurrency: 10000,
+        paymentProcessorFeeInHostCurrency: -300,
+        hostCurrency: 'USD',
+        createdAt: new Date('2021-08-01'),
+        fromCollective: { name: 'Jane Doe' },
+      };
+
+      const entry = getJournalEntry(transaction, accounts);
+      expect(entry.bankAmount).to.eq(9700);
+      expect(entry.isBankMovement).to.be.true;
+      expect(entry.counterpartyName).to.eq('Jane Doe');
+      expect(entry.lines.map(line => [line.accountCode, line.amount])).to.deep.eq([
+        ['4001', -10000],
+        ['5100', 300],
+        ['1010', 9700],
+      ]);
+    });
+
+    it('only flags the contributions, expenses and their refunds as bank movements', () => {
+      const getEntry = (data, options = {}) =>
+        getJournalEntry({ amountInHostCurrency: 1000, ...data }, accounts, options);
+      expect(getEntry({ type: 'DEBIT', kind: TransactionKind.EXPENSE }).isBankMovement).to.be.true;
+      expect(getEntry({ type: 'CREDIT', kind: TransactionKind.EXPENSE, isRefund: true }).isBankMovement).to.be.true;
+      expect(getEntry({ type: 'DEBIT', kind: TransactionKind.CONTRIBUTION, isRefund: true }).isBankMovement).to.be.true;
+      expect(
+        getEntry({ type: 'CREDIT', kind: TransactionKind.CONTRIBUTION }, { isInternalTransfer: true }).isBankMovement,
+      ).to.be.false;
+      expect(getEntry({ type: 'DEBIT', kind: TransactionKind.CONTRIBUTION }).isBankMovement).to.be.false;
+      expect(getEntry({ type: 'CREDIT', kind: TransactionKind.HOST_FEE }).isBankMovement).to.be.false;
+      expect(getEntry({ type: 'DEBIT', kind: TransactionKind.HOST_FEE_SHARE }).isBankMovement).to.be.false;
+      expect(getEntry({ type: 'CREDIT', kind: TransactionKind.PLATFORM_TIP_DEBT, isDebt: true }).isBankMovement).to.be
+        .false;
+    });
+
+    it('uses the type of legacy transactions to find their account', () => {
+      const transaction = { type: 'DEBIT', kind: null, amountInHostCurrency: -5000, description: 'Hosting' };
+      const entry = getJournalEntry(transaction, accounts);
+      expect(entry.lines.map(line => [line.accountCode, line.amount])).to.deep.eq([
+        ['5000', 5000],
+        ['1010', -5000],
+      ]);
+    });
+  });
+
+  describe('validateAccountingSettings', () => {
+    it('only accepts known accounts with valid codes', () => {
+      expect(validateAccountingSettings({ chartOfAccounts: { BANK: '512' }, xeroTaxRate: 'Tax on Sales' })).to.be.false;
+      expect(validateAccountingSettings({ chartOfAccounts: ['512'] })).to.eq(
+        'The chart of accounts must map the kinds of transactions to account codes',
+      );
+      expect(validateAccountingSettings({ chartOfAccounts: { SAVINGS: '512' } })).to.eq(
+        'Unknown account in the chart of accounts: SAVINGS',
+      );
+      expect(validateAccountingSettings({ chartOfAccounts: { BANK: 512 } })).to.include('Invalid code for BANK');
+      expect(validateAccountingSettings({ xeroTaxRate: '' })).to.eq('Invalid Xero tax rate');
+    });
+  });
+
+  describe('exportHostLedger', () => {
+    let host;
+
+    before(async () => {
+      await utils.resetTestDB();
+      host = await fakeHost({
+        slug: 'ledger-host',
+        currency: 'EUR',
+        settings: { accounting: { chartOfAccounts: { BANK: '512', EXPENSE: '606' } } },
+      });
+      const collective = await fakeCollective({ HostCollectiveId: host.id });
+      const contributor = await fakeCollective({ name: 'ACME, "Inc"' });
+      const createdAt = new Date('2021-08-10');
+      const baseData = { HostCollectiveId: host.id, CollectiveId: collective.id, hostCurrency: 'EUR', createdAt };
+      await fakeTransaction({
+        ...baseData,
+        id: 1001,
+        FromCollectiveId: contributor.id,
+        kind: TransactionKind.CONTRIBUTION,
+        amount: 10000,
+        paymentProcessorFeeInHostCurrency: -300,
+        description: 'Contribution to the collective',
+      });
+      await fakeTransaction({
+        ...baseData,
+        id: 1002,
+        kind: TransactionKind.EXPENSE,
+        amount: -2500,
+        description: 'Stickers',
+      });
+
+      // Out of the period
+      await fakeTransaction({ ...baseData, amount: 100, createdAt: new Date('2021-06-01') });
+      // Not hosted by the host
+      await fakeTransaction({ amount: 100, createdAt });
+    });
+
+    const period = { dateFrom: new Date('2021-08-01'), dateTo: new Date('2021-09-01') };
+
+    it('exports a Xero manual journal using the chart of accounts of the host', async () => {
+      const result = await exportHostLedger(host, AccountingExportFormat.XERO_CSV, period);
+      expect(result.filename).to.eq('ledger-host-ledger-2021-08-01_2021-09-01.csv');
+      expect(result.contentType).to.eq('text/csv');
+      expect(result.content.split('\n')).to.deep.eq([
+        '"*Narration","*Date","Description","*AccountCode","*TaxRate","*Amount"',
+        '"Contribution to the collective (#1001)","10/08/2021","Contribution to the collective","4000","Tax Exempt","-100.00"',
+        '"Contribution to the collective (#1001)","10/08/2021","Payment processor fee","5100","Tax Exempt","3.00"',
+        '"Contribution to the collective (#1001)","10/08/2021","Contribution to the collective","512","Tax Exempt","97.00"',
+        '"Stickers (#1002)","10/08/2021","Stickers","606","Tax Exempt","25.00"',
+        '"Stickers (#1002)","10/08/2021","Stickers","512","Tax Exempt","-25.00"',
+      ]);
+    });
+
+    it('exports a QuickBooks journal', async () => {
+      const { content } = await exportHostLedger(host, AccountingExportFormat.QUICKBOOKS_CSV, period);
+      const lines = content.split('\n');
+      expect(lines).to.have.length(6);
+      expect(lines[1]).to.eq(
+        '"1001","08/10/2021","EUR","4000","","100.00","Contribution to the collective","ACME, ""Inc"""',
+      );
+    });
+
+    it('exports the movements of the bank account as OFX', async () => {
+      const { content, contentType } = await exportHostLedger(host, AccountingExportFormat.OFX, period);
+      expect(contentType).to.eq('application/x-ofx');
+      expect(content).to.include('<CURDEF>EUR</CURDEF>');
+      expect(content).to.include(
+        '<TRNTYPE>CREDIT</TRNTYPE>\n<DTPOSTED>20210810000000</DTPOSTED>\n<TRNAMT>97.00</TRNAMT>',
+      );
+      expect(content).to.include(
+        '<TRNTYPE>DEBIT</TRNTYPE>\n<DTPOSTED>20210810000000</DTPOSTED>\n<TRNAMT>-25.00</TRNAMT>',
+      );
+      expect(content).to.include('<BALAMT>72.00</BALAMT>');
+    });
+
+    it('only exports the real bank movements as OFX and QIF', async () => {
+      const collective = await fakeCollective({ HostCollectiveId: host.id });
+      const otherCollective = await fakeCollective({ HostCollectiveId: host.id });
+      const createdAt = new Date('2021-10-10');
+      const baseData = { HostCollectiveId: host.id, hostCurrency: 'EUR', createdAt };
+      await fakeTransaction({ ...baseData, CollectiveId: collective.id, kind: TransactionKind.HOST_FEE, amount: -500 });
+      await fakeTransaction({ ...baseData, CollectiveId: host.id, kind: TransactionKind.HOST_FEE, amount: 500 });
+      const transferData = { ...baseData, kind: TransactionKind.CONTRIBUTION, TransactionGroup: uuid() };
+      await fakeTransaction({
+        ...transferData,
+        CollectiveId: collective.id,
+        FromCollectiveId: otherCollective.id,
+        amount: 2000,
+      });
+      await fakeTransaction({
+        ...transferData,
+        CollectiveId: otherCollective.id,
+        FromCollectiveId: collective.id,
+        amount: -2000,
+      });
+
+      const internalPeriod = { dateFrom: new Date('2021-10-01'), dateTo: new Date('2021-11-01') };
+      const ofx = await exportHostLedger(host, AccountingExportFormat.OFX, internalPeriod);
+      expect(ofx.content).to.not.include('<STMTTRN>');
+      expect(ofx.content).to.include('<BALAMT>0.00</BALAMT>');
+      const qif = await exportHostLedger(host, AccountingExportFormat.QIF, internalPeriod);
+      expect(qif.content).to.eq('!Type:Bank\n');
+
+      // The journals still have all the entries
+      const xero = await exportHostLedger(host, AccountingExportFormat.XERO_CSV, internalPeriod);
+      expect(xero.content.split('\n')).to.have.length(1 + 4 * 2);
+    });
+
+    it('only contains ASCII characters in OFX', async () => {
+      const createdAt = new Date('2021-12-10');
+      const collective = await fakeCollective({ HostCollectiveId: host.id });
+      await fakeTransaction({
+        HostCollectiveId: host.id,
+        CollectiveId: collective.id,
+        hostCurrency: 'EUR',
+        createdAt,
+        kind: TransactionKind.EXPENSE,
+        amount: -1000,
+        description: 'Café ☕',
+      });
+
+      const decemberPeriod = { dateFrom: new Date('2021-12-01'), dateTo: new Date('2022-01-01') };
+      const { content } = await exportHostLedger(host, AccountingExportFormat.OFX, decemberPeriod);
+      expect(content).to.include('<MEMO>Cafe ?</MEMO>');
+    });
+
+    it('exports at most one year at a time', async () => {
+      const longPeriod = { dateFrom: new Date('2020-01-01'), dateTo: new Date('2021-09-01') };
+      await expect(exportHostLedger(host, AccountingExportFormat.OFX, longPeriod)).to.be.rejectedWith(
+        'The ledger can only be exported for one year at a time',
+      );
+    });
+
+    it('exports a QIF register with splits', async () => {
+      const { content } = await exportHostLedger(host, AccountingExportFormat.QIF, period);
+      expect(content.split('\n').slice(0, 13)).to.deep.eq([
+        '!Type:Bank',
+        'D08/10/2021',
+        'T97.00',
+        'N1001',
+        'PACME, "Inc"',
+        'MContribution to the collective',
+        'S4000',
+        'EContribution to the collective',
+        '$100.00',
+        'S5100',
+        'EPayment processor fee',
+        '$-3.00',
+        '^',
+      ]);
+    });
+  });
+});
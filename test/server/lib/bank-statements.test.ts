@@ -0,0 +1,183 @@
+import { expect } from 'chai';
+
+import {
+  BankStatementFormat,
+  BankStatementMatchCriterion,
+  findMatchesForBankStatementLines,
+  getNameSimilarity,
+  parseBankStatement,
+} from '../../../server/lib/bank-statements';
+import { parseAmount } from '../../../server/lib/bank-statements/csv';
+import { fakeCollective, fakeHost, fakeOrder, fakeOrganization } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+const CAMT_053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-1</Id>
+      <Ntry>
+        <NtryRef>1</NtryRef>
+        <Amt Ccy="EUR">150.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>2021-08-02</Dt></BookgDt>
+        <AcctSvcrRef>BANK-REF-1</AcctSvcrRef>
+        <NtryDtls>
+          <TxDtls>
+            <RltdPties><Dbtr><Nm>ACME &amp; Co</Nm></Dbtr></RltdPties>
+            <RmtInf><Ustrd>Contribution 4242</Ustrd></RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">20.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><Dt>2021-08-03</Dt></BookgDt>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>
+`;
+
+describe('server/lib/bank-statements', () => {
+  describe('parseBankStatement', () => {
+    it('parses the credits of a CAMT.053 statement', () => {
+      const lines = parseBankStatement(CAMT_053, BankStatementFormat.CAMT_053, { defaultCurrency: 'USD' });
+      expect(lines).to.have.length(1);
+      expect(lines[0]).to.deep.eq({
+        lineNumber: 1,
+        bankReference: 'BANK-REF-1',
+        date: new Date('2021-08-02'),
+        amount: 15000,
+        currency: 'EUR',
+        reference: 'Contribution 4242',
+        payerName: 'ACME & Co',
+      });
+    });
+
+    it('rejects XML files that are not CAMT.053 statements', () => {
+      const parse = () =>
+        parseBankStatement('<Document></Document>', BankStatementFormat.CAMT_053, { defaultCurrency: 'EUR' });
+      expect(parse).to.throw('This file is not a CAMT.053 bank statement');
+    });
+
+    it('parses the credits of a CSV statement', () => {
+      const csv = [
+        'Booking Date;Amount;Name;Description',
+        '02/08/2021;"1.234,50";John Doe;"Order 4242; thanks"',
+        '03/08/2021;-20,00;Bank;Fees',
+      ].join('\n');
+
+      const lines = parseBankStatement(csv, BankStatementFormat.CSV, { defaultCurrency: 'EUR' });
+      expect(lines).to.have.length(1);
+      expect(lines[0]).to.deep.include({
+        lineNumber: 1,
+        amount: 123450,
+        currency: 'EUR',
+        reference: 'Order 4242; thanks',
+        payerName: 'John Doe',
+      });
+      expect(lines[0].date.toISOString()).to.eq('2021-08-02T00:00:00.000Z');
+    });
+
+    it('requires an amount column in CSV statements', () => {
+      const parse = () =>
+        parseBankStatement('Date,Name\n2021-08-02,John', BankStatementFormat.CSV, { defaultCurrency: 'EUR' });
+      expect(parse).to.throw('Could not find the amount column in the CSV file');
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('supports the usual number formats', () => {
+      expect(parseAmount('1234.56')).to.eq(123456);
+      expect(parseAmount('1,234.56')).to.eq(123456);
+      expect(parseAmount('1.234,56')).to.eq(123456);
+      expect(parseAmount('€ 12,50')).to.eq(1250);
+      expect(parseAmount('-12.5')).to.eq(-1250);
+    });
+  });
+
+  describe('getNameSimilarity', () => {
+    it('ignores the case, accents and the order of the words', () => {
+      expect(getNameSimilarity('DOE JOHN', 'John Doe')).to.eq(1);
+      expect(getNameSimilarity('Zoé Martin', 'ZOE MARTIN')).to.eq(1);
+      expect(getNameSimilarity('John Doe', 'Jane Smith')).to.be.below(0.3);
+    });
+  });
+
+  describe('findMatchesForBankStatementLines', () => {
+    let host, orderWithReference, orderWithSameAmount;
+
+    before(async () => {
+      await utils.resetTestDB();
+      host = await fakeHost({ currency: 'EUR' });
+      const collective = await fakeCollective({ HostCollectiveId: host.id, currency: 'EUR' });
+      const acme = await fakeOrganization({ name: 'ACME & Co' });
+      orderWithReference = await fakeOrder({
+        CollectiveId: collective.id,
+        FromCollectiveId: acme.id,
+        status: 'PENDING',
+        totalAmount: 15000,
+        currency: 'EUR',
+      });
+      orderWithSameAmount = await fakeOrder({
+        CollectiveId: collective.id,
+        status: 'PENDING',
+        totalAmount: 15000,
+        currency: 'EUR',
+      });
+
+      // Not hosted by the host
+      await fakeOrder({ status: 'PENDING', totalAmount: 15000, currency: 'EUR' });
+    });
+
+    const makeLine = (params = {}) => ({
+      lineNumber: 1,
+      bankReference: null,
+      date: new Date(),
+      amount: 15000,
+      currency: 'EUR',
+      reference: null,
+      payerName: null,
+      ...params,
+    });
+
+    it('matches by reference, amount and payer name', async () => {
+      const line = makeLine({ reference: `Contribution ${orderWithReference.id}`, payerName: 'ACME and Co' });
+      const [result] = await findMatchesForBankStatementLines(host, [line]);
+      expect(result.matches).to.have.length(2);
+      expect(result.matches[0].order.id).to.eq(orderWithReference.id);
+      expect(result.matches[0].confidence).to.be.above(0.9);
+      expect(result.matches[0].criteria).to.deep.eq([
+        BankStatementMatchCriterion.REFERENCE,
+        BankStatementMatchCriterion.AMOUNT,
+        BankStatementMatchCriterion.PAYER_NAME,
+      ]);
+      expect(result.matches[1].order.id).to.eq(orderWithSameAmount.id);
+      expect(result.matches[1].confidence).to.eq(0.3);
+    });
+
+    it('does not rely on the reference alone when the amount does not match', async () => {
+      const line = makeLine({ amount: 4200, reference: `Invoice ${orderWithReference.id}` });
+      const [result] = await findMatchesForBankStatementLines(host, [line]);
+      expect(result.matches).to.be.empty;
+    });
+
+    it('does not match orders in another currency', async () => {
+      const line = makeLine({ currency: 'USD', reference: `${orderWithReference.id}` });
+      const [result] = await findMatchesForBankStatementLines(host, [line]);
+      expect(result.matches).to.be.empty;
+    });
+
+    it('proposes an order first for only one line', async () => {
+      const lines = [
+        makeLine({ lineNumber: 1 }),
+        makeLine({ lineNumber: 2, reference: `REF ${orderWithReference.id}` }),
+      ];
+
+      const [first, second] = await findMatchesForBankStatementLines(host, lines);
+      expect(second.matches[0].order.id).to.eq(orderWithReference.id);
+      expect(first.matches[0].order.id).to.eq(orderWithSameAmount.id);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import moment from 'moment';
+
+import {
+  BudgetCheckAction,
+  budgetLineMatchesExpense,
+  checkExpenseBudget,
+  getBudgetPeriodRange,
+  getBudgetReport,
+} from '../../../server/lib/budget-lines';
+import models from '../../../server/models';
+import { BudgetEnforcement, BudgetPeriod } from '../../../server/models/BudgetLine';
+import { fakeCollective, fakeExpense } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/budget-lines', () => {
+  describe('getBudgetPeriodRange', () => {
+    it('follows the calendar', () => {
+      const date = new Date('2021-05-12T10:00:00Z');
+      const month = getBudgetPeriodRange(BudgetPeriod.MONTH, date);
+      expect(month.startDate.toISOString()).to.eq('2021-05-01T00:00:00.000Z');
+      expect(month.endDate.toISOString()).to.eq('2021-05-31T23:59:59.999Z');
+      const quarter = getBudgetPeriodRange(BudgetPeriod.QUARTER, date);
+      expect(quarter.startDate.toISOString()).to.eq('2021-04-01T00:00:00.000Z');
+      expect(quarter.endDate.toISOString()).to.eq('2021-06-30T23:59:59.999Z');
+      const year = getBudgetPeriodRange(BudgetPeriod.YEAR, date);
+      expect(year.startDate.toISOString()).to.eq('2021-01-01T00:00:00.000Z');
+      expect(year.endDate.toISOString()).to.eq('2021-12-31T23:59:59.999Z');
+    });
+  });
+
+  describe('budgetLineMatchesExpense', () => {
+    const expense = { type: 'RECEIPT', tags: ['Travel', 'events'], amount: 1000, currency: 'USD' };
+
+    it('matches on tag (case insensitive) and type', () => {
+      const budgetLine = <any>{ tag: 'travel', expenseType: 'RECEIPT' };
+      expect(budgetLineMatchesExpense(budgetLine, expense)).to.be.true;
+      expect(budgetLineMatchesExpense(<any>{ tag: 'travel', expenseType: 'INVOICE' }, expense)).to.be.false;
+      expect(budgetLineMatchesExpense(<any>{ tag: 'food', expenseType: null }, expense)).to.be.false;
+    });
+
+    it('matches all expenses when no tag or type is set', () => {
+      expect(budgetLineMatchesExpense(<any>{ tag: null, expenseType: null }, expense)).to.be.true;
+    });
+  });
+
+  describe('with expenses', () => {
+    let collective;
+
+    beforeEach(async () => {
+      await utils.resetTestDB();
+      collective = await fakeCollective({ currency: 'USD' });
+    });
+
+    const createBudgetLine = (values = {}) =>
+      models.BudgetLine.create({
+        CollectiveId: collective.id,
+        name: 'Travel',
+        tag: 'Travel',
+        period: BudgetPeriod.MONTH,
+        amount: 10000,
+        ...values,
+      });
+
+    it('reports the spent, committed and remaining amounts', async () => {
+      const budgetLine = await createBudgetLine();
+      const tags = ['travel'];
+      await fakeExpense({ CollectiveId: collective.id, tags, amount: 3000, status: 'PAID' });
+      await fakeExpense({ CollectiveId: collective.id, tags, amount: 2000, status: 'APPROVED' });
+      await fakeExpense({ CollectiveId: collective.id, tags, amount: 1000, status: 'PARTIALLY_APPROVED' });
+      await fakeExpense({ CollectiveId: collective.id, tags, amount: 5000, status: 'REJECTED' });
+      await fakeExpense({ CollectiveId: collective.id, tags: ['food'], amount: 5000, status: 'PAID' });
+      await fakeExpense({
+        CollectiveId: collective.id,
+        tags,
+        amount: 5000,
+        status: 'PAID',
+        incurredAt: moment.utc().subtract(1, 'month').startOf('month').toDate(),
+      });
+
+      const [report] = await getBudgetReport(collective);
+      expect(report.budgetLine.id).to.eq(budgetLine.id);
+      expect(report.spent).to.eq(3000);
+      expect(report.committed).to.eq(3000);
+      expect(report.remaining).to.eq(4000);
+    });
+
+    it('returns a warning when a WARN line is exceeded', async () => {
+      const budgetLine = await createBudgetLine({ enforcement: BudgetEnforcement.WARN });
+      await fakeExpense({ CollectiveId: collective.id, tags: ['travel'], amount: 8000, status: 'PENDING' });
+
+      const expense = { type: 'RECEIPT', tags: ['travel'], amount: 3000, currency: 'USD' };
+      const warnings = await checkExpenseBudget(collective, expense, BudgetCheckAction.SUBMIT);
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.deep.include({ BudgetLineId: budgetLine.id, amount: 10000, projected: 11000 });
+    });
+
+    it('throws when a BLOCK line is exceeded', async () => {
+      await createBudgetLine({ enforcement: BudgetEnforcement.BLOCK });
+      await fakeExpense({ CollectiveId: collective.id, tags: ['travel'], amount: 8000, status: 'PAID' });
+
+      const expense = { type: 'RECEIPT', tags: ['travel'], amount: 3000, currency: 'USD' };
+      await expect(checkExpenseBudget(collective, expense, BudgetCheckAction.SUBMIT)).to.be.rejectedWith(
+        'This expense exceeds the budget "Travel"',
+      );
+    });
+
+    it('only counts the paid expenses when paying', async () => {
+      await createBudgetLine({ enforcement: BudgetEnforcement.BLOCK });
+      await fakeExpense({ CollectiveId: collective.id, tags: ['travel'], amount: 7000, status: 'APPROVED' });
+      const expense = await fakeExpense({
+        CollectiveId: collective.id,
+        tags: ['travel'],
+        amount: 4000,
+        status: 'APPROVED',
+      });
+
+      await expect(checkExpenseBudget(collective, expense, BudgetCheckAction.SUBMIT)).to.be.rejected;
+      const warnings = await checkExpenseBudget(collective, expense, BudgetCheckAction.PAY);
+      expect(warnings).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+
+import { getMentionedUsers, MAX_MENTIONS_PER_COMMENT, parseMentions } from '../../../server/lib/comment-mentions';
+import models from '../../../server/models';
+import {
+  fakeCollective,
+  fakeComment,
+  fakeConversation,
+  fakeExpense,
+  fakeOrganization,
+  fakeUser,
+} from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/comment-mentions', () => {
+  describe('parseMentions', () => {
+    it('returns the mentioned slugs', () => {
+      const html =
+        '<p>Hello @Betree, <a href="https://opencollective.com/xdamman">@xdamman</a>!</p><p>@betree again</p>';
+      expect(parseMentions(html)).to.deep.eq(['betree', 'xdamman']);
+    });
+
+    it('ignores emails and links', () => {
+      expect(parseMentions('<p>Write to hello@opencollective.com or see https://medium.com/@slug</p>')).to.be.empty;
+      expect(parseMentions(null)).to.be.empty;
+    });
+
+    it('limits the number of mentions', () => {
+      const html = Array.from({ length: 20 }, (_, idx) => `@user-${idx}`).join(' ');
+      expect(parseMentions(html)).to.have.length(MAX_MENTIONS_PER_COMMENT);
+    });
+  });
+
+  describe('getMentionedUsers', () => {
+    let author, mentionedUser, collective;
+
+    before(async () => {
+      await utils.resetTestDB();
+      author = await fakeUser();
+      mentionedUser = await fakeUser();
+      collective = await fakeCollective();
+    });
+
+    it('returns the mentioned users, but not the author nor organizations', async () => {
+      const organization = await fakeOrganization();
+      const conversation = await fakeConversation({ CollectiveId: collective.id });
+      const comment = await fakeComment({
+        ConversationId: conversation.id,
+        CollectiveId: collective.id,
+        CreatedByUserId: author.id,
+        html: `<p>@${mentionedUser.collective.slug} @${author.collective.slug} @${organization.slug}</p>`,
+      });
+
+      const users = await getMentionedUsers(comment);
+      expect(users.map(user => user.id)).to.deep.eq([mentionedUser.id]);
+
+      const activity = await models.Activity.findOne({
+        where: { type: 'collective.comment.mentioned', data: { CommentId: comment.id } },
+      });
+      expect(activity.data.MentionedUserId).to.eq(mentionedUser.id);
+    });
+
+    it('ignores the users who were already mentioned', async () => {
+      const conversation = await fakeConversation({ CollectiveId: collective.id });
+      const comment = await fakeComment({
+        ConversationId: conversation.id,
+        CollectiveId: collective.id,
+        CreatedByUserId: author.id,
+        html: `<p>Hi @${mentionedUser.collective.slug}</p>`,
+      });
+
+      const previousHtml = `<p>Hey @${mentionedUser.collective.slug}</p>`;
+      expect(await getMentionedUsers(comment, { previousHtml })).to.be.empty;
+    });
+
+    it('ignores the users who cannot see the comment', async () => {
+      const expense = await fakeExpense({ CollectiveId: collective.id });
+      const comment = await fakeComment({
+        ExpenseId: expense.id,
+        CollectiveId: collective.id,
+        CreatedByUserId: author.id,
+        html: `<p>Hi @${mentionedUser.collective.slug}</p>`,
+      });
+
+      expect(await getMentionedUsers(comment)).to.be.empty;
+
+      const submitter = await models.User.findByPk(expense.UserId, { include: [{ association: 'collective' }] });
+      await comment.update({ html: `<p>Hi @${submitter.collective.slug}</p>` });
+      const users = await getMentionedUsers(comment);
+      expect(users.map(user => user.id)).to.deep.eq([submitter.id]);
+    });
+  });
+});
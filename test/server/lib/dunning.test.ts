@@ -0,0 +1,126 @@
+import { URL } from 'url';
+
+import { expect } from 'chai';
+import config from 'config';
+import jwt from 'jsonwebtoken';
+
+import {
+  DEFAULT_DUNNING_POLICY,
+  DunningEndAction,
+  getDaysBeforeRetry,
+  getDunningPolicy,
+  getMaxRetries,
+  getOrderFromPaymentMethodUpdateToken,
+  getPaymentMethodUpdateLink,
+  getRemainingDaysInSchedule,
+  isInGracePeriod,
+  isRetriableChargeError,
+  validateDunningPolicy,
+} from '../../../server/lib/dunning';
+import { fakeCollective, fakeOrder, fakePaymentMethod } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/dunning', () => {
+  describe('validateDunningPolicy', () => {
+    it('accepts valid policies', () => {
+      expect(validateDunningPolicy({})).to.be.false;
+      const policy = { retryScheduleInDays: [1, 3, 7], gracePeriodInDays: 7, endAction: DunningEndAction.PAUSE };
+      expect(validateDunningPolicy(policy)).to.be.false;
+    });
+
+    it('rejects invalid schedules', () => {
+      expect(validateDunningPolicy({ retryScheduleInDays: [] })).to.include('between 1 and 10 retries');
+      expect(validateDunningPolicy({ retryScheduleInDays: [2, 0] })).to.include('between 1 and 30 days');
+      expect(validateDunningPolicy({ retryScheduleInDays: [2, 1.5] })).to.include('between 1 and 30 days');
+    });
+
+    it('rejects invalid grace periods and end actions', () => {
+      expect(validateDunningPolicy({ gracePeriodInDays: -1 })).to.include('grace period');
+      expect(validateDunningPolicy({ endAction: 'DELETE' as DunningEndAction })).to.include('CANCEL, PAUSE');
+    });
+  });
+
+  describe('getDunningPolicy', () => {
+    it('falls back on the default policy', () => {
+      expect(getDunningPolicy(null)).to.eq(DEFAULT_DUNNING_POLICY);
+      expect(getDunningPolicy({ settings: { dunning: { retryScheduleInDays: 'nope' } } })).to.eq(
+        DEFAULT_DUNNING_POLICY,
+      );
+    });
+
+    it('merges the settings of the host with the default policy', () => {
+      const policy = getDunningPolicy({ settings: { dunning: { endAction: 'PAUSE' } } });
+      expect(policy).to.deep.eq({ ...DEFAULT_DUNNING_POLICY, endAction: 'PAUSE' });
+    });
+  });
+
+  describe('retry schedule', () => {
+    const policy = { ...DEFAULT_DUNNING_POLICY, retryScheduleInDays: [1, 3, 7] };
+
+    it('follows the schedule of the policy', () => {
+      expect(getMaxRetries(policy)).to.eq(4);
+      expect(getDaysBeforeRetry(policy, 1)).to.eq(1);
+      expect(getDaysBeforeRetry(policy, 2)).to.eq(3);
+      expect(getDaysBeforeRetry(policy, 3)).to.eq(7);
+      expect(getDaysBeforeRetry(policy, 10)).to.eq(7);
+    });
+
+    it('computes the number of days before the last retry', () => {
+      expect(getRemainingDaysInSchedule(policy, 1)).to.eq(11);
+      expect(getRemainingDaysInSchedule(policy, 3)).to.eq(7);
+    });
+
+    it('keeps the contribution active during the grace period', () => {
+      const state = { firstFailedAt: new Date().toISOString(), failedAttempts: 1, isRetriable: true };
+      expect(isInGracePeriod(policy, state)).to.be.false;
+      expect(isInGracePeriod({ ...policy, gracePeriodInDays: 3 }, state)).to.be.true;
+      const oldState = { ...state, firstFailedAt: '2018-01-01T00:00:00.000Z' };
+      expect(isInGracePeriod({ ...policy, gracePeriodInDays: 3 }, oldState)).to.be.false;
+    });
+  });
+
+  describe('isRetriableChargeError', () => {
+    it('classifies the Stripe decline codes', () => {
+      // eslint-disable-next-line camelcase
+      expect(isRetriableChargeError({ code: 'card_declined', decline_code: 'insufficient_funds' })).to.be.true;
+      // eslint-disable-next-line camelcase
+      expect(isRetriableChargeError({ code: 'card_declined', raw: { decline_code: 'stolen_card' } })).to.be.false;
+      expect(isRetriableChargeError({ code: 'expired_card' })).to.be.false;
+      expect(isRetriableChargeError(new Error('Something went wrong'))).to.be.true;
+    });
+  });
+
+  describe('payment method update link', () => {
+    let order;
+
+    before(async () => {
+      await utils.resetTestDB();
+      const collective = await fakeCollective();
+      const paymentMethod = await fakePaymentMethod({ service: 'stripe', type: 'creditcard' });
+      order = await fakeOrder(
+        { CollectiveId: collective.id, PaymentMethodId: paymentMethod.id, status: 'ERROR' },
+        { withSubscription: true },
+      );
+    });
+
+    it('returns the order while the payment method has not changed', async () => {
+      const token = new URL(getPaymentMethodUpdateLink(order)).searchParams.get('token');
+      const orderFromToken = await getOrderFromPaymentMethodUpdateToken(token);
+      expect(orderFromToken.id).to.eq(order.id);
+      expect(orderFromToken.Subscription.id).to.eq(order.SubscriptionId);
+
+      const otherPaymentMethod = await fakePaymentMethod({ service: 'stripe', type: 'creditcard' });
+      await order.update({ PaymentMethodId: otherPaymentMethod.id });
+      expect(await getOrderFromPaymentMethodUpdateToken(token)).to.be.null;
+    });
+
+    it('rejects invalid tokens', async () => {
+      expect(await getOrderFromPaymentMethodUpdateToken('not-a-token')).to.be.null;
+
+      // Tokens signed with the session secret can't be used to update a payment method
+      const token = new URL(getPaymentMethodUpdateLink(order)).searchParams.get('token');
+      const sessionToken = jwt.sign(jwt.decode(token), config.keys.opencollective.jwtSecret);
+      expect(await getOrderFromPaymentMethodUpdateToken(sessionToken)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+
+import { expect } from 'chai';
+import config from 'config';
+import sinon from 'sinon';
+
+import {
+  formatReplyAsHtml,
+  getReplyToAddress,
+  getSenderEmail,
+  isValidMailgunRequest,
+  parseReplyToAddress,
+  stripQuotedReply,
+} from '../../../server/lib/email-replies';
+
+describe('server/lib/email-replies', () => {
+  describe('reply-to address', () => {
+    const user = { id: 42 };
+
+    it('encodes the entity and the user', () => {
+      const address = getReplyToAddress({ UpdateId: 12 }, user);
+      expect(address).to.match(new RegExp(`^reply\\+update-12-42-[a-z0-9]+-[a-f0-9]{16}@${config.email.replyDomain}$`));
+      expect(address.split('@')[0].length).to.be.at.most(64);
+      expect(parseReplyToAddress(address)).to.deep.eq({ entity: { UpdateId: 12 }, UserId: 42 });
+      expect(parseReplyToAddress(`Open Collective <${address.toUpperCase()}>`)).to.deep.eq({
+        entity: { UpdateId: 12 },
+        UserId: 42,
+      });
+    });
+
+    it('rejects the addresses that were tampered with', () => {
+      const address = getReplyToAddress({ ExpenseId: 12 }, user);
+      expect(parseReplyToAddress(address.replace('expense-12', 'expense-13'))).to.be.null;
+      expect(parseReplyToAddress(address.replace('expense-12', 'update-12'))).to.be.null;
+      expect(parseReplyToAddress(address.replace('-42-', '-43-'))).to.be.null;
+      expect(parseReplyToAddress(address.replace(config.email.replyDomain, 'example.com'))).to.be.null;
+      expect(parseReplyToAddress('info@test.opencollective.com')).to.be.null;
+      expect(getReplyToAddress({}, user)).to.be.null;
+    });
+
+    it('rejects the expired addresses', () => {
+      const clock = sinon.useFakeTimers(new Date('2021-09-01'));
+      try {
+        const address = getReplyToAddress({ ExpenseId: 12 }, user);
+        clock.tick(89 * 24 * 60 * 60 * 1000);
+        expect(parseReplyToAddress(address)).to.deep.eq({ entity: { ExpenseId: 12 }, UserId: 42 });
+        clock.tick(2 * 24 * 60 * 60 * 1000);
+        expect(parseReplyToAddress(address)).to.be.null;
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+
+  describe('isValidMailgunRequest', () => {
+    const signRequest = (timestamp, token) => {
+      const signature = crypto.createHmac('sha256', config.mailgun.apiKey).update(`${timestamp}${token}`).digest('hex');
+      return { timestamp, token, signature };
+    };
+
+    it('checks the signature of the request', async () => {
+      const timestamp = Math.round(Date.now() / 1000).toString();
+      expect(await isValidMailgunRequest(signRequest(timestamp, 'token-1'))).to.be.true;
+      expect(await isValidMailgunRequest({ ...signRequest(timestamp, 'token-2'), token: 'token-3' })).to.be.false;
+      expect(await isValidMailgunRequest({ timestamp, token: 'token-4' })).to.be.false;
+    });
+
+    it('rejects the old requests and the replayed ones', async () => {
+      const timestamp = Math.round(Date.now() / 1000).toString();
+      const oldTimestamp = Math.round(Date.now() / 1000 - 60 * 60).toString();
+      expect(await isValidMailgunRequest(signRequest(oldTimestamp, 'token-5'))).to.be.false;
+      expect(await isValidMailgunRequest(signRequest(timestamp, 'token-6'))).to.be.true;
+      expect(await isValidMailgunRequest(signRequest(timestamp, 'token-6'))).to.be.false;
+    });
+  });
+
+  describe('stripQuotedReply', () => {
+    it('removes the quoted message', () => {
+      const text = [
+        'Thanks, approved!',
+        '',
+        'On Mon, Sep 6, 2021 at 10:00 AM Open Collective <',
+        'no-reply@opencollective.com> wrote:',
+        '> New expense on Babel',
+        '> $10 for Stickers',
+      ].join('\r\n');
+
+      expect(stripQuotedReply(text)).to.eq('Thanks, approved!');
+      expect(stripQuotedReply('Ok\n\n-----Original Message-----\nFrom: Open Collective')).to.eq('Ok');
+      expect(stripQuotedReply('> quoted\nMy answer\n> quoted again')).to.eq('My answer');
+    });
+
+    it('removes the signature', () => {
+      expect(stripQuotedReply('Sounds good\n\n-- \nJohn Doe\nCEO')).to.eq('Sounds good');
+      expect(stripQuotedReply('Sounds good\n\nSent from my iPhone')).to.eq('Sounds good');
+      expect(stripQuotedReply('Hello -- world')).to.eq('Hello -- world');
+    });
+  });
+
+  describe('formatReplyAsHtml', () => {
+    it('escapes the text and splits it in paragraphs', () => {
+      expect(formatReplyAsHtml('Hello <b>you</b>\nsecond line\n\nNew paragraph')).to.eq(
+        '<p>Hello &lt;b&gt;you&lt;/b&gt;<br />second line</p><p>New paragraph</p>',
+      );
+      expect(formatReplyAsHtml('  \n\n ')).to.eq('');
+    });
+  });
+
+  it('getSenderEmail returns the email of the sender', () => {
+    expect(getSenderEmail('John Doe <John@Example.com>')).to.eq('john@example.com');
+    expect(getSenderEmail('john@example.com')).to.eq('john@example.com');
+  });
+});
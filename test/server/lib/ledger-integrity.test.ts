@@ -0,0 +1,229 @@
+import { expect } from 'chai';
+import moment from 'moment';
+
+import { TransactionKind } from '../../../server/constants/transaction-kind';
+import {
+  checkLedgerIntegrity,
+  checkTransactionGroup,
+  LedgerIntegrityCheck,
+  LedgerIntegrityIssueSeverity,
+  recordFindings,
+} from '../../../server/lib/ledger-integrity';
+import models, { sequelize } from '../../../server/models';
+import { fakeCollective, fakeTransaction } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+const makeTransaction = (values = {}) => ({
+  id: 1,
+  TransactionGroup: 'group-1',
+  kind: TransactionKind.CONTRIBUTION,
+  type: 'CREDIT',
+  CollectiveId: 10,
+  FromCollectiveId: 20,
+  amount: 1000,
+  netAmountInCollectiveCurrency: 950,
+  amountInHostCurrency: 1000,
+  currency: 'USD',
+  hostCurrency: 'USD',
+  hostCurrencyFxRate: 1,
+  hostFeeInHostCurrency: 0,
+  platformFeeInHostCurrency: 0,
+  paymentProcessorFeeInHostCurrency: -50,
+  isDebt: false,
+  ...values,
+});
+
+const makeOpposite = (credit, values = {}) =>
+  makeTransaction({
+    ...credit,
+    id: credit.id + 1,
+    type: 'DEBIT',
+    CollectiveId: credit.FromCollectiveId,
+    FromCollectiveId: credit.CollectiveId,
+    amount: -credit.netAmountInCollectiveCurrency,
+    netAmountInCollectiveCurrency: -credit.amount,
+    amountInHostCurrency: -credit.netAmountInCollectiveCurrency,
+    ...values,
+  });
+
+describe('server/lib/ledger-integrity', () => {
+  describe('checkTransactionGroup', () => {
+    it('returns nothing for a valid contribution', () => {
+      const credit = makeTransaction();
+      expect(checkTransactionGroup([credit, makeOpposite(credit)])).to.be.empty;
+    });
+
+    it('detects missing opposite entries', () => {
+      const [finding] = checkTransactionGroup([makeTransaction()]);
+      expect(finding).to.deep.include({
+        check: LedgerIntegrityCheck.OPPOSITE_ENTRY,
+        severity: LedgerIntegrityIssueSeverity.ERROR,
+        TransactionId: 1,
+        message: 'CONTRIBUTION CREDIT #1 has no opposite DEBIT',
+      });
+    });
+
+    it('detects opposite entries with different fees', () => {
+      const credit = makeTransaction();
+      const findings = checkTransactionGroup([credit, makeOpposite(credit, { paymentProcessorFeeInHostCurrency: 0 })]);
+      expect(findings).to.have.length(1);
+      expect(findings[0].check).to.eq(LedgerIntegrityCheck.OPPOSITE_FEES);
+      expect(findings[0].suggestedFix).to.eq('Set paymentProcessorFeeInHostCurrency to -50 on #2');
+    });
+
+    it('detects debts that do not cancel the original transaction', () => {
+      const contribution = makeTransaction();
+      const hostFee = makeTransaction({
+        id: 3,
+        kind: TransactionKind.HOST_FEE,
+        CollectiveId: 30,
+        FromCollectiveId: 10,
+        amount: 100,
+        amountInHostCurrency: 100,
+        netAmountInCollectiveCurrency: 100,
+        paymentProcessorFeeInHostCurrency: 0,
+      });
+      const hostFeeShare = makeTransaction({
+        ...hostFee,
+        id: 5,
+        kind: TransactionKind.HOST_FEE_SHARE,
+        CollectiveId: 8686,
+        FromCollectiveId: 30,
+      });
+      const hostFeeShareDebt = makeOpposite(hostFeeShare, {
+        id: 7,
+        kind: TransactionKind.HOST_FEE_SHARE_DEBT,
+        isDebt: true,
+        type: 'DEBIT',
+        CollectiveId: 8686,
+        FromCollectiveId: 30,
+        amount: -90,
+        netAmountInCollectiveCurrency: -90,
+        amountInHostCurrency: -90,
+      });
+
+      const transactions = [
+        contribution,
+        makeOpposite(contribution),
+        hostFee,
+        makeOpposite(hostFee),
+        hostFeeShare,
+        makeOpposite(hostFeeShare),
+        hostFeeShareDebt,
+        makeOpposite(hostFeeShareDebt, { id: 9, type: 'CREDIT', amount: 90, amountInHostCurrency: 90 }),
+      ];
+
+      const findings = checkTransactionGroup(transactions);
+      expect(findings).to.have.length(1);
+      expect(findings[0]).to.deep.include({ check: LedgerIntegrityCheck.DEBT_PAIR, TransactionId: 7 });
+    });
+
+    it('detects fees recorded without the transaction they were charged on', () => {
+      const hostFee = makeTransaction({ kind: TransactionKind.HOST_FEE, paymentProcessorFeeInHostCurrency: 0 });
+      const findings = checkTransactionGroup([hostFee, makeOpposite(hostFee)]);
+      expect(findings).to.have.length(1);
+      expect(findings[0]).to.deep.include({
+        check: LedgerIntegrityCheck.FEE_WITHOUT_PARENT,
+        severity: LedgerIntegrityIssueSeverity.WARNING,
+      });
+    });
+
+    it('detects wrong currency conversions', () => {
+      const credit = makeTransaction({ currency: 'EUR', hostCurrencyFxRate: 1.2, amountInHostCurrency: 1000 });
+      const findings = checkTransactionGroup([credit, makeOpposite(credit, { currency: 'EUR' })]);
+      expect(findings.map(f => [f.check, f.TransactionId])).to.deep.eq([
+        [LedgerIntegrityCheck.CURRENCY_CONVERSION, 1],
+        [LedgerIntegrityCheck.CURRENCY_CONVERSION, 2],
+      ]);
+    });
+
+    it('detects refunds that are not linked both ways', () => {
+      const credit = makeTransaction({ RefundTransactionId: 3 });
+      const refund = makeTransaction({ id: 3, type: 'DEBIT', isRefund: true, RefundTransactionId: null });
+      const findings = checkTransactionGroup([credit, makeOpposite(credit, { RefundTransactionId: null })], {
+        3: refund,
+      });
+      expect(findings).to.have.length(1);
+      expect(findings[0]).to.deep.include({
+        check: LedgerIntegrityCheck.REFUND_PAIR,
+        TransactionId: 1,
+        suggestedFix: 'Set RefundTransactionId to 1 on #3',
+      });
+    });
+  });
+
+  describe('checkLedgerIntegrity', () => {
+    let credit, debit;
+
+    before(async () => {
+      await utils.resetTestDB();
+      const collective = await fakeCollective();
+      credit = await fakeTransaction({ CollectiveId: collective.id, amount: 1000 }, { createDoubleEntry: true });
+      debit = await models.Transaction.findOne({
+        where: { TransactionGroup: credit.TransactionGroup, type: 'DEBIT' },
+      });
+    });
+
+    const since = moment().subtract(1, 'day').toDate();
+
+    it('records the issues and resolves them when they are fixed', async () => {
+      expect(await checkLedgerIntegrity({ since })).to.deep.eq({ checked: 1, created: 0, resolved: 0 });
+
+      await debit.destroy();
+      expect(await checkLedgerIntegrity({ since })).to.deep.eq({ checked: 1, created: 1, resolved: 0 });
+      const [issue] = await models.LedgerIntegrityIssue.findAll();
+      expect(issue.check).to.eq(LedgerIntegrityCheck.OPPOSITE_ENTRY);
+      expect(issue.TransactionId).to.eq(credit.id);
+      expect(issue.resolvedAt).to.be.null;
+
+      // Still detected
+      expect(await checkLedgerIntegrity({ since })).to.deep.eq({ checked: 1, created: 0, resolved: 0 });
+
+      await debit.restore();
+      expect(await checkLedgerIntegrity({ since })).to.deep.eq({ checked: 1, created: 0, resolved: 1 });
+      await issue.reload();
+      expect(issue.resolvedAt).to.be.a('date');
+    });
+
+    it('records the findings of the same check on the same transaction separately', async () => {
+      const makeFinding = (TransactionId, key) => ({
+        check: LedgerIntegrityCheck.OPPOSITE_FEES,
+        severity: LedgerIntegrityIssueSeverity.ERROR,
+        TransactionGroup: credit.TransactionGroup,
+        TransactionId,
+        message: `${key} doesn't match`,
+        suggestedFix: null,
+        data: { key },
+      });
+
+      const findings = [
+        makeFinding(credit.id, 'hostFeeInHostCurrency'),
+        makeFinding(credit.id, 'paymentProcessorFeeInHostCurrency'),
+        makeFinding(null, 'hostFeeInHostCurrency'),
+        makeFinding(null, 'paymentProcessorFeeInHostCurrency'),
+      ];
+
+      expect(await recordFindings([credit.TransactionGroup], findings)).to.deep.eq({ created: 4, resolved: 0 });
+      expect(await recordFindings([credit.TransactionGroup], findings.slice(1))).to.deep.eq({
+        created: 0,
+        resolved: 1,
+      });
+    });
+
+    it('checks the whole ledger without a date', async () => {
+      const collective = await fakeCollective();
+      const lonelyCredit = await fakeTransaction({ CollectiveId: collective.id, amount: 500 });
+      await sequelize.query(`UPDATE "Transactions" SET "updatedAt" = NOW() - INTERVAL '1 month' WHERE id = :id`, {
+        replacements: { id: lonelyCredit.id },
+      });
+
+      await checkLedgerIntegrity({ since });
+      expect(await models.LedgerIntegrityIssue.count({ where: { TransactionId: lonelyCredit.id } })).to.eq(0);
+
+      const result = await checkLedgerIntegrity({ batchSize: 1 });
+      expect(result.checked).to.eq(2);
+      const issues = await models.LedgerIntegrityIssue.findAll({ where: { TransactionId: lonelyCredit.id } });
+      expect(issues.map(issue => issue.check)).to.include(LedgerIntegrityCheck.OPPOSITE_ENTRY);
+    });
+  });
+});
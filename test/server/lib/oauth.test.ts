@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+
+import { expect } from 'chai';
+
+import { verifyJwt } from '../../../server/lib/auth';
+import * as oauth from '../../../server/lib/oauth';
+import { _authenticateUserByJwt } from '../../../server/middleware/authentication';
+import models from '../../../server/models';
+import { fakeUser } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+const base64Url = (buffer: Buffer): string =>
+  buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const getCodeFromRedirectUri = (redirectUri: string): string => new URL(redirectUri).searchParams.get('code');
+
+describe('server/lib/oauth', () => {
+  let user, application;
+
+  before(async () => {
+    await utils.resetTestDB();
+    user = await fakeUser();
+    application = await models.Application.create({
+      type: 'oAuth',
+      name: 'Bookkeeping',
+      callbackUrl: 'https://bookkeeping.example/callback',
+      CreatedByUserId: user.id,
+      CollectiveId: user.CollectiveId,
+    });
+  });
+
+  describe('authorize', () => {
+    const getParams = (params = {}) => ({
+      clientId: application.clientId,
+      responseType: 'code',
+      scope: 'expenses:read transactions:read',
+      state: 'xyz',
+      ...params,
+    });
+
+    it('rejects unknown clients', async () => {
+      const promise = oauth.authorize(user, getParams({ clientId: 'unknown' }));
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'Unknown client');
+    });
+
+    it('rejects redirect URIs that do not match the application', async () => {
+      const promise = oauth.authorize(user, getParams({ redirectUri: 'https://evil.example/callback' }));
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'The redirect URI does not match');
+    });
+
+    it('rejects invalid scopes', async () => {
+      const promise = oauth.authorize(user, getParams({ scope: 'expenses:read root' }));
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'Invalid scopes: root');
+    });
+
+    it('only accepts the S256 code challenge method', async () => {
+      const promise = oauth.authorize(user, getParams({ codeChallenge: 'verifier', codeChallengeMethod: 'plain' }));
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'Unsupported code challenge method: plain');
+      const promiseWithoutMethod = oauth.authorize(user, getParams({ codeChallenge: 'verifier' }));
+      await expect(promiseWithoutMethod).to.be.rejectedWith(oauth.OAuthError, 'Unsupported code challenge method');
+    });
+
+    it('records the consent and returns a redirect URI with the code', async () => {
+      const redirectUri = await oauth.authorize(user, getParams());
+      const url = new URL(redirectUri);
+      expect(url.origin + url.pathname).to.eq('https://bookkeeping.example/callback');
+      expect(url.searchParams.get('state')).to.eq('xyz');
+      expect(url.searchParams.get('code')).to.have.length(64);
+
+      // The code is stored hashed
+      const hashedCode = models.Application.hashToken(url.searchParams.get('code'));
+      expect(await models.OAuthAuthorizationCode.count({ where: { code: hashedCode } })).to.eq(1);
+
+      const authorization = await models.OAuthAuthorization.findOne({
+        where: { UserId: user.id, ApplicationId: application.id },
+      });
+      expect(authorization.scopes).to.deep.eq(['expenses:read', 'transactions:read']);
+    });
+  });
+
+  describe('token exchange', () => {
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const getCode = async (params = {}) => {
+      const redirectUri = await oauth.authorize(user, {
+        clientId: application.clientId,
+        responseType: 'code',
+        scope: 'expenses:read',
+        codeChallenge,
+        codeChallengeMethod: 'S256',
+        ...params,
+      });
+      return getCodeFromRedirectUri(redirectUri);
+    };
+
+    it('requires a valid code verifier', async () => {
+      const code = await getCode();
+      const promise = oauth.exchangeAuthorizationCode({
+        clientId: application.clientId,
+        code,
+        codeVerifier: 'not-the-verifier',
+      });
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'Invalid code verifier');
+    });
+
+    it('requires the client secret when PKCE is not used', async () => {
+      const code = await getCode({ codeChallenge: undefined, codeChallengeMethod: undefined });
+      const promise = oauth.exchangeAuthorizationCode({ clientId: application.clientId, code });
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'Invalid client credentials');
+    });
+
+    it('exchanges a code for a token only once', async () => {
+      const code = await getCode();
+      const result = await oauth.exchangeAuthorizationCode({ clientId: application.clientId, code, codeVerifier });
+      expect(result['token_type']).to.eq('Bearer');
+      expect(result['expires_in']).to.eq(oauth.ACCESS_TOKEN_EXPIRATION);
+      expect(result.scope).to.eq('expenses:read');
+
+      const payload = verifyJwt(result['access_token']);
+      expect(payload.sub).to.eq(String(user.id));
+      expect(payload.scope).to.eq('oauth');
+      const oauthToken = await models.OAuthToken.findByPk(payload.oauthTokenId);
+      expect(oauthToken.refreshToken).to.eq(models.Application.hashToken(result['refresh_token']));
+
+      const promise = oauth.exchangeAuthorizationCode({ clientId: application.clientId, code, codeVerifier });
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'Invalid authorization code');
+    });
+
+    it('exchanges a code only once when used concurrently', async () => {
+      const code = await getCode();
+      const params = { clientId: application.clientId, code, codeVerifier };
+      const results = await Promise.allSettled([
+        oauth.exchangeAuthorizationCode(params),
+        oauth.exchangeAuthorizationCode(params),
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).to.have.length(1);
+    });
+
+    it('rotates the refresh token', async () => {
+      const code = await getCode();
+      const tokens = await oauth.exchangeAuthorizationCode({ clientId: application.clientId, code, codeVerifier });
+      const credentials = { clientId: application.clientId, clientSecret: application.clientSecret };
+      const refreshed = await oauth.refreshAccessToken({ ...credentials, refreshToken: tokens['refresh_token'] });
+      expect(refreshed['refresh_token']).to.not.eq(tokens['refresh_token']);
+
+      const promise = oauth.refreshAccessToken({ ...credentials, refreshToken: tokens['refresh_token'] });
+      await expect(promise).to.be.rejectedWith(oauth.OAuthError, 'Invalid refresh token');
+    });
+
+    it('rotates the refresh token only once when used concurrently', async () => {
+      const code = await getCode();
+      const tokens = await oauth.exchangeAuthorizationCode({ clientId: application.clientId, code, codeVerifier });
+      const credentials = { clientId: application.clientId, clientSecret: application.clientSecret };
+      const params = { ...credentials, refreshToken: tokens['refresh_token'] };
+      const results = await Promise.allSettled([oauth.refreshAccessToken(params), oauth.refreshAccessToken(params)]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).to.have.length(1);
+      const oauthTokenId = verifyJwt(tokens['access_token']).oauthTokenId;
+      expect((await models.OAuthToken.findByPk(oauthTokenId)).accessTokenVersion).to.eq(2);
+    });
+
+    it('invalidates the previous access tokens when refreshing', async () => {
+      const authenticate = async accessToken => {
+        const req = { jwtPayload: verifyJwt(accessToken), originalUrl: '/graphql/v2' } as any;
+        const error = await new Promise(resolve => _authenticateUserByJwt(req, null, resolve));
+        return { req, error };
+      };
+
+      const code = await getCode();
+      const tokens = await oauth.exchangeAuthorizationCode({ clientId: application.clientId, code, codeVerifier });
+      const credentials = { clientId: application.clientId, clientSecret: application.clientSecret };
+      expect((await authenticate(tokens['access_token'])).req.remoteUser.id).to.eq(user.id);
+
+      const refreshed = await oauth.refreshAccessToken({ ...credentials, refreshToken: tokens['refresh_token'] });
+      const { error } = await authenticate(tokens['access_token']);
+      expect(error).to.have.property('message', 'This access token has expired, please refresh it');
+      const { req, error: refreshedError } = await authenticate(refreshed['access_token']);
+      expect(refreshedError).to.not.exist;
+      expect(req.remoteUser.id).to.eq(user.id);
+    });
+  });
+
+  describe('revocation', () => {
+    const issueToken = async () => {
+      const redirectUri = await oauth.authorize(user, {
+        clientId: application.clientId,
+        responseType: 'code',
+        scope: 'expenses:read',
+      });
+      const code = getCodeFromRedirectUri(redirectUri);
+      const credentials = { clientId: application.clientId, clientSecret: application.clientSecret };
+      const tokens = await oauth.exchangeAuthorizationCode({ ...credentials, code });
+      return { credentials, tokens, oauthTokenId: verifyJwt(tokens['access_token']).oauthTokenId };
+    };
+
+    it('revokes a token from its access token', async () => {
+      const { credentials, tokens, oauthTokenId } = await issueToken();
+      await oauth.revokeToken({ ...credentials, token: tokens['access_token'] });
+      expect(await models.OAuthToken.findByPk(oauthTokenId)).to.be.null;
+    });
+
+    it('ignores unknown tokens', async () => {
+      const { credentials } = await issueToken();
+      await expect(oauth.revokeToken({ ...credentials, token: 'unknown' })).to.be.fulfilled;
+    });
+
+    it('revokes all the tokens when the authorization is revoked', async () => {
+      const { oauthTokenId } = await issueToken();
+      const authorization = await models.OAuthAuthorization.findOne({
+        where: { UserId: user.id, ApplicationId: application.id },
+      });
+
+      await oauth.revokeAuthorization(authorization);
+      expect(await models.OAuthToken.findByPk(oauthTokenId)).to.be.null;
+      expect(await models.OAuthToken.count({ where: { UserId: user.id, ApplicationId: application.id } })).to.eq(0);
+    });
+  });
+});
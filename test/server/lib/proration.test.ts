@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import * as paymentsLib from '../../../server/lib/payments';
+import { applyProration, getCurrentPeriod, getProration } from '../../../server/lib/proration';
+import models from '../../../server/models';
+import { fakeCollective, fakeOrder, fakePaymentMethod, fakeTransaction } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/proration', () => {
+  const now = new Date('2021-06-16T00:00:00Z');
+  const makeOrder = (subscriptionValues = {}) => ({
+    status: 'ACTIVE',
+    totalAmount: 500,
+    currency: 'USD',
+    interval: 'month',
+    Subscription: {
+      isActive: true,
+      interval: 'month',
+      chargeNumber: 3,
+      activatedAt: new Date('2021-03-10T00:00:00Z'),
+      nextPeriodStart: new Date('2021-07-01T00:00:00Z'),
+      nextChargeDate: new Date('2021-07-01T00:00:00Z'),
+      ...subscriptionValues,
+    },
+  });
+
+  describe('getCurrentPeriod', () => {
+    it('lasts one interval', () => {
+      const { start, end } = getCurrentPeriod(makeOrder().Subscription);
+      expect(start.toISOString()).to.eq('2021-06-01T00:00:00.000Z');
+      expect(end.toISOString()).to.eq('2021-07-01T00:00:00.000Z');
+    });
+
+    it('starts at the activation of the subscription for the first period', () => {
+      const { start } = getCurrentPeriod(makeOrder({ chargeNumber: 1 }).Subscription);
+      expect(start.toISOString()).to.eq('2021-03-10T00:00:00.000Z');
+    });
+  });
+
+  describe('getProration', () => {
+    it('charges the difference for the rest of the period on upgrades', () => {
+      const proration = getProration(makeOrder(), 5000, null, now);
+      // 15 days left out of 30
+      expect(proration.amount).to.eq(2250);
+      expect(proration.currency).to.eq('USD');
+      expect(proration.nextChargeDate.toISOString()).to.eq('2021-07-01T00:00:00.000Z');
+    });
+
+    it('postpones the next charge on downgrades', () => {
+      const order = { ...makeOrder(), totalAmount: 5000 };
+      const proration = getProration(order, 1000, null, now);
+      expect(proration.amount).to.eq(-2000);
+      // $20 of credit at $10/month = 2 periods of 31 days
+      expect(proration.nextChargeDate.toISOString()).to.eq('2021-09-01T00:00:00.000Z');
+    });
+
+    it('ignores changes that cannot be prorated', () => {
+      expect(getProration(makeOrder(), 550, null, now)).to.be.null;
+      expect(getProration({ ...makeOrder(), status: 'PAUSED' }, 5000, null, now)).to.be.null;
+      expect(getProration(makeOrder({ isManagedExternally: true }), 5000, null, now)).to.be.null;
+      expect(getProration(makeOrder(), 5000, { interval: 'year' }, now)).to.be.null;
+    });
+  });
+
+  describe('applyProration', () => {
+    const sandbox = sinon.createSandbox();
+    let order, processOrderStub;
+
+    before(async () => {
+      await utils.resetTestDB();
+      const collective = await fakeCollective({ settings: { proration: { enabled: true } } });
+      const paymentMethod = await fakePaymentMethod({ service: 'stripe', type: 'creditcard' });
+      order = await fakeOrder(
+        {
+          CollectiveId: collective.id,
+          PaymentMethodId: paymentMethod.id,
+          status: 'ACTIVE',
+          totalAmount: 5000,
+          currency: 'USD',
+          interval: 'month',
+          data: { hostFeePercent: 5 },
+        },
+        { withSubscription: true },
+      );
+      processOrderStub = sandbox
+        .stub(paymentsLib, 'processOrder')
+        .callsFake(order => fakeTransaction({ OrderId: order.id }));
+    });
+
+    after(() => sandbox.restore());
+
+    it('charges upgrades through a one-time order', async () => {
+      const proration = { ...getProration(makeOrder(), 5000, null, now), amount: 2250 };
+      await applyProration(order, proration);
+
+      const [prorationOrder] = processOrderStub.firstCall.args;
+      expect(prorationOrder.totalAmount).to.eq(2250);
+      expect(prorationOrder.interval).to.not.exist;
+      expect(prorationOrder.PaymentMethodId).to.eq(order.PaymentMethodId);
+      expect(prorationOrder.data).to.deep.eq({ hostFeePercent: 5, prorationForOrderId: order.id });
+
+      await prorationOrder.reload();
+      expect(prorationOrder.status).to.eq('PAID');
+    });
+
+    it('credits downgrades by postponing the next charge', async () => {
+      const nextChargeDate = new Date('2021-07-01T00:00:00Z');
+      await order.Subscription.update({ nextChargeDate, nextPeriodStart: nextChargeDate });
+      const proration = { ...getProration(makeOrder(), 5000, null, now), amount: -2000 };
+      proration.nextChargeDate = new Date('2021-09-01T00:00:00Z');
+      await applyProration(order, proration);
+
+      const subscription = await models.Subscription.findByPk(order.SubscriptionId);
+      expect(subscription.nextChargeDate.toISOString()).to.eq('2021-09-01T00:00:00.000Z');
+      expect(subscription.nextPeriodStart.toISOString()).to.eq('2021-09-01T00:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { expect } from 'chai';
+
+import { publish, subscribe } from '../../../server/lib/pubsub';
+
+describe('server/lib/pubsub', () => {
+  it('yields the published messages matching the filter', async () => {
+    const iterator = subscribe('test.channel', message => message.value % 2 === 0);
+    const nextMessage = iterator.next();
+
+    await publish('test.channel', { value: 1 });
+    await publish('test.channel', { value: 2 });
+    await publish('another.channel', { value: 4 });
+    await publish('test.channel', { value: 6 });
+
+    expect(await nextMessage).to.deep.eq({ value: { value: 2 }, done: false });
+    expect(await iterator.next()).to.deep.eq({ value: { value: 6 }, done: false });
+    await iterator.return();
+  });
+
+  it('drops the oldest messages when the subscriber is too slow', async () => {
+    const iterator = subscribe('test.channel');
+    const nextMessage = iterator.next();
+    await publish('test.channel', { value: 0 });
+    expect(await nextMessage).to.deep.eq({ value: { value: 0 }, done: false });
+
+    for (let value = 1; value <= 150; value++) {
+      await publish('test.channel', { value });
+    }
+
+    expect(await iterator.next()).to.deep.eq({ value: { value: 51 }, done: false });
+    await iterator.return();
+  });
+
+  it('stops yielding messages once the iterator returns', async () => {
+    const iterator = subscribe('test.channel');
+    const nextMessage = iterator.next();
+    await iterator.return();
+    await publish('test.channel', { value: 1 });
+
+    expect(await nextMessage).to.deep.eq({ value: undefined, done: true });
+    expect(await iterator.next()).to.deep.eq({ value: undefined, done: true });
+  });
+});
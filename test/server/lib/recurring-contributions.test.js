@@ -258,6 +258,9 @@ describe('server/lib/recurring-contributions', () => {
         .once()
         .withArgs('payment.failed', 'test@oc.com', {
           lastAttempt: false,
+          isPaused: false,
+          isRetriable: true,
+          updatePaymentMethodLink: sinon.match(/\/update-payment-method\?token=/),
           order: order.info,
           collective: order.collective.info,
           fromCollective: order.fromCollective.minimal,
@@ -288,6 +291,9 @@ describe('server/lib/recurring-contributions', () => {
         .once()
         .withArgs('payment.failed', 'test@oc.com', {
           lastAttempt: true,
+          isPaused: false,
+          isRetriable: true,
+          updatePaymentMethodLink: null,
           order: order.info,
           collective: order.collective.info,
           fromCollective: order.fromCollective.minimal,
@@ -434,6 +440,47 @@ describe('server/lib/recurring-contributions', () => {
         expect(order.Subscription.nextPeriodStart.getTime()).to.equal(new Date('2018-01-27 0:0').getTime());
       });
 
+      it('should only retry at the end of the schedule when the card cannot be charged anymore', async () => {
+        const { order } = await createOrderWithSubscription('month', '2018-01-27');
+        emailMock.expects('send').once().withArgs('payment.failed');
+        const error = Object.assign(new Error('Your card has expired.'), { code: 'card_declined' });
+        // eslint-disable-next-line camelcase
+        paymentsStub.rejects(Object.assign(error, { raw: { decline_code: 'expired_card' } }));
+
+        const entry = await processOrderWithSubscription(order, { dryRun: false });
+
+        emailMock.verify();
+        expect(entry.status).to.equal('failure');
+        expect(order.Subscription.chargeRetryCount).to.equal(MAX_RETRIES - 1);
+        expect(order.Subscription.data.dunning).to.deep.include({ declineCode: 'expired_card', isRetriable: false });
+        // 2 + 2 + 5 + 5 + 5 days
+        expect(order.Subscription.nextChargeDate.getTime()).to.equal(new Date('2018-02-16 0:0').getTime());
+      });
+
+      it('should pause the contribution at the end of the dunning if the host wants to', async () => {
+        const { order, collective } = await createOrderWithSubscription('month', '2018-01-27');
+        const host = await models.Collective.create({
+          name: 'Host',
+          isHostAccount: true,
+          settings: { dunning: { retryScheduleInDays: [3], endAction: 'PAUSE' } },
+        });
+        await collective.update({ HostCollectiveId: host.id, isActive: true });
+        await order.Subscription.update({ chargeRetryCount: 1 });
+        emailMock
+          .expects('send')
+          .once()
+          .withArgs('payment.failed', sinon.match.string, sinon.match({ isPaused: true }));
+        paymentsStub.rejects(new Error('Your card has insufficient funds.'));
+
+        const entry = await processOrderWithSubscription(order, { dryRun: false });
+
+        emailMock.verify();
+        expect(entry.dunningEndAction).to.equal('PAUSE');
+        expect(order.status).to.equal(status.PAUSED);
+        expect(order.Subscription.isActive).to.be.true;
+        expect(groupProcessedOrders([entry]).has('paused')).to.be.true;
+      });
+
       it('should increment chargeNumber after successfully processing the order', async () => {
         // Given an order with a subscription
         const { order } = await createOrderWithSubscription('month', '2018-04-17');
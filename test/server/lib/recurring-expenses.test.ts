@@ -0,0 +1,113 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import { draftDueRecurringExpenses, getNextDueDate } from '../../../server/lib/recurring-expenses';
+import models from '../../../server/models';
+import { RecurringExpenseInterval } from '../../../server/models/RecurringExpense';
+import { fakeCollective, fakeUser } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/recurring-expenses', () => {
+  describe('getNextDueDate', () => {
+    it('adds the interval', () => {
+      const date = new Date('2021-01-31T00:00:00Z');
+      const next = interval => getNextDueDate(date, interval, date).toISOString();
+      expect(next(RecurringExpenseInterval.WEEK)).to.eq('2021-02-07T00:00:00.000Z');
+      expect(next(RecurringExpenseInterval.MONTH)).to.eq('2021-02-28T00:00:00.000Z');
+      expect(next(RecurringExpenseInterval.QUARTER)).to.eq('2021-04-30T00:00:00.000Z');
+      expect(next(RecurringExpenseInterval.YEAR)).to.eq('2022-01-31T00:00:00.000Z');
+    });
+
+    it('does not drift at the end of the months', () => {
+      const startDate = new Date('2021-01-31T00:00:00Z');
+      const next = date => getNextDueDate(startDate, RecurringExpenseInterval.MONTH, new Date(date)).toISOString();
+      expect(next('2021-02-28T00:00:00Z')).to.eq('2021-03-31T00:00:00.000Z');
+      expect(next('2021-03-31T00:00:00Z')).to.eq('2021-04-30T00:00:00.000Z');
+      expect(next('2021-04-30T00:00:00Z')).to.eq('2021-05-31T00:00:00.000Z');
+    });
+  });
+
+  describe('draftDueRecurringExpenses', () => {
+    let collective, admin, payee;
+
+    const createRecurringExpense = (values = {}) =>
+      models.RecurringExpense.create({
+        CollectiveId: collective.id,
+        FromCollectiveId: payee.CollectiveId,
+        CreatedByUserId: admin.id,
+        interval: RecurringExpenseInterval.MONTH,
+        startDate: new Date('2021-06-01T00:00:00Z'),
+        nextDueDate: new Date('2021-06-01T00:00:00Z'),
+        type: 'INVOICE',
+        description: 'Hosting',
+        tags: ['infra'],
+        items: [
+          { description: 'Server', amount: 4000 },
+          { description: 'Backups', amount: 1000 },
+        ],
+        ...values,
+      });
+
+    beforeEach(async () => {
+      await utils.resetTestDB();
+      admin = await fakeUser();
+      payee = await fakeUser();
+      collective = await fakeCollective({ admin: admin.collective, currency: 'USD' });
+    });
+
+    it('drafts the due expenses and schedules the next ones', async () => {
+      const recurringExpense = await createRecurringExpense();
+      const notDueYet = await createRecurringExpense({
+        startDate: new Date('2021-07-01T00:00:00Z'),
+        nextDueDate: new Date('2021-07-01T00:00:00Z'),
+      });
+
+      const result = await draftDueRecurringExpenses(new Date('2021-06-02T00:00:00Z'));
+      expect(result).to.deep.eq({ drafted: 1, errors: 0 });
+
+      const expenses = await models.Expense.findAll({ where: { CollectiveId: collective.id } });
+      expect(expenses).to.have.length(1);
+      expect(expenses[0].status).to.eq('DRAFT');
+      expect(expenses[0].amount).to.eq(5000);
+      expect(expenses[0].tags).to.deep.eq(['infra']);
+      expect(expenses[0].data.recurringExpenseId).to.eq(recurringExpense.id);
+      expect(expenses[0].data.payee.id).to.eq(payee.CollectiveId);
+      expect(expenses[0].data.items).to.have.length(2);
+
+      await recurringExpense.reload();
+      await notDueYet.reload();
+      expect(recurringExpense.nextDueDate.toISOString()).to.eq('2021-07-01T00:00:00.000Z');
+      expect(recurringExpense.lastDraftedAt).to.exist;
+      expect(notDueYet.lastDraftedAt).to.be.null;
+    });
+
+    it('drafts missed periods only once', async () => {
+      const recurringExpense = await createRecurringExpense({ interval: RecurringExpenseInterval.WEEK });
+
+      const result = await draftDueRecurringExpenses(new Date('2021-06-20T00:00:00Z'));
+      expect(result.drafted).to.eq(1);
+      await recurringExpense.reload();
+      expect(recurringExpense.nextDueDate.toISOString()).to.eq('2021-06-22T00:00:00.000Z');
+    });
+
+    it('does not keep the draft if the next due date cannot be saved', async () => {
+      await createRecurringExpense();
+      const updateStub = sinon.stub(models.RecurringExpense.prototype, 'update').rejects(new Error('Failed'));
+      try {
+        const result = await draftDueRecurringExpenses(new Date('2021-06-02T00:00:00Z'));
+        expect(result).to.deep.eq({ drafted: 0, errors: 1 });
+      } finally {
+        updateStub.restore();
+      }
+
+      const expenses = await models.Expense.findAll({ where: { CollectiveId: collective.id } });
+      expect(expenses).to.be.empty;
+    });
+
+    it('stops after the end date', async () => {
+      await createRecurringExpense({ endDate: new Date('2021-05-31T00:00:00Z') });
+      const result = await draftDueRecurringExpenses(new Date('2021-06-02T00:00:00Z'));
+      expect(result.drafted).to.eq(0);
+    });
+  });
+});
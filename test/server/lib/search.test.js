@@ -2,9 +2,18 @@ import { expect } from 'chai';
 import config from 'config';
 
 import { CollectiveType } from '../../../server/graphql/v1/CollectiveInterface';
-import { searchCollectivesByEmail, searchCollectivesInDB } from '../../../server/lib/search';
+import { searchCollectivesByEmail, searchCollectivesInDB, searchContent } from '../../../server/lib/search';
+import models from '../../../server/models';
 import { newUser } from '../../stores';
-import { fakeCollective, fakeUser } from '../../test-helpers/fake-data';
+import {
+  fakeCollective,
+  fakeComment,
+  fakeConversation,
+  fakeExpense,
+  fakeExpenseItem,
+  fakeUpdate,
+  fakeUser,
+} from '../../test-helpers/fake-data';
 
 describe('server/lib/search', () => {
   describe('Search in DB', () => {
@@ -80,4 +89,72 @@ describe('server/lib/search', () => {
       expect(results.find(collective => collective.id === userCollective.id)).to.exist;
     });
   });
+
+  describe('Search content', () => {
+    let collective, admin, backer;
+
+    before(async () => {
+      admin = await fakeUser();
+      backer = await fakeUser();
+      collective = await fakeCollective();
+      await collective.addUserWithRole(admin, 'ADMIN');
+      await collective.addUserWithRole(backer, 'BACKER');
+    });
+
+    it('finds expenses by description and items, with highlights', async () => {
+      const expense = await fakeExpense({ CollectiveId: collective.id, description: 'Quokkastickers <for> the booth' });
+      const expenseWithItem = await fakeExpense({ CollectiveId: collective.id, description: 'Printing', items: [] });
+      await fakeExpenseItem({ ExpenseId: expenseWithItem.id, description: 'Giant quokkastickers' });
+      await fakeExpense({ CollectiveId: collective.id, description: 'Spam quokkastickers', status: 'SPAM' });
+
+      const [results, totalCount] = await searchContent('quokkastickers', { types: ['EXPENSE'] });
+      expect(totalCount).to.eq(2);
+      expect(results.map(result => result.id)).to.have.members([expense.id, expenseWithItem.id]);
+      expect(results.find(result => result.id === expense.id).highlight).to.eq(
+        '<mark>Quokkastickers</mark> &lt;for&gt; the booth',
+      );
+    });
+
+    it('only returns the comments on expenses to the people involved', async () => {
+      const expense = await fakeExpense({ CollectiveId: collective.id });
+      await fakeComment({ ExpenseId: expense.id, CollectiveId: collective.id, html: '<p>Wombatinvoice is late</p>' });
+      const conversation = await fakeConversation({ CollectiveId: collective.id, title: 'Wombatinvoice questions' });
+
+      const [publicResults] = await searchContent('wombatinvoice', { user: await fakeUser() });
+      expect(publicResults.map(result => result.type)).to.deep.eq(['CONVERSATION']);
+      expect(publicResults[0].id).to.eq(conversation.id);
+
+      const [adminResults] = await searchContent('wombatinvoice', { user: admin });
+      expect(adminResults.map(result => result.type)).to.have.members(['CONVERSATION', 'COMMENT']);
+
+      const submitter = await models.User.findByPk(expense.UserId);
+      const [submitterResults] = await searchContent('wombatinvoice', { user: submitter, types: ['COMMENT'] });
+      expect(submitterResults).to.have.length(1);
+    });
+
+    it('only returns private updates to the members of the collective', async () => {
+      await fakeUpdate({
+        CollectiveId: collective.id,
+        title: 'Private news',
+        html: '<p>The platypusgala is confirmed</p>',
+        isPrivate: true,
+        publishedAt: new Date(),
+      });
+
+      expect((await searchContent('platypusgala'))[1]).to.eq(0);
+      expect((await searchContent('platypusgala', { user: await fakeUser() }))[1]).to.eq(0);
+      const [results] = await searchContent('platypusgala', { user: backer });
+      expect(results[0].highlight).to.contain('<mark>platypusgala</mark>');
+    });
+
+    it('filters by account', async () => {
+      const otherCollective = await fakeCollective();
+      await fakeConversation({ CollectiveId: otherCollective.id, title: 'Echidnaparty planning' });
+      await fakeConversation({ CollectiveId: collective.id, title: 'Echidnaparty planning' });
+
+      const [results, totalCount] = await searchContent('echidnaparty', { CollectiveId: otherCollective.id });
+      expect(totalCount).to.eq(1);
+      expect(results[0].CollectiveId).to.eq(otherCollective.id);
+    });
+  });
 });
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import config from 'config';
+import sinon from 'sinon';
+
+import expenseStatus from '../../../server/constants/expense_status';
+import slackLib from '../../../server/lib/slack';
+import { analyzeSpam, getSpamThresholds, registerSpamDetector } from '../../../server/lib/spam-pipeline';
+import models, { sequelize } from '../../../server/models';
+import { SpamAction, SpamEntityType } from '../../../server/models/SpamReport';
+import { fakeCollective, fakeComment, fakeExpense, fakeUser } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/spam-pipeline', () => {
+  let sandbox, user, collective;
+
+  before(async () => {
+    await utils.resetTestDB();
+    // An old account, to not be flagged by the `accountAge` detector
+    user = await fakeUser();
+    await sequelize.query(`UPDATE "Users" SET "createdAt" = NOW() - INTERVAL '1 year' WHERE id = :id`, {
+      replacements: { id: user.id },
+    });
+    await user.reload();
+    collective = await fakeCollective();
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('analyzeSpam', () => {
+    it('returns a report with the detections', async () => {
+      const comment = { CreatedByUserId: user.id, html: '<p>Get your keto pills on https://supplementslove.com</p>' };
+      const report = await analyzeSpam(SpamEntityType.COMMENT, comment, { context: 'test' });
+      expect(report.score).to.eq(1);
+      expect(report.action).to.eq(SpamAction.BLOCK);
+      expect(report.context).to.eq('test');
+      expect(report.UserId).to.eq(user.id);
+      expect(report.data).to.deep.eq({ html: comment.html });
+
+      const detectors = report.detections.map(detection => detection.detector);
+      expect(detectors).to.include.members(['domains', 'keywords']);
+      expect(report.detections.find(detection => detection.detector === 'domains').details).to.deep.eq({
+        domains: ['supplementslove.com'],
+      });
+    });
+
+    it('uses the thresholds of the entity type', async () => {
+      sandbox.stub(config, 'spam').value({ thresholds: { update: { flag: 0.2, block: 0.8 } } });
+      expect(getSpamThresholds(SpamEntityType.UPDATE)).to.deep.eq({ flag: 0.2, block: 0.8 });
+      expect(getSpamThresholds(SpamEntityType.EXPENSE)).to.deep.eq({ flag: null, block: null });
+
+      const update = { CreatedByUserId: user.id, title: 'Weekly news', html: 'We now sell keto stuff' };
+      expect((await analyzeSpam(SpamEntityType.UPDATE, update)).action).to.eq(SpamAction.FLAG);
+      expect((await analyzeSpam(SpamEntityType.EXPENSE, { UserId: user.id, description: 'keto' })).action).to.eq(
+        SpamAction.NONE,
+      );
+    });
+
+    it('runs the registered detectors', async () => {
+      const unregister = registerSpamDetector({
+        name: 'test',
+        entityTypes: [SpamEntityType.COMMENT],
+        detect: async ({ content }) => (content.includes('forbidden') ? { score: 0.6, details: { test: true } } : null),
+      });
+
+      try {
+        const report = await analyzeSpam(SpamEntityType.COMMENT, { html: 'This is forbidden' }, { user: null });
+        expect(report.action).to.eq(SpamAction.FLAG);
+        expect(report.detections).to.deep.eq([{ detector: 'test', score: 0.6, details: { test: true } }]);
+
+        const update = { title: 'This is forbidden', html: '' };
+        expect((await analyzeSpam(SpamEntityType.UPDATE, update, { user: null })).detections).to.be.empty;
+      } finally {
+        unregister();
+      }
+
+      const report = await analyzeSpam(SpamEntityType.COMMENT, { html: 'This is forbidden' }, { user: null });
+      expect(report.detections).to.be.empty;
+    });
+
+    it('detects the users sharing their IP with banned accounts', async () => {
+      // Banned users are soft-deleted, see `sql/ban-collectives.sql`
+      const bannedUser = await fakeUser({ data: { lastSignInRequest: { ip: '10.0.0.42' }, isBanned: true } });
+      await sequelize.query(`UPDATE "Users" SET "deletedAt" = NOW() WHERE id = :id`, {
+        replacements: { id: bannedUser.id },
+      });
+      const suspiciousUser = await fakeUser({ data: { creationRequest: { ip: '10.0.0.42' } } });
+
+      const report = await analyzeSpam(SpamEntityType.COMMENT, { html: 'Hello', CreatedByUserId: suspiciousUser.id });
+      const detection = report.detections.find(detection => detection.detector === 'ipReputation');
+      expect(detection).to.exist;
+      expect(detection.score).to.eq(0.5);
+      expect(detection.details).to.deep.include({ ip: '10.0.0.42', bannedUsersCount: 1 });
+    });
+  });
+
+  describe('model hooks', () => {
+    it('rejects the comments detected as spam and stores the report', async () => {
+      const html = 'Visit https://supplementslove.com';
+      await expect(fakeComment({ CollectiveId: collective.id, CreatedByUserId: user.id, html })).to.be.rejectedWith(
+        'This content was detected as spam',
+      );
+
+      const spamReport = await models.SpamReport.findOne({
+        where: { entityType: SpamEntityType.COMMENT, UserId: user.id },
+        order: [['id', 'DESC']],
+      });
+
+      expect(spamReport).to.exist;
+      expect(spamReport.action).to.eq(SpamAction.BLOCK);
+      expect(spamReport.entityId).to.be.null;
+      expect(spamReport.data.html).to.include('https://supplementslove.com');
+    });
+
+    it('marks the expenses detected as spam', async () => {
+      const description = 'Buy on https://supplementslove.com';
+      const expense = await fakeExpense({ CollectiveId: collective.id, UserId: user.id, description });
+      expect(expense.status).to.eq(expenseStatus.SPAM);
+
+      const spamReport = await models.SpamReport.findOne({
+        where: { entityType: SpamEntityType.EXPENSE, entityId: expense.id },
+      });
+
+      expect(spamReport).to.exist;
+      expect(spamReport.action).to.eq(SpamAction.BLOCK);
+      expect(spamReport.CollectiveId).to.eq(collective.id);
+    });
+
+    it('flags the suspicious collectives', async () => {
+      const suspiciousCollective = await fakeCollective({ description: 'Some keto stuff', CreatedByUserId: user.id });
+      expect(suspiciousCollective.data.spamReport.score).to.eq(0.3);
+      expect(suspiciousCollective.data.spamReport.keywords).to.deep.eq(['keto']);
+
+      const spamReport = await models.SpamReport.findOne({
+        where: { entityType: SpamEntityType.COLLECTIVE, entityId: suspiciousCollective.id },
+      });
+
+      expect(spamReport).to.exist;
+      expect(spamReport.action).to.eq(SpamAction.FLAG);
+      expect(spamReport.CollectiveId).to.eq(suspiciousCollective.id);
+    });
+
+    it('only notifies about the suspicious content of the collectives', async () => {
+      const newUser = await fakeUser();
+      const notifySlack = sandbox.stub(slackLib, 'postMessageToOpenCollectiveSlack').resolves();
+      const newCollective = await fakeCollective({ description: 'A legit project', CreatedByUserId: newUser.id });
+      expect(newCollective.data?.spamReport).to.not.exist;
+      expect(notifySlack.called).to.be.false;
+
+      await fakeCollective({ description: 'Some keto stuff', CreatedByUserId: newUser.id });
+      expect(notifySlack.calledOnce).to.be.true;
+    });
+
+    it('saves the report in the creation transaction', async () => {
+      const transaction = await sequelize.transaction();
+      const suspiciousCollective = await models.Collective.create(
+        { name: 'Keto', slug: `keto-${user.id}`, description: 'Some keto stuff', CreatedByUserId: user.id },
+        { transaction },
+      );
+
+      const spamReportInTransaction = await models.SpamReport.findOne({
+        where: { entityType: SpamEntityType.COLLECTIVE, entityId: suspiciousCollective.id },
+        transaction,
+      });
+      expect(spamReportInTransaction).to.exist;
+
+      await transaction.rollback();
+      const count = await models.SpamReport.count({
+        where: { entityType: SpamEntityType.COLLECTIVE, entityId: suspiciousCollective.id },
+      });
+      expect(count).to.eq(0);
+    });
+
+    it('does not store a report for legit content', async () => {
+      const comment = await fakeComment({ CollectiveId: collective.id, CreatedByUserId: user.id, html: 'Thanks!' });
+      const count = await models.SpamReport.count({
+        where: { entityType: SpamEntityType.COMMENT, entityId: comment.id },
+      });
+      expect(count).to.eq(0);
+    });
+  });
+});
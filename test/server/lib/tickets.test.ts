@@ -0,0 +1,117 @@
+import { expect } from 'chai';
+import moment from 'moment';
+
+import {
+  AttendanceStatus,
+  checkInTicket,
+  getAttendanceReport,
+  getOrderTickets,
+  getTicketCode,
+  getTicketFromCode,
+  getTicketQRCode,
+} from '../../../server/lib/tickets';
+import { fakeEvent, fakeOrder, fakeTier, fakeUser } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/tickets', () => {
+  let event, ticketTier, organizer;
+
+  const fakeTicketOrder = ({ CollectiveId = event.id, TierId = ticketTier.id, quantity = 1, status = 'PAID' } = {}) => {
+    return fakeOrder({ CollectiveId, TierId, quantity, status });
+  };
+
+  before(async () => {
+    await utils.resetTestDB();
+    organizer = await fakeUser();
+    event = await fakeEvent({ startsAt: moment().subtract(2, 'days'), endsAt: moment().subtract(1, 'day') });
+    ticketTier = await fakeTier({ CollectiveId: event.id, type: 'TICKET' });
+  });
+
+  describe('ticket codes', () => {
+    it('has one ticket per unit of the order', async () => {
+      const order = await fakeTicketOrder({ quantity: 3 });
+      const tickets = await getOrderTickets(order);
+      expect(tickets.map(ticket => ticket.ticketNumber)).to.deep.eq([1, 2, 3]);
+      expect(new Set(tickets.map(ticket => ticket.code)).size).to.eq(3);
+
+      for (const ticket of tickets) {
+        const ticketFromCode = await getTicketFromCode(ticket.code);
+        expect(ticketFromCode.order.id).to.eq(order.id);
+        expect(ticketFromCode.ticketNumber).to.eq(ticket.ticketNumber);
+      }
+    });
+
+    it('encodes the code in a QR code', async () => {
+      const order = await fakeTicketOrder();
+      const [ticket] = await getOrderTickets(order);
+      const qrCode = await getTicketQRCode(ticket);
+      expect(qrCode.slice(1, 4).toString()).to.eq('PNG');
+    });
+
+    it('rejects forged codes', async () => {
+      const order = await fakeTicketOrder({ quantity: 2 });
+      const [, , signature] = getTicketCode(order, 1).split('-');
+      expect(await getTicketFromCode(`${order.id + 1}-1-${signature}`)).to.be.null;
+      expect(await getTicketFromCode(`${order.id}-2-${signature}`)).to.be.null;
+      expect(await getTicketFromCode(`${order.id}-1-${signature.replace(/./, 'x')}`)).to.be.null;
+      expect(await getTicketFromCode(getTicketCode(order, 3))).to.be.null;
+      expect(await getTicketFromCode('not-a-code')).to.be.null;
+    });
+
+    it('only works for the paid orders of ticket tiers', async () => {
+      const tier = await fakeTier({ CollectiveId: event.id, type: 'TIER' });
+      const backerOrder = await fakeTicketOrder({ TierId: tier.id });
+      expect(await getTicketFromCode(getTicketCode(backerOrder, 1))).to.be.null;
+      expect(await getOrderTickets(backerOrder)).to.be.empty;
+
+      const pendingOrder = await fakeTicketOrder({ status: 'PENDING' });
+      expect(await getTicketFromCode(getTicketCode(pendingOrder, 1))).to.be.null;
+    });
+  });
+
+  describe('checkInTicket', () => {
+    it('checks in each ticket only once', async () => {
+      const order = await fakeTicketOrder({ quantity: 2 });
+      const ticket = await checkInTicket(event, getTicketCode(order, 1), organizer);
+      expect(ticket.checkedInAt).to.exist;
+      await expect(checkInTicket(event, getTicketCode(order, 1), organizer)).to.be.rejectedWith('already checked in');
+
+      // The other ticket of the order can still be checked in
+      const otherTicket = await checkInTicket(event, getTicketCode(order, 2), organizer);
+      expect(otherTicket.ticketNumber).to.eq(2);
+    });
+
+    it('rejects tickets for other events', async () => {
+      const otherEvent = await fakeEvent();
+      const otherTier = await fakeTier({ CollectiveId: otherEvent.id, type: 'TICKET' });
+      const order = await fakeTicketOrder({ CollectiveId: otherEvent.id, TierId: otherTier.id });
+      await expect(checkInTicket(event, getTicketCode(order, 1), organizer)).to.be.rejectedWith('for another event');
+    });
+  });
+
+  describe('getAttendanceReport', () => {
+    it('reports the no-shows once the event is over', async () => {
+      const pastEvent = await fakeEvent({ endsAt: moment().subtract(1, 'hour') });
+      const tier = await fakeTier({ CollectiveId: pastEvent.id, type: 'TICKET' });
+      const order = await fakeTicketOrder({ CollectiveId: pastEvent.id, TierId: tier.id, quantity: 2 });
+      await checkInTicket(pastEvent, getTicketCode(order, 1), organizer);
+
+      const report = await getAttendanceReport(pastEvent);
+      expect(report.totalCount).to.eq(2);
+      expect(report.checkedInCount).to.eq(1);
+      expect(report.noShowCount).to.eq(1);
+      const noShowEntry = report.attendees.find(({ ticket }) => ticket.ticketNumber === 2);
+      expect(noShowEntry.status).to.eq(AttendanceStatus.NO_SHOW);
+    });
+
+    it('expects the attendees of upcoming events', async () => {
+      const upcomingEvent = await fakeEvent({ startsAt: moment().add(1, 'week') });
+      const tier = await fakeTier({ CollectiveId: upcomingEvent.id, type: 'TICKET' });
+      await fakeTicketOrder({ CollectiveId: upcomingEvent.id, TierId: tier.id });
+
+      const report = await getAttendanceReport(upcomingEvent);
+      expect(report.noShowCount).to.eq(0);
+      expect(report.attendees[0].status).to.eq(AttendanceStatus.EXPECTED);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+import moment from 'moment';
+
+import {
+  getAvailableQuantityForUser,
+  getWaitlistCount,
+  getWaitlistPosition,
+  joinWaitlist,
+  leaveWaitlist,
+  processWaitlist,
+  releaseSpotForRefundedOrder,
+} from '../../../server/lib/waitlists';
+import models from '../../../server/models';
+import { TierWaitlistEntryStatus } from '../../../server/models/TierWaitlistEntry';
+import { fakeCollective, fakeOrder, fakeTier, fakeUser } from '../../test-helpers/fake-data';
+import * as utils from '../../utils';
+
+describe('server/lib/waitlists', () => {
+  let collective;
+
+  before(async () => {
+    await utils.resetTestDB();
+    collective = await fakeCollective();
+  });
+
+  /** Creates a tier with a waitlist, sold out by a single order */
+  const fakeSoldOutTier = async (maxQuantity = 2, tierData = {}) => {
+    const tier = await fakeTier({ CollectiveId: collective.id, maxQuantity, hasWaitlist: true, ...tierData });
+    const order = await fakeOrder({
+      CollectiveId: collective.id,
+      TierId: tier.id,
+      quantity: maxQuantity,
+      status: 'PAID',
+      processedAt: new Date(),
+    });
+
+    return { tier, order };
+  };
+
+  describe('joinWaitlist', () => {
+    it('only works on sold out tiers with a waitlist', async () => {
+      const user = await fakeUser();
+      const { tier: tierWithoutWaitlist } = await fakeSoldOutTier(2, { hasWaitlist: false });
+      await expect(joinWaitlist(tierWithoutWaitlist, user)).to.be.rejectedWith('This tier does not have a waitlist');
+
+      const tierNotSoldOut = await fakeTier({ CollectiveId: collective.id, maxQuantity: 2, hasWaitlist: true });
+      await expect(joinWaitlist(tierNotSoldOut, user)).to.be.rejectedWith('This tier is not sold out');
+    });
+
+    it('adds the users in order', async () => {
+      const { tier } = await fakeSoldOutTier();
+      const users = await Promise.all([fakeUser(), fakeUser(), fakeUser()]);
+      for (const user of users) {
+        await joinWaitlist(tier, user);
+      }
+
+      expect(await getWaitlistCount(tier)).to.eq(3);
+      expect(await getWaitlistPosition(tier, users[0])).to.eq(1);
+      expect(await getWaitlistPosition(tier, users[2])).to.eq(3);
+      expect(await getWaitlistPosition(tier, await fakeUser())).to.be.null;
+      await expect(joinWaitlist(tier, users[0])).to.be.rejectedWith('You are already on the waitlist of this tier');
+
+      await leaveWaitlist(tier, users[0]);
+      expect(await getWaitlistCount(tier)).to.eq(2);
+      expect(await getWaitlistPosition(tier, users[2])).to.eq(2);
+    });
+  });
+
+  describe('processWaitlist', () => {
+    it('reserves the spots that free up for the next users, in order', async () => {
+      const { tier, order } = await fakeSoldOutTier();
+      const users = await Promise.all([fakeUser(), fakeUser(), fakeUser()]);
+      for (const user of users) {
+        await joinWaitlist(tier, user);
+      }
+
+      // Nothing to reserve while the tier is sold out
+      expect(await processWaitlist(tier)).to.have.length(0);
+
+      await order.update({ status: 'CANCELLED' });
+      const reservations = await processWaitlist(tier);
+      expect(reservations.map(entry => entry.UserId)).to.deep.eq([users[0].id, users[1].id]);
+      expect(reservations[0].status).to.eq(TierWaitlistEntryStatus.RESERVED);
+      expect(await getWaitlistPosition(tier, users[0])).to.eq(0);
+      expect(await getWaitlistPosition(tier, users[2])).to.eq(1);
+
+      const activities = await models.Activity.findAll({
+        where: { type: 'tier.waitlist.spot.available', CollectiveId: collective.id },
+      });
+      expect(activities.map(activity => activity.UserId)).to.include.members([users[0].id, users[1].id]);
+
+      // Reserved spots can only be ordered by the users who hold them
+      expect(await getAvailableQuantityForUser(tier, users[0])).to.eq(1);
+      expect(await getAvailableQuantityForUser(tier, users[2])).to.eq(0);
+      expect(await getAvailableQuantityForUser(tier, await fakeUser())).to.eq(0);
+    });
+
+    it('does not skip users who need more spots than available', async () => {
+      const { tier, order } = await fakeSoldOutTier(3);
+      const [firstUser, secondUser] = await Promise.all([fakeUser(), fakeUser()]);
+      await joinWaitlist(tier, firstUser, 2);
+      await joinWaitlist(tier, secondUser, 1);
+
+      await order.update({ quantity: 2 });
+      expect(await processWaitlist(tier)).to.have.length(0);
+      expect(await getWaitlistPosition(tier, secondUser)).to.eq(2);
+    });
+
+    it('offers expired reservations to the next users', async () => {
+      const { tier, order } = await fakeSoldOutTier(1);
+      const [firstUser, secondUser] = await Promise.all([fakeUser(), fakeUser()]);
+      await joinWaitlist(tier, firstUser);
+      await joinWaitlist(tier, secondUser);
+      await order.update({ status: 'CANCELLED' });
+      const [reservation] = await processWaitlist(tier);
+
+      await reservation.update({ reservedUntil: moment().subtract(1, 'minute').toDate() });
+      const [nextReservation] = await processWaitlist(tier);
+      expect(nextReservation.UserId).to.eq(secondUser.id);
+
+      const expiredReservation = await models.TierWaitlistEntry.findByPk(reservation.id);
+      expect(expiredReservation.status).to.eq(TierWaitlistEntryStatus.EXPIRED);
+      expect(await getWaitlistPosition(tier, firstUser)).to.be.null;
+    });
+  });
+
+  describe('releaseSpotForRefundedOrder', () => {
+    it('cancels refunded orders to free their spot', async () => {
+      const { tier, order } = await fakeSoldOutTier(1);
+      const user = await fakeUser();
+      await joinWaitlist(tier, user);
+
+      const reservations = await releaseSpotForRefundedOrder(order);
+      expect(reservations.map(entry => entry.UserId)).to.deep.eq([user.id]);
+      await order.reload();
+      expect(order.status).to.eq('CANCELLED');
+    });
+
+    it('frees the spot of tiers without a waitlist too', async () => {
+      const { tier, order } = await fakeSoldOutTier(1, { hasWaitlist: false });
+      expect(await releaseSpotForRefundedOrder(order)).to.have.length(0);
+      await order.reload();
+      expect(order.status).to.eq('CANCELLED');
+      expect(await tier.availableQuantity()).to.eq(1);
+    });
+
+    it('does not change the status of the orders of tiers without a limited quantity', async () => {
+      const tier = await fakeTier({ CollectiveId: collective.id, maxQuantity: null });
+      const order = await fakeOrder({ CollectiveId: collective.id, TierId: tier.id, status: 'PAID' });
+      expect(await releaseSpotForRefundedOrder(order)).to.have.length(0);
+      await order.reload();
+      expect(order.status).to.eq('PAID');
+    });
+  });
+});
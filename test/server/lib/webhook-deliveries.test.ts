@@ -0,0 +1,159 @@
+import axios from 'axios';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import { activities } from '../../../server/constants';
+import channels from '../../../server/constants/channels';
+import {
+  attemptWebhookDelivery,
+  deliverActivityToWebhook,
+  getNextAttemptDate,
+  redeliverWebhookDelivery,
+  retryPendingWebhookDeliveries,
+} from '../../../server/lib/webhook-deliveries';
+import { signWebhookPayload, WEBHOOK_SIGNATURE_HEADER, WEBHOOK_TIMESTAMP_HEADER } from '../../../server/lib/webhooks';
+import models from '../../../server/models';
+import { WebhookDeliveryStatus } from '../../../server/models/WebhookDelivery';
+import { fakeActivity, fakeCollective, fakeNotification } from '../../test-helpers/fake-data';
+import { resetTestDB } from '../../utils';
+
+describe('server/lib/webhook-deliveries', () => {
+  let sandbox, axiosPostStub, collective, webhook, activity;
+
+  before(async () => {
+    await resetTestDB();
+    sandbox = sinon.createSandbox();
+    collective = await fakeCollective();
+    webhook = await fakeNotification({
+      channel: channels.WEBHOOK,
+      type: activities.COLLECTIVE_EXPENSE_CREATED,
+      CollectiveId: collective.id,
+    });
+    activity = await fakeActivity(
+      {
+        CollectiveId: collective.id,
+        type: activities.COLLECTIVE_EXPENSE_CREATED,
+        data: { expense: { id: 42, description: 'Test', amount: 1000, currency: 'USD' } },
+      },
+      { hooks: false },
+    );
+  });
+
+  beforeEach(() => {
+    axiosPostStub = sandbox.stub(axios, 'post');
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('getNextAttemptDate', () => {
+    it('uses an exponential backoff', () => {
+      const now = new Date('2021-08-10T00:00:00Z');
+      expect(getNextAttemptDate(1, now)).to.deep.eq(new Date('2021-08-10T00:10:00Z'));
+      expect(getNextAttemptDate(2, now)).to.deep.eq(new Date('2021-08-10T00:20:00Z'));
+      expect(getNextAttemptDate(3, now)).to.deep.eq(new Date('2021-08-10T00:40:00Z'));
+    });
+
+    it('returns null when reaching the maximum number of attempts', () => {
+      expect(getNextAttemptDate(5)).to.be.null;
+    });
+  });
+
+  describe('deliverActivityToWebhook', () => {
+    it('generates a secret for new webhooks', () => {
+      expect(webhook.secret).to.have.length(64);
+    });
+
+    it('signs the payload and records a successful delivery', async () => {
+      axiosPostStub.resolves({ status: 200 });
+      const delivery = await deliverActivityToWebhook(activity, webhook);
+
+      expect(delivery.status).to.eq(WebhookDeliveryStatus.SUCCESS);
+      expect(delivery.attempts).to.eq(1);
+      expect(delivery.responseStatusCode).to.eq(200);
+      expect(delivery.latency).to.be.a('number');
+      expect(delivery.ActivityId).to.eq(activity.id);
+      expect(delivery.payload['type']).to.eq(activities.COLLECTIVE_EXPENSE_CREATED);
+
+      const [url, body, options] = axiosPostStub.firstCall.args;
+      const timestamp = options.headers[WEBHOOK_TIMESTAMP_HEADER];
+      const expectedSignature = signWebhookPayload(webhook.secret, timestamp, body);
+      expect(url).to.eq(webhook.webhookUrl);
+      expect(body).to.eq(JSON.stringify(delivery.payload));
+      expect(options.headers[WEBHOOK_SIGNATURE_HEADER]).to.eq(expectedSignature);
+    });
+
+    it('schedules a retry when the delivery fails', async () => {
+      axiosPostStub.rejects(
+        Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }),
+      );
+      const delivery = await deliverActivityToWebhook(activity, webhook);
+
+      expect(delivery.status).to.eq(WebhookDeliveryStatus.PENDING);
+      expect(delivery.attempts).to.eq(1);
+      expect(delivery.responseStatusCode).to.eq(503);
+      expect(delivery.error).to.eq('Request failed with status code 503');
+      expect(delivery.nextAttemptAt).to.be.greaterThan(new Date());
+    });
+
+    it('marks the delivery as failed after the last attempt', async () => {
+      axiosPostStub.rejects(new Error('ECONNREFUSED'));
+      const delivery = await models.WebhookDelivery.create({
+        NotificationId: webhook.id,
+        payload: { type: 'test' },
+        attempts: 4,
+      });
+
+      await attemptWebhookDelivery(delivery);
+      expect(delivery.status).to.eq(WebhookDeliveryStatus.FAILED);
+      expect(delivery.attempts).to.eq(5);
+      expect(delivery.nextAttemptAt).to.be.null;
+      expect(delivery.responseStatusCode).to.be.null;
+    });
+  });
+
+  describe('retryPendingWebhookDeliveries', () => {
+    it('retries the deliveries that are due', async () => {
+      await models.WebhookDelivery.update({ status: WebhookDeliveryStatus.FAILED }, { where: {} });
+      const due = await models.WebhookDelivery.create({
+        NotificationId: webhook.id,
+        payload: { type: 'due' },
+        attempts: 1,
+        nextAttemptAt: new Date(Date.now() - 1000),
+      });
+      await models.WebhookDelivery.create({
+        NotificationId: webhook.id,
+        payload: { type: 'not-due' },
+        attempts: 1,
+        nextAttemptAt: new Date(Date.now() + 60000),
+      });
+
+      axiosPostStub.resolves({ status: 204 });
+      const results = await retryPendingWebhookDeliveries();
+      expect(results).to.have.length(1);
+      expect(results[0].id).to.eq(due.id);
+      expect(results[0].status).to.eq(WebhookDeliveryStatus.SUCCESS);
+      expect(results[0].attempts).to.eq(2);
+    });
+  });
+
+  describe('redeliverWebhookDelivery', () => {
+    it('records a new delivery with the same payload', async () => {
+      const original = await models.WebhookDelivery.create({
+        NotificationId: webhook.id,
+        payload: { type: 'original' },
+        status: WebhookDeliveryStatus.FAILED,
+        attempts: 5,
+      });
+
+      axiosPostStub.resolves({ status: 200 });
+      const newDelivery = await redeliverWebhookDelivery(original);
+      expect(newDelivery.id).to.not.eq(original.id);
+      expect(newDelivery.payload).to.deep.eq({ type: 'original' });
+      expect(newDelivery.status).to.eq(WebhookDeliveryStatus.SUCCESS);
+      await original.reload();
+      expect(original.status).to.eq(WebhookDeliveryStatus.FAILED);
+    });
+  });
+});
@@ -1,7 +1,14 @@
 import { expect } from 'chai';
 
 import { activities } from '../../../server/constants';
-import { enrichActivity, sanitizeActivity } from '../../../server/lib/webhooks';
+import {
+  enrichActivity,
+  getWebhookSignatureHeaders,
+  sanitizeActivity,
+  signWebhookPayload,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+} from '../../../server/lib/webhooks';
 
 describe('server/lib/webhooks', () => {
   describe('sanitizeActivity', () => {
@@ -114,4 +121,25 @@ describe('server/lib/webhooks', () => {
       });
     });
   });
+
+  describe('signWebhookPayload', () => {
+    it('signs the timestamp and the body with HMAC-SHA256', () => {
+      const signature = signWebhookPayload('s3cr3t', 1628582400, '{"type":"collective.apply"}');
+      expect(signature).to.eq('sha256=1acc8ea2f0f12221f73e3f8a13618ba987de8fb31d1e3a6990642b90f475d8be');
+    });
+
+    it('changes when the timestamp changes', () => {
+      const body = '{"type":"collective.apply"}';
+      expect(signWebhookPayload('s3cr3t', 1628582400, body)).to.not.eq(signWebhookPayload('s3cr3t', 1628582401, body));
+    });
+  });
+
+  describe('getWebhookSignatureHeaders', () => {
+    it('returns the timestamp and the signature', () => {
+      const body = '{"type":"collective.apply"}';
+      const headers = getWebhookSignatureHeaders('s3cr3t', body, 1628582400);
+      expect(headers[WEBHOOK_TIMESTAMP_HEADER]).to.eq('1628582400');
+      expect(headers[WEBHOOK_SIGNATURE_HEADER]).to.eq(signWebhookPayload('s3cr3t', 1628582400, body));
+    });
+  });
 });
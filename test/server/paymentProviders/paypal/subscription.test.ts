@@ -50,7 +50,13 @@ describe('server/paymentProviders/paypal/subscription', () => {
   describe('setupPaypalSubscriptionForOrder', () => {
     it('activates the subscription when params are valid', async () => {
       const paymentMethod = await fakePaypalSubscriptionPm(validSubscriptionParams);
-      const order = await fakeOrder({ CollectiveId: host.id, status: 'NEW', TierId: null, totalAmount: 1000 });
+      const order = await fakeOrder({
+        CollectiveId: host.id,
+        status: 'NEW',
+        TierId: null,
+        totalAmount: 1000,
+        interval: 'month',
+      });
       const paypalRequestStub = sandbox.stub(PaypalAPI, 'paypalRequest');
       const subscriptionUrl = `billing/subscriptions/${paymentMethod.token}`;
       paypalRequestStub.withArgs(subscriptionUrl).returns(validSubscriptionParams);
@@ -100,6 +106,24 @@ describe('server/paymentProviders/paypal/subscription', () => {
         expect(error['rootException'].message).to.eq('The plan amount does not match the order amount');
         sinon.assert.calledOnce(paypalRequestStub); // We only fetch the subscription, not approving it
       });
+
+      it('must have a plan that match interval', async () => {
+        const paymentMethod = await fakePaypalSubscriptionPm(validSubscriptionParams);
+        const order = await fakeOrder({
+          CollectiveId: host.id,
+          status: 'NEW',
+          TierId: null,
+          totalAmount: 1000,
+          interval: 'year',
+        });
+        const paypalRequestStub = sandbox.stub(PaypalAPI, 'paypalRequest');
+        const subscriptionUrl = `billing/subscriptions/${paymentMethod.token}`;
+        paypalRequestStub.withArgs(subscriptionUrl).returns(validSubscriptionParams);
+        const error = await setupPaypalSubscriptionForOrder(order, paymentMethod).catch(e => e);
+        expect(error).to.exist;
+        expect(error['rootException'].message).to.eq('The plan interval does not match the order interval');
+        sinon.assert.calledOnce(paypalRequestStub); // We only fetch the subscription, not approving it
+      });
     });
 
     describe('when a subscription already exists', () => {
@@ -112,6 +136,7 @@ describe('server/paymentProviders/paypal/subscription', () => {
             status: 'NEW',
             TierId: null,
             totalAmount: 1000,
+            interval: 'month',
             subscription: { paypalSubscriptionId, isActive: false },
             PaymentMethodId: paymentMethod.id,
           },
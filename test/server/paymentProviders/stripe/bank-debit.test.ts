@@ -0,0 +1,195 @@
+/* eslint-disable camelcase */
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import emailLib from '../../../../server/lib/email';
+import stripe from '../../../../server/lib/stripe';
+import bankDebit from '../../../../server/paymentProviders/stripe/bank-debit';
+import {
+  fakeCollective,
+  fakeConnectedAccount,
+  fakeOrder,
+  fakePaymentMethod,
+  fakeUser,
+} from '../../../test-helpers/fake-data';
+import * as utils from '../../../utils';
+
+describe('server/paymentProviders/stripe/bank-debit', () => {
+  const sandbox = sinon.createSandbox();
+  let user, collective, paymentMethod;
+
+  const charge = {
+    id: 'ch_test',
+    payment_intent: 'pi_test',
+    balance_transaction: 'bt_test',
+    payment_method_details: { type: 'sepa_debit', sepa_debit: { mandate: 'mandate_test' } },
+  };
+
+  const createOrder = (values = {}, options = {}) =>
+    fakeOrder(
+      {
+        CreatedByUserId: user.id,
+        FromCollectiveId: user.CollectiveId,
+        CollectiveId: collective.id,
+        PaymentMethodId: paymentMethod.id,
+        totalAmount: 10000,
+        currency: 'EUR',
+        data: { reqIp: '127.0.0.1', reqUserAgent: 'Firefox' },
+        ...values,
+      },
+      options,
+    );
+
+  before(async () => {
+    await utils.resetTestDB();
+    user = await fakeUser();
+    const host = await fakeCollective({ isHostAccount: true, currency: 'EUR' });
+    await fakeConnectedAccount({ service: 'stripe', username: 'acct_host', token: 'sk_test', CollectiveId: host.id });
+    collective = await fakeCollective({ HostCollectiveId: host.id, currency: 'EUR' });
+    paymentMethod = await fakePaymentMethod({
+      service: 'stripe',
+      type: 'sepa_debit',
+      token: 'pm_test',
+      data: {},
+      CollectiveId: user.CollectiveId,
+    });
+
+    sandbox.stub(emailLib, 'send').resolves();
+    sandbox.stub(stripe.customers, 'create').resolves({ id: 'cus_test' });
+    sandbox.stub(stripe.paymentMethods, 'retrieve').resolves({
+      id: 'pm_test',
+      type: 'sepa_debit',
+      sepa_debit: { last4: '3000', bank_code: '37040044', country: 'DE' },
+    });
+    sandbox.stub(stripe.paymentIntents, 'create').resolves({
+      id: 'pi_test',
+      status: 'processing',
+      charges: { data: [charge] },
+    });
+    sandbox.stub(stripe.paymentIntents, 'retrieve').resolves({
+      id: 'pi_test',
+      status: 'succeeded',
+      charges: { data: [charge] },
+    });
+    sandbox.stub(stripe.balanceTransactions, 'retrieve').resolves({
+      id: 'bt_test',
+      currency: 'eur',
+      amount: 10000,
+      fee: 35,
+      fee_details: [{ type: 'stripe_fee', amount: 35 }],
+    });
+  });
+
+  after(() => sandbox.restore());
+
+  afterEach(() => sandbox.resetHistory());
+
+  describe('processOrder()', () => {
+    it('can only debit in the currency of the bank account', async () => {
+      const order = await createOrder({ currency: 'USD' });
+      await expect(bankDebit.processOrder(order)).to.be.rejectedWith('This bank account can only be debited in EUR');
+    });
+
+    it('accepts the mandate and leaves the order processing', async () => {
+      const order = await createOrder({ interval: 'month' });
+      const transaction = await bankDebit.processOrder(order);
+      expect(transaction).to.be.undefined;
+
+      const [intentData, options] = stripe.paymentIntents.create.firstCall.args;
+      expect(options).to.deep.eq({ stripeAccount: 'acct_host' });
+      expect(intentData).to.deep.include({
+        amount: 10000,
+        currency: 'eur',
+        customer: 'cus_test',
+        payment_method: 'pm_test',
+        payment_method_types: ['sepa_debit'],
+        setup_future_usage: 'off_session',
+      });
+      expect(intentData.mandate_data.customer_acceptance.online).to.deep.eq({
+        ip_address: '127.0.0.1',
+        user_agent: 'Firefox',
+      });
+
+      await order.reload();
+      expect(order.status).to.eq('PROCESSING');
+      expect(order.data.paymentIntent).to.deep.eq({ id: 'pi_test', status: 'processing' });
+
+      await paymentMethod.reload();
+      expect(paymentMethod.data.mandate.id).to.eq('mandate_test');
+      expect(paymentMethod.data.last4).to.eq('3000');
+      expect(paymentMethod.data.customerIdForHost).to.deep.eq({ acct_host: 'cus_test' });
+    });
+
+    it('reuses the mandate for the next charges', async () => {
+      const order = await createOrder({ interval: 'month' });
+      await bankDebit.processOrder(order);
+
+      expect(stripe.customers.create.called).to.be.false;
+      const [intentData] = stripe.paymentIntents.create.firstCall.args;
+      expect(intentData).to.deep.include({ mandate: 'mandate_test', off_session: true });
+      expect(intentData).to.not.have.property('mandate_data');
+    });
+  });
+
+  describe('webhook()', () => {
+    it('marks the first charge as paid when it succeeds', async () => {
+      const order = await createOrder({
+        status: 'PROCESSING',
+        data: { paymentIntent: { id: 'pi_first', status: 'processing' } },
+      });
+
+      const event = { type: 'charge.succeeded', data: { object: { ...charge, payment_intent: 'pi_first' } } };
+      await bankDebit.webhook(null, event);
+
+      await order.reload();
+      expect(order.status).to.eq('PAID');
+      expect(order.processedAt).to.exist;
+      const transactions = await order.getTransactions({ where: { type: 'CREDIT', kind: 'CONTRIBUTION' } });
+      expect(transactions).to.have.length(1);
+      expect(transactions[0].amount).to.eq(10000);
+    });
+
+    it('settles the order only once when the event is delivered twice in parallel', async () => {
+      const order = await createOrder({
+        status: 'PROCESSING',
+        data: { paymentIntent: { id: 'pi_duplicate', status: 'processing' } },
+      });
+
+      const event = { type: 'charge.succeeded', data: { object: { ...charge, payment_intent: 'pi_duplicate' } } };
+      await Promise.all([bankDebit.webhook(null, event), bankDebit.webhook(null, event)]);
+
+      await order.reload();
+      expect(order.status).to.eq('PAID');
+      const transactions = await order.getTransactions({ where: { type: 'CREDIT', kind: 'CONTRIBUTION' } });
+      expect(transactions).to.have.length(1);
+    });
+
+    it('reschedules the recurring charge when it fails', async () => {
+      const order = await createOrder(
+        {
+          status: 'PROCESSING',
+          interval: 'month',
+          processedAt: new Date(),
+          data: { paymentIntent: { id: 'pi_recurring', status: 'processing' } },
+        },
+        { withSubscription: true },
+      );
+
+      const failedCharge = { ...charge, payment_intent: 'pi_recurring', failure_message: 'Insufficient funds' };
+      await bankDebit.webhook(null, { type: 'charge.failed', data: { object: failedCharge } });
+
+      await order.reload({ include: [{ association: 'Subscription' }] });
+      expect(order.status).to.eq('ERROR');
+      expect(order.data.error.message).to.eq('Insufficient funds');
+      expect(order.data.paymentIntent).to.not.exist;
+      expect(order.Subscription.chargeRetryCount).to.eq(1);
+      expect(order.Subscription.nextChargeDate > new Date()).to.be.true;
+    });
+
+    it('ignores the charges of other payment methods', async () => {
+      const cardCharge = { ...charge, payment_method_details: { type: 'card' } };
+      await bankDebit.webhook(null, { type: 'charge.succeeded', data: { object: cardCharge } });
+      expect(stripe.paymentIntents.retrieve.called).to.be.false;
+    });
+  });
+});
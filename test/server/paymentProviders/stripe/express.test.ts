@@ -0,0 +1,146 @@
+/* eslint-disable camelcase */
+import { expect } from 'chai';
+import config from 'config';
+import nock from 'nock';
+
+import * as stripeExpress from '../../../../server/paymentProviders/stripe/express';
+import { fakeCollective, fakeConnectedAccount, fakeExpense, fakeUser } from '../../../test-helpers/fake-data';
+import * as utils from '../../../utils';
+
+/**
+ * Express accounts can only be created, onboarded and funded by the platform: the requests must be made with the
+ * platform keys, without a `Stripe-Account` header.
+ */
+const stripeApi = () => nock('https://api.stripe.com:443', { badheaders: ['stripe-account'] });
+
+describe('server/paymentProviders/stripe/express', () => {
+  let host, user;
+
+  before(async () => {
+    await utils.resetTestDB();
+    user = await fakeUser();
+    host = await fakeCollective({
+      isHostAccount: true,
+      currency: 'USD',
+      settings: { stripeExpressPayouts: { enabled: true } },
+    });
+    await fakeConnectedAccount({
+      service: 'stripe',
+      username: config.stripe.accountId,
+      token: 'sk_test',
+      CollectiveId: host.id,
+    });
+  });
+
+  afterEach(() => nock.cleanAll());
+
+  describe('getOrCreatePayoutMethod()', () => {
+    it('only works for hosts that enabled Stripe payouts', async () => {
+      const otherHost = await fakeCollective({ isHostAccount: true });
+      await expect(stripeExpress.getOrCreatePayoutMethod(otherHost, user.collective, user)).to.be.rejectedWith(
+        'does not pay expenses with Stripe',
+      );
+    });
+
+    it('only works for hosts using the platform Stripe account', async () => {
+      const otherHost = await fakeCollective({
+        isHostAccount: true,
+        settings: { stripeExpressPayouts: { enabled: true } },
+      });
+      await fakeConnectedAccount({ service: 'stripe', username: 'acct_host', CollectiveId: otherHost.id });
+      await expect(stripeExpress.getOrCreatePayoutMethod(otherHost, user.collective, user)).to.be.rejectedWith(
+        'Stripe payouts are only available for the hosts using the platform Stripe account',
+      );
+    });
+
+    it('creates the Express account on the platform account, once', async () => {
+      const createAccount = stripeApi()
+        .post('/v1/accounts', body => body.type === 'express' && body['capabilities[transfers][requested]'] === 'true')
+        .reply(200, { id: 'acct_payee', object: 'account' });
+
+      const payoutMethod = await stripeExpress.getOrCreatePayoutMethod(host, user.collective, user);
+      expect(createAccount.isDone()).to.be.true;
+      expect(payoutMethod.type).to.eq('BANK_ACCOUNT');
+      expect(payoutMethod.unfilteredData.stripe).to.deep.eq({ accountId: 'acct_payee', HostCollectiveId: host.id });
+      expect(stripeExpress.isStripeExpressPayoutMethod(payoutMethod)).to.be.true;
+
+      // No other request to Stripe
+      const samePayoutMethod = await stripeExpress.getOrCreatePayoutMethod(host, user.collective, user);
+      expect(samePayoutMethod.id).to.eq(payoutMethod.id);
+    });
+  });
+
+  describe('createAccountLink()', () => {
+    it('creates an onboarding link on the platform account', async () => {
+      const payoutMethod = await stripeExpress.getOrCreatePayoutMethod(host, user.collective, user);
+      const createLink = stripeApi()
+        .post('/v1/account_links', {
+          account: 'acct_payee',
+          type: 'account_onboarding',
+          return_url: 'https://opencollective.com/return',
+          refresh_url: 'https://opencollective.com/refresh',
+        })
+        .reply(200, { object: 'account_link', url: 'https://connect.stripe.com/setup/e/acct_payee', expires_at: 1 });
+
+      const link = await stripeExpress.createAccountLink(payoutMethod, {
+        returnUrl: 'https://opencollective.com/return',
+        refreshUrl: 'https://opencollective.com/refresh',
+      });
+
+      expect(createLink.isDone()).to.be.true;
+      expect(link).to.deep.eq({ url: 'https://connect.stripe.com/setup/e/acct_payee', expiresAt: new Date(1000) });
+    });
+  });
+
+  describe('payExpense()', () => {
+    let payoutMethod, expense;
+
+    before(async () => {
+      const collective = await fakeCollective({ HostCollectiveId: host.id, currency: 'USD' });
+      payoutMethod = await stripeExpress.getOrCreatePayoutMethod(host, user.collective, user);
+      expense = await fakeExpense({
+        CollectiveId: collective.id,
+        FromCollectiveId: user.CollectiveId,
+        PayoutMethodId: payoutMethod.id,
+        amount: 5000,
+        currency: 'USD',
+        status: 'APPROVED',
+      });
+    });
+
+    it('requires the onboarding to be completed', async () => {
+      stripeApi()
+        .get('/v1/accounts/acct_payee')
+        .reply(200, { id: 'acct_payee', object: 'account', capabilities: { transfers: 'inactive' } });
+      const createTransfer = stripeApi().post('/v1/transfers').reply(200, {});
+
+      await expect(stripeExpress.payExpense(host, payoutMethod, expense)).to.be.rejectedWith(
+        'The payee has not completed their Stripe onboarding yet',
+      );
+      expect(createTransfer.isDone()).to.be.false;
+    });
+
+    it('must be paid by the host that created the Express account', async () => {
+      const otherHost = await fakeCollective({ isHostAccount: true });
+      await expect(stripeExpress.payExpense(otherHost, payoutMethod, expense)).to.be.rejectedWith(
+        'This Stripe account was set up to be paid by another host',
+      );
+    });
+
+    it('transfers the amount from the platform balance to the Express account', async () => {
+      stripeApi()
+        .get('/v1/accounts/acct_payee')
+        .reply(200, { id: 'acct_payee', object: 'account', capabilities: { transfers: 'active' } });
+      const createTransfer = stripeApi()
+        .matchHeader('Idempotency-Key', `expense-${expense.id}`)
+        .post('/v1/transfers', body => {
+          return body.amount === '5000' && body.currency === 'usd' && body.destination === 'acct_payee';
+        })
+        .reply(200, { id: 'tr_1', object: 'transfer', amount: 5000, currency: 'usd', destination: 'acct_payee' });
+
+      const transfer = await stripeExpress.payExpense(host, payoutMethod, expense);
+      expect(createTransfer.isDone()).to.be.true;
+      expect(transfer).to.deep.eq({ id: 'tr_1', amount: 5000, currency: 'usd', destination: 'acct_payee' });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import * as thegivingblockLib from '../../../../server/lib/thegivingblock';
+import models from '../../../../server/models';
+import thegivingblock from '../../../../server/paymentProviders/thegivingblock';
+import webhook from '../../../../server/paymentProviders/thegivingblock/webhook';
+import {
+  fakeCollective,
+  fakeConnectedAccount,
+  fakeHost,
+  fakeOrder,
+  fakePaymentMethod,
+  fakeUser,
+} from '../../../test-helpers/fake-data';
+import * as utils from '../../../utils';
+
+const WEBHOOK_KEY = 'abcdefghijklmnopqrstuvwxyz012345';
+const WEBHOOK_IV = '0123456789abcdef';
+
+const encryptPayload = (payload, key = WEBHOOK_KEY, iv = WEBHOOK_IV) => {
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return cipher.update(JSON.stringify(payload), 'utf8', 'hex') + cipher.final('hex');
+};
+
+describe('server/paymentProviders/thegivingblock', () => {
+  const sandbox = sinon.createSandbox();
+  let order, user, collective, paymentMethod;
+
+  before(async () => {
+    await utils.resetTestDB();
+    user = await fakeUser();
+    const host = await fakeHost({ currency: 'USD' });
+    await fakeConnectedAccount({
+      service: 'thegivingblock',
+      username: 'host@opencollective.com',
+      token: 'password',
+      CollectiveId: host.id,
+      data: { organizationId: 42, webhookKey: WEBHOOK_KEY, webhookIv: WEBHOOK_IV },
+    });
+    collective = await fakeCollective({ HostCollectiveId: host.id, currency: 'USD' });
+    paymentMethod = await fakePaymentMethod({
+      service: 'thegivingblock',
+      type: 'crypto',
+      CollectiveId: user.CollectiveId,
+      data: { pledgeCurrency: 'BTC', pledgeAmount: 0.01 },
+    });
+    order = await fakeOrder({
+      CreatedByUserId: user.id,
+      FromCollectiveId: user.CollectiveId,
+      CollectiveId: collective.id,
+      PaymentMethodId: paymentMethod.id,
+      totalAmount: 40000,
+      currency: 'USD',
+      status: 'NEW',
+    });
+    order = await models.Order.findByPk(order.id, {
+      include: [
+        { model: models.Collective, as: 'collective' },
+        { model: models.PaymentMethod, as: 'paymentMethod' },
+      ],
+    });
+  });
+
+  after(() => sandbox.restore());
+
+  describe('processOrder()', () => {
+    it('creates a pledge and waits for the deposit', async () => {
+      const createPledge = sandbox
+        .stub(thegivingblockLib, 'createPledge')
+        .resolves({ pledgeId: 'pledge-1', depositAddress: 'bc1-deposit-address' });
+
+      const transaction = await thegivingblock.types.crypto.processOrder(order);
+
+      expect(transaction).to.be.undefined;
+      expect(createPledge.firstCall.args[1]).to.deep.eq({ pledgeCurrency: 'BTC', pledgeAmount: '0.01' });
+      await order.reload();
+      expect(order.status).to.eq('NEW');
+      expect(order.data.thegivingblock).to.deep.include({
+        pledgeId: 'pledge-1',
+        depositAddress: 'bc1-deposit-address',
+      });
+    });
+  });
+
+  describe('webhook', () => {
+    const deposit = {
+      pledgeId: 'pledge-1',
+      transactionHash: '0xhash',
+      currency: 'BTC',
+      amount: '0.01',
+      valueAtDonationTimeUSD: 450.5,
+    };
+
+    it('rejects events that cannot be decrypted', async () => {
+      const payload = encryptPayload(deposit, 'zyxwvutsrqponmlkjihgfedcba543210');
+      const req = { body: { eventType: 'DEPOSIT_TRANSACTION', payload } };
+      await expect(webhook(req as any)).to.be.rejectedWith('Could not verify event signature');
+    });
+
+    it('records the deposit and creates the transactions', async () => {
+      const req = { body: { eventType: 'DEPOSIT_TRANSACTION', payload: encryptPayload(deposit) } };
+      await webhook(req as any);
+
+      await order.reload();
+      expect(order.status).to.eq('PAID');
+      expect(order.totalAmount).to.eq(45050);
+      expect(order.data.thegivingblock.pledgedTotalAmount).to.eq(40000);
+      expect(order.data.thegivingblock.deposit.transactionHash).to.eq('0xhash');
+
+      const credit = await models.Transaction.findOne({ where: { OrderId: order.id, type: 'CREDIT' } });
+      expect(credit.amount).to.eq(45050);
+      expect(credit.amountInHostCurrency).to.eq(45050);
+      expect(credit.hostCurrency).to.eq('USD');
+    });
+
+    it('ignores notifications for orders that were already processed', async () => {
+      const req = { body: { eventType: 'DEPOSIT_TRANSACTION', payload: encryptPayload(deposit) } };
+      await webhook(req as any);
+      const transactions = await models.Transaction.findAll({ where: { OrderId: order.id, type: 'CREDIT' } });
+      expect(transactions).to.have.length(1);
+    });
+
+    it('processes the deposit only once when the notification is delivered twice in parallel', async () => {
+      const otherOrder = await fakeOrder({
+        CreatedByUserId: user.id,
+        FromCollectiveId: user.CollectiveId,
+        CollectiveId: collective.id,
+        PaymentMethodId: paymentMethod.id,
+        totalAmount: 40000,
+        currency: 'USD',
+        status: 'NEW',
+        data: { thegivingblock: { pledgeId: 'pledge-2' } },
+      });
+
+      const payload = encryptPayload({ ...deposit, pledgeId: 'pledge-2', transactionHash: '0xhash2' });
+      const req = { body: { eventType: 'DEPOSIT_TRANSACTION', payload } };
+      await Promise.all([webhook(req as any), webhook(req as any)]);
+
+      await otherOrder.reload();
+      expect(otherOrder.status).to.eq('PAID');
+      const transactions = await models.Transaction.findAll({ where: { OrderId: otherOrder.id, type: 'CREDIT' } });
+      expect(transactions).to.have.length(1);
+    });
+  });
+});
@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+
 import Promise from 'bluebird';
 import { expect } from 'chai';
 import config from 'config';
@@ -7,12 +9,13 @@ import request from 'supertest';
 
 import app from '../../../server/index';
 import emailLib from '../../../server/lib/email';
+import { getReplyToAddress } from '../../../server/lib/email-replies';
 import { md5 } from '../../../server/lib/utils';
 import models from '../../../server/models';
 import webhookBodyPayload from '../../mocks/mailgun.webhook.payload';
 import initNock from '../../nocks/email.routes.test.nock.js';
 import { randEmail } from '../../stores';
-import { fakeCollective, fakeUser } from '../../test-helpers/fake-data';
+import { fakeCollective, fakeExpense, fakeUser, randStr } from '../../test-helpers/fake-data';
 import * as utils from '../../utils';
 
 const generateToken = (email, slug, template) => {
@@ -160,6 +163,72 @@ describe('server/routes/email', () => {
       });
   });
 
+  describe('replies', () => {
+    let admin, expense;
+
+    before(async () => {
+      admin = await fakeIntervalUser();
+      const collective = await fakeCollective();
+      await collective.addUserWithRole(admin, 'ADMIN');
+      expense = await fakeExpense({ CollectiveId: collective.id });
+    });
+
+    const signMailgunRequest = () => {
+      const timestamp = Math.round(Date.now() / 1000).toString();
+      const token = randStr('token-');
+      const signature = crypto.createHmac('sha256', config.mailgun.apiKey).update(`${timestamp}${token}`).digest('hex');
+      return { timestamp, token, signature };
+    };
+
+    const sendReply = (recipient, from, text, mailgunSignature = signMailgunRequest()) => {
+      const payload = {
+        ...webhookBodyPayload,
+        ...mailgunSignature,
+        recipient,
+        from,
+        'body-plain': text,
+        'body-html': null,
+      };
+      return request(expressApp).post('/webhooks/mailgun').send(payload);
+    };
+
+    it('posts the reply as a comment on behalf of the recipient of the notification', async () => {
+      const recipient = getReplyToAddress({ ExpenseId: expense.id }, admin);
+      const text = 'Looks good to me!\n\nOn Mon, Sep 6, 2021 at 10:00 AM Open Collective wrote:\n> New expense';
+      const res = await sendReply(recipient, `Admin <${admin.email}>`, text);
+      expect(res.body.error).to.not.exist;
+
+      const comment = await models.Comment.findByPk(res.body.CommentId);
+      expect(comment.ExpenseId).to.eq(expense.id);
+      expect(comment.CreatedByUserId).to.eq(admin.id);
+      expect(comment.FromCollectiveId).to.eq(admin.CollectiveId);
+      expect(comment.html).to.eq('<p>Looks good to me!</p>');
+    });
+
+    it('rejects the replies with an invalid signature, or sent from another address', async () => {
+      const recipient = getReplyToAddress({ ExpenseId: expense.id }, admin);
+      const forgedRecipient = recipient.replace(`-${admin.id}-`, `-${admin.id + 1}-`);
+      const forgedRes = await sendReply(forgedRecipient, admin.email, 'Hello');
+      expect(forgedRes.body.error).to.exist;
+
+      const res = await sendReply(recipient, 'someone-else@opencollective.com', 'Hello');
+      expect(res.body.error.message).to.eq('This reply must be sent from the address that received the notification');
+      expect(await models.Comment.count({ where: { ExpenseId: expense.id, html: '<p>Hello</p>' } })).to.eq(0);
+    });
+
+    it('rejects the replies that were not posted by Mailgun', async () => {
+      const recipient = getReplyToAddress({ ExpenseId: expense.id }, admin);
+      const res = await sendReply(recipient, admin.email, 'Forged', { ...signMailgunRequest(), signature: 'forged' });
+      expect(res.statusCode).to.eq(401);
+
+      const replayedSignature = signMailgunRequest();
+      await sendReply(recipient, admin.email, 'First', replayedSignature);
+      const replayedRes = await sendReply(recipient, admin.email, 'Replayed', replayedSignature);
+      expect(replayedRes.statusCode).to.eq(401);
+      expect(await models.Comment.count({ where: { ExpenseId: expense.id, html: '<p>Replayed</p>' } })).to.eq(0);
+    });
+  });
+
   describe('unsubscribe', () => {
     const template = 'mailinglist.admins';
 
@@ -541,6 +541,7 @@ export const fakeMember = async data => {
     CollectiveId: collective.id,
     MemberCollectiveId: memberCollective.id,
     role: data.role || roles.ADMIN,
+    TierId: data.TierId,
     CreatedByUserId: collective.CreatedByUserId,
   });
 };